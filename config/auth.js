@@ -0,0 +1,31 @@
+// config/auth.js
+// Single source for token settings. Both routes/auth.js (signing) and
+// middleware/auth.js (verification) read from here so they can never drift.
+
+// The fallback is public, so anyone could sign tokens with it. Only an
+// explicit development or test environment may start without a real secret.
+const ALLOW_FALLBACK_SECRET = ['development', 'test'].includes(process.env.NODE_ENV);
+
+if (!process.env.JWT_SECRET && !ALLOW_FALLBACK_SECRET) {
+  throw new Error('JWT_SECRET must be set (or NODE_ENV=development for local use)');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_jwt_key_change_this_in_production';
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET not set, using the development fallback secret');
+}
+
+module.exports = {
+  JWT_SECRET,
+
+  // Access tokens are short-lived; the client renews them with a refresh token
+  ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+
+  // Account lockout after repeated failed logins
+  MAX_LOGIN_ATTEMPTS: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+  LOCK_TIME_MINUTES: parseInt(process.env.LOCK_TIME_MINUTES) || 15,
+
+  PASSWORD_MIN_LENGTH: 8
+};
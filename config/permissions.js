@@ -0,0 +1,56 @@
+// config/permissions.js
+// Maps each permission to the User.role values allowed to use it.
+// A permission not listed here is denied to every role.
+
+const ROLES = ['admin', 'staff'];
+
+const PERMISSIONS = {
+  // Billing - staff run the counter, only admins undo history
+  'billing:create': ['admin', 'staff'],
+  'billing:edit': ['admin', 'staff'],
+  'billing:delete': ['admin'],
+  'billing:refund': ['admin'],
+
+  // Loyalty coins
+  'coins:adjust': ['admin'],
+  'coins:tier': ['admin'],
+
+  // Tax configuration
+  'tax:manage': ['admin'],
+
+  // Catalogue, pricing and master data
+  'products:manage': ['admin'],
+  'products:delete': ['admin'],
+  'customers:delete': ['admin'],
+  'customers:credit': ['admin'],
+  'pricing:manage': ['admin'],
+  'expenses:delete': ['admin'],
+
+  // Stock - staff count shelves and move goods between locations, admins
+  // approve counts, correct and configure
+  'stock:count': ['admin', 'staff'],
+  'stock:transfer': ['admin', 'staff'],
+  'stock:manage': ['admin'],
+
+  // Purchasing - staff raise orders and receive goods, admins pay suppliers
+  'purchases:create': ['admin', 'staff'],
+  'purchases:manage': ['admin'],
+
+  // User accounts
+  'users:manage': ['admin'],
+
+  // Document numbering and invoice templates
+  'settings:manage': ['admin'],
+
+  // Bulk data leaving the system
+  'data:export': ['admin'],
+  'data:import': ['admin']
+};
+
+const hasPermission = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) return false;
+  return allowed.includes(role);
+};
+
+module.exports = { ROLES, PERMISSIONS, hasPermission };
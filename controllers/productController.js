@@ -1,11 +1,123 @@
 // controllers/productController.js
 
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const { TaxSlab } = require('../models/Tax');
+const Supplier = require('../models/Supplier');
+const { openingStock, adjustStock } = require('../services/stockLedger');
+const {
+  normalizeBarcode,
+  normalizeBarcodes,
+  assertBarcodesFree,
+  generateInternalBarcode,
+  assignInternalBarcodes,
+  findByCode,
+  sendLabelSheet
+} = require('../services/barcodeService');
+const ApiError = require('../utils/ApiError');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Checks the slab a product is linked to and fills its HSN code from the
+// slab when none is given. Returns an error message or null.
+const applyTaxFields = async (product, { hsnCode, taxSlabId, gstRate }) => {
+  if (hsnCode !== undefined) product.hsnCode = hsnCode ? String(hsnCode).trim() : undefined;
+  if (gstRate !== undefined) product.gstRate = gstRate === null || gstRate === '' ? undefined : gstRate;
+
+  if (taxSlabId !== undefined) {
+    if (!taxSlabId) {
+      product.taxSlabId = undefined;
+      return null;
+    }
+    if (!mongoose.isValidObjectId(taxSlabId)) {
+      return 'Invalid tax slab ID';
+    }
+    const slab = await TaxSlab.findById(taxSlabId);
+    if (!slab) {
+      return 'Tax slab not found';
+    }
+    product.taxSlabId = slab._id;
+    if (!product.hsnCode) product.hsnCode = slab.hsnCode;
+  }
+  return null;
+};
+
+// Links the product to the supplier it is reordered from. Returns an error
+// message or null.
+const applyReorderFields = async (product, { supplierId, leadTimeDays }) => {
+  if (leadTimeDays !== undefined) {
+    product.leadTimeDays = leadTimeDays === null || leadTimeDays === '' ? undefined : leadTimeDays;
+  }
+
+  if (supplierId !== undefined) {
+    if (!supplierId) {
+      product.supplierId = undefined;
+      return null;
+    }
+    if (!mongoose.isValidObjectId(supplierId)) {
+      return 'Invalid supplier ID';
+    }
+    if (!(await Supplier.exists({ _id: supplierId }))) {
+      return 'Supplier not found';
+    }
+    product.supplierId = supplierId;
+  }
+  return null;
+};
+
+// Shelf capacity and where the product is kept. Returns an error message
+// or null.
+const applyStockLevels = (product, { maxStock, storageLocation }) => {
+  if (storageLocation !== undefined) {
+    product.storageLocation = storageLocation || undefined;
+  }
+
+  if (maxStock !== undefined) {
+    if (maxStock === null || maxStock === '') {
+      product.maxStock = undefined;
+      return null;
+    }
+    if (!Number.isFinite(Number(maxStock)) || Number(maxStock) < 0) {
+      return 'Maximum stock must be a non-negative number';
+    }
+    product.maxStock = Number(maxStock);
+  }
+  if (product.maxStock !== undefined && product.maxStock !== null && product.maxStock < product.minStock) {
+    return `Maximum stock (${product.maxStock}) cannot be below the minimum stock (${product.minStock})`;
+  }
+  return null;
+};
+
+// SKU and barcodes; generateBarcode issues an internal code when the product
+// has none. Returns an error message or null.
+const applyCodes = async (product, { sku, barcodes, generateBarcode }) => {
+  if (sku !== undefined) {
+    product.sku = sku ? String(sku).trim() : undefined;
+  }
+  if (product.sku && await Product.exists({ sku: product.sku.toUpperCase(), _id: { $ne: product._id } })) {
+    return `SKU ${product.sku.toUpperCase()} is already used by another product`;
+  }
+
+  try {
+    if (barcodes !== undefined) {
+      const list = normalizeBarcodes(barcodes || []);
+      await assertBarcodesFree(list, product._id);
+      product.barcodes = list;
+    }
+    if ((generateBarcode === true || generateBarcode === 'true') && product.barcodes.length === 0) {
+      product.barcodes.push(await generateInternalBarcode());
+    }
+  } catch (error) {
+    if (error instanceof ApiError) return error.message;
+    throw error;
+  }
+  return null;
+};
 
 // ============================================
 // @desc    Get all products
 // @route   GET /api/products
-// @access  Public
+// @access  Private
 // ============================================
 const getAllProducts = async (req, res) => {
   try {
@@ -62,7 +174,7 @@ const getAllProducts = async (req, res) => {
 // ============================================
 // @desc    Get single product by MongoDB ID
 // @route   GET /api/products/:id
-// @access  Public
+// @access  Private
 // ============================================
 const getProductById = async (req, res) => {
   try {
@@ -101,7 +213,7 @@ const getProductById = async (req, res) => {
 // ============================================
 // @desc    Get single product by Product ID (PRD-XXX)
 // @route   GET /api/products/product-id/:productId
-// @access  Public
+// @access  Private
 // ============================================
 const getProductByProductId = async (req, res) => {
   try {
@@ -131,11 +243,11 @@ const getProductByProductId = async (req, res) => {
 // ============================================
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Public
+// @access  Private
 // ============================================
 const createProduct = async (req, res) => {
   try {
-    const { productId, name, category, price, stock, minStock, description, image } = req.body;
+    const { productId, name, category, price, stock, minStock, description, image, hsnCode, taxSlabId, gstRate, supplierId, leadTimeDays, trackBatches, maxStock, storageLocation, sku, barcodes, generateBarcode } = req.body;
 
     // Validate required fields
     if (!productId || !name || !category || price === undefined || stock === undefined) {
@@ -155,7 +267,7 @@ const createProduct = async (req, res) => {
     }
 
     // Create new product
-    const product = await Product.create({
+    const product = new Product({
       productId,
       name,
       category,
@@ -163,9 +275,27 @@ const createProduct = async (req, res) => {
       stock,
       minStock: minStock || 5,
       description: description || '',
-      image: image || ''
+      image: image || '',
+      trackBatches: trackBatches === true || trackBatches === 'true',
+      lastRestocked: stock > 0 ? new Date() : undefined
     });
 
+    const fieldError = await applyTaxFields(product, { hsnCode, taxSlabId, gstRate })
+      || await applyReorderFields(product, { supplierId, leadTimeDays })
+      || applyStockLevels(product, { maxStock, storageLocation })
+      || await applyCodes(product, { sku, barcodes, generateBarcode });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    await product.save();
+    if (product.stock > 0) {
+      await openingStock(product, { source: { type: 'product', id: product._id }, performedBy: req.user?.username });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -203,11 +333,11 @@ const createProduct = async (req, res) => {
 // ============================================
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Public
+// @access  Private
 // ============================================
 const updateProduct = async (req, res) => {
   try {
-    const { name, category, price, stock, minStock, description, image } = req.body;
+    const { name, category, price, stock, minStock, description, image, hsnCode, taxSlabId, gstRate, supplierId, leadTimeDays, trackBatches, maxStock, storageLocation, sku, barcodes, generateBarcode } = req.body;
 
     // Find product
     let product = await Product.findById(req.params.id);
@@ -223,13 +353,39 @@ const updateProduct = async (req, res) => {
     if (name !== undefined) product.name = name;
     if (category !== undefined) product.category = category;
     if (price !== undefined) product.price = price;
-    if (stock !== undefined) product.stock = stock;
     if (minStock !== undefined) product.minStock = minStock;
     if (description !== undefined) product.description = description;
     if (image !== undefined) product.image = image;
+    if (trackBatches !== undefined) product.trackBatches = trackBatches === true || trackBatches === 'true';
+
+    const fieldError = await applyTaxFields(product, { hsnCode, taxSlabId, gstRate })
+      || await applyReorderFields(product, { supplierId, leadTimeDays })
+      || applyStockLevels(product, { maxStock, storageLocation })
+      || await applyCodes(product, { sku, barcodes, generateBarcode });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    const stockChanged = stock !== undefined;
+    if (stockChanged && (stock === null || stock === '' || !Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock must be a whole number of zero or more'
+      });
+    }
 
-    // Save updated product
+    // Save updated product; an edited stock figure is logged as an adjustment
     await product.save();
+    if (stockChanged) {
+      ({ product } = await adjustStock(product._id, Number(stock), {
+        reason: 'Product edited',
+        source: { type: 'product', id: product._id },
+        performedBy: req.user?.username
+      }));
+    }
 
     res.status(200).json({
       success: true,
@@ -237,6 +393,13 @@ const updateProduct = async (req, res) => {
       data: product
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Error in updateProduct:', error);
     
     // Handle validation errors
@@ -268,7 +431,7 @@ const updateProduct = async (req, res) => {
 // ============================================
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Public
+// @access  Private (admin)
 // ============================================
 const deleteProduct = async (req, res) => {
   try {
@@ -310,7 +473,7 @@ const deleteProduct = async (req, res) => {
 // ============================================
 // @desc    Search products by keyword
 // @route   GET /api/products/search?q=keyword
-// @access  Public
+// @access  Private
 // ============================================
 const searchProducts = async (req, res) => {
   try {
@@ -329,6 +492,8 @@ const searchProducts = async (req, res) => {
         { name: { $regex: keyword, $options: 'i' } },
         { category: { $regex: keyword, $options: 'i' } },
         { productId: { $regex: keyword, $options: 'i' } },
+        { sku: { $regex: escapeRegex(keyword), $options: 'i' } },
+        { 'barcodes.code': keyword.trim() },
         { description: { $regex: keyword, $options: 'i' } }
       ]
     }).sort({ createdAt: -1 });
@@ -352,7 +517,7 @@ const searchProducts = async (req, res) => {
 // ============================================
 // @desc    Get low stock products
 // @route   GET /api/products/low-stock
-// @access  Public
+// @access  Private
 // ============================================
 const getLowStockProducts = async (req, res) => {
   try {
@@ -383,7 +548,7 @@ const getLowStockProducts = async (req, res) => {
 // ============================================
 // @desc    Get out of stock products
 // @route   GET /api/products/out-of-stock
-// @access  Public
+// @access  Private
 // ============================================
 const getOutOfStockProducts = async (req, res) => {
   try {
@@ -409,7 +574,7 @@ const getOutOfStockProducts = async (req, res) => {
 // ============================================
 // @desc    Get products by category
 // @route   GET /api/products/category/:category
-// @access  Public
+// @access  Private
 // ============================================
 const getProductsByCategory = async (req, res) => {
   try {
@@ -438,7 +603,7 @@ const getProductsByCategory = async (req, res) => {
 // ============================================
 // @desc    Get product statistics
 // @route   GET /api/products/stats
-// @access  Public
+// @access  Private
 // ============================================
 const getProductStats = async (req, res) => {
   try {
@@ -502,6 +667,387 @@ const getProductStats = async (req, res) => {
   }
 };
 
+// ============================================
+// @desc    Link every product in a category to a tax slab
+// @route   POST /api/products/tax/bulk-assign
+// @access  Private (admin)
+// ============================================
+const bulkAssignTaxSlab = async (req, res) => {
+  try {
+    const { category, taxSlabId, overwrite = false } = req.body;
+
+    if (!category || !taxSlabId) {
+      return res.status(400).json({
+        success: false,
+        message: 'category and taxSlabId are required'
+      });
+    }
+    if (!mongoose.isValidObjectId(taxSlabId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax slab ID'
+      });
+    }
+
+    const slab = await TaxSlab.findById(taxSlabId);
+    if (!slab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax slab not found'
+      });
+    }
+
+    // Products already linked to a slab keep it unless overwrite is set
+    const filter = { category: { $regex: new RegExp(`^${escapeRegex(String(category).trim())}$`, 'i') } };
+    const slabFilter = overwrite ? filter : { ...filter, taxSlabId: null };
+
+    const assigned = await Product.updateMany(slabFilter, { $set: { taxSlabId: slab._id } });
+
+    // The slab's HSN code fills in only where a product has none of its own
+    const hsnFilled = await Product.updateMany(
+      { ...filter, taxSlabId: slab._id, hsnCode: { $in: [null, ''] } },
+      { $set: { hsnCode: slab.hsnCode } }
+    );
+
+    const skipped = overwrite
+      ? 0
+      : await Product.countDocuments({ ...filter, taxSlabId: { $nin: [null, slab._id] } });
+
+    res.status(200).json({
+      success: true,
+      message: `Tax slab ${slab.name} assigned to ${assigned.modifiedCount} products in ${category}`,
+      data: {
+        category,
+        taxSlab: { _id: slab._id, name: slab.name, rate: slab.rate, hsnCode: slab.hsnCode },
+        matched: assigned.matchedCount,
+        assigned: assigned.modifiedCount,
+        hsnFilled: hsnFilled.modifiedCount,
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error in bulkAssignTaxSlab:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning tax slab',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// @desc    Products without complete tax configuration
+// @route   GET /api/products/tax/missing
+// @access  Private
+// ============================================
+const getMissingTaxReport = async (req, res) => {
+  try {
+    const activeSlabs = await TaxSlab.find({ status: 'active' }).select('_id').lean();
+    const activeIds = activeSlabs.map(slab => slab._id);
+
+    const filter = {
+      $or: [
+        { hsnCode: { $in: [null, ''] } },
+        { taxSlabId: null, gstRate: null },
+        { taxSlabId: { $ne: null, $nin: activeIds } }
+      ]
+    };
+    if (req.query.category) {
+      filter.category = { $regex: new RegExp(`^${escapeRegex(req.query.category)}$`, 'i') };
+    }
+
+    const products = await Product.find(filter)
+      .select('productId name category price hsnCode taxSlabId gstRate')
+      .sort({ category: 1, name: 1 })
+      .lean();
+
+    const activeSet = new Set(activeIds.map(String));
+    const byCategory = {};
+
+    const data = products.map(product => {
+      const issues = [];
+      if (!product.hsnCode) issues.push('hsnCode');
+      if (!product.taxSlabId && (product.gstRate === undefined || product.gstRate === null)) {
+        issues.push('taxSlab');
+      }
+      if (product.taxSlabId && !activeSet.has(String(product.taxSlabId))) {
+        issues.push('inactiveTaxSlab');
+      }
+
+      byCategory[product.category] = (byCategory[product.category] || 0) + 1;
+      return { ...product, issues };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      byCategory,
+      data
+    });
+  } catch (error) {
+    console.error('Error in getMissingTaxReport:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building missing tax report',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// @desc    Find the product for a scanned barcode, SKU or product code
+// @route   GET /api/products/barcode/:code
+// @access  Private
+// ============================================
+const getProductByBarcode = async (req, res) => {
+  try {
+    const product = await findByCode(req.params.code);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: `No product with code ${req.params.code}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    console.error('Error in getProductByBarcode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error looking up barcode',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// @desc    Add a barcode to a product; without a code, issue an internal one
+// @route   POST /api/products/:id/barcodes
+// @access  Private
+// ============================================
+const addBarcode = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const barcode = req.body?.code
+      ? normalizeBarcode({ code: req.body.code, type: req.body.type })
+      : await generateInternalBarcode();
+    if (product.barcodes.some(existing => existing.code === barcode.code)) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} already has barcode ${barcode.code}`
+      });
+    }
+    await assertBarcodesFree([barcode], product._id);
+
+    product.barcodes.push(barcode);
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Barcode ${barcode.code} added to ${product.name}`,
+      data: product
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error in addBarcode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding barcode',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// @desc    Remove a barcode from a product
+// @route   DELETE /api/products/:id/barcodes/:code
+// @access  Private
+// ============================================
+const removeBarcode = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, 'barcodes.code': req.params.code },
+      { $pull: { barcodes: { code: req.params.code } } },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: `Product with barcode ${req.params.code} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Barcode ${req.params.code} removed`,
+      data: product
+    });
+  } catch (error) {
+    console.error('Error in removeBarcode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing barcode',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// @desc    Issue internal barcodes to products that have none
+// @route   POST /api/products/barcodes/generate
+// @access  Private
+// ============================================
+const generateMissingBarcodes = async (req, res) => {
+  try {
+    const { productIds, category } = req.body || {};
+    const filter = { 'barcodes.0': { $exists: false } };
+    if (Array.isArray(productIds) && productIds.length > 0) {
+      if (!productIds.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product ID in productIds'
+        });
+      }
+      filter._id = { $in: productIds };
+    }
+    if (category) filter.category = category;
+
+    const products = await Product.find(filter).select('name barcodes').lean();
+    const assigned = await assignInternalBarcodes(products);
+
+    res.status(200).json({
+      success: true,
+      message: `${assigned.length} products given internal barcodes`,
+      count: assigned.length,
+      data: assigned
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error in generateMissingBarcodes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating barcodes',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// @desc    Printable A4 sheet of barcode labels (PDF)
+// @route   POST /api/products/barcodes/labels
+// @access  Private
+// ============================================
+const printBarcodeLabels = async (req, res) => {
+  try {
+    const { items, category, copies = 1, columns = 3, rows = 8, showPrice } = req.body || {};
+
+    // Either chosen products with their own copies, or a whole category
+    let requested;
+    if (Array.isArray(items) && items.length > 0) {
+      if (!items.every(item => mongoose.isValidObjectId(item.productId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs a valid productId'
+        });
+      }
+      requested = items;
+    } else if (category) {
+      const inCategory = await Product.find({ category }).select('_id').sort({ name: 1 }).lean();
+      requested = inCategory.map(product => ({ productId: product._id }));
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide items or a category'
+      });
+    }
+
+    const products = await Product.find({ _id: { $in: requested.map(item => item.productId) } })
+      .select('productId name price barcodes')
+      .lean();
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    const missing = [];
+    const labels = [];
+    for (const item of requested) {
+      const product = byId.get(String(item.productId));
+      if (!product) continue;
+      // The requested code, else the first one the product carries
+      const barcode = item.barcode
+        ? product.barcodes.find(existing => existing.code === String(item.barcode))
+        : product.barcodes[0];
+      if (!barcode) {
+        missing.push(product.name);
+        continue;
+      }
+      const count = parseInt(item.copies ?? copies);
+      labels.push({ product, barcode, copies: Number.isInteger(count) && count > 0 ? Math.min(count, 500) : 1 });
+    }
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No barcode for: ${missing.join(', ')}. Add one or generate internal barcodes first.`
+      });
+    }
+    if (labels.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No products found to label'
+      });
+    }
+
+    const columnCount = Math.min(Math.max(parseInt(columns) || 3, 1), 5);
+    const rowCount = Math.min(Math.max(parseInt(rows) || 8, 1), 12);
+    sendLabelSheet(res, labels, {
+      columns: columnCount,
+      rows: rowCount,
+      showPrice: showPrice !== false && showPrice !== 'false'
+    });
+  } catch (error) {
+    console.error('Error in printBarcodeLabels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating barcode labels',
+      error: error.message
+    });
+  }
+};
+
 // ============================================
 // Export all controller functions
 // ============================================
@@ -516,5 +1062,12 @@ module.exports = {
   getLowStockProducts,
   getOutOfStockProducts,
   getProductsByCategory,
-  getProductStats
+  getProductStats,
+  bulkAssignTaxSlab,
+  getMissingTaxReport,
+  getProductByBarcode,
+  addBarcode,
+  removeBarcode,
+  generateMissingBarcodes,
+  printBarcodeLabels
 };
\ No newline at end of file
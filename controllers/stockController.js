@@ -1,5 +1,12 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Stock = require('../models/Stock');
+const { recordMovement, reconcile } = require('../services/stockLedger');
+const ApiError = require('../utils/ApiError');
+
+const STOCK_STATUSES = ['out', 'low', 'normal', 'over'];
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 // Get all products with stock info
 exports.getAllProducts = async (req, res) => {
@@ -8,18 +15,27 @@ exports.getAllProducts = async (req, res) => {
     
     let query = {};
     
-    // Search by name, uniqueCode, or SKU
+    // Search by name, product code, SKU, barcode or storage location
     if (search) {
+      const pattern = escapeRegex(search);
       query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { uniqueCode: { $regex: search, $options: 'i' } },
-        { sku: { $regex: search, $options: 'i' } }
+        { name: { $regex: pattern, $options: 'i' } },
+        { productId: { $regex: pattern, $options: 'i' } },
+        { sku: { $regex: pattern, $options: 'i' } },
+        { 'barcodes.code': String(search).trim() },
+        { storageLocation: { $regex: pattern, $options: 'i' } }
       ];
     }
     
-    // Filter by status
+    // Filter by stock level (out, low, normal, over)
     if (status && status !== 'all') {
-      query.status = status;
+      if (!STOCK_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: all, ${STOCK_STATUSES.join(', ')}`
+        });
+      }
+      query = { ...query, ...Product.stockStatusFilter(status) };
     }
     
     // Filter by category
@@ -28,7 +44,9 @@ exports.getAllProducts = async (req, res) => {
     }
     
     const sortOrder = order === 'desc' ? -1 : 1;
-    const products = await Product.find(query).sort({ [sortBy]: sortOrder });
+    const products = await Product.find(query)
+      .populate('supplierId', 'name supplierId')
+      .sort({ [sortBy]: sortOrder });
     
     res.json({
       success: true,
@@ -48,7 +66,14 @@ exports.getAllProducts = async (req, res) => {
 // Get single product by ID
 exports.getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).populate('supplierId', 'name supplierId phone');
     
     if (!product) {
       return res.status(404).json({
@@ -74,13 +99,15 @@ exports.getProductById = async (req, res) => {
 // Update stock (add/remove)
 exports.updateStock = async (req, res) => {
   try {
-    const { quantity, type, reason, notes, performedBy = 'system' } = req.body;
+    const { type, reason, notes } = req.body || {};
+    const quantity = Number(req.body?.quantity);
+    const performedBy = req.user?.username || req.body?.performedBy || 'system';
     
     // Validation
-    if (!quantity || quantity <= 0) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid quantity. Must be greater than 0.'
+        message: 'Invalid quantity. Must be a whole number greater than 0.'
       });
     }
 
@@ -90,58 +117,58 @@ exports.updateStock = async (req, res) => {
         message: 'Invalid transaction type. Must be "add" or "remove".'
       });
     }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
     
-    const product = await Product.findById(req.params.id);
-    
-    if (!product) {
+    // Change the count in one atomic update so a sale at the same moment is
+    // not lost; removals only go through while enough stock remains at the
+    // default location
+    const moved = await recordMovement({
+      productId: req.params.id,
+      type,
+      quantity,
+      reason: reason || (type === 'add' ? 'Stock added' : 'Stock removed'),
+      notes,
+      source: { type: 'manual' },
+      performedBy,
+      restocked: type === 'add'
+    });
+
+    if (!moved) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
-    
-    const previousStock = product.currentStock;
-    let newStock;
-    
-    if (type === 'add') {
-      newStock = previousStock + parseInt(quantity);
-      product.lastRestocked = new Date();
-    } else if (type === 'remove') {
-      newStock = Math.max(0, previousStock - parseInt(quantity));
-      
-      if (newStock === 0 && previousStock > 0) {
-        console.log(`Warning: Product ${product.name} is now out of stock`);
-      }
+
+    const { product, entry: stockTransaction } = moved;
+    if (product.stock === 0) {
+      console.log(`⚠️ Product ${product.name} is now out of stock`);
     }
     
-    product.currentStock = newStock;
-    await product.save();
-    
-    // Log transaction in Stock collection
-    const stockTransaction = new Stock({
-      productId: product._id,
-      uniqueCode: product.uniqueCode,
-      productName: product.name,
-      transactionType: type,
-      quantity: parseInt(quantity),
-      previousStock,
-      newStock,
-      reason: reason || `Stock ${type}ed`,
-      notes,
-      performedBy
-    });
-    
-    await stockTransaction.save();
-    
     res.json({
       success: true,
       message: `Stock ${type === 'add' ? 'added' : 'removed'} successfully`,
       data: {
         product,
-        transaction: stockTransaction
+        transaction: stockTransaction,
+        stockStatus: product.stockStatus,
+        isOverStock: product.isOverStock
       }
     });
   } catch (error) {
+    // Not enough stock left to remove
+    if (error instanceof ApiError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error updating stock:', error);
     res.status(500).json({
       success: false,
@@ -155,6 +182,13 @@ exports.updateStock = async (req, res) => {
 exports.getStockHistory = async (req, res) => {
   try {
     const { limit = 50, page = 1 } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
     
     const history = await Stock.find({ productId: req.params.id })
       .sort({ createdAt: -1 })
@@ -186,26 +220,36 @@ exports.getStockHistory = async (req, res) => {
 // Get stock statistics
 exports.getStockStats = async (req, res) => {
   try {
-    const total = await Product.countDocuments();
-    const lowStock = await Product.countDocuments({ status: 'low' });
-    const outOfStock = await Product.countDocuments({ status: 'out' });
-    const normal = await Product.countDocuments({ status: 'normal' });
+    const [total, lowStock, outOfStock, normal, overStock] = await Promise.all([
+      Product.countDocuments(),
+      Product.countDocuments(Product.stockStatusFilter('low')),
+      Product.countDocuments(Product.stockStatusFilter('out')),
+      Product.countDocuments(Product.stockStatusFilter('normal')),
+      Product.countDocuments(Product.stockStatusFilter('over'))
+    ]);
     
     const totalValue = await Product.aggregate([
       {
         $group: {
           _id: null,
-          total: { $sum: { $multiply: ['$currentStock', '$price'] } }
+          total: { $sum: { $multiply: ['$stock', '$price'] } },
+          units: { $sum: '$stock' }
         }
       }
     ]);
     
-    const lowStockProducts = await Product.find({ status: 'low' })
-      .select('name uniqueCode currentStock minStockLevel')
+    const lowStockProducts = await Product.find(Product.stockStatusFilter('low'))
+      .select('name productId stock minStock maxStock storageLocation')
+      .sort({ stock: 1 })
       .limit(10);
     
-    const outOfStockProducts = await Product.find({ status: 'out' })
-      .select('name uniqueCode lastRestocked')
+    const outOfStockProducts = await Product.find(Product.stockStatusFilter('out'))
+      .select('name productId lastRestocked storageLocation')
+      .sort({ lastRestocked: 1 })
+      .limit(10);
+
+    const overStockProducts = await Product.find(Product.stockStatusFilter('over'))
+      .select('name productId stock maxStock storageLocation')
       .limit(10);
     
     res.json({
@@ -216,11 +260,14 @@ exports.getStockStats = async (req, res) => {
           lowStock,
           outOfStock,
           normal,
+          overStock,
+          totalUnits: totalValue[0]?.units || 0,
           totalInventoryValue: totalValue[0]?.total || 0
         },
         alerts: {
           lowStockProducts,
-          outOfStockProducts
+          outOfStockProducts,
+          overStockProducts
         }
       }
     });
@@ -238,11 +285,8 @@ exports.getStockStats = async (req, res) => {
 exports.getLowStockAlerts = async (req, res) => {
   try {
     const products = await Product.find({
-      $or: [
-        { status: 'low' },
-        { status: 'out' }
-      ]
-    }).sort({ currentStock: 1 });
+      $expr: { $lte: ['$stock', '$minStock'] }
+    }).sort({ stock: 1 });
     
     res.json({
       success: true,
@@ -259,19 +303,23 @@ exports.getLowStockAlerts = async (req, res) => {
   }
 };
 
-// Sync existing products - useful for initial setup
+// Backfill lastRestocked from the stock log for products that predate it -
+// useful for initial setup
 exports.syncProductStatus = async (req, res) => {
   try {
-    const products = await Product.find({});
-    let updated = 0;
+    const products = await Product.find({ lastRestocked: { $exists: false } }).select('_id');
+    const restocks = await Stock.aggregate([
+      { $match: { productId: { $in: products.map(product => product._id) }, transactionType: 'add' } },
+      { $group: { _id: '$productId', lastRestocked: { $max: '$createdAt' } } }
+    ]);
     
-    for (let product of products) {
-      const newStatus = Product.updateStatus(product);
-      if (product.status !== newStatus) {
-        product.status = newStatus;
-        await product.save();
-        updated++;
-      }
+    let updated = 0;
+    for (const restock of restocks) {
+      const result = await Product.updateOne(
+        { _id: restock._id, lastRestocked: { $exists: false } },
+        { $set: { lastRestocked: restock.lastRestocked } }
+      );
+      updated += result.modifiedCount;
     }
     
     res.json({
@@ -291,3 +339,41 @@ exports.syncProductStatus = async (req, res) => {
     });
   }
 };
+
+// Compare each product's stock with its ledger (?productId=&category=).
+// POST with fix=true sets drifted products back to the ledger balance and
+// opens a ledger for stock recorded before it existed.
+exports.reconcileStock = async (req, res) => {
+  try {
+    const options = { ...req.query, ...(req.body || {}) };
+    const fix = req.method === 'POST' && (options.fix === true || options.fix === 'true');
+
+    const report = await reconcile({
+      productId: options.productId,
+      category: options.category,
+      fix,
+      performedBy: req.user?.username
+    });
+
+    res.json({
+      success: true,
+      message: report.driftCount || report.untracked.length
+        ? `${report.driftCount} products differ from the ledger, ${report.untracked.length} have no ledger entries${fix ? ' (fixed)' : ''}`
+        : `All ${report.checked} products match the ledger`,
+      data: report
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error reconciling stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling stock',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,8 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { JWT_SECRET } = require('../config/auth');
+const { hasPermission } = require('../config/permissions');
+const { isAccessTokenRevoked } = require('../services/tokenService');
 
 const protect = async (req, res, next) => {
   let token;
@@ -7,43 +11,104 @@ const protect = async (req, res, next) => {
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
   ) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      // Verify token with the same secret
-      const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_jwt_key_change_this_in_production';
-      const decoded = jwt.verify(token, JWT_SECRET);
-
-      // Add user from token to request
-      req.user = { 
-        id: decoded.id,
-        username: decoded.username,
-        email: decoded.email
-      };
-      
-      next();
-    } catch (error) {
-      console.error('Token verification failed:', error.message);
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token'
+    });
+  }
+
+  let decoded;
+  try {
+    // Verify token with the shared secret from config
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    console.error('Token verification failed:', error.message);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, token failed'
+    });
+  }
+
+  try {
+    if (await isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, token revoked'
+      });
+    }
+
+    // Load the user so a changed role or deleted account takes effect immediately
+    const user = await User.findById(decoded.id).select('username role isActive tokenVersion');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user no longer exists'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, account is disabled'
+      });
+    }
+
+    // Password or role changed since this token was issued
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
       return res.status(401).json({
         success: false,
-        message: 'Not authorized, token failed'
+        message: 'Not authorized, session expired'
       });
     }
+
+    req.user = {
+      id: user._id.toString(),
+      username: user.username,
+      role: user.role
+    };
+    req.token = decoded;
+  } catch (error) {
+    console.error('Error loading user for token:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during authorization'
+    });
   }
 
-  if (!token) {
-    return res.status(401).json({
+  next();
+};
+
+// Restrict a route to the given roles, e.g. authorize('admin')
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
       success: false,
-      message: 'Not authorized, no token'
+      message: `Role '${req.user?.role || 'guest'}' is not allowed to perform this action`
     });
   }
+  next();
+};
+
+// Restrict a route to a named permission from config/permissions.js
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Permission '${permission}' required`
+    });
+  }
+  next();
 };
 
 // Temporary middleware for testing (remove in production)
 const tempAuth = (req, res, next) => {
   // For testing, create a dummy user ID
-  req.user = { 
+  req.user = {
     id: 'test_user_id',
     username: 'testuser',
     email: 'test@example.com'
@@ -51,4 +116,4 @@ const tempAuth = (req, res, next) => {
   next();
 };
 
-module.exports = { protect, tempAuth };
\ No newline at end of file
+module.exports = { protect, authorize, requirePermission, tempAuth };
@@ -0,0 +1,35 @@
+const multer = require('multer');
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+const IMPORT_EXTENSIONS = /\.(csv|xlsx)$/i;
+
+// Spreadsheet uploads for bulk imports, held in memory (never written to disk)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.test(file.originalname)) {
+      return cb(new Error('Only .csv and .xlsx files can be imported'));
+    }
+    cb(null, true);
+  }
+});
+
+// Optional single file in the `file` field; upload problems are a 400
+const importFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `File is larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`
+      : error.message;
+
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+module.exports = { importFile, MAX_IMPORT_BYTES };
@@ -0,0 +1,81 @@
+// migrations/001-unify-sales-ledger.js
+// Folds every legacy Order (offline bills) and Sale document into the Invoice
+// ledger. Safe to re-run: documents already migrated are matched on
+// source + legacyId and skipped. Legacy collections are left untouched.
+//
+// Usage: node migrations/001-unify-sales-ledger.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const Sale = require('../models/Sale');
+const { invoiceFromOrder, invoiceFromSale } = require('../services/salesLedger');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Orders and sales used independent BILL#### sequences, so the same number
+// can exist in both. The bill number is kept as-is; only the ledger's unique
+// invoiceNumber is prefixed when it would collide.
+const resolveInvoiceNumber = async (billNumber, source) => {
+  const taken = await Invoice.exists({ invoiceNumber: billNumber });
+  return taken ? `${source.toUpperCase()}-${billNumber}` : billNumber;
+};
+
+const migrateCollection = async (Model, source, toInvoice) => {
+  const stats = { total: 0, migrated: 0, skipped: 0, renumbered: 0, failed: 0 };
+  const cursor = Model.find().lean().cursor();
+
+  for await (const doc of cursor) {
+    stats.total++;
+
+    try {
+      const alreadyMigrated = await Invoice.exists({ source, legacyId: doc._id });
+      if (alreadyMigrated) {
+        stats.skipped++;
+        continue;
+      }
+
+      const data = toInvoice(doc);
+      const invoiceNumber = await resolveInvoiceNumber(doc.billNumber, source);
+      if (invoiceNumber !== doc.billNumber) stats.renumbered++;
+
+      if (!dryRun) {
+        await Invoice.create({
+          ...data,
+          invoiceNumber,
+          source,
+          legacyId: doc._id,
+          createdAt: doc.createdAt,
+          updatedAt: doc.updatedAt
+        });
+      }
+      stats.migrated++;
+    } catch (err) {
+      stats.failed++;
+      console.error(`❌ ${source} ${doc.billNumber || doc._id}: ${err.message}`);
+    }
+  }
+
+  return stats;
+};
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/billing-system');
+    console.log(`MongoDB connected for migration${dryRun ? ' (dry run)' : ''}`);
+
+    const orderStats = await migrateCollection(Order, 'order', invoiceFromOrder);
+    console.log('📦 Orders:', orderStats);
+
+    const saleStats = await migrateCollection(Sale, 'sale', invoiceFromSale);
+    console.log('🧾 Sales:', saleStats);
+
+    const failed = orderStats.failed + saleStats.failed;
+    console.log(failed === 0 ? '✅ Sales ledger migration complete' : `⚠️ Completed with ${failed} failures`);
+    process.exit(failed === 0 ? 0 : 1);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One lot of a product, received together and sharing a batch number and
+// expiry. Product.stock stays the total on hand; batches say which of those
+// units are which, and billing takes them first-expiry-first-out.
+// Written through services/batchService.js.
+const batchSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+
+  batchNumber: {
+    type: String,
+    required: [true, 'Batch number is required'],
+    trim: true,
+    uppercase: true
+  },
+  mfgDate: Date,
+  expiryDate: Date,
+
+  // Cost per unit before GST, from the purchase order when there is one
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative']
+  },
+
+  // Units of this batch still on the shelf, and how many came in
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Batch quantity cannot be negative']
+  },
+  initialQuantity: {
+    type: Number,
+    default: 0
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  poNumber: String,
+  createdBy: String
+}, { timestamps: true });
+
+
+// ===================================================
+// 📅 DATES MUST MAKE SENSE
+// ===================================================
+batchSchema.pre('validate', function () {
+  if (this.mfgDate && this.expiryDate && this.expiryDate < this.mfgDate) {
+    this.invalidate('expiryDate', 'Expiry date cannot be before the manufacturing date');
+  }
+});
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+batchSchema.index({ productId: 1, batchNumber: 1 }, { unique: true });
+batchSchema.index({ productId: 1, expiryDate: 1 });
+batchSchema.index({ expiryDate: 1, quantity: 1 });
+
+module.exports = mongoose.model('Batch', batchSchema);
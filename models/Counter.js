@@ -9,9 +9,18 @@ const counterSchema = new mongoose.Schema({
   seq: {
     type: Number,
     default: 0
-  }
+  },
+
+  // Set for document number series (see services/numberingService.js);
+  // simple counters such as 'customer' leave these empty
+  series: String,
+  store: String,
+  period: String
   
+}, {
+  timestamps: true
 });
 
-module.exports = mongoose.model('Counter', counterSchema);
+counterSchema.index({ series: 1, store: 1, period: 1 });
 
+module.exports = mongoose.model('Counter', counterSchema);
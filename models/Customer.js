@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const Counter = require('./Counter');
+const { gstinValidator, isValidStateCode, STATE_CODES } = require('../utils/gstin');
+
+const stateCodeValidator = {
+  validator: (value) => !value || isValidStateCode(value),
+  message: (props) => `${props.value} is not a valid GST state code`
+};
 
 const customerSchema = new mongoose.Schema({
   customerId: { type: String, unique: true },
@@ -9,6 +15,19 @@ const customerSchema = new mongoose.Schema({
   email: { type: String, trim: true, lowercase: true },
   status: { type: String, enum: ['active', 'inactive'], default: 'active' },
 
+  // Registered (B2B) buyers. GSTIN makes their invoices B2B; place of supply
+  // decides IGST vs CGST+SGST
+  businessProfile: {
+    legalName: { type: String, trim: true },
+    gstin: { type: String, trim: true, uppercase: true, validate: gstinValidator },
+    stateCode: { type: String, trim: true, validate: stateCodeValidator },
+    placeOfSupply: { type: String, trim: true, validate: stateCodeValidator },
+    // Registered address, as e-invoices need it
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+    pincode: { type: String, trim: true, match: [/^[1-9]\d{5}$/, 'PIN code must be 6 digits'] }
+  },
+
   membershipTier: {
     type: String,
     enum: ['Bronze', 'Silver', 'Gold', 'Platinum'],
@@ -20,6 +39,12 @@ const customerSchema = new mongoose.Schema({
   visitCount: { type: Number, default: 0 },
   coinsEarned: { type: Number, default: 0 },
   coinsRedeemed: { type: Number, default: 0 },
+  storeCredit: { type: Number, default: 0, min: 0 },
+
+  // Credit account (khata); see services/customerLedger.js
+  creditLimit: { type: Number, default: 0, min: 0 },
+  creditDays: { type: Number, default: 30, min: 0 },
+  outstandingBalance: { type: Number, default: 0 },
   lastVisit: { type: Date, default: Date.now },
   joinDate: { type: Date, default: Date.now },
 
@@ -31,6 +56,34 @@ const customerSchema = new mongoose.Schema({
 });
 
 
+// ===================================================
+// 🧾 BUSINESS PROFILE (state follows the GSTIN)
+// ===================================================
+customerSchema.pre('validate', function () {
+  const profile = this.businessProfile;
+  if (!profile) return;
+
+  if (profile.stateCode) profile.stateCode = String(profile.stateCode).padStart(2, '0');
+  if (profile.placeOfSupply) profile.placeOfSupply = String(profile.placeOfSupply).padStart(2, '0');
+
+  if (profile.gstin) {
+    const gstinState = profile.gstin.slice(0, 2);
+    if (!profile.stateCode) {
+      profile.stateCode = gstinState;
+    } else if (profile.stateCode !== gstinState) {
+      this.invalidate(
+        'businessProfile.stateCode',
+        `State code ${profile.stateCode} does not match GSTIN state ${gstinState} (${STATE_CODES[gstinState] || 'unknown'})`
+      );
+    }
+  }
+
+  if (!profile.placeOfSupply && profile.stateCode) {
+    profile.placeOfSupply = profile.stateCode;
+  }
+});
+
+
 // ===================================================
 // 🔐 AUTO-GENERATE CUSTOMER ID
 // ===================================================
@@ -42,7 +95,7 @@ customerSchema.pre('save', async function () {
   const counter = await Counter.findOneAndUpdate(
     { name: 'customer' },
     { $inc: { seq: 1 } },
-    { new: true, upsert: true }
+    { new: true, upsert: true, session: this.$session() }
   );
 
   this.customerId = `CUST-${String(counter.seq).padStart(4, '0')}`;
@@ -90,6 +143,16 @@ customerSchema.methods.earnCoinsFromPurchase = function (amount) {
   return earned;
 };
 
+// GSTIN and place of supply for billing this customer
+customerSchema.methods.taxProfile = function () {
+  const profile = this.businessProfile || {};
+  return {
+    customerGstin: profile.gstin || undefined,
+    placeOfSupply: profile.placeOfSupply || profile.stateCode || undefined,
+    legalName: profile.legalName || undefined
+  };
+};
+
 customerSchema.methods.redeemCoins = function (coins) {
   if (coins > this.coins) throw new Error('Insufficient coins');
 
@@ -98,4 +161,6 @@ customerSchema.methods.redeemCoins = function (coins) {
   return this.coins;
 };
 
+customerSchema.index({ 'businessProfile.gstin': 1 }, { sparse: true });
+
 module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Customer receivables (khata). Credit sales are debits, receipts and credit
+// notes are credits; balanceAfter is the customer's outstanding balance once
+// the entry is posted. Written only through services/customerLedger.js.
+const customerLedgerSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  entryType: {
+    type: String,
+    enum: ['invoice', 'receipt', 'credit_note', 'reversal', 'opening_balance', 'adjustment'],
+    required: true
+  },
+
+  date: {
+    type: Date,
+    default: Date.now
+  },
+
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  // Invoices only: when the credit sale falls due
+  dueDate: Date,
+
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  paymentIds: [String],
+  method: String,
+
+  note: {
+    type: String,
+    trim: true
+  },
+
+  createdBy: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+customerLedgerSchema.index({ customerId: 1, date: 1 });
+customerLedgerSchema.index({ invoiceId: 1 });
+customerLedgerSchema.index({ entryType: 1, dueDate: 1 });
+
+module.exports = mongoose.model('CustomerLedger', customerLedgerSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// Consignor or consignee as printed on the e-way bill. Unregistered
+// consignees use gstin 'URP'.
+const partySchema = new mongoose.Schema({
+  gstin: String,
+  name: String,
+  address: String,
+  place: String,
+  pincode: String,
+  stateCode: String
+}, { _id: false });
+
+// Part B: how the goods move. Every change of vehicle is kept.
+const transportSchema = new mongoose.Schema({
+  transMode: {
+    type: String,
+    enum: ['road', 'rail', 'air', 'ship']
+  },
+  vehicleNo: String,
+  vehicleType: {
+    type: String,
+    enum: ['regular', 'odc'],
+    default: 'regular'
+  },
+  transDocNo: String,
+  transDocDate: Date,
+  fromPlace: String,
+  reason: String,
+  updatedBy: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// E-way bill for a consignment: Part A from an invoice or a stock transfer,
+// Part B once a vehicle is assigned. Built by services/ewayBill.js; the
+// bill is generated on the portal and its number recorded here.
+const eWayBillSchema = new mongoose.Schema({
+  // Portal EWB number, once generated
+  ewbNumber: {
+    type: String,
+    trim: true
+  },
+  ewbDate: Date,
+
+  sourceType: {
+    type: String,
+    enum: ['invoice', 'stock_transfer'],
+    required: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Stock transfers: the transfer or challan this consignment moves under
+  transferRef: String,
+
+  // Part A
+  supplyType: {
+    type: String,
+    enum: ['outward', 'inward'],
+    default: 'outward'
+  },
+  subSupplyType: {
+    type: String,
+    enum: ['supply', 'own_use', 'job_work', 'sales_return', 'others'],
+    default: 'supply'
+  },
+  docType: {
+    type: String,
+    enum: ['INV', 'CHL', 'BIL', 'CNT'],
+    required: true
+  },
+  docNo: {
+    type: String,
+    required: true
+  },
+  docDate: {
+    type: Date,
+    required: true
+  },
+  from: partySchema,
+  to: partySchema,
+
+  items: [{
+    productId: String,
+    productName: String,
+    hsnCode: String,
+    quantity: Number,
+    unit: {
+      type: String,
+      default: 'NOS'
+    },
+    taxableAmount: Number,
+    cgstRate: Number,
+    sgstRate: Number,
+    igstRate: Number
+  }],
+
+  totalValue: Number,
+  cgstValue: Number,
+  sgstValue: Number,
+  igstValue: Number,
+  totInvValue: Number,
+
+  distanceKm: {
+    type: Number,
+    min: 0,
+    max: 4000
+  },
+  transporterId: String,
+  transporterName: String,
+
+  // Part B: the current vehicle, and every earlier one
+  transport: transportSchema,
+  transportHistory: [transportSchema],
+
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'expired', 'cancelled', 'completed'],
+    default: 'draft'
+  },
+  // Validity runs from the first Part B entry
+  validFrom: Date,
+  validUntil: Date,
+
+  cancelledAt: Date,
+  cancelReason: String,
+  completedAt: Date,
+  createdBy: String
+}, { timestamps: true });
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+eWayBillSchema.index({ ewbNumber: 1 }, { unique: true, sparse: true });
+eWayBillSchema.index({ invoiceId: 1 });
+eWayBillSchema.index({ status: 1, validUntil: 1 });
+
+module.exports = mongoose.model('EWayBill', eWayBillSchema);
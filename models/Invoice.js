@@ -14,7 +14,7 @@ const InvoiceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'cancelled', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'cancelled', 'refunded'],
     default: 'completed'
   },
   type: {
@@ -22,6 +22,32 @@ const InvoiceSchema = new mongoose.Schema({
     enum: ['sale', 'return', 'exchange'],
     default: 'sale'
   },
+
+  // Unified ledger - which endpoint recorded the sale. Bills, orders and
+  // sales used to live in their own collections (see services/salesLedger.js)
+  source: {
+    type: String,
+    enum: ['invoice', 'bill', 'order', 'sale', 'checkout', 'return'],
+    default: 'invoice'
+  },
+  billNumber: String,
+  orderId: String,
+  isOffline: {
+    type: Boolean,
+    default: false
+  },
+  // _id of the Order/Sale document this invoice was migrated from
+  legacyId: mongoose.Schema.Types.ObjectId,
+
+  // Credit notes (type 'return') point at the invoice they reverse
+  originalInvoiceId: mongoose.Schema.Types.ObjectId,
+  originalInvoiceNumber: String,
+  returnReason: String,
+
+  // Sales cancelled outright (services/returnsService.js cancelSale)
+  cancelledAt: Date,
+  cancelReason: String,
+  cancelledBy: String,
   
   // Customer info
   customerId: String,
@@ -29,6 +55,9 @@ const InvoiceSchema = new mongoose.Schema({
   customerPhone: String,
   customerEmail: String,
   customerAddress: String,
+  // Registered (B2B) buyers only. GSTINs are checked when a document is
+  // created, not here: older invoices hold free text and must stay editable
+  customerGstin: { type: String, uppercase: true, trim: true },
   
   // Items
   items: [{
@@ -38,6 +67,8 @@ const InvoiceSchema = new mongoose.Schema({
     quantity: Number,
     unitPrice: Number,
     totalPrice: Number,
+    // totalPrice less the GST it includes (equal to it for exclusive pricing)
+    taxableValue: Number,
     gstRate: Number,
     gstAmount: Number,
     cgst: Number,
@@ -45,7 +76,30 @@ const InvoiceSchema = new mongoose.Schema({
     igst: Number,
     category: String,
     hsnCode: String,
-    discount: Number
+    // Slab the rate came from, if any
+    taxSlabId: mongoose.Schema.Types.ObjectId,
+    discount: Number,
+    // On sales: units already taken back by credit notes
+    returnedQuantity: {
+      type: Number,
+      default: 0
+    },
+    // On credit notes: the sale line being returned
+    originalItemId: mongoose.Schema.Types.ObjectId,
+    restocked: Boolean,
+    // Batches the units came from (sales) or went back to (credit notes);
+    // units from unbatched stock are not listed
+    batches: [{
+      _id: false,
+      batchId: mongoose.Schema.Types.ObjectId,
+      batchNumber: String,
+      expiryDate: Date,
+      quantity: Number,
+      returnedQuantity: {
+        type: Number,
+        default: 0
+      }
+    }]
   }],
   
   // Exchange items
@@ -74,13 +128,17 @@ const InvoiceSchema = new mongoose.Schema({
   totalAmount: Number,
   amountAfterDiscount: Number,
   finalAmount: Number,
+  // Coupon and other discounts already taken off the line prices, so they
+  // are inside totalAmount rather than deducted from it
+  discountsBeforeTax: Boolean,
   roundOff: Number,
   
   // Payment info
 payment: {
   method: {
     type: String,
-    enum: ['cash', 'upi', 'card', 'bank_transfer'],
+    // 'split' when several tenders settled the invoice, 'credit' while nothing is paid
+    enum: ['cash', 'upi', 'card', 'bank_transfer', 'coins', 'store_credit', 'split', 'credit'],
     required: true
   },
   status: String,
@@ -90,9 +148,25 @@ payment: {
   change: Number,
   paymentDate: Date
 },
+
+  // Settlement across all payments (see services/paymentService.js). No
+  // defaults: invoices from before split payments fall back to payment.status
+  amountPaid: Number,
+  balanceDue: Number,
+  paymentStatus: {
+    type: String,
+    enum: ['paid', 'partially_paid', 'unpaid']
+  },
+  // Credit notes set against an unpaid balance instead of being refunded
+  creditAdjusted: Number,
+  // Credit sales posted to the customer's account fall due on this date
+  dueDate: Date,
   
   // GST settings
   gstMode: String,
+  // Customer's state code; differs from the store's for inter-state (IGST) supplies
+  placeOfSupply: String,
+  isInterState: Boolean,
   gstInclusive: Boolean,
   roundOffEnabled: Boolean,
   gstBreakdown: [{
@@ -101,20 +175,40 @@ payment: {
   }],
   
   // Coupon info
-   couponInfo: {
+  couponInfo: {
     code: String,
-    type: String,
+    type: { type: String },
     value: Number,
     discountAmount: Number,
     couponId: mongoose.Schema.Types.ObjectId
   },
   
   // Store info
+  storeCode: String,
+  // Location the goods were billed from (sales) or returned to (credit notes)
+  locationId: mongoose.Schema.Types.ObjectId,
+  locationCode: String,
+  // E-invoice registration (services/eInvoice.js). signedQrCode is printed on
+  // the PDF; a cancelled IRN keeps its details for the record.
+  eInvoice: {
+    status: { type: String, enum: ['generated', 'cancelled'] },
+    irn: String,
+    ackNo: String,
+    ackDate: String,
+    signedInvoice: String,
+    signedQrCode: String,
+    adapter: String,
+    generatedAt: Date,
+    generatedBy: String,
+    cancelledAt: Date,
+    cancelReason: String
+  },
+
   storeInfo: {
     name: String,
     address: String,
     phone: String,
-    gstin: String,
+    gstin: { type: String, uppercase: true, trim: true },
     email: String
   },
   
@@ -155,5 +249,11 @@ InvoiceSchema.index({ invoiceNumber: 1 });
 InvoiceSchema.index({ customerId: 1 });
 InvoiceSchema.index({ date: 1 });
 InvoiceSchema.index({ status: 1 });
+InvoiceSchema.index({ billNumber: 1 });
+InvoiceSchema.index({ orderId: 1 });
+InvoiceSchema.index({ source: 1, legacyId: 1 });
+InvoiceSchema.index({ originalInvoiceId: 1 });
+InvoiceSchema.index({ paymentStatus: 1, dueDate: 1 });
+InvoiceSchema.index({ 'eInvoice.irn': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Invoice', InvoiceSchema);
\ No newline at end of file
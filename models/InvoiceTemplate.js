@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Branding and wording for printed invoices. Text fields may contain
+// {{placeholders}} drawn from the invoice (see services/invoiceTemplates.js).
+const invoiceTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  // Store this template applies to; empty means every store
+  storeCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  layout: {
+    type: String,
+    enum: ['a4', 'thermal'],
+    default: 'a4'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Used where the invoice itself has no storeInfo
+  branding: {
+    storeName: String,
+    address: String,
+    phone: String,
+    email: String,
+    gstin: String,
+    // File path or data: URL (PNG/JPEG)
+    logo: String,
+    accentColor: {
+      type: String,
+      default: '#000000',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Accent colour must be a hex colour like #1a73e8']
+    }
+  },
+
+  header: {
+    title: String,
+    subtitle: String
+  },
+
+  footer: {
+    terms: [String],
+    note: String
+  },
+
+  bankDetails: {
+    accountName: String,
+    accountNumber: String,
+    ifsc: String,
+    bankName: String,
+    branch: String
+  },
+
+  upi: {
+    vpa: String,
+    payeeName: String
+  },
+
+  language: {
+    code: {
+      type: String,
+      default: 'en',
+      trim: true,
+      lowercase: true
+    },
+    // Overrides for the printed captions, e.g. { grandTotal: 'மொத்தம்' }
+    labels: {
+      type: Map,
+      of: String,
+      default: {}
+    },
+    // TTF/OTF with the glyphs for the language; the built-in PDF fonts
+    // only cover Latin script
+    fontPath: String,
+    boldFontPath: String
+  }
+}, {
+  timestamps: true
+});
+
+invoiceTemplateSchema.index({ storeCode: 1, layout: 1, isDefault: 1 });
+
+invoiceTemplateSchema.pre('validate', function () {
+  if (this.language && this.language.code !== 'en' && !this.language.fontPath) {
+    this.invalidate('language.fontPath', 'A font file is required for languages other than English');
+  }
+});
+
+module.exports = mongoose.model('InvoiceTemplate', invoiceTemplateSchema);
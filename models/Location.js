@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { gstinValidator, isValidStateCode } = require('../utils/gstin');
+
+// A place stock is kept: a shop, a godown or a warehouse. Exactly one is the
+// default location, which holds whatever stock is not recorded elsewhere
+// (see services/locationService.js).
+const locationSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{2,20}$/, 'Location code must be 2-20 letters, digits, - or _']
+  },
+  name: { type: String, required: [true, 'Location name is required'], trim: true },
+  type: {
+    type: String,
+    enum: ['store', 'godown', 'warehouse'],
+    default: 'store'
+  },
+
+  // Bills raised with this store code take their stock from here
+  storeCode: { type: String, trim: true, uppercase: true },
+  isDefault: { type: Boolean, default: false },
+
+  // Address and registration, for delivery challans and e-way bills
+  address: { type: String, trim: true },
+  city: { type: String, trim: true },
+  pincode: { type: String, trim: true, match: [/^[1-9]\d{5}$/, 'PIN code must be 6 digits'] },
+  gstin: { type: String, trim: true, uppercase: true, validate: gstinValidator },
+  stateCode: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidStateCode(value),
+      message: (props) => `${props.value} is not a valid GST state code`
+    }
+  },
+
+  status: { type: String, enum: ['active', 'inactive'], default: 'active' }
+}, { timestamps: true });
+
+
+// ===================================================
+// 🧾 STATE FOLLOWS THE GSTIN
+// ===================================================
+locationSchema.pre('validate', function () {
+  if (this.stateCode) this.stateCode = String(this.stateCode).padStart(2, '0');
+  if (this.gstin && !this.stateCode) this.stateCode = this.gstin.slice(0, 2);
+  if (this.isDefault && this.status === 'inactive') {
+    this.invalidate('status', 'The default location cannot be deactivated');
+  }
+});
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+locationSchema.index({ storeCode: 1 }, { sparse: true });
+locationSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Units of a product held at one location other than the default, and the
+// low-stock rule for that location. The default location's quantity is
+// Product.stock less all of these. Written through services/locationService.js.
+const locationStockSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Location stock cannot be negative']
+  },
+
+  // Alert when the location is at or below this; unset means no rule
+  minStock: {
+    type: Number,
+    min: [0, 'Minimum stock cannot be negative']
+  },
+  maxStock: {
+    type: Number,
+    min: [0, 'Maximum stock cannot be negative']
+  }
+}, { timestamps: true });
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+locationStockSchema.index({ productId: 1, locationId: 1 }, { unique: true });
+locationStockSchema.index({ locationId: 1, quantity: 1 });
+
+module.exports = mongoose.model('LocationStock', locationStockSchema);
@@ -4,7 +4,7 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['Low Stock', 'Out of Stock', 'Payment Alert', 'GST Alert', 'System Alert']
+    enum: ['Low Stock', 'Out of Stock', 'Payment Alert', 'GST Alert', 'Expiry Alert', 'System Alert']
   },
   title: {
     type: String,
@@ -21,6 +21,9 @@ const notificationSchema = new mongoose.Schema({
   productName: String,
   currentStock: Number,
   minStock: Number,
+  batchNumber: String,
+  locationCode: String,
+  expiryDate: Date,
   orderId: String,
   taxId: String,
   invoiceNo: String,
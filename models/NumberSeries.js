@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Configuration for a document number series. The running sequence itself
+// lives in Counter; this only describes how numbers are formatted and when
+// the sequence restarts.
+const numberSeriesSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Tokens: {PREFIX} {STORE} {FY} {YYYY} {YY} {MM} {SEQ}
+  format: {
+    type: String,
+    required: true,
+    default: '{PREFIX}-{FY}-{SEQ}'
+  },
+  padding: {
+    type: Number,
+    default: 5,
+    min: [1, 'Padding must be at least 1'],
+    max: [10, 'Padding cannot exceed 10']
+  },
+  reset: {
+    type: String,
+    enum: ['never', 'financial_year', 'yearly', 'monthly'],
+    default: 'financial_year'
+  },
+  perStore: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+numberSeriesSchema.pre('validate', function () {
+  if (!this.format.includes('{SEQ}')) {
+    this.invalidate('format', 'Format must contain {SEQ}');
+  }
+  // Without the store in the number, two stores would issue the same number
+  if (this.perStore && !this.format.includes('{STORE}')) {
+    this.invalidate('format', 'Per-store series must include {STORE} in the format');
+  }
+});
+
+module.exports = mongoose.model('NumberSeries', numberSeriesSchema);
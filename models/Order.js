@@ -1,3 +1,6 @@
+// Legacy: orders are now recorded in the Invoice ledger (see
+// services/salesLedger.js). This model is only read by
+// migrations/001-unify-sales-ledger.js.
 const mongoose = require('mongoose');
 
 const itemSchema = new mongoose.Schema({
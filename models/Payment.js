@@ -31,6 +31,12 @@ const PaymentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Refunds are recorded as their own positive-amount payments
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
   amount: {
     type: Number,
     required: true,
@@ -39,7 +45,7 @@ const PaymentSchema = new mongoose.Schema({
   method: {
     type: String,
     required: true,
-    enum: ['cash', 'card', 'upi', 'bank_transfer', 'wallet', 'credit'],
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'wallet', 'credit', 'coins', 'store_credit'],
     default: 'cash'
   },
   status: {
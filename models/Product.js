@@ -8,6 +8,28 @@ const productSchema = new mongoose.Schema(
       unique: true, 
       trim: true 
     }, 
+    // Stock keeping unit, for the shop's own reference
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [50, 'SKU cannot exceed 50 characters']
+    },
+    // Codes printed on the pack (EAN-13, UPC-A) and/or an internal EAN-13
+    // issued for unlabelled items; see services/barcodeService.js
+    barcodes: [{
+      _id: false,
+      code: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      type: {
+        type: String,
+        enum: ['EAN13', 'UPC', 'INTERNAL'],
+        required: true
+      }
+    }],
     name: { 
       type: String, 
       required: [true, 'Product name is required'], 
@@ -36,6 +58,18 @@ const productSchema = new mongoose.Schema(
       min: [1, 'Minimum stock must be at least 1'], 
       default: 5 
     }, 
+    // Shelf capacity; stock above it shows as overstocked. Optional.
+    maxStock: {
+      type: Number,
+      min: [0, 'Maximum stock cannot be negative']
+    },
+    // When stock last came in, and where it is kept (rack/shelf/bin)
+    lastRestocked: Date,
+    storageLocation: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Storage location cannot exceed 100 characters']
+    },
     description: { 
       type: String, 
       trim: true, 
@@ -45,7 +79,38 @@ const productSchema = new mongoose.Schema(
     image: { 
       type: String, 
       default: '' 
-    } 
+    },
+    // Tax configuration: the linked slab decides the rate; gstRate is only
+    // used by products without one
+    hsnCode: {
+      type: String,
+      trim: true
+    },
+    taxSlabId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxSlab'
+    },
+    gstRate: {
+      type: Number,
+      min: [0, 'GST rate cannot be negative'],
+      max: [100, 'GST rate cannot exceed 100']
+    },
+    // Replenishment: who the product is bought from, and delivery time when
+    // it differs from the supplier's usual lead time
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier'
+    },
+    leadTimeDays: {
+      type: Number,
+      min: [0, 'Lead time cannot be negative']
+    },
+    // Perishables: receipts must name a batch and expiry, and billing sells
+    // the earliest-expiring batch first (see models/Batch.js)
+    trackBatches: {
+      type: Boolean,
+      default: false
+    }
   }, 
   { 
     timestamps: true, 
@@ -64,6 +129,16 @@ productSchema.index({
   description: 'text', 
   productId: 'text' 
 }); 
+
+productSchema.index({ taxSlabId: 1 });
+productSchema.index({ category: 1 });
+productSchema.index({ supplierId: 1 });
+// A scanned code or SKU must lead to one product
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index(
+  { 'barcodes.code': 1 },
+  { unique: true, partialFilterExpression: { 'barcodes.code': { $exists: true } } }
+);
  
 // ===================================================== 
 // VIRTUALS 
@@ -74,6 +149,10 @@ productSchema.virtual('stockStatus').get(function () {
   if (this.stock <= this.minStock) return 'Low Stock'; 
   return 'In Stock'; 
 }); 
+
+productSchema.virtual('isOverStock').get(function () {
+  return this.maxStock !== undefined && this.maxStock !== null && this.stock > this.maxStock;
+});
  
 // ===================================================== 
 // METHODS 
@@ -105,6 +184,23 @@ productSchema.statics.findLowStock = function () {
 productSchema.statics.findOutOfStock = function () { 
   return this.find({ stock: { $lte: 0 } }); 
 }; 
+
+// Query for a stock level: 'out', 'low', 'normal' (above minimum) or 'over'
+// (above the maximum, where one is set)
+productSchema.statics.stockStatusFilter = function (status) {
+  switch (status) {
+    case 'out':
+      return { stock: { $lte: 0 } };
+    case 'low':
+      return { $expr: { $and: [{ $gt: ['$stock', 0] }, { $lte: ['$stock', '$minStock'] }] } };
+    case 'normal':
+      return { $expr: { $gt: ['$stock', '$minStock'] } };
+    case 'over':
+      return { maxStock: { $ne: null }, $expr: { $gt: ['$stock', '$maxStock'] } };
+    default:
+      return null;
+  }
+};
  
 // ===================================================== 
 // MIDDLEWARE - COMPLETELY REMOVED
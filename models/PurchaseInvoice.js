@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// A supplier's tax invoice, as received. The GST on it is input tax credit;
+// the total is owed to the supplier until paid. Written through
+// services/purchaseService.js.
+const purchaseInvoiceSchema = new mongoose.Schema({
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: String,
+  supplierGstin: String,
+
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  poNumber: String,
+
+  // The supplier's own invoice number and date
+  invoiceNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  invoiceDate: {
+    type: Date,
+    required: true
+  },
+  dueDate: Date,
+
+  interState: {
+    type: Boolean,
+    default: false
+  },
+
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    hsnCode: String,
+    quantity: Number,
+    unitCost: Number,
+    discount: Number,
+    taxableValue: Number,
+    gstRate: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  }],
+
+  taxableValue: Number,
+  cgstTotal: Number,
+  sgstTotal: Number,
+  igstTotal: Number,
+  totalGST: Number,
+  roundOff: Number,
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+
+  // Blocked credit (e.g. goods for personal use) still has to be reported
+  itcEligible: {
+    type: Boolean,
+    default: true
+  },
+
+  // Payables
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: Number,
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid'],
+    default: 'unpaid'
+  },
+  payments: [{
+    amount: Number,
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    method: String,
+    reference: String,
+    recordedBy: String
+  }],
+
+  status: {
+    type: String,
+    enum: ['recorded', 'cancelled'],
+    default: 'recorded'
+  },
+  notes: String,
+  createdBy: String
+}, { timestamps: true });
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+// A supplier never issues the same invoice number twice
+purchaseInvoiceSchema.index({ supplierId: 1, invoiceNumber: 1 }, { unique: true });
+purchaseInvoiceSchema.index({ invoiceDate: 1 });
+purchaseInvoiceSchema.index({ paymentStatus: 1, dueDate: 1 });
+
+module.exports = mongoose.model('PurchaseInvoice', purchaseInvoiceSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Goods ordered from a supplier. Each delivery is a receipt that adds the
+// delivered quantities to stock; the order is received once every line is.
+// Drafts (e.g. reorder suggestions) are sent to the supplier on approval.
+// Written through services/purchaseService.js.
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: String,
+
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled'],
+    default: 'ordered'
+  },
+  // 'replenishment' drafts are rebuilt on every run until approved
+  source: {
+    type: String,
+    enum: ['manual', 'replenishment'],
+    default: 'manual'
+  },
+
+  orderDate: {
+    type: Date,
+    default: Date.now
+  },
+  expectedDate: Date,
+
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    productName: String,
+    hsnCode: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Agreed cost per unit, before GST
+    unitCost: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit cost cannot be negative']
+    },
+    gstRate: Number
+  }],
+
+  // Expected value of the order at the agreed cost
+  subtotal: Number,
+  totalGST: Number,
+  totalAmount: Number,
+
+  receipts: [{
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    items: [{
+      productId: mongoose.Schema.Types.ObjectId,
+      productName: String,
+      quantity: Number,
+      batchNumber: String,
+      expiryDate: Date
+    }],
+    supplierInvoiceNumber: String,
+    note: String,
+    receivedBy: String
+  }],
+
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: String,
+  approvedBy: String,
+  approvedAt: Date,
+  cancelledAt: Date,
+  cancelReason: String
+}, { timestamps: true });
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+purchaseOrderSchema.index({ supplierId: 1, orderDate: -1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ 'items.productId': 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One document per issued refresh token. Only a SHA-256 hash of the token is
+// stored. Tokens issued from the same login share a `family`, so reuse of an
+// already-rotated token can revoke the whole session.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  replacedByHash: String,
+  createdByIp: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
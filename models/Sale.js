@@ -1,4 +1,7 @@
 // models/Sale.js
+// Legacy: sales are now recorded in the Invoice ledger (see
+// services/salesLedger.js). This model is only read by
+// migrations/001-unify-sales-ledger.js.
 const mongoose = require('mongoose');
 
 const saleSchema = new mongoose.Schema({
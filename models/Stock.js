@@ -21,6 +21,7 @@ const stockSchema = new mongoose.Schema({
     enum: ['add', 'remove', 'adjust', 'initial'],
     required: true
   },
+  // Units moved; for 'adjust' the signed change, for 'initial' the opening stock
   quantity: {
     type: Number,
     required: true
@@ -46,6 +47,19 @@ const stockSchema = new mongoose.Schema({
     type: String,
     default: 'system'
   },
+  // Where the units moved; unset means the default location
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  locationCode: String,
+  // The document behind the move and its number (e.g. an invoice)
+  sourceType: {
+    type: String,
+    enum: ['invoice', 'sale', 'checkout', 'return', 'purchase', 'batch', 'transfer', 'stocktake', 'manual', 'product', 'reconciliation']
+  },
+  sourceId: mongoose.Schema.Types.ObjectId,
+  reference: String,
   transactionDate: {
     type: Date,
     default: Date.now
@@ -57,5 +71,7 @@ const stockSchema = new mongoose.Schema({
 // Index for faster queries
 stockSchema.index({ productId: 1, createdAt: -1 });
 stockSchema.index({ uniqueCode: 1, createdAt: -1 });
+stockSchema.index({ reference: 1 }, { sparse: true });
+stockSchema.index({ sourceType: 1, sourceId: 1 });
 
 module.exports = mongoose.model('Stock', stockSchema);
\ No newline at end of file
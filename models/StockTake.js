@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A physical count of a category and/or location. Opening it freezes the
+// expected quantities; staff then record what they find on the shelf and an
+// approval posts the differences to the Stock ledger as 'adjust' entries.
+// Written through services/stockTakeService.js.
+const stockTakeSchema = new mongoose.Schema({
+  takeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // What is being counted; neither set means the whole catalogue
+  category: { type: String, trim: true },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  locationCode: String,
+
+  status: {
+    type: String,
+    enum: ['counting', 'approved', 'cancelled'],
+    default: 'counting'
+  },
+
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    productCode: String,
+    productName: String,
+    category: String,
+    // Valued at selling price, as in the inventory value report
+    price: { type: Number, default: 0 },
+    expectedQuantity: {
+      type: Number,
+      required: true
+    },
+    // Unset until the item has been counted
+    countedQuantity: {
+      type: Number,
+      min: [0, 'Counted quantity cannot be negative']
+    },
+    countedBy: String,
+    countedAt: Date,
+    // Set on approval: the stock actually moved by the adjustment
+    adjustedQuantity: Number
+  }],
+
+  // Filled in on approval
+  summary: {
+    itemsCounted: { type: Number, default: 0 },
+    itemsWithVariance: { type: Number, default: 0 },
+    shortageUnits: { type: Number, default: 0 },
+    excessUnits: { type: Number, default: 0 },
+    shortageValue: { type: Number, default: 0 },
+    excessValue: { type: Number, default: 0 },
+    netValue: { type: Number, default: 0 }
+  },
+
+  notes: { type: String, trim: true },
+  snapshotAt: { type: Date, default: Date.now },
+  startedBy: String,
+  approvedBy: String,
+  approvedAt: Date,
+  reason: String,
+  cancelledAt: Date,
+  cancelReason: String
+}, { timestamps: true });
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+stockTakeSchema.index({ status: 1, snapshotAt: -1 });
+stockTakeSchema.index({ approvedAt: -1 });
+stockTakeSchema.index({ locationId: 1 });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Goods moved between two locations. A transfer is requested, dispatched
+// (stock leaves the source) and received (stock arrives at the destination);
+// each of those stock moves writes a Stock entry carrying the transfer
+// number. Written through services/locationService.js.
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  fromLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  fromLocationCode: String,
+  toLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  toLocationCode: String,
+
+  status: {
+    type: String,
+    enum: ['requested', 'dispatched', 'received', 'cancelled'],
+    default: 'requested'
+  },
+
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    productName: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    // Units that arrived; any shortfall is written off as lost in transit
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+
+  notes: { type: String, trim: true },
+  requestedBy: String,
+  requestedAt: { type: Date, default: Date.now },
+  dispatchedBy: String,
+  dispatchedAt: Date,
+  receivedBy: String,
+  receivedAt: Date,
+  cancelledAt: Date,
+  cancelReason: String
+}, { timestamps: true });
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+stockTransferSchema.index({ status: 1, requestedAt: -1 });
+stockTransferSchema.index({ fromLocationId: 1 });
+stockTransferSchema.index({ toLocationId: 1 });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { gstinValidator, isValidStateCode, STATE_CODES } = require('../utils/gstin');
+
+const supplierSchema = new mongoose.Schema({
+  supplierId: { type: String, unique: true },
+  name: { type: String, required: true, trim: true },
+  contactPerson: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  address: { type: String, trim: true },
+  city: { type: String, trim: true },
+  pincode: { type: String, trim: true, match: [/^[1-9]\d{5}$/, 'PIN code must be 6 digits'] },
+
+  // Registered suppliers' invoices carry input tax credit; the state decides
+  // whether purchases from them are IGST or CGST+SGST
+  gstin: { type: String, trim: true, uppercase: true, validate: gstinValidator },
+  stateCode: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidStateCode(value),
+      message: (props) => `${props.value} is not a valid GST state code`
+    }
+  },
+
+  // Payables: days allowed to pay an invoice and what is owed right now
+  paymentTermsDays: { type: Number, default: 30, min: 0 },
+  outstandingBalance: { type: Number, default: 0 },
+
+  // Days from order to delivery, for reorder suggestions
+  leadTimeDays: { type: Number, default: 7, min: 0 },
+
+  notes: { type: String, trim: true },
+  status: { type: String, enum: ['active', 'inactive'], default: 'active' },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+
+// ===================================================
+// 🧾 STATE FOLLOWS THE GSTIN
+// ===================================================
+supplierSchema.pre('validate', function () {
+  if (this.stateCode) this.stateCode = String(this.stateCode).padStart(2, '0');
+
+  if (this.gstin) {
+    const gstinState = this.gstin.slice(0, 2);
+    if (!this.stateCode) {
+      this.stateCode = gstinState;
+    } else if (this.stateCode !== gstinState) {
+      this.invalidate(
+        'stateCode',
+        `State code ${this.stateCode} does not match GSTIN state ${gstinState} (${STATE_CODES[gstinState] || 'unknown'})`
+      );
+    }
+  }
+});
+
+
+// ===================================================
+// 🔐 AUTO-GENERATE SUPPLIER ID
+// ===================================================
+supplierSchema.pre('save', async function () {
+  this.updatedAt = Date.now();
+
+  if (this.supplierId) return;
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: 'supplier' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session: this.$session() }
+  );
+
+  this.supplierId = `SUP-${String(counter.seq).padStart(4, '0')}`;
+});
+
+
+// ===================================================
+// INDEXES
+// ===================================================
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ gstin: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -10,9 +10,17 @@ const taxItemSchema = new mongoose.Schema({
 
 const taxEntrySchema = new mongoose.Schema({
   invoiceNo: String,
+  // Credit notes carry negative values so summaries and reports net them off
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  originalInvoiceNo: String,
+  invoiceId: mongoose.Schema.Types.ObjectId,
   date: { type: Date, default: Date.now },
   customer: String,
-  gstin: String,
+  gstin: { type: String, uppercase: true, trim: true },
   items: [taxItemSchema],
   isInterState: { type: Boolean, default: false },
   totalTax: { type: Number, default: 0 },
@@ -22,12 +30,25 @@ const taxEntrySchema = new mongoose.Schema({
   notes: { type: String, default: '' }
 }, { timestamps: true });
 
+// A rate that applied to a slab before its current one
+const slabRatePeriodSchema = new mongoose.Schema({
+  rate: { type: Number, required: true },
+  effectiveFrom: Date,
+  effectiveTo: { type: Date, required: true },
+  changedBy: String
+}, { _id: false });
+
 const taxSlabSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  // In effect from effectiveFrom; earlier dates use rateHistory
   rate: { type: Number, required: true },
+  effectiveFrom: Date,
+  rateHistory: [slabRatePeriodSchema],
   type: { type: String, default: 'Regular' },
   category: { type: String, required: true, default: 'Standard' },
   hsnCode: { type: String, required: true },
+  // HSN for goods, SAC for services
+  codeType: { type: String, enum: ['HSN', 'SAC'], default: 'HSN' },
   description: { type: String, default: '' },
   status: { type: String, enum: ['active', 'inactive'], default: 'active' }
 }, { timestamps: true });
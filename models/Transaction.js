@@ -92,7 +92,7 @@ transactionSchema.pre('save', async function () {
   const counter = await Counter.findOneAndUpdate(
     { name: 'transaction' },
     { $inc: { seq: 1 } },
-    { new: true, upsert: true }
+    { new: true, upsert: true, session: this.$session() }
   );
 
   const date = new Date();
@@ -1,10 +1,13 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { MAX_LOGIN_ATTEMPTS, LOCK_TIME_MINUTES } = require('../config/auth');
 
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    trim: true
   },
   password: {
     type: String,
@@ -14,6 +17,107 @@ const UserSchema = new mongoose.Schema({
     type: String,
     enum: ['admin', 'staff'],
     required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Lockout tracking
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+
+  // Bumped on password change, role change or deactivation so every
+  // access token issued before that point stops working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date,
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// ===================================================
+// 🔐 HASH PASSWORD ON CHANGE
+// ===================================================
+UserSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+
+  this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+});
+
+// ===================================================
+// VIRTUALS
+// ===================================================
+UserSchema.virtual('isLocked').get(function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// ===================================================
+// METHODS
+// ===================================================
+UserSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate || '', this.password);
+};
+
+UserSchema.methods.unlock = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// ===================================================
+// STATICS
+// ===================================================
+// Count a failed login with atomic updates, so parallel wrong passwords
+// cannot overwrite each other's count. Returns the user as updated.
+UserSchema.statics.registerFailedLogin = async function (userId) {
+  const now = new Date();
+
+  // An expired lock starts a fresh count
+  await this.updateOne(
+    { _id: userId, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!user || user.failedLoginAttempts < MAX_LOGIN_ATTEMPTS || user.isLocked) return user;
+
+  // Only the request that reaches the limit first sets the lock
+  const locked = await this.findOneAndUpdate(
+    { _id: userId, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    { $set: { lockUntil: new Date(now.getTime() + LOCK_TIME_MINUTES * 60 * 1000) } },
+    { new: true }
+  );
+  return locked || this.findById(userId);
+};
+
+UserSchema.statics.registerSuccessfulLogin = function (userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lastLoginAt: new Date() }, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Never send password hashes or lockout internals to clients
+UserSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    delete ret.__v;
+    return ret;
   }
 });
 
@@ -1,10 +1,14 @@
 // routes/analytics.js
 const express = require('express');
 const router = express.Router();
-const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
 const Product = require('../models/Product');
 const Customer = require('../models/Customer');
 
+// Every sale - POS invoice, offline bill, order or sale - lives in the
+// Invoice ledger, so the dashboard aggregates that collection
+const COMPLETED_SALES = { type: 'sale', status: 'completed' };
+
 /* ===================== DASHBOARD OVERVIEW ===================== */
 router.get('/dashboard', async (req, res) => {
   try {
@@ -18,39 +22,39 @@ router.get('/dashboard', async (req, res) => {
     monthAgo.setDate(monthAgo.getDate() - 30);
 
     // Total sales and revenue
-    const totalSales = await Sale.countDocuments({ status: 'Completed' });
-    const totalRevenue = await Sale.aggregate([
-      { $match: { status: 'Completed' } },
+    const totalSales = await Invoice.countDocuments(COMPLETED_SALES);
+    const totalRevenue = await Invoice.aggregate([
+      { $match: COMPLETED_SALES },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
     // Today's stats
-    const todaySales = await Sale.countDocuments({
-      status: 'Completed',
+    const todaySales = await Invoice.countDocuments({
+      ...COMPLETED_SALES,
       date: { $gte: today }
     });
-    const todayRevenue = await Sale.aggregate([
-      { $match: { status: 'Completed', date: { $gte: today } } },
+    const todayRevenue = await Invoice.aggregate([
+      { $match: { ...COMPLETED_SALES, date: { $gte: today } } },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
     // This week's stats
-    const weekSales = await Sale.countDocuments({
-      status: 'Completed',
+    const weekSales = await Invoice.countDocuments({
+      ...COMPLETED_SALES,
       date: { $gte: weekAgo }
     });
-    const weekRevenue = await Sale.aggregate([
-      { $match: { status: 'Completed', date: { $gte: weekAgo } } },
+    const weekRevenue = await Invoice.aggregate([
+      { $match: { ...COMPLETED_SALES, date: { $gte: weekAgo } } },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
     // This month's stats
-    const monthSales = await Sale.countDocuments({
-      status: 'Completed',
+    const monthSales = await Invoice.countDocuments({
+      ...COMPLETED_SALES,
       date: { $gte: monthAgo }
     });
-    const monthRevenue = await Sale.aggregate([
-      { $match: { status: 'Completed', date: { $gte: monthAgo } } },
+    const monthRevenue = await Invoice.aggregate([
+      { $match: { ...COMPLETED_SALES, date: { $gte: monthAgo } } },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
@@ -99,11 +103,11 @@ router.get('/dashboard', async (req, res) => {
 /* ===================== SALES BY PAYMENT MODE ===================== */
 router.get('/payment-modes', async (req, res) => {
   try {
-    const paymentStats = await Sale.aggregate([
-      { $match: { status: 'Completed' } },
+    const paymentStats = await Invoice.aggregate([
+      { $match: COMPLETED_SALES },
       {
         $group: {
-          _id: '$paymentMode',
+          _id: '$payment.method',
           count: { $sum: 1 },
           totalAmount: { $sum: '$totalAmount' }
         }
@@ -130,14 +134,14 @@ router.get('/top-products', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
 
-    const topProducts = await Sale.aggregate([
-      { $match: { status: 'Completed' } },
+    const topProducts = await Invoice.aggregate([
+      { $match: COMPLETED_SALES },
       { $unwind: '$items' },
       {
         $group: {
-          _id: '$items.name',
+          _id: '$items.productName',
           totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.total' },
+          totalRevenue: { $sum: '$items.totalPrice' },
           salesCount: { $sum: 1 }
         }
       },
@@ -164,8 +168,8 @@ router.get('/top-customers', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
 
-    const topCustomers = await Sale.aggregate([
-      { $match: { status: 'Completed' } },
+    const topCustomers = await Invoice.aggregate([
+      { $match: COMPLETED_SALES },
       {
         $group: {
           _id: '$customerName',
@@ -219,8 +223,8 @@ router.get('/sales-trend', async (req, res) => {
       };
     }
 
-    const salesTrend = await Sale.aggregate([
-      { $match: { status: 'Completed', date: { $gte: startDate } } },
+    const salesTrend = await Invoice.aggregate([
+      { $match: { ...COMPLETED_SALES, date: { $gte: startDate } } },
       {
         $group: {
           _id: groupBy,
@@ -248,14 +252,26 @@ router.get('/sales-trend', async (req, res) => {
 /* ===================== REVENUE BY CATEGORY ===================== */
 router.get('/revenue-by-category', async (req, res) => {
   try {
-    const revenueByCategory = await Sale.aggregate([
-      { $match: { status: 'Completed' } },
+    const revenueByCategory = await Invoice.aggregate([
+      { $match: COMPLETED_SALES },
       { $unwind: '$items' },
       {
+        // Ledger lines store productId as a string
         $lookup: {
           from: 'products',
-          localField: 'items.productId',
-          foreignField: '_id',
+          let: { productId: '$items.productId' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $eq: [
+                    '$_id',
+                    { $convert: { input: '$$productId', to: 'objectId', onError: null, onNull: null } }
+                  ]
+                }
+              }
+            }
+          ],
           as: 'product'
         }
       },
@@ -263,7 +279,7 @@ router.get('/revenue-by-category', async (req, res) => {
       {
         $group: {
           _id: '$product.category',
-          totalRevenue: { $sum: '$items.total' },
+          totalRevenue: { $sum: '$items.totalPrice' },
           itemsSold: { $sum: '$items.quantity' }
         }
       },
@@ -315,8 +331,8 @@ router.get('/monthly-comparison', async (req, res) => {
     startDate.setDate(1);
     startDate.setHours(0, 0, 0, 0);
 
-    const monthlyData = await Sale.aggregate([
-      { $match: { status: 'Completed', date: { $gte: startDate } } },
+    const monthlyData = await Invoice.aggregate([
+      { $match: { ...COMPLETED_SALES, date: { $gte: startDate } } },
       {
         $group: {
           _id: {
@@ -1,41 +1,151 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  revokeAccessToken
+} = require('../services/tokenService');
+const { MAX_LOGIN_ATTEMPTS, PASSWORD_MIN_LENGTH } = require('../config/auth');
 
 const router = express.Router();
 
 // LOGIN API
 router.post('/login', async (req, res) => {
-  const { username, password, role } = req.body;
+  const { username, password, role } = req.body || {};
+
+  // Objects such as { "$ne": null } would become query operators
+  if (typeof username !== 'string' || typeof password !== 'string' ||
+      (role !== undefined && typeof role !== 'string')) {
+    return res.status(400).json({ message: 'Username and password are required' });
+  }
 
   // 1. Check user exists
-  const user = await User.findOne({ username, role });
+  const query = { username };
+  if (role) query.role = role;
+
+  const user = await User.findOne(query);
   if (!user) {
     return res.status(401).json({ message: 'User not found' });
   }
 
-  // 2. Check password
-  const isMatch = await bcrypt.compare(password, user.password);
+  if (!user.isActive) {
+    return res.status(403).json({ message: 'Account is disabled' });
+  }
+
+  // 2. Refuse while locked out
+  if (user.isLocked) {
+    return res.status(423).json({
+      message: 'Account locked due to repeated failed logins',
+      lockedUntil: user.lockUntil
+    });
+  }
+
+  // 3. Check password
+  const isMatch = await user.comparePassword(password);
   if (!isMatch) {
-    return res.status(401).json({ message: 'Invalid password' });
+    const updated = await User.registerFailedLogin(user._id);
+
+    if (updated && updated.isLocked) {
+      return res.status(423).json({
+        message: 'Account locked due to repeated failed logins',
+        lockedUntil: updated.lockUntil
+      });
+    }
+
+    return res.status(401).json({
+      message: 'Invalid password',
+      attemptsRemaining: Math.max(0, MAX_LOGIN_ATTEMPTS - (updated ? updated.failedLoginAttempts : 0))
+    });
   }
 
-  // 3. Create token
-  const token = jwt.sign(
-    { id: user._id, role: user.role },
-    'LOCAL_SECRET_KEY',
-    { expiresIn: '1d' }
-  );
+  await User.registerSuccessfulLogin(user._id);
+
+  // 4. Create token pair
+  const tokens = await issueTokens(user, req.ip);
 
-  // 4. Send response
+  // 5. Send response
   res.json({
-    token,
+    ...tokens,
     user: {
+      id: user._id,
       name: user.username,
       role: user.role
     }
   });
 });
 
+// REFRESH ACCESS TOKEN (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  const result = await rotateRefreshToken(refreshToken, id => User.findById(id), req.ip);
+  if (!result) {
+    return res.status(401).json({ message: 'Invalid or expired refresh token' });
+  }
+
+  res.json({
+    ...result.tokens,
+    user: {
+      id: result.user._id,
+      name: result.user.username,
+      role: result.user.role
+    }
+  });
+});
+
+// LOGOUT - revoke this session's refresh tokens and the current access token
+router.post('/logout', protect, async (req, res) => {
+  if (req.token.sid) {
+    await revokeFamily(req.token.sid, 'Logout');
+  }
+  await revokeAccessToken(req.token);
+
+  res.json({ message: 'Logged out successfully' });
+});
+
+// CHANGE OWN PASSWORD
+router.post('/change-password', protect, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ message: 'Current and new password are required' });
+  }
+
+  if (newPassword.length < PASSWORD_MIN_LENGTH) {
+    return res.status(400).json({
+      message: `New password must be at least ${PASSWORD_MIN_LENGTH} characters`
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  const isMatch = await user.comparePassword(currentPassword);
+  if (!isMatch) {
+    return res.status(401).json({ message: 'Current password is incorrect' });
+  }
+
+  // Changing the password signs out every other session
+  user.password = newPassword;
+  user.tokenVersion += 1;
+  await user.save();
+  await revokeAllForUser(user._id, 'Password changed');
+
+  const tokens = await issueTokens(user, req.ip);
+
+  res.json({
+    message: 'Password changed successfully',
+    ...tokens
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const Batch = require('../models/Batch');
+const { addBatch, expiringBatches, isExpired, daysToExpiry } = require('../services/batchService');
+const ApiError = require('../utils/ApiError');
+
+const sendError = (res, error, action) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`
+  });
+};
+
+const withExpiry = (batch) => ({
+  ...batch,
+  expired: isExpired(batch),
+  daysToExpiry: daysToExpiry(batch)
+});
+
+// ✅ GET BATCHES (?productId=&inStock=true), earliest expiry first
+router.get('/', async (req, res) => {
+  try {
+    const { productId, inStock } = req.query;
+    const query = {};
+    if (productId) {
+      if (!mongoose.isValidObjectId(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product ID'
+        });
+      }
+      query.productId = productId;
+    }
+    if (inStock === 'true') query.quantity = { $gt: 0 };
+
+    const batches = await Batch.find(query).sort({ expiryDate: 1, receivedAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      count: batches.length,
+      batches: batches.map(withExpiry)
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching batches');
+  }
+});
+
+// ✅ EXPIRING-SOON REPORT (?days=30&productId=&category=), expired batches included
+router.get('/expiring', async (req, res) => {
+  try {
+    const report = await expiringBatches({
+      days: req.query.days,
+      productId: req.query.productId,
+      category: req.query.category
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    sendError(res, error, 'building expiry report');
+  }
+});
+
+// ✅ GET ONE BATCH
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid batch ID'
+      });
+    }
+
+    const batch = await Batch.findById(req.params.id).lean();
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch: withExpiry(batch)
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching batch');
+  }
+});
+
+// ✅ RECORD BATCH outside a purchase order
+// body: { productId, batchNumber, mfgDate, expiryDate, costPrice, quantity, addToStock }
+// addToStock: false labels stock already on hand instead of adding to it
+router.post('/', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const batch = await addBatch(req.body, { performedBy: req.user.username });
+
+    res.status(201).json({
+      success: true,
+      message: `Batch ${batch.batchNumber} recorded for ${batch.productName}`,
+      batch
+    });
+  } catch (error) {
+    sendError(res, error, 'recording batch');
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const Order = require('../models/Order');
-
-// Generate unique order ID
-const generateOrderId = async () => {
-    const latestOrder = await Order.findOne().sort({ createdAt: -1 });
-    if (latestOrder && latestOrder.orderId) {
-        const lastNumber = parseInt(latestOrder.orderId.replace('ORD', '')) || 0;
-        return `ORD${String(lastNumber + 1).padStart(5, '0')}`;
-    }
-    return 'ORD00001';
-};
-
-// Generate unique bill number
-const generateBillNumber = async () => {
-    const latestOrder = await Order.findOne().sort({ createdAt: -1 });
-    if (latestOrder && latestOrder.billNumber) {
-        const lastNumber = parseInt(latestOrder.billNumber.replace('BILL', '')) || 0;
-        return `BILL${String(lastNumber + 1).padStart(4, '0')}`;
-    }
-    return 'BILL0001';
-};
+const { requirePermission } = require('../middleware/auth');
+const {
+    orderFromInvoice,
+    findByLegacyId,
+    taxExtras,
+    createFromOrder
+} = require('../services/salesLedger');
+const { calculateTax, priceFromCatalogue } = require('../services/taxService');
+const { allocateBatches } = require('../services/batchService');
+const { resolveLocation, sellFromLocation } = require('../services/locationService');
+const { LAYOUTS, sendInvoicePdf } = require('../services/invoicePdf');
+const { resolveTemplate } = require('../services/invoiceTemplates');
+const ApiError = require('../utils/ApiError');
 
 // Create offline bill
-router.post('/create', async (req, res) => {
+router.post('/create', requirePermission('billing:create'), async (req, res) => {
     try {
         const {
             customerName,
@@ -33,6 +25,9 @@ router.post('/create', async (req, res) => {
             paymentMode,
             paymentStatus,
             discount,
+            placeOfSupply,
+            customerGstin,
+            gstInclusive,
             notes
         } = req.body;
 
@@ -59,29 +54,28 @@ router.post('/create', async (req, res) => {
             return res.status(400).json({ error: 'Please add valid items with product name and quantity' });
         }
 
-        // Calculate totals
-        const subtotal = validItems.reduce((sum, item) => {
-            const price = parseFloat(item.price) || 0;
-            const quantity = parseInt(item.quantity) || 0;
-            return sum + (quantity * price);
-        }, 0);
-        
-        const gst = subtotal * 0.18;
+        // Calculate totals; catalogue products are billed at their catalogue
+        // price and GST rates come from the tax slabs by HSN code or category
         const discountAmount = parseFloat(discount) || 0;
-        const totalAmount = subtotal + gst - discountAmount;
+        const tax = await calculateTax(await priceFromCatalogue(validItems.map(item => ({
+            productId: item.productId,
+            productName: item.product,
+            hsnCode: item.hsnCode,
+            category: item.category,
+            quantity: parseInt(item.quantity) || 1,
+            unitPrice: parseFloat(item.price) || 0
+        }))), {
+            gstInclusive,
+            placeOfSupply,
+            customerGstin,
+            discountAfterTax: discountAmount
+        });
+        const { subtotal, totalGST: gst, finalAmount: totalAmount } = tax.totals;
 
         console.log('Calculated totals:', { subtotal, gst, discountAmount, totalAmount });
 
-        // Generate IDs
-        const orderId = await generateOrderId();
-        const billNumber = await generateBillNumber();
-
-        console.log('Generated IDs:', { orderId, billNumber });
-
-        // Create order
+        // Create order (bill number and order ID are issued on save)
         const orderData = {
-            orderId,
-            billNumber,
             date: new Date(),
             customerName,
             customerPhone,
@@ -91,10 +85,10 @@ router.post('/create', async (req, res) => {
                 quantity: parseInt(item.quantity) || 1,
                 price: parseFloat(item.price) || 0
             })),
-            subtotal: parseFloat(subtotal.toFixed(2)),
-            gst: parseFloat(gst.toFixed(2)),
+            subtotal,
+            gst,
             discount: discountAmount,
-            totalAmount: parseFloat(totalAmount.toFixed(2)),
+            totalAmount,
             paymentMode: paymentMode || 'Cash',
             paymentStatus: paymentStatus || 'Paid',
             status: paymentStatus === 'Paid' ? 'Completed' : 'Pending',
@@ -104,16 +98,38 @@ router.post('/create', async (req, res) => {
 
         console.log('Order data to save:', orderData);
 
-        const order = new Order(orderData);
-        await order.save();
-
-        console.log('Order saved successfully:', order._id);
+        // Bills are recorded in the unified sales ledger. Lines that name a
+        // productId take their stock from the store's location.
+        const invoice = await createFromOrder(orderData, {
+            ...taxExtras(tax),
+            customerGstin,
+            source: 'bill',
+            createdBy: req.user?.username
+        }, async (invoice, session) => {
+            const location = await resolveLocation({
+                locationId: req.body.locationId,
+                storeCode: req.body.storeCode
+            }, session);
+            invoice.locationId = location._id;
+            invoice.locationCode = location.code;
+
+            // Batch-tracked units go earliest expiry first; expired stock is refused
+            await allocateBatches(invoice.items, { session });
+            await sellFromLocation(invoice.items, location, {
+                source: { type: 'sale', id: invoice._id, reference: invoice.billNumber },
+                performedBy: req.user?.username,
+                session
+            });
+        });
 
         res.status(201).json({
             message: 'Bill created successfully',
-            order
+            order: orderFromInvoice(invoice)
         });
     } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error creating bill:', error);
         res.status(500).json({ 
             error: error.message,
@@ -122,27 +138,32 @@ router.post('/create', async (req, res) => {
     }
 });
 
-// Generate invoice PDF
+// Generate invoice PDF (?layout=a4|thermal, ?templateId=). :id is the _id or a
+// bill/invoice number; older numbers contain '/' and must be URL-encoded.
 router.get('/:id/invoice', async (req, res) => {
     try {
-        const order = await Order.findOne({ 
-            $or: [
-                { orderId: req.params.id },
-                { billNumber: req.params.id }
-            ]
-        });
+        const invoice = await findByLegacyId(req.params.id);
 
-        if (!order) {
+        if (!invoice) {
             return res.status(404).json({ error: 'Order not found' });
         }
 
-        res.json({
-            message: 'Invoice data',
-            order,
-            invoiceNumber: `INV-${order.billNumber}`,
-            generatedAt: new Date().toISOString()
+        const { layout = 'a4', download } = req.query;
+        if (!LAYOUTS.includes(layout)) {
+            return res.status(400).json({ error: `Layout must be one of: ${LAYOUTS.join(', ')}` });
+        }
+
+        const template = await resolveTemplate({
+            templateId: req.query.templateId,
+            storeCode: invoice.storeCode,
+            layout
         });
+
+        sendInvoicePdf(res, invoice, { layout, template, download: download === 'true' });
     } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error generating invoice:', error);
         res.status(500).json({ error: error.message });
     }
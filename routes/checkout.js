@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const Product = require('../models/Product');
+const { checkout } = require('../services/checkoutService');
+const ApiError = require('../utils/ApiError');
+
+// Complete a sale: stock, coupon, coins, invoice and payments in one transaction.
+// Send `payments: [{ method, amount }]` to split the bill or leave part unpaid.
+router.post('/', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const result = await checkout({
+      ...req.body,
+      createdBy: req.user.username
+    });
+    const { invoice, payment, payments, coins, stockUpdates } = result;
+
+    // Notify only once everything has committed
+    if (req.io) {
+      const lowStock = stockUpdates.filter(update => update.newStock <= 5);
+      if (lowStock.length > 0) {
+        const products = await Product.find({ _id: { $in: lowStock.map(u => u.productId) } })
+          .select('name minStock');
+        products.forEach(product => {
+          const update = lowStock.find(u => u.productId === product._id.toString());
+          req.io.emit('stock_updated', {
+            productId: product._id,
+            productName: product.name,
+            currentStock: update.newStock,
+            minStock: product.minStock,
+            action: 'sale'
+          });
+        });
+      }
+
+      req.io.emit('new_notification', {
+        type: 'invoice_created',
+        title: 'New Invoice Created',
+        message: `Invoice ${invoice.invoiceNumber} created for ${invoice.customerName}`,
+        invoiceNumber: invoice.invoiceNumber,
+        amount: invoice.finalAmount,
+        priority: 'high',
+        color: 'green',
+        icon: 'Receipt',
+        timestamp: new Date(),
+        isRead: false
+      });
+
+      if (coins) {
+        req.io.to('coins').emit('coinUpdate', {
+          customerId: result.customer.customerId,
+          customerName: result.customer.name,
+          type: 'purchase',
+          coins: coins.earned - coins.redeemed,
+          totalCoins: coins.balance,
+          purchaseAmount: invoice.finalAmount
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Checkout completed successfully',
+      invoice,
+      invoiceNumber: invoice.invoiceNumber,
+      payment,
+      payments,
+      amountPaid: invoice.amountPaid,
+      balanceDue: invoice.balanceDue,
+      paymentStatus: invoice.paymentStatus,
+      coins
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error during checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Checkout failed, no changes were saved'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Customer = require('../models/Customer');
 const Transaction = require('../models/Transaction');
 
@@ -292,7 +293,7 @@ router.post('/redeem', async (req, res) => {
 });
 
 // ✅ MANUAL COIN ADJUSTMENT
-router.post('/adjust', async (req, res) => {
+router.post('/adjust', requirePermission('coins:adjust'), async (req, res) => {
   try {
     const { customerId, type, coins, note } = req.body;
     
@@ -388,7 +389,7 @@ router.post('/adjust', async (req, res) => {
 });
 
 // ✅ UPDATE MEMBERSHIP TIER
-router.put('/tier/:customerId', async (req, res) => {
+router.put('/tier/:customerId', requirePermission('coins:tier'), async (req, res) => {
   try {
     const { tier } = req.body;
     
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Coupon = require('../models/Coupon');
 
 // ✅ GET ALL COUPONS
@@ -71,7 +72,7 @@ router.get('/code/:code', async (req, res) => {
 });
 
 // ✅ CREATE NEW COUPON
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('pricing:manage'), async (req, res) => {
   try {
     console.log('🎟️ Creating coupon with data:', req.body);
     
@@ -157,7 +158,7 @@ router.post('/', async (req, res) => {
 });
 
 // ✅ UPDATE COUPON
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('pricing:manage'), async (req, res) => {
   try {
     console.log('🔄 Updating coupon:', req.params.id);
     
@@ -251,7 +252,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // ✅ DELETE COUPON
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('pricing:manage'), async (req, res) => {
   try {
     console.log('🗑️ Deleting coupon:', req.params.id);
     
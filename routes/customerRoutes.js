@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Customer = require('../models/Customer');
 const Transaction = require('../models/Transaction');
+const { statement, ageingReport } = require('../services/customerLedger');
+const { receiveOnAccount } = require('../services/paymentService');
+const ApiError = require('../utils/ApiError');
 
 // ✅ GET ALL CUSTOMERS (with coin stats)
 router.get('/', async (req, res) => {
@@ -80,7 +84,7 @@ router.post('/', async (req, res) => {
   try {
     console.log('👤 Creating customer with data:', req.body);
     
-    const { name, phone, address, status, email } = req.body;
+    const { name, phone, address, status, email, businessProfile } = req.body;
     
     // Validation
     if (!name || !phone) {
@@ -105,7 +109,8 @@ router.post('/', async (req, res) => {
       phone: phone.trim(),
       address: address ? address.trim() : '',
       email: email ? email.trim() : '',
-      status: status || 'active'
+      status: status || 'active',
+      businessProfile
     });
     
     // Add welcome bonus coins
@@ -247,7 +252,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // ✅ DELETE CUSTOMER
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('customers:delete'), async (req, res) => {
   try {
     console.log('🗑️ Deleting customer:', req.params.id);
     
@@ -443,7 +448,7 @@ router.post('/:id/redeem', async (req, res) => {
 });
 
 // Manual coin adjustment
-router.post('/:id/coins', async (req, res) => {
+router.post('/:id/coins', requirePermission('coins:adjust'), async (req, res) => {
   try {
     const { type, coins, note } = req.body;
     
@@ -578,6 +583,8 @@ router.get('/:id/wallet', async (req, res) => {
       totalPurchases: customer.totalPurchases,
       visitCount: customer.visitCount,
       discountValue: customer.getDiscountValue(),
+      storeCredit: customer.storeCredit,
+      outstandingBalance: customer.outstandingBalance,
       joinDate: customer.joinDate,
       lastVisit: customer.lastVisit,
       status: customer.status
@@ -597,4 +604,218 @@ router.get('/:id/wallet', async (req, res) => {
   }
 });
 
+// ============== CREDIT ACCOUNTS (KHATA) ==============
+
+// ✅ RECEIVABLES AGEING (0-30 / 31-60 / 61-90 / 90+ days)
+router.get('/receivables/ageing', async (req, res) => {
+  try {
+    const report = await ageingReport({
+      customerId: req.query.customerId,
+      asOf: req.query.asOf
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error building ageing report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building ageing report'
+    });
+  }
+});
+
+// ✅ SET CREDIT LIMIT AND TERMS
+router.put('/:id/credit-limit', requirePermission('customers:credit'), async (req, res) => {
+  try {
+    const { creditLimit, creditDays } = req.body;
+
+    const updateData = { updatedAt: Date.now() };
+    if (creditLimit !== undefined) {
+      if (isNaN(creditLimit) || Number(creditLimit) < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Credit limit must be zero or more'
+        });
+      }
+      updateData.creditLimit = Number(creditLimit);
+    }
+    if (creditDays !== undefined) {
+      if (!Number.isInteger(Number(creditDays)) || Number(creditDays) < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Credit days must be a whole number of days'
+        });
+      }
+      updateData.creditDays = Number(creditDays);
+    }
+
+    const customer = await Customer.findByIdAndUpdate(req.params.id, updateData, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Credit terms updated',
+      credit: {
+        creditLimit: customer.creditLimit,
+        creditDays: customer.creditDays,
+        outstandingBalance: customer.outstandingBalance,
+        availableCredit: Math.max(0, customer.creditLimit - customer.outstandingBalance)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error updating credit limit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating credit limit'
+    });
+  }
+});
+
+// ✅ SET BUSINESS (GST) PROFILE
+// Saved through the document so the GSTIN check and state derivation run
+router.put('/:id/business-profile', async (req, res) => {
+  try {
+    const { legalName, gstin, stateCode, placeOfSupply, address, city, pincode } = req.body;
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // A new GSTIN re-derives the state unless one is given with it
+    const current = customer.businessProfile || {};
+    customer.businessProfile = {
+      legalName: legalName !== undefined ? legalName : current.legalName,
+      gstin: gstin !== undefined ? gstin : current.gstin,
+      stateCode: stateCode !== undefined ? stateCode : (gstin !== undefined ? undefined : current.stateCode),
+      placeOfSupply: placeOfSupply !== undefined ? placeOfSupply : (gstin !== undefined ? undefined : current.placeOfSupply),
+      address: address !== undefined ? address : current.address,
+      city: city !== undefined ? city : current.city,
+      pincode: pincode !== undefined ? pincode : current.pincode
+    };
+    customer.updatedAt = Date.now();
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Business profile updated',
+      businessProfile: customer.businessProfile
+    });
+  } catch (error) {
+    console.error('❌ Error updating business profile:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating business profile'
+    });
+  }
+});
+
+// ✅ ACCOUNT STATEMENT for a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/:id/statement', async (req, res) => {
+  try {
+    const result = await statement(req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error building statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building statement'
+    });
+  }
+});
+
+// ✅ RECEIVE PAYMENT ON ACCOUNT (settles the oldest credit sales first)
+router.post('/:id/receipts', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const { customer, entry, payments, allocations } = await receiveOnAccount(
+      req.params.id,
+      req.body.payments,
+      { performedBy: req.user.username }
+    );
+
+    if (req.io) {
+      req.io.emit('new_notification', {
+        type: 'payment_processed',
+        title: 'Payment Received on Account',
+        message: `₹${entry.credit} received from ${customer.name}. Outstanding: ₹${customer.outstandingBalance}`,
+        amount: entry.credit,
+        customerName: customer.name,
+        priority: 'medium',
+        color: 'green',
+        icon: 'CreditCard',
+        timestamp: new Date(),
+        isRead: false
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment received',
+      receipt: entry,
+      payments,
+      allocations,
+      outstandingBalance: customer.outstandingBalance
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error receiving payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Payment failed, no changes were saved'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Discount = require('../models/Discount');
 
 // ✅ GET ALL DISCOUNTS
@@ -46,7 +47,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // ✅ CREATE NEW DISCOUNT
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('pricing:manage'), async (req, res) => {
   try {
     console.log('🎯 Creating discount with data:', req.body);
     
@@ -124,7 +125,7 @@ router.post('/', async (req, res) => {
 });
 
 // ✅ UPDATE DISCOUNT
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('pricing:manage'), async (req, res) => {
   try {
     console.log('🔄 Updating discount:', req.params.id);
     
@@ -210,7 +211,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // ✅ DELETE DISCOUNT
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('pricing:manage'), async (req, res) => {
   try {
     console.log('🗑️ Deleting discount:', req.params.id);
     
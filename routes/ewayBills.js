@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const EWayBill = require('../models/EWayBill');
+const {
+  EWAY_BILL_THRESHOLD,
+  generationPayload,
+  partBPayload,
+  createEWayBill,
+  recordEWayBillNumber,
+  updatePartB,
+  cancelEWayBill,
+  completeEWayBill,
+  generateEWayBillAlerts
+} = require('../services/ewayBill');
+const ApiError = require('../utils/ApiError');
+
+const sendError = (res, error, action) => {
+  if (!(error instanceof ApiError)) {
+    console.error(`❌ Error ${action} e-way bill:`, error);
+  }
+  res.status(error instanceof ApiError ? error.statusCode : 500).json({
+    success: false,
+    message: error.message || `Failed ${action} e-way bill`
+  });
+};
+
+// ✅ LIST: E-way bills, filtered by status, invoice or expiring within ?hours
+router.get('/', async (req, res) => {
+  try {
+    const { status, invoiceId, hours, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (invoiceId) {
+      if (!mongoose.isValidObjectId(invoiceId)) {
+        return res.status(400).json({ success: false, message: 'Invalid invoice ID' });
+      }
+      filter.invoiceId = invoiceId;
+    }
+    if (hours) {
+      filter.status = 'active';
+      filter.validUntil = { $lte: new Date(Date.now() + Number(hours) * 60 * 60 * 1000) };
+    }
+
+    const pageSize = Math.min(Number(limit) || 50, 200);
+    const [bills, total] = await Promise.all([
+      EWayBill.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((Math.max(Number(page) || 1, 1) - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      EWayBill.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, threshold: EWAY_BILL_THRESHOLD, total, eWayBills: bills });
+  } catch (error) {
+    sendError(res, error, 'listing');
+  }
+});
+
+// ✅ CHECK: Raise expiry alerts now instead of waiting for the schedule
+router.post('/alerts/check', async (req, res) => {
+  try {
+    const alerts = await generateEWayBillAlerts(req.io);
+    res.json({ success: true, message: `${alerts.length} e-way bill alerts raised`, alerts });
+  } catch (error) {
+    sendError(res, error, 'checking');
+  }
+});
+
+// ✅ GET: One e-way bill
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid e-way bill ID' });
+    }
+    const bill = await EWayBill.findById(req.params.id).lean();
+    if (!bill) {
+      return res.status(404).json({ success: false, message: 'E-way bill not found' });
+    }
+    res.json({ success: true, eWayBill: bill });
+  } catch (error) {
+    sendError(res, error, 'fetching');
+  }
+});
+
+// ✅ PAYLOAD: Portal JSON, ?part=A for generation (default) or ?part=B for a vehicle update
+router.get('/:id/payload', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid e-way bill ID' });
+    }
+    const bill = await EWayBill.findById(req.params.id).lean();
+    if (!bill) {
+      return res.status(404).json({ success: false, message: 'E-way bill not found' });
+    }
+
+    const part = String(req.query.part || 'A').toUpperCase();
+    if (part === 'B') {
+      if (!bill.ewbNumber || !bill.transport?.transMode) {
+        return res.status(400).json({ success: false, message: 'Part B needs the e-way bill number and a vehicle' });
+      }
+      return res.json({ success: true, part, payload: partBPayload(bill) });
+    }
+
+    res.json({ success: true, part: 'A', payload: generationPayload(bill) });
+  } catch (error) {
+    sendError(res, error, 'building');
+  }
+});
+
+// ✅ CREATE: Draft from { invoiceId } or { transfer: { docNo, from, to, items } },
+// with distanceKm and optionally transport (Part B)
+router.post('/', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const bill = await createEWayBill(req.body, { performedBy: req.user?.username });
+    res.status(201).json({
+      success: true,
+      message: `E-way bill drafted for ${bill.docNo}`,
+      eWayBill: bill,
+      payload: generationPayload(bill)
+    });
+  } catch (error) {
+    sendError(res, error, 'creating');
+  }
+});
+
+// ✅ NUMBER: Record the EWB number issued by the portal; body: { ewbNumber, ewbDate }
+router.put('/:id/number', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const bill = await recordEWayBillNumber(req.params.id, req.body);
+    res.json({
+      success: true,
+      message: `E-way bill ${bill.ewbNumber} recorded`,
+      eWayBill: bill
+    });
+  } catch (error) {
+    sendError(res, error, 'recording');
+  }
+});
+
+// ✅ PART B: Assign or change the vehicle; body: { transMode, vehicleNo, vehicleType, transDocNo, transDocDate, fromPlace, reason }
+router.put('/:id/part-b', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const bill = await updatePartB(req.params.id, req.body, { performedBy: req.user?.username });
+    res.json({
+      success: true,
+      message: bill.validUntil
+        ? `Part B updated; valid until ${bill.validUntil.toLocaleString('en-IN')}`
+        : 'Part B updated',
+      eWayBill: bill,
+      payload: bill.ewbNumber ? partBPayload(bill) : generationPayload(bill)
+    });
+  } catch (error) {
+    sendError(res, error, 'updating');
+  }
+});
+
+// ✅ CANCEL: Within 24 hours of generation; body: { reason, remark }
+router.post('/:id/cancel', requirePermission('billing:delete'), async (req, res) => {
+  try {
+    const bill = await cancelEWayBill(req.params.id, req.body);
+    await generateEWayBillAlerts(req.io);
+    res.json({ success: true, message: `E-way bill ${bill.ewbNumber || bill.docNo} cancelled`, eWayBill: bill });
+  } catch (error) {
+    sendError(res, error, 'cancelling');
+  }
+});
+
+// ✅ COMPLETE: Goods delivered
+router.post('/:id/complete', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const bill = await completeEWayBill(req.params.id);
+    await generateEWayBillAlerts(req.io);
+    res.json({ success: true, message: `E-way bill ${bill.ewbNumber} completed`, eWayBill: bill });
+  } catch (error) {
+    sendError(res, error, 'completing');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 // routes/expenses.js
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Expense = require('../models/Expense');
 
 /* ===================== GET ALL EXPENSES ===================== */
@@ -228,7 +229,7 @@ router.put('/:id', async (req, res) => {
 });
 
 /* ===================== DELETE EXPENSE ===================== */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('expenses:delete'), async (req, res) => {
   try {
     const expense = await Expense.findById(req.params.id);
 
@@ -528,7 +529,7 @@ router.get('/stats/highest-spending', async (req, res) => {
 });
 
 /* ===================== EXPORT EXPENSES TO CSV ===================== */
-router.get('/export/csv', async (req, res) => {
+router.get('/export/csv', requirePermission('data:export'), async (req, res) => {
   try {
     const expenses = await Expense.find().sort({ date: -1 }).lean();
 
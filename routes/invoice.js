@@ -1,52 +1,172 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Invoice = require('../models/Invoice');
-const Product = require('../models/Product');
+const { nextNumber, runInTransaction } = require('../services/numberingService');
+const { LAYOUTS, sendInvoicePdf } = require('../services/invoicePdf');
+const { resolveTemplate } = require('../services/invoiceTemplates');
+const { calculateTax, invoiceTaxFields, priceFromCatalogue, supplyForCustomer } = require('../services/taxService');
+const { allocateBatches } = require('../services/batchService');
+const { resolveLocation, sellFromLocation } = require('../services/locationService');
+const { prepareEInvoice, generateEInvoice, cancelEInvoice } = require('../services/eInvoice');
+const { amountPaidOf, normalizeTenders, applyTenders } = require('../services/paymentService');
+const ApiError = require('../utils/ApiError');
+
+// What a client may set on a new invoice; numbers, totals, tax, settlement
+// and e-invoice details are filled in here
+const CREATE_FIELDS = [
+  'customerId',
+  'customerName',
+  'customerPhone',
+  'customerEmail',
+  'customerAddress',
+  'exchangeItems',
+  'exchangeDiscount',
+  'couponDiscount',
+  'additionalDiscounts',
+  'gstMode',
+  'roundOffEnabled',
+  'storeCode',
+  'storeInfo',
+  'notes'
+];
+
+// Tenders that can settle an invoice on creation; coins and store credit
+// need the customer and go through checkout or /api/payments
+const PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank_transfer'];
+
+const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Details that can be corrected after an invoice is issued; items, totals and
+// settlement only change through returns and payments
+const EDITABLE_FIELDS = ['notes', 'customerName', 'customerPhone', 'customerEmail', 'customerAddress'];
 
 // Create invoice
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('billing:create'), async (req, res) => {
   try {
-    const invoiceData = req.body;
-    
-    // Generate invoice number
+    const invoiceData = req.body || {};
     const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const invoiceCount = await Invoice.countDocuments();
-    const invoiceNumber = `INV-${year}${month}-${String(invoiceCount + 1).padStart(4, '0')}`;
-    
-    // Update product stocks
-    if (invoiceData.items && invoiceData.items.length > 0) {
-      for (const item of invoiceData.items) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          product.stock = Math.max(0, product.stock - item.quantity);
-          await product.save();
-          
-          // Emit stock update notification
-          if (req.io && product.stock <= 5) {
-            req.io.emit('stock_updated', {
-              productId: product._id,
-              productName: product.name,
-              currentStock: product.stock,
-              minStock: 5,
-              action: 'sale'
-            });
-          }
-        }
-      }
+
+    if (!Array.isArray(invoiceData.items) || invoiceData.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
     }
 
-    // Create new invoice
-    const invoice = new Invoice({
-      ...invoiceData,
-      invoiceNumber,
-      createdAt: date,
-      updatedAt: date,
-      status: 'completed'
+    const supply = await supplyForCustomer(invoiceData.customerId, invoiceData);
+
+    // Catalogue products are billed at their catalogue price; tax and totals
+    // are computed here, and client-sent figures are ignored
+    const items = await priceFromCatalogue(invoiceData.items.map(item => ({
+      productId: item.productId,
+      productName: item.productName || item.name,
+      sku: item.sku,
+      category: item.category,
+      hsnCode: item.hsnCode,
+      quantity: Number(item.quantity),
+      unitPrice: Number(item.unitPrice),
+      discount: Number(item.discount) || 0
+    })));
+    const tax = await calculateTax(items, {
+      gstInclusive: invoiceData.gstInclusive,
+      placeOfSupply: supply.placeOfSupply,
+      customerGstin: supply.customerGstin,
+      storeGstin: invoiceData.storeInfo?.gstin,
+      discountAfterTax: (Number(invoiceData.exchangeDiscount) || 0)
+        + (Number(invoiceData.couponDiscount) || 0)
+        + (Number(invoiceData.additionalDiscounts) || 0),
+      roundOff: invoiceData.roundOffEnabled !== false,
+      date
     });
+    const { finalAmount } = tax.totals;
 
-    await invoice.save();
+    // Paid invoices are settled with a Payment; anything else is left unpaid
+    const paymentInput = invoiceData.payment || {};
+    const paid = PAYMENT_METHODS.includes(paymentInput.method) && paymentInput.status !== 'pending';
+
+    // Create new invoice; the number is issued, batches allocated and the
+    // stock taken in the same transaction, each line logged against the invoice
+    const stockUpdates = [];
+    const invoice = await runInTransaction(async (session) => {
+      stockUpdates.length = 0;
+
+      // The store's own shelf, then batch-tracked units earliest expiry
+      // first; expired stock is refused
+      const location = await resolveLocation({
+        locationId: invoiceData.locationId,
+        storeCode: invoiceData.storeCode
+      }, session);
+      await allocateBatches(tax.lines, { session, now: date });
+
+      const { number } = await nextNumber('invoice', { date, session });
+      const created = new Invoice({
+        ...pickFields(invoiceData, CREATE_FIELDS),
+        ...invoiceTaxFields(tax),
+        customerGstin: supply.customerGstin,
+        invoiceNumber: number,
+        date,
+        locationId: location._id,
+        locationCode: location.code,
+        // Method, status and paid amounts are filled in by applyTenders
+        payment: {
+          method: 'credit',
+          status: 'pending',
+          amount: finalAmount,
+          paidAmount: 0
+        },
+        amountPaid: 0,
+        balanceDue: finalAmount,
+        paymentStatus: 'unpaid',
+        createdBy: req.user?.username,
+        createdAt: date,
+        updatedAt: date,
+        status: 'completed'
+      });
+
+      // Every unit billed must be on hand at the location
+      const sold = await sellFromLocation(tax.lines, location, {
+        source: { type: 'invoice', id: created._id, reference: number },
+        performedBy: req.user?.username,
+        session
+      });
+      stockUpdates.push(...sold);
+
+      if (paid && finalAmount > 0) {
+        await applyTenders({
+          invoice: created,
+          customer: null,
+          tenders: normalizeTenders([{
+            method: paymentInput.method,
+            amount: finalAmount,
+            tendered: paymentInput.paidAmount !== undefined ? paymentInput.paidAmount : finalAmount,
+            transactionId: paymentInput.transactionId
+          }]),
+          performedBy: req.user?.username,
+          session
+        });
+      }
+
+      await created.save({ session });
+      return created;
+    }, { required: true });
+
+    // Emit stock update notification
+    if (req.io) {
+      stockUpdates
+        .filter(product => product.stock <= 5)
+        .forEach(product => req.io.emit('stock_updated', {
+          productId: product._id,
+          productName: product.name,
+          currentStock: product.stock,
+          minStock: 5,
+          action: 'sale'
+        }));
+    }
+
+    const { invoiceNumber } = invoice;
     
     // Emit notification
     if (req.io) {
@@ -55,7 +175,7 @@ router.post('/', async (req, res) => {
         title: 'New Invoice Created',
         message: `Invoice ${invoiceNumber} created for ${invoiceData.customer?.name || 'Customer'}`,
         invoiceNumber: invoiceNumber,
-        amount: invoiceData.totalAmount,
+        amount: invoice.finalAmount,
         priority: 'high',
         color: 'green',
         icon: 'Receipt',
@@ -72,7 +192,7 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating invoice:', error);
-    res.status(500).json({
+    res.status(error instanceof ApiError ? error.statusCode : 500).json({
       success: false,
       error: error.message || 'Failed to create invoice'
     });
@@ -150,16 +270,18 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update invoice
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('billing:edit'), async (req, res) => {
   try {
-    const invoice = await Invoice.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...req.body,
-        updatedAt: new Date()
-      },
-      { new: true, runValidators: true }
-    );
+    const changes = req.body || {};
+    const rejected = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${EDITABLE_FIELDS.join(', ')} can be edited`
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
 
     if (!invoice) {
       return res.status(404).json({
@@ -168,6 +290,19 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // What was reported to the IRP or paid for stays as issued
+    if (invoice.eInvoice?.status === 'generated' || amountPaidOf(invoice) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Invoices with an IRN or payments cannot be edited'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) invoice[field] = changes[field];
+    });
+    await invoice.save();
+
     res.json({
       success: true,
       message: 'Invoice updated successfully',
@@ -183,7 +318,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete invoice
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('billing:delete'), async (req, res) => {
   try {
     const invoice = await Invoice.findByIdAndDelete(req.params.id);
 
@@ -207,7 +342,7 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Get invoice PDF
+// Get invoice PDF (?layout=a4|thermal, ?templateId=, ?download=true to save instead of view)
 router.get('/:id/pdf', async (req, res) => {
   try {
     const invoice = await Invoice.findById(req.params.id);
@@ -219,22 +354,28 @@ router.get('/:id/pdf', async (req, res) => {
       });
     }
 
-    // In a real implementation, you would generate PDF here
-    // For now, return JSON with PDF generation instructions
-    res.json({
-      success: true,
-      message: 'PDF generation endpoint',
-      invoiceNumber: invoice.invoiceNumber,
-      instructions: 'PDF generation would be implemented here',
-      invoiceData: {
-        invoiceNumber: invoice.invoiceNumber,
-        customer: invoice.customer,
-        items: invoice.items,
-        totalAmount: invoice.totalAmount,
-        date: invoice.createdAt
-      }
+    const { layout = 'a4', download } = req.query;
+    if (!LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        error: `Layout must be one of: ${LAYOUTS.join(', ')}`
+      });
+    }
+
+    const template = await resolveTemplate({
+        templateId: req.query.templateId,
+        storeCode: invoice.storeCode,
+        layout
     });
+
+    sendInvoicePdf(res, invoice, { layout, template, download: download === 'true' });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Error generating PDF:', error);
     res.status(500).json({
       success: false,
@@ -243,6 +384,83 @@ router.get('/:id/pdf', async (req, res) => {
   }
 });
 
+// ============== E-INVOICE ==============
+
+const sendEInvoiceError = (res, error, action) => {
+  if (!(error instanceof ApiError)) {
+    console.error(`Error ${action} e-invoice:`, error);
+  }
+  res.status(error instanceof ApiError ? error.statusCode : 500).json({
+    success: false,
+    error: error.message || `Failed ${action} e-invoice`,
+    errors: error.details
+  });
+};
+
+// Preview the e-invoice JSON and its validation result without submitting
+router.get('/:id/einvoice/payload', async (req, res) => {
+  try {
+    const { invoice, payload, validation } = await prepareEInvoice(req.params.id);
+
+    res.json({
+      success: true,
+      invoiceNumber: invoice.invoiceNumber,
+      eInvoice: invoice.eInvoice?.status ? invoice.eInvoice : null,
+      valid: validation.valid,
+      errors: validation.errors,
+      payload
+    });
+  } catch (error) {
+    sendEInvoiceError(res, error, 'building');
+  }
+});
+
+// Register the invoice with the IRP and store the IRN and signed QR code
+router.post('/:id/einvoice', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const { invoice } = await generateEInvoice(req.params.id, {
+      performedBy: req.user?.username
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `IRN generated for ${invoice.invoiceNumber}`,
+      eInvoice: {
+        irn: invoice.eInvoice.irn,
+        ackNo: invoice.eInvoice.ackNo,
+        ackDate: invoice.eInvoice.ackDate,
+        signedQrCode: invoice.eInvoice.signedQrCode,
+        status: invoice.eInvoice.status
+      }
+    });
+  } catch (error) {
+    sendEInvoiceError(res, error, 'generating');
+  }
+});
+
+// Cancel the IRN (within 24 hours); body: { reason, remark }
+router.post('/:id/einvoice/cancel', requirePermission('billing:delete'), async (req, res) => {
+  try {
+    const invoice = await cancelEInvoice(req.params.id, {
+      reason: req.body.reason,
+      remark: req.body.remark,
+      performedBy: req.user?.username
+    });
+
+    res.json({
+      success: true,
+      message: `IRN of ${invoice.invoiceNumber} cancelled`,
+      eInvoice: {
+        irn: invoice.eInvoice.irn,
+        status: invoice.eInvoice.status,
+        cancelledAt: invoice.eInvoice.cancelledAt
+      }
+    });
+  } catch (error) {
+    sendEInvoiceError(res, error, 'cancelling');
+  }
+});
+
 // Get today's invoices summary
 router.get('/summary/today', async (req, res) => {
   try {
@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const {
+  PLACEHOLDER_ROOTS,
+  findUnknownPlaceholders,
+  findMissingFiles,
+  sampleInvoice
+} = require('../services/invoiceTemplates');
+const { LAYOUTS, DEFAULT_LABELS, sendInvoicePdf } = require('../services/invoicePdf');
+
+// Placeholder and file checks mongoose validation cannot do
+const checkTemplate = (template) => {
+  const unknown = findUnknownPlaceholders(template);
+  if (unknown.length > 0) {
+    return `Unknown placeholders: ${unknown.map(p => `{{${p}}}`).join(', ')}. ` +
+      `Allowed fields: ${PLACEHOLDER_ROOTS.join(', ')}`;
+  }
+
+  const missing = findMissingFiles(template);
+  if (missing.length > 0) {
+    return `Files not found on the server: ${missing.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Only one default per store and layout
+const clearOtherDefaults = (template) => {
+  return InvoiceTemplate.updateMany(
+    {
+      _id: { $ne: template._id },
+      storeCode: template.storeCode,
+      layout: template.layout,
+      isDefault: true
+    },
+    { isDefault: false }
+  );
+};
+
+// ✅ GET ALL TEMPLATES
+router.get('/', async (req, res) => {
+  try {
+    const { storeCode, layout } = req.query;
+
+    const filter = {};
+    if (storeCode) filter.storeCode = storeCode.toUpperCase();
+    if (layout) filter.layout = layout;
+
+    const templates = await InvoiceTemplate.find(filter).sort({ storeCode: 1, layout: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    console.error('❌ Error fetching invoice templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoice templates'
+    });
+  }
+});
+
+// ✅ PLACEHOLDERS AND CAPTIONS A TEMPLATE CAN USE
+router.get('/fields', (req, res) => {
+  res.json({
+    success: true,
+    placeholders: PLACEHOLDER_ROOTS,
+    labels: DEFAULT_LABELS
+  });
+});
+
+// ✅ PREVIEW AN UNSAVED TEMPLATE WITH SAMPLE DATA
+router.post('/preview', async (req, res) => {
+  try {
+    const template = new InvoiceTemplate({ name: 'Preview', ...req.body });
+    await template.validate();
+
+    const problem = checkTemplate(template);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    sendInvoicePdf(res, sampleInvoice(), { layout: template.layout, template: template.toObject() });
+  } catch (error) {
+    console.error('❌ Error previewing invoice template:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ✅ GET SINGLE TEMPLATE
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    console.error('❌ Error fetching invoice template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoice template'
+    });
+  }
+});
+
+// ✅ PREVIEW A SAVED TEMPLATE WITH SAMPLE DATA
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findById(req.params.id).lean();
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice template not found'
+      });
+    }
+
+    const layout = LAYOUTS.includes(req.query.layout) ? req.query.layout : template.layout;
+    sendInvoicePdf(res, sampleInvoice(), { layout, template });
+  } catch (error) {
+    console.error('❌ Error previewing invoice template:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ✅ CREATE TEMPLATE
+router.post('/', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const template = new InvoiceTemplate(req.body);
+    await template.validate();
+
+    const problem = checkTemplate(template);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    await template.save();
+    if (template.isDefault) {
+      await clearOtherDefaults(template);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice template created successfully',
+      template
+    });
+  } catch (error) {
+    console.error('❌ Error creating invoice template:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invoice template'
+    });
+  }
+});
+
+// ✅ UPDATE TEMPLATE
+router.put('/:id', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice template not found'
+      });
+    }
+
+    const { _id, createdAt, updatedAt, ...changes } = req.body;
+    template.set(changes);
+    await template.validate();
+
+    const problem = checkTemplate(template);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    await template.save();
+    if (template.isDefault) {
+      await clearOtherDefaults(template);
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice template updated successfully',
+      template
+    });
+  } catch (error) {
+    console.error('❌ Error updating invoice template:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating invoice template'
+    });
+  }
+});
+
+// ✅ DELETE TEMPLATE
+router.delete('/:id', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice template deleted successfully',
+      deletedTemplateId: template._id
+    });
+  } catch (error) {
+    console.error('❌ Error deleting invoice template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting invoice template'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const Location = require('../models/Location');
+const LocationStock = require('../models/LocationStock');
+const {
+  defaultLocation,
+  stockByProduct,
+  stockAtLocation,
+  setStockRule,
+  lowStockByLocation,
+  generateLocationStockAlerts
+} = require('../services/locationService');
+const ApiError = require('../utils/ApiError');
+
+// The default location is fixed; it holds whatever is not recorded elsewhere
+const EDITABLE_FIELDS = [
+  'code', 'name', 'type', 'storeCode', 'address', 'city', 'pincode', 'gstin', 'stateCode', 'status'
+];
+
+const pick = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const sendError = (res, error, action) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A location with this code already exists'
+    });
+  }
+
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`
+  });
+};
+
+// ✅ GET ALL LOCATIONS (the default one is created on first use)
+router.get('/', async (req, res) => {
+  try {
+    await defaultLocation();
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const locations = await Location.find(query).sort({ isDefault: -1, code: 1 });
+
+    res.json({
+      success: true,
+      count: locations.length,
+      locations
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching locations');
+  }
+});
+
+// ✅ LOW STOCK PER LOCATION (?locationId=)
+router.get('/low-stock', async (req, res) => {
+  try {
+    const locations = await lowStockByLocation({ locationId: req.query.locationId });
+
+    res.json({
+      success: true,
+      count: locations.reduce((sum, location) => sum + location.count, 0),
+      locations
+    });
+  } catch (error) {
+    sendError(res, error, 'building low stock report');
+  }
+});
+
+// ✅ RAISE/RESOLVE PER-LOCATION LOW STOCK ALERTS
+router.post('/alerts/check', async (req, res) => {
+  try {
+    const alerts = await generateLocationStockAlerts(req.io);
+
+    res.json({
+      success: true,
+      message: `${alerts.length} location stock alerts created or updated`,
+      alerts
+    });
+  } catch (error) {
+    sendError(res, error, 'checking location stock');
+  }
+});
+
+// ✅ ONE PRODUCT'S STOCK AT EVERY LOCATION
+router.get('/products/:productId', async (req, res) => {
+  try {
+    const report = await stockByProduct(req.params.productId);
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching product stock by location');
+  }
+});
+
+// ✅ GET ONE LOCATION
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid location ID'
+      });
+    }
+
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      location
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching location');
+  }
+});
+
+// ✅ STOCK HELD AT A LOCATION
+router.get('/:id/stock', async (req, res) => {
+  try {
+    const { location, items } = await stockAtLocation(req.params.id);
+    const inStock = req.query.inStock === 'true' ? items.filter(item => item.quantity > 0) : items;
+
+    res.json({
+      success: true,
+      location,
+      count: inStock.length,
+      totalValue: Math.round(inStock.reduce((sum, item) => sum + item.value, 0) * 100) / 100,
+      items: inStock
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching location stock');
+  }
+});
+
+// ✅ CREATE LOCATION
+router.post('/', requirePermission('stock:manage'), async (req, res) => {
+  try {
+    if (!req.body?.code || !req.body?.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location code and name are required'
+      });
+    }
+
+    // Make sure stock recorded so far stays with the default location
+    await defaultLocation();
+    const location = new Location(pick(req.body));
+    await location.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Location ${location.code} created`,
+      location
+    });
+  } catch (error) {
+    sendError(res, error, 'creating location');
+  }
+});
+
+// ✅ UPDATE LOCATION
+router.put('/:id', requirePermission('stock:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid location ID'
+      });
+    }
+
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const updates = pick(req.body || {});
+    if (updates.status === 'inactive' && !location.isDefault) {
+      const held = await LocationStock.exists({ locationId: location._id, quantity: { $gt: 0 } });
+      if (held) {
+        return res.status(400).json({
+          success: false,
+          message: `${location.name} still holds stock; transfer it out before deactivating`
+        });
+      }
+    }
+    Object.assign(location, updates);
+    await location.save();
+
+    res.json({
+      success: true,
+      message: 'Location updated successfully',
+      location
+    });
+  } catch (error) {
+    sendError(res, error, 'updating location');
+  }
+});
+
+// ✅ SET LOW STOCK RULE for a product at a location; body: { minStock, maxStock }
+router.put('/:id/rules/:productId', requirePermission('stock:manage'), async (req, res) => {
+  try {
+    const rule = await setStockRule(req.params.id, req.params.productId, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Stock rule saved',
+      rule
+    });
+  } catch (error) {
+    sendError(res, error, 'saving stock rule');
+  }
+});
+
+module.exports = router;
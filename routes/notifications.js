@@ -1,167 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const Notification = require('../models/Notification');
 const { TaxEntry, TaxSlab } = require('../models/Tax');
-
-// Try to import Order model (optional)
-let Order;
-try {
-  Order = require('../models/Order');
-} catch (error) {
-  console.log('Order model not found, payment alerts will be disabled');
-  Order = null;
-}
-
-// Helper functions
-const generateNotificationHash = (notificationData) => {
-  // Create a consistent hash based on key identifying fields
-  const type = notificationData.type || '';
-  const productId = notificationData.productId || '';
-  const orderId = notificationData.orderId || '';
-  const taxId = notificationData.taxId || '';
-  const invoiceNo = notificationData.invoiceNo || notificationData.invoiceNumber || '';
-  const customerName = notificationData.customerName || notificationData.customer || '';
-  const billNumber = notificationData.billNumber || '';
-  const gstin = notificationData.gstin || '';
-  
-  const hashString = `${type}_${productId}_${orderId}_${taxId}_${invoiceNo}_${customerName}_${billNumber}_${gstin}`.toLowerCase();
-  return crypto.createHash('md5').update(hashString).digest('hex');
-};
-
-// ✅ ENHANCED: Intelligently upsert notification with proper event emission
-const upsertNotification = async (notificationData, io = null, source = 'system') => {
-  try {
-    const notificationHash = notificationData.notificationHash || generateNotificationHash(notificationData);
-    
-    // Check if notification already exists (within last 30 days to avoid stale data)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const existingNotification = await Notification.findOne({ 
-      notificationHash: notificationHash,
-      timestamp: { $gte: thirtyDaysAgo }
-    });
-    
-    if (existingNotification) {
-      // Check if data has actually changed
-      const hasChanges = 
-        existingNotification.currentStock !== notificationData.currentStock ||
-        existingNotification.amount !== notificationData.amount ||
-        existingNotification.daysSince !== notificationData.daysSince ||
-        existingNotification.priority !== notificationData.priority ||
-        existingNotification.type !== notificationData.type ||
-        existingNotification.message !== notificationData.message ||
-        existingNotification.title !== notificationData.title ||
-        existingNotification.isRead !== notificationData.isRead ||
-        existingNotification.isResolved !== notificationData.isResolved ||
-        existingNotification.color !== notificationData.color ||
-        existingNotification.paymentMode !== notificationData.paymentMode ||
-        existingNotification.customerPhone !== notificationData.customerPhone ||
-        existingNotification.invoiceNumber !== notificationData.invoiceNumber;
-      
-      if (hasChanges) {
-        console.log(`🔄 [${source}] Data changed for notification: ${notificationData.title}`);
-        console.log(`   Hash: ${notificationHash}`);
-        
-        const updatedNotification = await Notification.findOneAndUpdate(
-          { _id: existingNotification._id },
-          {
-            ...notificationData,
-            lastUpdated: new Date(),
-            updatedBy: source,
-            // Preserve original timestamp for new notifications, update for modifications
-            timestamp: notificationData.preserveTimestamp ? existingNotification.timestamp : new Date()
-          },
-          { new: true, runValidators: true }
-        );
-        
-        console.log(`🔄 [${source}] Updated notification: ${updatedNotification.title} (ID: ${updatedNotification._id})`);
-        
-        // ✅ BROADCAST: Emit update event to ALL connected clients
-        if (io) {
-          io.emit('notification_updated', {
-            notification: updatedNotification,
-            action: 'updated',
-            oldId: existingNotification._id,
-            source: source,
-            notificationHash: notificationHash,
-            timestamp: new Date().toISOString()
-          });
-          console.log(`📡 [${source}] Broadcasted 'notification_updated' event to all clients`);
-        }
-        
-        return { 
-          notification: updatedNotification, 
-          isNew: false, 
-          updated: true,
-          action: 'updated'
-        };
-      } else {
-        console.log(`⏭️  [${source}] Skipped unchanged notification: ${existingNotification.title} (ID: ${existingNotification._id})`);
-        return { 
-          notification: existingNotification, 
-          isNew: false, 
-          updated: false,
-          action: 'unchanged'
-        };
-      }
-    } else {
-      // Create new notification
-      const newNotification = new Notification({
-        ...notificationData,
-        notificationHash: notificationHash,
-        timestamp: new Date(),
-        lastUpdated: new Date(),
-        createdBy: source,
-        isResolved: false
-      });
-      
-      await newNotification.save();
-      console.log(`✅ [${source}] Created new notification: ${newNotification.title} (ID: ${newNotification._id}, Hash: ${notificationHash})`);
-      
-      // ✅ BROADCAST: Emit creation event to ALL connected clients
-      if (io) {
-        io.emit('notification_created', {
-          notification: newNotification,
-          action: 'created',
-          source: source,
-          notificationHash: notificationHash,
-          timestamp: new Date().toISOString()
-        });
-        console.log(`📡 [${source}] Broadcasted 'notification_created' event to all clients`);
-      }
-      
-      return { 
-        notification: newNotification, 
-        isNew: true, 
-        updated: false,
-        action: 'created'
-      };
-    }
-  } catch (error) {
-    console.error(`❌ [${source}] Error upserting notification:`, error.message);
-    
-    // Handle duplicate key error
-    if (error.code === 11000) {
-      console.log(`🔄 [${source}] Duplicate key error, recovering existing notification`);
-      const existingNotification = await Notification.findOne({ 
-        notificationHash: error.keyValue.notificationHash 
-      });
-      
-      if (existingNotification) {
-        console.log(`🔄 [${source}] (Recovery) Using existing notification: ${existingNotification.title}`);
-        return { 
-          notification: existingNotification, 
-          isNew: false, 
-          updated: false,
-          action: 'recovered'
-        };
-      }
-    }
-    throw error;
-  }
-};
+const Invoice = require('../models/Invoice');
+const { orderFromInvoice } = require('../services/salesLedger');
+const { overdueAccounts } = require('../services/customerLedger');
+const { generateNotificationHash, upsertNotification } = require('../services/notificationService');
+const { EXPIRY_ALERT_DAYS, generateExpiryAlerts } = require('../services/batchService');
+const { generateLocationStockAlerts } = require('../services/locationService');
 
 // ✅ FIXED: Get all notifications with GST and payment alerts
 router.get('/', async (req, res) => {
@@ -218,6 +64,36 @@ router.get('/', async (req, res) => {
       console.error('Error generating payment alerts:', paymentError.message);
     }
     
+    try {
+      // Generate batch expiry alerts (only add if not already exists)
+      const expiryAlerts = await generateExpiryAlerts(req.io);
+      expiryAlerts.forEach(alert => {
+        const hash = alert.notificationHash || generateNotificationHash(alert);
+        if (!notificationMap.has(hash)) {
+          notificationMap.set(hash, alert);
+        } else {
+          console.log(`⚠️ Expiry alert duplicate skipped: ${alert.title}`);
+        }
+      });
+    } catch (expiryError) {
+      console.error('Error generating expiry alerts:', expiryError.message);
+    }
+    
+    try {
+      // Low stock at each location (only once there is more than one)
+      const locationAlerts = await generateLocationStockAlerts(req.io);
+      locationAlerts.forEach(alert => {
+        const hash = alert.notificationHash || generateNotificationHash(alert);
+        if (!notificationMap.has(hash)) {
+          notificationMap.set(hash, alert);
+        } else {
+          console.log(`⚠️ Location stock alert duplicate skipped: ${alert.title}`);
+        }
+      });
+    } catch (locationError) {
+      console.error('Error generating location stock alerts:', locationError.message);
+    }
+    
     // CRITICAL: Double-filter to remove any resolved notifications
     let uniqueNotifications = Array.from(notificationMap.values())
       .filter(n => !n.isResolved);
@@ -444,24 +320,21 @@ const generateGSTAlerts = async (io = null) => {
   }
 };
 
-// ✅ ENHANCED: Generate payment alerts from orders
+// ✅ ENHANCED: Generate payment alerts from unpaid ledger invoices
 const generatePaymentAlerts = async (io = null) => {
   try {
     const alerts = [];
     const now = new Date();
     
-    if (!Order) {
-      console.log('⚠️ Order model not available');
-      return alerts;
-    }
-    
     let orders = [];
     try {
-      orders = await Order.find({
-        paymentStatus: { 
+      const unpaidInvoices = await Invoice.find({
+        type: 'sale',
+        'payment.status': { 
           $in: ['pending', 'Pending', 'PENDING', 'due', 'Due', 'DUE', 'overdue', 'Overdue', 'OVERDUE'] 
         }
       }).sort({ date: -1 }).limit(20);
+      orders = unpaidInvoices.map(orderFromInvoice);
       
       console.log(`🔍 Found ${orders.length} pending payment orders for payment alerts`);
       
@@ -531,10 +404,96 @@ const generatePaymentAlerts = async (io = null) => {
       }
     }
     
-    // Mark payment alerts as resolved for paid orders
-    const paidOrders = await Order.find({
-      paymentStatus: { $regex: /paid|completed|done/i }
+    // Customer credit accounts with sales past their due date: one alert per
+    // customer, keyed by a KHATA- order ID so it resolves once they catch up
+    const overdue = await overdueAccounts(now);
+    const overdueKeys = new Set();
+
+    for (const account of overdue) {
+      const orderId = `KHATA-${account.customerId}`;
+      overdueKeys.add(orderId);
+
+      const severe = account.daysOverdue >= 30;
+      const notificationData = {
+        type: 'Payment Alert',
+        title: severe ? '⚠️ Credit Account Severely Overdue!' : 'Credit Account Overdue',
+        message: `₹${account.amount.toLocaleString()} overdue for ${account.daysOverdue} days on ${account.invoiceNumbers.length} credit sale(s). Customer: ${account.customerName || 'Unknown'}`,
+        orderId,
+        billNumber: account.invoiceNumbers[0],
+        customerName: account.customerName || 'Unknown Customer',
+        customerPhone: account.customerPhone || 'N/A',
+        amount: account.amount,
+        paymentMode: 'Credit',
+        paymentStatus: 'Overdue',
+        isHighValue: account.amount >= 5000,
+        daysSince: account.daysOverdue,
+        timestamp: account.oldestDueDate,
+        isRead: false,
+        color: severe ? 'red' : 'orange',
+        icon: 'DollarSign',
+        priority: severe || account.amount >= 5000 ? 'high' : 'medium',
+        isResolved: false
+      };
+
+      try {
+        const result = await upsertNotification(notificationData, io, 'payment_service');
+
+        if (result.action === 'created' || result.action === 'updated') {
+          alerts.push(result.notification);
+        }
+      } catch (error) {
+        console.error(`❌ Error processing credit alert for customer ${account.customerId}:`, error.message);
+      }
+    }
+
+    const settledAccountAlerts = await Notification.find({
+      type: 'Payment Alert',
+      isResolved: false,
+      orderId: { $regex: /^KHATA-/ }
+    });
+    const settledAlerts = settledAccountAlerts.filter(alert => !overdueKeys.has(alert.orderId));
+
+    if (settledAlerts.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: settledAlerts.map(alert => alert._id) } },
+        {
+          isResolved: true,
+          isRead: true,
+          resolutionNote: 'Overdue credit sales settled',
+          resolvedAt: new Date(),
+          lastUpdated: new Date()
+        }
+      );
+
+      if (io) {
+        settledAlerts.forEach(alert => {
+          io.emit('notification_resolved', {
+            notificationId: alert._id.toString(),
+            notificationHash: alert.notificationHash,
+            resolutionNote: 'Overdue credit sales settled',
+            source: 'payment_service',
+            timestamp: new Date().toISOString()
+          });
+        });
+      }
+    }
+
+    // Mark payment alerts as resolved for paid orders. Only invoices that
+    // still have an open alert are checked, not the whole ledger.
+    const openAlerts = await Notification.find({
+      type: 'Payment Alert',
+      isResolved: false
+    }).select('orderId');
+    const alertedOrderIds = openAlerts.map(alert => alert.orderId).filter(Boolean);
+
+    const paidInvoices = alertedOrderIds.length === 0 ? [] : await Invoice.find({
+      $or: [
+        { orderId: { $in: alertedOrderIds } },
+        { invoiceNumber: { $in: alertedOrderIds } }
+      ],
+      'payment.status': { $regex: /paid|completed|done/i }
     });
+    const paidOrders = paidInvoices.map(orderFromInvoice);
     
     for (const order of paidOrders) {
       const notificationHash = generateNotificationHash({
@@ -618,6 +577,14 @@ router.get('/stats', async (req, res) => {
       }
     });
     
+    const expiryAlerts = await generateExpiryAlerts(req.io);
+    expiryAlerts.forEach(alert => {
+      const hash = alert.notificationHash || generateNotificationHash(alert);
+      if (!notificationMap.has(hash)) {
+        notificationMap.set(hash, alert);
+      }
+    });
+    
     const uniqueNotifications = Array.from(notificationMap.values());
     
     const stockAlerts = uniqueNotifications.filter(n => 
@@ -626,22 +593,26 @@ router.get('/stats', async (req, res) => {
     
     const gstAlertsList = uniqueNotifications.filter(n => n.type === 'GST Alert');
     const paymentAlertsList = uniqueNotifications.filter(n => n.type === 'Payment Alert');
+    const expiryAlertsList = uniqueNotifications.filter(n => n.type === 'Expiry Alert');
     
     const unreadCount = uniqueNotifications.filter(n => !n.isRead).length;
     const lowStockCount = stockAlerts.filter(n => !n.isRead).length;
     const gstAlertCount = gstAlertsList.filter(n => !n.isRead).length;
     const paymentAlertCount = paymentAlertsList.filter(n => !n.isRead).length;
+    const expiryAlertCount = expiryAlertsList.filter(n => !n.isRead).length;
     
     res.json({
       unreadCount,
       lowStockCount,
       gstAlertCount,
       paymentAlertCount,
+      expiryAlertCount,
       totalNotifications: uniqueNotifications.length,
       breakdown: {
         stock: stockAlerts.length,
         gst: gstAlertsList.length,
         payment: paymentAlertsList.length,
+        expiry: expiryAlertsList.length,
         total: uniqueNotifications.length
       }
     });
@@ -727,10 +698,12 @@ router.post('/check-stock', async (req, res) => {
     // CASE 3: STOCK IS SUFFICIENT (currentStock > minStock)
     console.log(`✅ SUFFICIENT STOCK: ${productName} - Removing all alerts`);
     
-    // Find all stock notifications for this product
+    // Find all stock notifications for this product (per-location alerts
+    // follow their own location's count; see services/locationService.js)
     const existingNotifications = await Notification.find({
       productId: productId,
       type: { $in: ['Low Stock', 'Out of Stock'] },
+      locationCode: { $exists: false },
       isResolved: false
     });
     
@@ -740,7 +713,8 @@ router.post('/check-stock', async (req, res) => {
       // DELETE the notifications completely from database
       const deleteResult = await Notification.deleteMany({
         productId: productId,
-        type: { $in: ['Low Stock', 'Out of Stock'] }
+        type: { $in: ['Low Stock', 'Out of Stock'] },
+        locationCode: { $exists: false }
       });
       
       console.log(`   ✅ Deleted ${deleteResult.deletedCount} notifications from database`);
@@ -809,6 +783,33 @@ router.post('/check-stock', async (req, res) => {
   }
 });
 
+// ✅ BATCH EXPIRY CHECK: alerts for batches expiring within ?days (default BATCH_EXPIRY_ALERT_DAYS)
+router.post('/check-expiry', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : EXPIRY_ALERT_DAYS;
+    if (!Number.isFinite(days) || days < 0) {
+      return res.status(400).json({ error: 'days must be a non-negative number' });
+    }
+
+    const alerts = await generateExpiryAlerts(req.io, { days });
+    const open = await Notification.find({ type: 'Expiry Alert', isResolved: false })
+      .sort({ expiryDate: 1 });
+
+    console.log(`📅 Expiry check (${days} days): ${alerts.length} alerts created/updated, ${open.length} open`);
+
+    res.json({
+      success: true,
+      days,
+      alertsCreatedOrUpdated: alerts.length,
+      openAlerts: open.length,
+      notifications: open
+    });
+  } catch (error) {
+    console.error('❌ Error checking batch expiry:', error);
+    res.status(500).json({ error: 'Error checking batch expiry', details: error.message });
+  }
+});
+
 // Mark notification as read
 router.put('/:id/read', async (req, res) => {
   try {
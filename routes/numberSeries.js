@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const NumberSeries = require('../models/NumberSeries');
+const Counter = require('../models/Counter');
+const {
+  DEFAULT_SERIES,
+  MAX_GST_NUMBER_LENGTH,
+  NUMBER_PATTERN,
+  formatNumber,
+  previewNumber,
+  setNextSequence
+} = require('../services/numberingService');
+
+const EDITABLE_FIELDS = ['name', 'prefix', 'format', 'padding', 'reset', 'perStore', 'isActive'];
+
+// ✅ GET ALL SERIES (built-in defaults merged with saved configuration)
+router.get('/', async (req, res) => {
+  try {
+    const saved = await NumberSeries.find().lean();
+    const keys = [...new Set([...Object.keys(DEFAULT_SERIES), ...saved.map(s => s.key)])];
+
+    const series = await Promise.all(keys.map(async (key) => {
+      const config = saved.find(s => s.key === key) || { key, ...DEFAULT_SERIES[key] };
+      const next = config.isActive === false ? null : await previewNumber(key, req.query);
+      return {
+        ...config,
+        isDefault: !saved.some(s => s.key === key),
+        nextNumber: next ? next.number : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      count: series.length,
+      series
+    });
+  } catch (error) {
+    console.error('❌ Error fetching number series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching number series'
+    });
+  }
+});
+
+// ✅ PREVIEW NEXT NUMBER (does not consume it)
+router.get('/:key/preview', async (req, res) => {
+  try {
+    const next = await previewNumber(req.params.key, {
+      storeCode: req.query.storeCode,
+      date: req.query.date
+    });
+
+    res.json({
+      success: true,
+      ...next
+    });
+  } catch (error) {
+    console.error('❌ Error previewing number:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ✅ CONFIGURE SERIES (admin)
+router.put('/:key', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { force } = req.body;
+
+    let series = await NumberSeries.findOne({ key });
+    if (!series) {
+      series = new NumberSeries({ key, ...DEFAULT_SERIES[key] });
+    }
+
+    const formatChanging = ['prefix', 'format', 'reset', 'perStore'].some(field => {
+      return req.body[field] !== undefined && req.body[field] !== series[field];
+    });
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+
+    await series.validate();
+
+    // Numbers must stay within the GST limit for the longest expected store code
+    const sample = formatNumber(series, 10 ** series.padding - 1, {
+      storeCode: (req.body.sampleStoreCode || process.env.STORE_CODE || 'MAIN').toUpperCase(),
+      date: new Date()
+    });
+    if (sample.length > MAX_GST_NUMBER_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Numbers like ${sample} exceed the ${MAX_GST_NUMBER_LENGTH} character GST limit`
+      });
+    }
+    if (!NUMBER_PATTERN.test(sample)) {
+      return res.status(400).json({
+        success: false,
+        message: `Numbers like ${sample} may only contain letters, digits and '-'`
+      });
+    }
+
+    // Changing the shape of numbers mid-period breaks the running sequence
+    if (formatChanging && !force) {
+      const issued = await Counter.exists({ series: key, seq: { $gt: 0 } });
+      if (issued) {
+        return res.status(409).json({
+          success: false,
+          message: 'Numbers have already been issued in this series; send force: true to change its format'
+        });
+      }
+    }
+
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Number series saved successfully',
+      series,
+      nextNumber: (await previewNumber(key)).number
+    });
+  } catch (error) {
+    console.error('❌ Error saving number series:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving number series'
+    });
+  }
+});
+
+// ✅ SET NEXT NUMBER (admin) - continue a sequence carried over from
+// another system. Only moves forward, so issued numbers are never reused.
+router.put('/:key/next', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const nextSeq = parseInt(req.body.nextNumber);
+    if (!nextSeq || nextSeq < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'nextNumber must be a positive integer'
+      });
+    }
+
+    const next = await setNextSequence(req.params.key, nextSeq, {
+      storeCode: req.body.storeCode,
+      date: req.body.date
+    });
+
+    res.json({
+      success: true,
+      message: 'Next number updated successfully',
+      ...next
+    });
+  } catch (error) {
+    console.error('❌ Error setting next number:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
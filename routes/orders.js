@@ -1,25 +1,95 @@
 const express = require('express');
 const router = express.Router();
-const Order = require('../models/Order');
-
-// Generate unique order ID
-const generateOrderId = async () => {
-    const latestOrder = await Order.findOne().sort({ createdAt: -1 });
-    if (latestOrder && latestOrder.orderId) {
-        const lastNumber = parseInt(latestOrder.orderId.replace('ORD', '')) || 0;
-        return `ORD${String(lastNumber + 1).padStart(5, '0')}`;
+const { requirePermission } = require('../middleware/auth');
+const Invoice = require('../models/Invoice');
+const {
+    orderFromInvoice,
+    applyLegacyUpdate,
+    findByLegacyId,
+    toInvoiceStatus,
+    toMethod,
+    STATUS_TO_INVOICE,
+    PAYMENT_MODE_TO_METHOD,
+    PAYMENT_STATUS_TO_INVOICE,
+    taxExtras,
+    createFromOrder
+} = require('../services/salesLedger');
+const { calculateTax, priceFromCatalogue } = require('../services/taxService');
+const { allocateBatches } = require('../services/batchService');
+const { resolveLocation, sellFromLocation } = require('../services/locationService');
+const { cancelSale } = require('../services/returnsService');
+const {
+    amountPaidOf,
+    balanceDueOf,
+    normalizeTenders,
+    applyTenders,
+    recordInvoicePayments
+} = require('../services/paymentService');
+const Stock = require('../models/Stock');
+const ApiError = require('../utils/ApiError');
+
+// Only documents recorded through these endpoints are edited here; sales,
+// invoices and checkouts have their own routes
+const ORDER_SOURCES = ['order', 'bill'];
+
+// Fields that change what the customer is charged
+const FINANCIAL_FIELDS = ['items', 'subtotal', 'gst', 'discount', 'totalAmount'];
+
+// Why an order's items and totals can no longer be replaced, if they can't
+const lockReason = async (invoice) => {
+    if (invoice.eInvoice?.status === 'generated') return 'an IRN has been generated';
+    if (amountPaidOf(invoice) > 0) return 'payments have been recorded';
+    if (invoice.items.some(item => typeof item.gstRate === 'number')) return 'tax has been calculated';
+    const stockTaken = await Stock.exists({
+        sourceType: { $in: ['sale', 'invoice', 'checkout'] },
+        sourceId: invoice._id
+    });
+    if (stockTaken) return 'stock has been taken';
+    return null;
+};
+
+// Status changes that move money or stock go through their services:
+// completing an order settles its balance with a Payment, cancelling it puts
+// the stock back. Refunds are recorded as a return.
+const changeStatus = async (invoice, status, { paymentMode, performedBy }) => {
+    if (['cancelled', 'refunded'].includes(invoice.status)) {
+        throw new ApiError(`Order is already ${invoice.status}`, 409);
+    }
+    if (status === 'Cancelled') {
+        return cancelSale(invoice._id, { reason: 'Order cancelled', performedBy });
+    }
+    if (status === 'Refunded') {
+        throw new ApiError('Refunds are recorded as a return against the order (POST /api/returns)');
+    }
+
+    if (status === 'Completed') {
+        const due = balanceDueOf(invoice);
+        if (due > 0) {
+            const method = paymentMode
+                ? toMethod(paymentMode)
+                : (Object.values(PAYMENT_MODE_TO_METHOD).includes(invoice.payment?.method) ? invoice.payment.method : 'cash');
+            ({ invoice } = await recordInvoicePayments(invoice._id, [{ method, amount: due }], { performedBy }));
+        }
     }
-    return 'ORD00001';
+
+    invoice.status = toInvoiceStatus(status);
+    await invoice.save();
+    return invoice;
 };
 
-// Generate unique bill number
-const generateBillNumber = async () => {
-    const latestOrder = await Order.findOne().sort({ createdAt: -1 });
-    if (latestOrder && latestOrder.billNumber) {
-        const lastNumber = parseInt(latestOrder.billNumber.replace('BILL', '')) || 0;
-        return `BILL${String(lastNumber + 1).padStart(4, '0')}`;
+const findOrder = async (id) => {
+    const invoice = await findByLegacyId(id);
+    if (!invoice) {
+        throw new ApiError('Order not found', 404);
     }
-    return 'BILL0001';
+    if (!ORDER_SOURCES.includes(invoice.source)) {
+        throw new ApiError(`This ${invoice.source} cannot be changed through the orders endpoint`);
+    }
+    return invoice;
+};
+
+const sendError = (res, error, fallbackStatus = 400) => {
+    res.status(error instanceof ApiError ? error.statusCode : fallbackStatus).json({ error: error.message });
 };
 
 // Get all orders with filters
@@ -36,13 +106,15 @@ router.get('/', async (req, res) => {
             page = 1
         } = req.query;
 
-        const query = {};
+        // Orders are read from the unified sales ledger
+        const query = { type: 'sale' };
 
         // Search filter
         if (search) {
             query.$or = [
                 { orderId: { $regex: search, $options: 'i' } },
                 { billNumber: { $regex: search, $options: 'i' } },
+                { invoiceNumber: { $regex: search, $options: 'i' } },
                 { customerName: { $regex: search, $options: 'i' } },
                 { customerPhone: { $regex: search, $options: 'i' } }
             ];
@@ -50,12 +122,12 @@ router.get('/', async (req, res) => {
 
         // Status filter
         if (status && status !== 'all') {
-            query.status = status;
+            query.status = toInvoiceStatus(status);
         }
 
         // Payment status filter
         if (paymentStatus && paymentStatus !== 'all') {
-            query.paymentStatus = paymentStatus;
+            query['payment.status'] = PAYMENT_STATUS_TO_INVOICE[paymentStatus] || paymentStatus;
         }
 
         // Date range filter
@@ -72,15 +144,15 @@ router.get('/', async (req, res) => {
 
         const skip = (page - 1) * limit;
 
-        const orders = await Order.find(query)
+        const invoices = await Invoice.find(query)
             .sort({ date: -1 })
             .skip(skip)
             .limit(parseInt(limit));
 
-        const total = await Order.countDocuments(query);
+        const total = await Invoice.countDocuments(query);
 
         res.json({
-            orders,
+            orders: invoices.map(orderFromInvoice),
             total,
             page: parseInt(page),
             totalPages: Math.ceil(total / limit)
@@ -93,118 +165,236 @@ router.get('/', async (req, res) => {
 // Get single order
 router.get('/:id', async (req, res) => {
     try {
-        const order = await Order.findOne({ 
-            $or: [
-                { orderId: req.params.id },
-                { billNumber: req.params.id },
-                { _id: req.params.id }
-            ]
-        });
+        const invoice = await findByLegacyId(req.params.id);
         
-        if (!order) {
+        if (!invoice) {
             return res.status(404).json({ error: 'Order not found' });
         }
         
-        res.json(order);
+        res.json(orderFromInvoice(invoice));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // Create new order
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('billing:create'), async (req, res) => {
     try {
-        const orderId = await generateOrderId();
-        const billNumber = await generateBillNumber();
-
-        const orderData = {
-            ...req.body,
-            orderId,
-            billNumber,
-            date: req.body.date || new Date()
-        };
+        // Order and bill numbers come from the numbering service; totals are
+        // calculated here, never taken from the client
+        const {
+            customerName,
+            customerPhone,
+            customerEmail,
+            items,
+            paymentMode,
+            paymentStatus,
+            status,
+            discount,
+            placeOfSupply,
+            customerGstin,
+            gstInclusive,
+            isOffline,
+            notes
+        } = req.body || {};
+
+        const validItems = Array.isArray(items)
+            ? items.filter(item => item.product && item.quantity > 0)
+            : [];
+        if (validItems.length === 0) {
+            return res.status(400).json({ error: 'At least one item with a product name and quantity is required' });
+        }
 
-        const order = new Order(orderData);
-        await order.save();
+        // Catalogue products are billed at their catalogue price; GST rates
+        // come from the tax slabs by HSN code or category
+        const discountAmount = parseFloat(discount) || 0;
+        const tax = await calculateTax(await priceFromCatalogue(validItems.map(item => ({
+            productId: item.productId,
+            productName: item.product,
+            hsnCode: item.hsnCode,
+            category: item.category,
+            quantity: parseInt(item.quantity) || 1,
+            unitPrice: parseFloat(item.price) || 0
+        }))), {
+            gstInclusive,
+            placeOfSupply,
+            customerGstin,
+            discountAfterTax: discountAmount
+        });
+        const { subtotal, totalGST: gst, finalAmount: totalAmount } = tax.totals;
+        const paid = paymentStatus === 'Paid';
+
+        const invoice = await createFromOrder({
+            date: new Date(),
+            customerName,
+            customerPhone,
+            customerEmail,
+            items: validItems.map(item => ({
+                product: item.product,
+                quantity: parseInt(item.quantity) || 1,
+                price: parseFloat(item.price) || 0
+            })),
+            subtotal,
+            gst,
+            discount: discountAmount,
+            totalAmount,
+            paymentMode: paymentMode || 'Cash',
+            // A paid order is settled below with a Payment, not by its status
+            paymentStatus: 'Pending',
+            status: paid ? 'Completed' : (['Pending', 'Processing'].includes(status) ? status : 'Pending'),
+            isOffline: !!isOffline,
+            notes
+        }, {
+            ...taxExtras(tax),
+            customerGstin,
+            source: 'order',
+            createdBy: req.user?.username
+        }, async (invoice, session) => {
+            // Lines that name a productId take their stock from the store's location
+            const location = await resolveLocation({
+                locationId: req.body.locationId,
+                storeCode: req.body.storeCode
+            }, session);
+            invoice.locationId = location._id;
+            invoice.locationCode = location.code;
+
+            // Batch-tracked units go earliest expiry first; expired stock is refused
+            await allocateBatches(invoice.items, { session });
+            await sellFromLocation(invoice.items, location, {
+                source: { type: 'sale', id: invoice._id, reference: invoice.billNumber },
+                performedBy: req.user?.username,
+                session
+            });
+
+            if (paid && totalAmount > 0) {
+                await applyTenders({
+                    invoice,
+                    customer: null,
+                    tenders: normalizeTenders([{ method: toMethod(paymentMode), amount: totalAmount }]),
+                    performedBy: req.user?.username,
+                    session
+                });
+            }
+        });
 
         res.status(201).json({
             message: 'Order created successfully',
-            order
+            order: orderFromInvoice(invoice)
         });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Update order
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('billing:edit'), async (req, res) => {
     try {
-        const order = await Order.findOneAndUpdate(
-            { orderId: req.params.id },
-            req.body,
-            { new: true, runValidators: true }
-        );
+        let invoice = await findOrder(req.params.id);
 
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
+        // Order and bill numbers are fixed once issued; status and payment
+        // status are applied through changeStatus below
+        const { orderId, billNumber, status, paymentStatus, ...changes } = req.body || {};
+
+        if (status !== undefined && !STATUS_TO_INVOICE[status]) {
+            return res.status(400).json({ error: `Status must be one of: ${Object.keys(STATUS_TO_INVOICE).join(', ')}` });
+        }
+
+        // Paid settles the balance like completing the order; a payment
+        // cannot be taken back here
+        let targetStatus = status;
+        if (paymentStatus === 'Paid') {
+            if (status !== undefined && status !== 'Completed') {
+                return res.status(400).json({ error: 'A paid order is Completed' });
+            }
+            targetStatus = 'Completed';
+        } else if (paymentStatus !== undefined && !(paymentStatus === 'Pending' && amountPaidOf(invoice) <= 0)) {
+            return res.status(400).json({ error: 'Payment status can only be set to Paid; refunds are recorded as a return' });
+        }
+
+        const financial = FINANCIAL_FIELDS.filter(field => changes[field] !== undefined);
+        if (changes.paymentMode !== undefined && amountPaidOf(invoice) > 0) {
+            financial.push('paymentMode');
+        }
+        if (financial.length > 0) {
+            const reason = await lockReason(invoice);
+            if (reason) {
+                return res.status(409).json({ error: `Cannot change ${financial.join(', ')}: ${reason}` });
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            applyLegacyUpdate(invoice, changes, 'order');
+            await invoice.save();
+        }
+
+        if (targetStatus !== undefined && toInvoiceStatus(targetStatus) !== invoice.status) {
+            invoice = await changeStatus(invoice, targetStatus, {
+                paymentMode: changes.paymentMode,
+                performedBy: req.user?.username
+            });
         }
 
         res.json({
             message: 'Order updated successfully',
-            order
+            order: orderFromInvoice(invoice)
         });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Delete order
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('billing:delete'), async (req, res) => {
     try {
-        const order = await Order.findOneAndDelete({ orderId: req.params.id });
+        const invoice = await findByLegacyId(req.params.id);
 
-        if (!order) {
+        if (!invoice) {
             return res.status(404).json({ error: 'Order not found' });
         }
 
+        // Cancelled rather than deleted, with its stock put back; paid or
+        // returned orders must go through a return instead
+        const cancelled = await cancelSale(invoice._id, {
+            reason: 'Order deleted',
+            performedBy: req.user?.username
+        });
+
         res.json({
-            message: 'Order deleted successfully'
+            message: 'Order cancelled successfully',
+            order: orderFromInvoice(cancelled)
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 500);
     }
 });
 
 // Update order status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission('billing:edit'), async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, paymentMode } = req.body || {};
         
         if (!status) {
             return res.status(400).json({ error: 'Status is required' });
         }
+        if (!STATUS_TO_INVOICE[status]) {
+            return res.status(400).json({ error: `Status must be one of: ${Object.keys(STATUS_TO_INVOICE).join(', ')}` });
+        }
 
-        const order = await Order.findOneAndUpdate(
-            { orderId: req.params.id },
-            { 
-                status,
-                // Update payment status based on order status
-                paymentStatus: status === 'Completed' ? 'Paid' : 
-                              status === 'Cancelled' ? 'Cancelled' : 'Pending'
-            },
-            { new: true }
-        );
-
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
+        let invoice = await findOrder(req.params.id);
+
+        if (toInvoiceStatus(status) !== invoice.status) {
+            invoice = await changeStatus(invoice, status, {
+                paymentMode,
+                performedBy: req.user?.username
+            });
         }
 
         res.json({
             message: 'Order status updated successfully',
-            order
+            order: orderFromInvoice(invoice)
         });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
@@ -217,12 +407,12 @@ router.get('/statistics/summary', async (req, res) => {
         if (startDate) dateFilter.$gte = new Date(startDate);
         if (endDate) dateFilter.$lte = new Date(endDate);
 
-        const matchStage = {};
+        const matchStage = { type: 'sale' };
         if (startDate || endDate) {
             matchStage.date = dateFilter;
         }
 
-        const statistics = await Order.aggregate([
+        const statistics = await Invoice.aggregate([
             { $match: matchStage },
             {
                 $group: {
@@ -230,19 +420,19 @@ router.get('/statistics/summary', async (req, res) => {
                     totalOrders: { $sum: 1 },
                     totalRevenue: { $sum: '$totalAmount' },
                     completedOrders: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, 1, 0] }
+                        $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
                     },
                     pendingOrders: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Pending'] }, 1, 0] }
+                        $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
                     },
                     processingOrders: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Processing'] }, 1, 0] }
+                        $sum: { $cond: [{ $eq: ['$status', 'processing'] }, 1, 0] }
                     },
                     cancelledOrders: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Cancelled'] }, 1, 0] }
+                        $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
                     },
                     refundedOrders: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Refunded'] }, 1, 0] }
+                        $sum: { $cond: [{ $eq: ['$status', 'refunded'] }, 1, 0] }
                     },
                     avgOrderValue: { $avg: '$totalAmount' }
                 }
@@ -1,62 +1,158 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Payment = require('../models/Payment');
+const { recordInvoicePayments, getSettlement, refundPayment } = require('../services/paymentService');
+const ApiError = require('../utils/ApiError');
+
+const balanceOf = (invoice) => ({
+  invoiceNumber: invoice.invoiceNumber,
+  total: invoice.finalAmount,
+  amountPaid: invoice.amountPaid,
+  balanceDue: invoice.balanceDue,
+  paymentStatus: invoice.paymentStatus,
+  method: invoice.payment?.method
+});
+
+const emitPaymentNotification = (req, invoice, payments) => {
+  if (!req.io) return;
+
+  const amount = payments.reduce((sum, p) => sum + p.amount, 0);
+  req.io.emit('new_notification', {
+    type: 'payment_processed',
+    title: 'Payment Processed',
+    message: `Payment of ₹${amount} received for ${invoice.invoiceNumber} via ${payments.map(p => p.method).join(' + ')}`
+      + (invoice.balanceDue > 0 ? ` (₹${invoice.balanceDue} due)` : ''),
+    amount,
+    method: invoice.payment?.method,
+    priority: 'high',
+    color: 'green',
+    icon: 'CreditCard',
+    timestamp: new Date(),
+    isRead: false
+  });
+};
+
+// Payment logged without an invoice, as /process did before invoices kept
+// a balance. Nothing is settled; the record is only stored.
+const recordStandalonePayment = async (req, res) => {
+  const paymentData = req.body;
+  const paymentId = `PAY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  const payment = new Payment({
+    ...paymentData,
+    _id: paymentId,
+    paymentId,
+    status: 'completed',
+    processedAt: new Date(),
+    createdAt: new Date()
+  });
 
-// Process payment
-router.post('/process', async (req, res) => {
   try {
-    const paymentData = req.body;
-    
-    // Generate payment ID
-    const paymentId = `PAY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Create payment record
-    const payment = new Payment({
-      ...paymentData,
-      paymentId,
-      status: 'completed',
-      processedAt: new Date(),
-      createdAt: new Date()
+    await payment.save();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return res.status(400).json({
+      success: false,
+      error: error.message
     });
+  }
 
-    await payment.save();
-    
-    // Emit notification
-    if (req.io) {
-      req.io.emit('new_notification', {
-        type: 'payment_processed',
-        title: 'Payment Processed',
-        message: `Payment of ₹${paymentData.amount} processed via ${paymentData.method}`,
-        amount: paymentData.amount,
-        method: paymentData.method,
-        priority: 'high',
-        color: 'green',
-        icon: 'CreditCard',
-        timestamp: new Date(),
-        isRead: false
-      });
+  if (req.io) {
+    req.io.emit('new_notification', {
+      type: 'payment_processed',
+      title: 'Payment Processed',
+      message: `Payment of ₹${payment.amount} processed via ${payment.method}`,
+      amount: payment.amount,
+      method: payment.method,
+      priority: 'high',
+      color: 'green',
+      icon: 'CreditCard',
+      timestamp: new Date(),
+      isRead: false
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Payment processed successfully',
+    payment: {
+      paymentId,
+      amount: payment.amount,
+      method: payment.method,
+      status: payment.status,
+      timestamp: payment.processedAt
     }
+  });
+};
+
+// Record one payment against an invoice (kept for existing clients;
+// POST /invoice/:invoiceId takes several tenders at once). Without an
+// invoiceId the payment is stored on its own, as before.
+router.post('/process', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const { invoiceId, method, amount, transactionId, referenceNumber, tendered } = req.body || {};
+
+    if (!invoiceId) {
+      return await recordStandalonePayment(req, res);
+    }
+
+    const { invoice, payments } = await recordInvoicePayments(
+      invoiceId,
+      [{ method, amount, transactionId, referenceNumber, tendered }],
+      { performedBy: req.user.username }
+    );
+    const [payment] = payments;
+
+    emitPaymentNotification(req, invoice, payments);
 
     res.json({
       success: true,
       message: 'Payment processed successfully',
       payment: {
-        paymentId,
-        amount: paymentData.amount,
-        method: paymentData.method,
-        status: 'completed',
+        paymentId: payment.paymentId,
+        amount: payment.amount,
+        method: payment.method,
+        status: payment.status,
         timestamp: payment.processedAt
-      }
+      },
+      balance: balanceOf(invoice)
     });
   } catch (error) {
     console.error('Error processing payment:', error);
-    res.status(500).json({
+    res.status(error instanceof ApiError ? error.statusCode : 500).json({
       success: false,
       error: error.message || 'Payment processing failed'
     });
   }
 });
 
+// Settle an invoice with any mix of cash, UPI, card, coins and store credit
+router.post('/invoice/:invoiceId', requirePermission('billing:create'), async (req, res) => {
+  try {
+    const { invoice, payments } = await recordInvoicePayments(
+      req.params.invoiceId,
+      req.body.payments,
+      { performedBy: req.user.username }
+    );
+
+    emitPaymentNotification(req, invoice, payments);
+
+    res.status(201).json({
+      success: true,
+      message: invoice.paymentStatus === 'paid' ? 'Invoice fully paid' : 'Part payment recorded',
+      payments,
+      balance: balanceOf(invoice)
+    });
+  } catch (error) {
+    console.error('Error recording invoice payments:', error);
+    res.status(error instanceof ApiError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message || 'Failed to record payments'
+    });
+  }
+});
+
 // Get all payments
 router.get('/', async (req, res) => {
   try {
@@ -125,50 +221,33 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Get payments by invoice ID
+// Settlement history of an invoice: payments, refunds and balance
 router.get('/invoice/:invoiceId', async (req, res) => {
   try {
-    const payments = await Payment.find({ invoiceId: req.params.invoiceId })
-      .sort({ processedAt: -1 });
+    const settlement = await getSettlement(req.params.invoiceId);
 
     res.json({
       success: true,
-      count: payments.length,
-      payments
+      count: settlement.payments.length,
+      ...settlement
     });
   } catch (error) {
     console.error('Error fetching invoice payments:', error);
-    res.status(500).json({
+    res.status(error instanceof ApiError ? error.statusCode : 500).json({
       success: false,
       error: error.message || 'Failed to fetch invoice payments'
     });
   }
 });
 
-// Refund payment
-router.post('/:id/refund', async (req, res) => {
+// Refund payment; the invoice's balance due reopens by the refunded amount
+router.post('/:id/refund', requirePermission('billing:refund'), async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id);
-    
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        error: 'Payment not found'
-      });
-    }
-
-    if (payment.status === 'refunded') {
-      return res.status(400).json({
-        success: false,
-        error: 'Payment already refunded'
-      });
-    }
+    const { payment, invoice } = await refundPayment(req.params.id, {
+      reason: req.body.reason,
+      performedBy: req.user.username
+    });
 
-    payment.status = 'refunded';
-    payment.refundedAt = new Date();
-    payment.refundReason = req.body.reason || 'Customer request';
-    await payment.save();
-    
     // Emit notification
     if (req.io) {
       req.io.emit('new_notification', {
@@ -188,11 +267,12 @@ router.post('/:id/refund', async (req, res) => {
     res.json({
       success: true,
       message: 'Payment refunded successfully',
-      payment
+      payment,
+      balance: invoice ? balanceOf(invoice) : null
     });
   } catch (error) {
     console.error('Error refunding payment:', error);
-    res.status(500).json({
+    res.status(error instanceof ApiError ? error.statusCode : 500).json({
       success: false,
       error: error.message || 'Failed to refund payment'
     });
@@ -202,7 +282,11 @@ router.post('/:id/refund', async (req, res) => {
 // Get payment summary by method
 router.get('/summary/methods', async (req, res) => {
   try {
+    // Refund records are money out, not takings
+    const takings = { $match: { type: { $ne: 'refund' } } };
+
     const summary = await Payment.aggregate([
+      takings,
       {
         $group: {
           _id: '$method',
@@ -214,6 +298,7 @@ router.get('/summary/methods', async (req, res) => {
     ]);
 
     const total = await Payment.aggregate([
+      takings,
       {
         $group: {
           _id: null,
@@ -2,6 +2,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 
 // Import all controller functions
 const {
@@ -15,7 +16,14 @@ const {
   getLowStockProducts,
   getOutOfStockProducts,
   getProductsByCategory,
-  getProductStats
+  getProductStats,
+  bulkAssignTaxSlab,
+  getMissingTaxReport,
+  getProductByBarcode,
+  addBarcode,
+  removeBarcode,
+  generateMissingBarcodes,
+  printBarcodeLabels
 } = require('../controllers/productController');
 
 // ============================================
@@ -29,7 +37,7 @@ const {
 /**
  * @route   GET /api/products/stats
  * @desc    Get product statistics (total, in stock, low stock, out of stock, inventory value)
- * @access  Public
+ * @access  Private
  * @example GET http://localhost:5000/api/products/stats
  */
 router.get('/stats', getProductStats);
@@ -40,7 +48,7 @@ router.get('/stats', getProductStats);
 /**
  * @route   GET /api/products/search
  * @desc    Search products by keyword in name, category, productId, or description
- * @access  Public
+ * @access  Private
  * @query   q - Search keyword (required)
  * @example GET http://localhost:5000/api/products/search?q=laptop
  */
@@ -52,7 +60,7 @@ router.get('/search', searchProducts);
 /**
  * @route   GET /api/products/low-stock
  * @desc    Get all products with low stock (stock <= minStock but > 0)
- * @access  Public
+ * @access  Private
  * @example GET http://localhost:5000/api/products/low-stock
  */
 router.get('/low-stock', getLowStockProducts);
@@ -63,7 +71,7 @@ router.get('/low-stock', getLowStockProducts);
 /**
  * @route   GET /api/products/out-of-stock
  * @desc    Get all products that are out of stock (stock <= 0)
- * @access  Public
+ * @access  Private
  * @example GET http://localhost:5000/api/products/out-of-stock
  */
 router.get('/out-of-stock', getOutOfStockProducts);
@@ -74,19 +82,91 @@ router.get('/out-of-stock', getOutOfStockProducts);
 /**
  * @route   GET /api/products/category/:category
  * @desc    Get all products in a specific category
- * @access  Public
+ * @access  Private
  * @param   category - Category name (case-insensitive)
  * @example GET http://localhost:5000/api/products/category/Electronics
  */
 router.get('/category/:category', getProductsByCategory);
 
+// ============================================
+// TAX CONFIGURATION ROUTES
+// ============================================
+/**
+ * @route   GET /api/products/tax/missing
+ * @desc    Products missing an HSN code or a tax rate (no slab and no gstRate),
+ *          or linked to an inactive slab
+ * @access  Private
+ * @query   category - Limit to one category (optional)
+ * @example GET http://localhost:5000/api/products/tax/missing?category=Grocery
+ */
+router.get('/tax/missing', getMissingTaxReport);
+
+/**
+ * @route   POST /api/products/tax/bulk-assign
+ * @desc    Link every product in a category to a tax slab. Products without an
+ *          HSN code take the slab's.
+ * @access  Private (admin)
+ * @body    {
+ *            category: String (required),
+ *            taxSlabId: String (required),
+ *            overwrite: Boolean (optional, default: false - keep existing links)
+ *          }
+ * @example POST http://localhost:5000/api/products/tax/bulk-assign
+ *          Body: { "category": "Grocery", "taxSlabId": "507f1f77bcf86cd799439011" }
+ */
+router.post('/tax/bulk-assign', requirePermission('tax:manage'), bulkAssignTaxSlab);
+
+// ============================================
+// BARCODE ROUTES
+// ============================================
+/**
+ * @route   GET /api/products/barcode/:code
+ * @desc    Find the product for a scanned code at billing. Matches any of the
+ *          product's barcodes (a UPC-A also matches as a 13-digit EAN), its
+ *          SKU or its product ID
+ * @access  Private
+ * @param   code - Scanned barcode, SKU or product ID
+ * @example GET http://localhost:5000/api/products/barcode/8901030865278
+ */
+router.get('/barcode/:code', getProductByBarcode);
+
+/**
+ * @route   POST /api/products/barcodes/generate
+ * @desc    Issue an internal EAN-13 (starting 20) to every product without a barcode
+ * @access  Private (admin)
+ * @body    {
+ *            productIds: [String] (optional, limit to these products),
+ *            category: String (optional, limit to one category)
+ *          }
+ * @example POST http://localhost:5000/api/products/barcodes/generate
+ *          Body: { "category": "Loose Grocery" }
+ */
+router.post('/barcodes/generate', requirePermission('products:manage'), generateMissingBarcodes);
+
+/**
+ * @route   POST /api/products/barcodes/labels
+ * @desc    A4 PDF sheet of barcode labels with name and price
+ * @access  Private
+ * @body    {
+ *            items: [{ productId, copies, barcode }] (or category),
+ *            category: String (one label set for every product in it),
+ *            copies: Number (optional, default: 1, per product),
+ *            columns: Number (optional, default: 3, max 5),
+ *            rows: Number (optional, default: 8, max 12),
+ *            showPrice: Boolean (optional, default: true)
+ *          }
+ * @example POST http://localhost:5000/api/products/barcodes/labels
+ *          Body: { "items": [{ "productId": "507f1f77bcf86cd799439011", "copies": 12 }] }
+ */
+router.post('/barcodes/labels', printBarcodeLabels);
+
 // ============================================
 // PRODUCT ID ROUTE (Custom Product ID like PRD-123)
 // ============================================
 /**
  * @route   GET /api/products/product-id/:productId
  * @desc    Get a single product by its custom product ID (e.g., PRD-123456789)
- * @access  Public
+ * @access  Private
  * @param   productId - Custom product identifier
  * @example GET http://localhost:5000/api/products/product-id/PRD-123456789
  */
@@ -98,7 +178,7 @@ router.get('/product-id/:productId', getProductByProductId);
 /**
  * @route   GET /api/products
  * @desc    Get all products with optional pagination, sorting, and filtering
- * @access  Public
+ * @access  Private
  * @query   page - Page number (default: 1)
  * @query   limit - Items per page (default: 100)
  * @query   sortBy - Field to sort by (default: createdAt)
@@ -117,7 +197,7 @@ router.get('/', getAllProducts);
 /**
  * @route   GET /api/products/:id
  * @desc    Get a single product by MongoDB _id
- * @access  Public
+ * @access  Private
  * @param   id - MongoDB ObjectId
  * @example GET http://localhost:5000/api/products/507f1f77bcf86cd799439011
  */
@@ -129,7 +209,7 @@ router.get('/:id', getProductById);
 /**
  * @route   POST /api/products
  * @desc    Create a new product
- * @access  Public
+ * @access  Private (admin)
  * @body    {
  *            productId: String (required, unique, e.g., "PRD-123456789"),
  *            name: String (required),
@@ -138,7 +218,13 @@ router.get('/:id', getProductById);
  *            stock: Number (required, >= 0),
  *            minStock: Number (optional, default: 5),
  *            description: String (optional),
- *            image: String (optional, base64 or URL)
+ *            image: String (optional, base64 or URL),
+ *            hsnCode: String (optional, HSN/SAC),
+ *            taxSlabId: String (optional, defaults hsnCode from the slab),
+ *            gstRate: Number (optional, used when no slab is linked),
+ *            sku: String (optional, unique),
+ *            barcodes: [String | { code, type: EAN13|UPC|INTERNAL }] (optional),
+ *            generateBarcode: Boolean (optional, issue an internal barcode if none given)
  *          }
  * @example POST http://localhost:5000/api/products
  *          Body: {
@@ -152,7 +238,7 @@ router.get('/:id', getProductById);
  *            "image": "data:image/jpeg;base64,..."
  *          }
  */
-router.post('/', createProduct);
+router.post('/', requirePermission('products:manage'), createProduct);
 
 // ============================================
 // UPDATE PRODUCT
@@ -160,7 +246,7 @@ router.post('/', createProduct);
 /**
  * @route   PUT /api/products/:id
  * @desc    Update an existing product by MongoDB _id
- * @access  Public
+ * @access  Private (admin)
  * @param   id - MongoDB ObjectId
  * @body    {
  *            name: String (optional),
@@ -169,7 +255,12 @@ router.post('/', createProduct);
  *            stock: Number (optional),
  *            minStock: Number (optional),
  *            description: String (optional),
- *            image: String (optional)
+ *            image: String (optional),
+ *            hsnCode: String (optional),
+ *            taxSlabId: String (optional, null to unlink),
+ *            gstRate: Number (optional),
+ *            sku: String (optional, '' to clear),
+ *            barcodes: [String | { code, type }] (optional, replaces the list)
  *          }
  * @note    Only provided fields will be updated
  * @example PUT http://localhost:5000/api/products/507f1f77bcf86cd799439011
@@ -178,7 +269,29 @@ router.post('/', createProduct);
  *            "stock": 15
  *          }
  */
-router.put('/:id', updateProduct);
+router.put('/:id', requirePermission('products:manage'), updateProduct);
+
+// ============================================
+// PRODUCT BARCODES
+// ============================================
+/**
+ * @route   POST /api/products/:id/barcodes
+ * @desc    Add a barcode to a product; with no code, issue an internal one
+ * @access  Private (admin)
+ * @param   id - MongoDB ObjectId
+ * @body    { code: String (optional), type: EAN13|UPC|INTERNAL (optional, detected) }
+ * @example POST http://localhost:5000/api/products/507f1f77bcf86cd799439011/barcodes
+ *          Body: { "code": "8901030865278" }
+ */
+router.post('/:id/barcodes', requirePermission('products:manage'), addBarcode);
+
+/**
+ * @route   DELETE /api/products/:id/barcodes/:code
+ * @desc    Remove one barcode from a product
+ * @access  Private (admin)
+ * @example DELETE http://localhost:5000/api/products/507f1f77bcf86cd799439011/barcodes/8901030865278
+ */
+router.delete('/:id/barcodes/:code', requirePermission('products:manage'), removeBarcode);
 
 // ============================================
 // DELETE PRODUCT
@@ -186,11 +299,11 @@ router.put('/:id', updateProduct);
 /**
  * @route   DELETE /api/products/:id
  * @desc    Delete a product by MongoDB _id
- * @access  Public
+ * @access  Private (admin)
  * @param   id - MongoDB ObjectId
  * @example DELETE http://localhost:5000/api/products/507f1f77bcf86cd799439011
  */
-router.delete('/:id', deleteProduct);
+router.delete('/:id', requirePermission('products:delete'), deleteProduct);
 
 // ============================================
 // EXPORT ROUTER
@@ -0,0 +1,346 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const {
+  createPurchaseOrder,
+  approvePurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  recordPurchaseInvoice,
+  payPurchaseInvoice,
+  cancelPurchaseInvoice,
+  inputTaxCredit
+} = require('../services/purchaseService');
+const { reorderSuggestions, createDraftOrders } = require('../services/replenishment');
+const { parsePeriod } = require('../services/gstReturns');
+const ApiError = require('../utils/ApiError');
+
+const sendError = (res, error, action) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`
+  });
+};
+
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+// ============== PURCHASE ORDERS ==============
+
+// ✅ GET PURCHASE ORDERS
+router.get('/orders', async (req, res) => {
+  try {
+    const { supplierId, status, from, to, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (supplierId) query.supplierId = supplierId;
+    if (status) query.status = status;
+    if (from || to) query.orderDate = dateRange(from, to);
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(query)
+        .sort({ orderDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching purchase orders');
+  }
+});
+
+// ✅ GET ONE PURCHASE ORDER with its supplier invoices
+router.get('/orders/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const invoices = await PurchaseInvoice.find({ purchaseOrderId: order._id })
+      .select('invoiceNumber invoiceDate totalAmount balanceDue paymentStatus status');
+
+    res.json({
+      success: true,
+      order,
+      invoices
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching purchase order');
+  }
+});
+
+// ✅ RAISE PURCHASE ORDER
+// body: { supplierId, items: [{ productId, quantity, unitCost, gstRate }], expectedDate, notes }
+router.post('/orders', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const order = await createPurchaseOrder(req.body, { performedBy: req.user.username });
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${order.poNumber} raised`,
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'raising purchase order');
+  }
+});
+
+// ✅ APPROVE DRAFT (optionally with adjusted items) and send it to the supplier
+router.post('/orders/:id/approve', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const order = await approvePurchaseOrder(req.params.id, req.body, { performedBy: req.user.username });
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.poNumber} approved`,
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'approving purchase order');
+  }
+});
+
+// ✅ RECEIVE GOODS (all of it, or body.items: [{ productId, quantity, batchNumber, mfgDate, expiryDate }])
+router.post('/orders/:id/receive', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const { order, receipt } = await receivePurchaseOrder(req.params.id, req.body, {
+      performedBy: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: order.status === 'received'
+        ? `Purchase order ${order.poNumber} fully received`
+        : `Goods received against ${order.poNumber}`,
+      receipt,
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'receiving goods');
+  }
+});
+
+// ✅ CANCEL PURCHASE ORDER (whatever is still due)
+router.post('/orders/:id/cancel', requirePermission('purchases:manage'), async (req, res) => {
+  try {
+    const order = await cancelPurchaseOrder(req.params.id, { reason: req.body?.reason });
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.poNumber} cancelled`,
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'cancelling purchase order');
+  }
+});
+
+// ============== REPLENISHMENT ==============
+
+const replenishmentOptions = (source) => ({
+  lookbackDays: source.days,
+  reviewDays: source.reviewDays,
+  serviceFactor: source.serviceFactor,
+  category: source.category,
+  supplierId: source.supplierId
+});
+
+// ✅ REORDER SUGGESTIONS grouped by supplier
+// (?days=30&reviewDays=14&serviceFactor=1.65&category=&supplierId=&all=true)
+router.get('/replenishment', async (req, res) => {
+  try {
+    const report = await reorderSuggestions({
+      ...replenishmentOptions(req.query),
+      includeAll: req.query.all === 'true'
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    sendError(res, error, 'building reorder suggestions');
+  }
+});
+
+// ✅ SAVE SUGGESTIONS AS DRAFT PURCHASE ORDERS (one per supplier)
+router.post('/replenishment/draft-orders', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const { orders, skipped } = await createDraftOrders(replenishmentOptions(req.body || {}), {
+      performedBy: req.user.username
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${orders.length} draft purchase orders ready for approval`,
+      orders,
+      skipped
+    });
+  } catch (error) {
+    sendError(res, error, 'creating draft purchase orders');
+  }
+});
+
+// ============== SUPPLIER INVOICES ==============
+
+// ✅ GET SUPPLIER INVOICES
+router.get('/invoices', async (req, res) => {
+  try {
+    const { supplierId, paymentStatus, status, from, to, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (supplierId) query.supplierId = supplierId;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (status) query.status = status;
+    if (from || to) query.invoiceDate = dateRange(from, to);
+
+    const [invoices, total] = await Promise.all([
+      PurchaseInvoice.find(query)
+        .sort({ invoiceDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      PurchaseInvoice.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      invoices,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching supplier invoices');
+  }
+});
+
+// ✅ INPUT TAX CREDIT for a return period (?period=YYYY-MM)
+router.get('/input-tax', async (req, res) => {
+  try {
+    const range = parsePeriod(req.query.period);
+    const credit = await inputTaxCredit(range);
+
+    res.json({
+      success: true,
+      period: range.fp,
+      ...credit
+    });
+  } catch (error) {
+    sendError(res, error, 'summarising input tax');
+  }
+});
+
+// ✅ GET ONE SUPPLIER INVOICE
+router.get('/invoices/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID'
+      });
+    }
+
+    const invoice = await PurchaseInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching supplier invoice');
+  }
+});
+
+// ✅ RECORD SUPPLIER INVOICE
+// body: { supplierId | purchaseOrderId, invoiceNumber, invoiceDate, items, totalAmount, itcEligible, notes }
+router.post('/invoices', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const { invoice, supplier } = await recordPurchaseInvoice(req.body, { performedBy: req.user.username });
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} from ${invoice.supplierName} recorded`,
+      invoice,
+      outstandingBalance: supplier.outstandingBalance
+    });
+  } catch (error) {
+    sendError(res, error, 'recording supplier invoice');
+  }
+});
+
+// ✅ PAY SUPPLIER INVOICE; body: { amount, method, reference, date }
+router.post('/invoices/:id/payments', requirePermission('purchases:manage'), async (req, res) => {
+  try {
+    const { invoice, supplier } = await payPurchaseInvoice(req.params.id, req.body, {
+      performedBy: req.user.username
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `₹${req.body.amount} paid to ${invoice.supplierName}`,
+      invoice,
+      outstandingBalance: supplier.outstandingBalance
+    });
+  } catch (error) {
+    sendError(res, error, 'recording supplier payment');
+  }
+});
+
+// ✅ CANCEL SUPPLIER INVOICE (unpaid only)
+router.post('/invoices/:id/cancel', requirePermission('purchases:manage'), async (req, res) => {
+  try {
+    const invoice = await cancelPurchaseInvoice(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} cancelled`,
+      invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'cancelling supplier invoice');
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,76 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Product = require('../models/Product');
 
-// Export stock data
-router.get('/export', async (req, res) => {
+const STOCK_STATUSES = ['out', 'low', 'normal', 'over'];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const statusOf = (product) => {
+  if (product.stock <= 0) return 'out';
+  if (product.stock <= product.minStock) return 'low';
+  if (product.maxStock !== undefined && product.maxStock !== null && product.stock > product.maxStock) return 'over';
+  return 'normal';
+};
+
+// Export stock data (?format=json|csv&status=out|low|normal|over&category=)
+router.get('/export', requirePermission('data:export'), async (req, res) => {
   try {
     const { format = 'json', status, category } = req.query;
-    
+
     let query = {};
-    if (status && status !== 'all') query.status = status;
+    if (status && status !== 'all') {
+      if (!STOCK_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: all, ${STOCK_STATUSES.join(', ')}`
+        });
+      }
+      query = { ...Product.stockStatusFilter(status) };
+    }
     if (category) query.category = category;
-    
-    const products = await Product.find(query);
-    
+
+    const products = await Product.find(query)
+      .populate('supplierId', 'name')
+      .sort({ category: 1, name: 1 })
+      .lean();
+
     if (format === 'csv') {
       const csv = [
-        ['Unique Code', 'Product Name', 'Category', 'Current Stock', 'Min Level', 'Max Level', 'Status', 'Price', 'Last Restocked', 'Supplier', 'Location'].join(','),
+        ['Product Code', 'Product Name', 'Category', 'Current Stock', 'Min Level', 'Max Level', 'Status', 'Price', 'Stock Value', 'Last Restocked', 'Supplier', 'Location'],
         ...products.map(p => [
-          p.uniqueCode,
-          `"${p.name}"`,
+          p.productId,
+          p.name,
           p.category,
-          p.currentStock,
-          p.minStockLevel,
-          p.maxStockLevel,
-          p.status,
+          p.stock,
+          p.minStock,
+          p.maxStock,
+          statusOf(p),
           p.price,
-          p.lastRestocked.toISOString().split('T')[0],
-          `"${p.supplier}"`,
-          `"${p.location}"`
-        ].join(','))
-      ].join('\n');
-      
+          Math.round(p.stock * p.price * 100) / 100,
+          p.lastRestocked ? new Date(p.lastRestocked).toISOString().split('T')[0] : '',
+          p.supplierId?.name,
+          p.storageLocation
+        ])
+      ].map(row => row.map(csvCell).join(',')).join('\n');
+
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename=stock-report-${Date.now()}.csv`);
       return res.send(csv);
     }
-    
+
     res.json({
       success: true,
       count: products.length,
-      data: products
+      data: products.map(p => ({ ...p, status: statusOf(p) }))
     });
   } catch (error) {
+    console.error('❌ Error generating stock report:', error);
     res.status(500).json({
       success: false,
       message: 'Error generating report',
@@ -50,7 +79,7 @@ router.get('/export', async (req, res) => {
   }
 });
 
-// Inventory value by category
+// Inventory value by category, at selling price
 router.get('/inventory-value', async (req, res) => {
   try {
     const report = await Product.aggregate([
@@ -58,21 +87,33 @@ router.get('/inventory-value', async (req, res) => {
         $group: {
           _id: '$category',
           totalProducts: { $sum: 1 },
-          totalStock: { $sum: '$currentStock' },
-          totalValue: { $sum: { $multiply: ['$currentStock', '$price'] } },
-          avgPrice: { $avg: '$price' }
+          totalStock: { $sum: '$stock' },
+          totalValue: { $sum: { $multiply: ['$stock', '$price'] } },
+          avgPrice: { $avg: '$price' },
+          outOfStock: { $sum: { $cond: [{ $lte: ['$stock', 0] }, 1, 0] } },
+          lowStock: {
+            $sum: { $cond: [{ $and: [{ $gt: ['$stock', 0] }, { $lte: ['$stock', '$minStock'] }] }, 1, 0] }
+          }
         }
       },
       {
         $sort: { totalValue: -1 }
       }
     ]);
-    
+
+    const totals = report.reduce((sum, row) => ({
+      totalProducts: sum.totalProducts + row.totalProducts,
+      totalStock: sum.totalStock + row.totalStock,
+      totalValue: Math.round((sum.totalValue + row.totalValue) * 100) / 100
+    }), { totalProducts: 0, totalStock: 0, totalValue: 0 });
+
     res.json({
       success: true,
-      data: report
+      data: report,
+      totals
     });
   } catch (error) {
+    console.error('❌ Error generating inventory value report:', error);
     res.status(500).json({
       success: false,
       message: 'Error generating inventory value report',
@@ -81,4 +122,4 @@ router.get('/inventory-value', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
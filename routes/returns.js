@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const Invoice = require('../models/Invoice');
+const { returnableLines, createReturn } = require('../services/returnsService');
+const ApiError = require('../utils/ApiError');
+
+// ✅ GET ALL CREDIT NOTES
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, startDate, endDate, search } = req.query;
+
+    const query = { type: 'return' };
+
+    if (search) {
+      query.$or = [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { originalInvoiceNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const [creditNotes, total] = await Promise.all([
+      Invoice.find(query)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Invoice.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      creditNotes,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching credit notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching credit notes'
+    });
+  }
+});
+
+// ✅ WHAT CAN STILL BE RETURNED ON AN INVOICE
+router.get('/invoice/:invoiceId', async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.invoiceId);
+
+    if (!invoice || invoice.type !== 'sale') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const creditNotes = await Invoice.find({ originalInvoiceId: invoice._id, type: 'return' })
+      .select('invoiceNumber date finalAmount items returnReason')
+      .sort({ date: 1 });
+
+    res.json({
+      success: true,
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+      items: returnableLines(invoice).map(({ line, ...item }) => ({
+        ...item,
+        unitPrice: line.unitPrice,
+        gstRate: line.gstRate
+      })),
+      creditNotes
+    });
+  } catch (error) {
+    console.error('❌ Error fetching returnable items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching returnable items'
+    });
+  }
+});
+
+// ✅ GET SINGLE CREDIT NOTE
+router.get('/:id', async (req, res) => {
+  try {
+    const creditNote = await Invoice.findOne({ _id: req.params.id, type: 'return' });
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      creditNote
+    });
+  } catch (error) {
+    console.error('❌ Error fetching credit note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching credit note'
+    });
+  }
+});
+
+// ✅ RETURN ITEMS FROM AN INVOICE (issues a credit note)
+router.post('/invoice/:invoiceId', requirePermission('billing:refund'), async (req, res) => {
+  try {
+    const { items, reason, refundMethod, notes } = req.body;
+
+    const result = await createReturn(req.params.invoiceId, {
+      items,
+      reason,
+      refundMethod,
+      notes,
+      performedBy: req.user.username
+    });
+    const { creditNote, refund, coinsReversed, adjustedAgainstDue } = result;
+
+    if (req.io) {
+      req.io.emit('new_notification', {
+        type: 'payment_refunded',
+        title: 'Sales Return Processed',
+        message: `Credit note ${creditNote.invoiceNumber} issued against ${creditNote.originalInvoiceNumber} for ₹${creditNote.finalAmount}`
+          + (adjustedAgainstDue > 0 ? ` (₹${adjustedAgainstDue} set against balance due)` : ''),
+        amount: refund ? refund.amount : 0,
+        method: creditNote.payment.method,
+        priority: 'medium',
+        color: 'orange',
+        icon: 'Receipt',
+        timestamp: new Date(),
+        isRead: false
+      });
+
+      if (coinsReversed > 0 && result.customer) {
+        req.io.to('coins').emit('coinUpdate', {
+          customerId: result.customer.customerId,
+          customerName: result.customer.name,
+          type: 'refund',
+          coins: -coinsReversed,
+          totalCoins: result.customer.coins
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Return processed successfully',
+      creditNote,
+      refund,
+      adjustedAgainstDue,
+      coinsReversed,
+      originalInvoiceStatus: result.original.status,
+      originalBalanceDue: result.original.balanceDue
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error processing return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Return failed, no changes were saved'
+    });
+  }
+});
+
+module.exports = router;
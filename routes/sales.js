@@ -1,9 +1,24 @@
 // routes/sales.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const Sale = require('../models/Sale');
-const Product = require('../models/Product');
+const { requirePermission } = require('../middleware/auth');
+const Invoice = require('../models/Invoice');
+const {
+  saleFromInvoice,
+  applyLegacyUpdate,
+  findByLegacyId,
+  toMethod,
+  taxExtras,
+  createFromSale
+} = require('../services/salesLedger');
+const { calculateTax, priceFromCatalogue, supplyForCustomer } = require('../services/taxService');
+const { resolveLocation, sellFromLocation } = require('../services/locationService');
+const { allocateBatches } = require('../services/batchService');
+const { runInTransaction } = require('../services/numberingService');
+const { cancelSale } = require('../services/returnsService');
 const Customer = require('../models/Customer');
+const ApiError = require('../utils/ApiError');
 
 /* ===================== GET ALL SALES ===================== */
 router.get('/', async (req, res) => {
@@ -18,19 +33,21 @@ router.get('/', async (req, res) => {
       page = 1
     } = req.query;
 
-    let query = {};
+    // Sales are read from the unified ledger, so bills and POS invoices show up too
+    let query = { type: 'sale' };
 
     // Search by bill number or customer name
     if (search) {
       query.$or = [
         { billNumber: { $regex: search, $options: 'i' } },
+        { invoiceNumber: { $regex: search, $options: 'i' } },
         { customerName: { $regex: search, $options: 'i' } }
       ];
     }
 
     // Filter by payment mode
     if (paymentMode && paymentMode !== 'all') {
-      query.paymentMode = paymentMode;
+      query['payment.method'] = toMethod(paymentMode);
     }
 
     // Date filtering
@@ -67,18 +84,18 @@ router.get('/', async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Fetch sales with pagination
-    const sales = await Sale.find(query)
+    const invoices = await Invoice.find(query)
       .sort({ date: -1 })
       .limit(parseInt(limit))
       .skip(skip)
       .lean();
 
     // Get total count for pagination
-    const totalCount = await Sale.countDocuments(query);
+    const totalCount = await Invoice.countDocuments(query);
 
     res.json({
       success: true,
-      data: sales,
+      data: invoices.map(saleFromInvoice),
       pagination: {
         total: totalCount,
         page: parseInt(page),
@@ -99,11 +116,9 @@ router.get('/', async (req, res) => {
 /* ===================== GET SINGLE SALE BY ID ===================== */
 router.get('/:id', async (req, res) => {
   try {
-    const sale = await Sale.findById(req.params.id)
-      .populate('customerId', 'name email phone')
-      .populate('items.productId', 'name category');
+    const invoice = await Invoice.findById(req.params.id);
 
-    if (!sale) {
+    if (!invoice) {
       return res.status(404).json({
         success: false,
         message: 'Sale not found'
@@ -112,7 +127,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: sale
+      data: saleFromInvoice(invoice)
     });
   } catch (error) {
     console.error('Error fetching sale:', error);
@@ -125,13 +140,12 @@ router.get('/:id', async (req, res) => {
 });
 
 /* ===================== GET SALE BY BILL NUMBER ===================== */
+// Older numbers contain '/'; clients send them URL-encoded (%2F)
 router.get('/bill/:billNumber', async (req, res) => {
   try {
-    const sale = await Sale.findOne({ billNumber: req.params.billNumber })
-      .populate('customerId', 'name email phone')
-      .populate('items.productId', 'name category');
+    const invoice = await findByLegacyId(req.params.billNumber);
 
-    if (!sale) {
+    if (!invoice) {
       return res.status(404).json({
         success: false,
         message: 'Sale not found'
@@ -140,7 +154,7 @@ router.get('/bill/:billNumber', async (req, res) => {
 
     res.json({
       success: true,
-      data: sale
+      data: saleFromInvoice(invoice)
     });
   } catch (error) {
     console.error('Error fetching sale:', error);
@@ -153,73 +167,45 @@ router.get('/bill/:billNumber', async (req, res) => {
 });
 
 /* ===================== CREATE NEW SALE ===================== */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('billing:create'), async (req, res) => {
   try {
-    const { customerName, customerId, items, paymentMode, subtotal, gst, totalAmount } = req.body;
+    const { customerName, customerId, items, paymentMode, gstInclusive } = req.body;
 
-    // Validate required fields
-    if (!customerName || !items || items.length === 0 || !paymentMode || !totalAmount) {
+    // Validate required fields (totals are computed here, not taken from the client)
+    if (!customerName || !items || items.length === 0 || !paymentMode) {
       return res.status(400).json({
         success: false,
         message: 'Missing required fields'
       });
     }
 
-    // Generate bill number
-    const lastSale = await Sale.findOne().sort({ createdAt: -1 });
-    let billNumber = 'BILL0001';
-    
-    if (lastSale && lastSale.billNumber) {
-      const lastNumber = parseInt(lastSale.billNumber.replace('BILL', ''));
-      billNumber = `BILL${String(lastNumber + 1).padStart(4, '0')}`;
-    }
-
-    // Calculate totals if not provided
-    let calculatedSubtotal = subtotal;
-    if (!calculatedSubtotal) {
-      calculatedSubtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    }
-
-    let calculatedGst = gst;
-    if (!calculatedGst) {
-      calculatedGst = calculatedSubtotal * 0.18; // 18% GST
-    }
-
-    let calculatedTotal = totalAmount;
-    if (!calculatedTotal) {
-      calculatedTotal = calculatedSubtotal + calculatedGst;
-    }
-
-    // Process items and update stock
-    const processedItems = [];
-    for (const item of items) {
-      // Update product stock if productId is provided
-      if (item.productId) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          if (product.stock < item.quantity) {
-            return res.status(400).json({
-              success: false,
-              message: `Insufficient stock for ${product.name}. Available: ${product.stock}`
-            });
-          }
-          product.stock -= item.quantity;
-          await product.save();
-        }
-      }
-
-      processedItems.push({
-        name: item.name,
-        productId: item.productId,
-        quantity: item.quantity,
-        price: item.price,
-        total: item.quantity * item.price
-      });
-    }
-
-    // Create sale
-    const sale = new Sale({
-      billNumber,
+    const { placeOfSupply, customerGstin } = await supplyForCustomer(customerId, req.body);
+
+    // Catalogue products are billed at their catalogue price; GST rates come
+    // from the tax slabs by the products' HSN code or category
+    const tax = await calculateTax(await priceFromCatalogue(items.map(item => ({
+      productId: item.productId,
+      productName: item.name,
+      hsnCode: item.hsnCode,
+      category: item.category,
+      quantity: item.quantity,
+      unitPrice: item.price
+    }))), { gstInclusive, placeOfSupply, customerGstin });
+
+    const calculatedSubtotal = tax.totals.subtotal;
+    const calculatedGst = tax.totals.totalGST;
+    const calculatedTotal = tax.totals.finalAmount;
+
+    const processedItems = items.map(item => ({
+      name: item.name,
+      productId: item.productId,
+      quantity: item.quantity,
+      price: item.price,
+      total: item.quantity * item.price
+    }));
+
+    // Record the sale in the unified ledger; the bill number is issued on save
+    const invoice = await createFromSale({
       customerName,
       customerId,
       items: processedItems,
@@ -228,10 +214,30 @@ router.post('/', async (req, res) => {
       totalAmount: calculatedTotal,
       paymentMode,
       status: 'Completed'
+    }, {
+      ...taxExtras(tax),
+      customerGstin,
+      source: 'sale',
+      createdBy: req.user?.username
+    }, async (invoice, session) => {
+      // Stock leaves the store's location with the sale, each line logged
+      // against its bill number
+      const location = await resolveLocation({
+        locationId: req.body.locationId,
+        storeCode: req.body.storeCode
+      }, session);
+      invoice.locationId = location._id;
+      invoice.locationCode = location.code;
+
+      // Batch-tracked units go earliest expiry first; expired stock is refused
+      await allocateBatches(invoice.items, { session });
+      await sellFromLocation(invoice.items, location, {
+        source: { type: 'sale', id: invoice._id, reference: invoice.billNumber },
+        performedBy: req.user?.username,
+        session
+      });
     });
 
-    await sale.save();
-
     // Update customer stats if customerId is provided
     if (customerId) {
       await Customer.findByIdAndUpdate(customerId, {
@@ -245,9 +251,15 @@ router.post('/', async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Sale created successfully',
-      data: sale
+      data: saleFromInvoice(invoice)
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error creating sale:', error);
     res.status(500).json({
       success: false,
@@ -258,11 +270,11 @@ router.post('/', async (req, res) => {
 });
 
 /* ===================== UPDATE SALE ===================== */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('billing:edit'), async (req, res) => {
   try {
-    const sale = await Sale.findById(req.params.id);
+    const invoice = await Invoice.findById(req.params.id);
 
-    if (!sale) {
+    if (!invoice) {
       return res.status(404).json({
         success: false,
         message: 'Sale not found'
@@ -271,18 +283,20 @@ router.put('/:id', async (req, res) => {
 
     // Update allowed fields
     const allowedUpdates = ['status', 'customerName', 'paymentMode'];
+    const changes = {};
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
-        sale[field] = req.body[field];
+        changes[field] = req.body[field];
       }
     });
 
-    await sale.save();
+    applyLegacyUpdate(invoice, changes, 'sale');
+    await invoice.save();
 
     res.json({
       success: true,
       message: 'Sale updated successfully',
-      data: sale
+      data: saleFromInvoice(invoice)
     });
   } catch (error) {
     console.error('Error updating sale:', error);
@@ -295,43 +309,49 @@ router.put('/:id', async (req, res) => {
 });
 
 /* ===================== DELETE SALE ===================== */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('billing:delete'), async (req, res) => {
   try {
-    const sale = await Sale.findById(req.params.id);
-
-    if (!sale) {
-      return res.status(404).json({
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        message: 'Sale not found'
+        message: 'Invalid sale ID'
       });
     }
 
-    // Restore stock for all items
-    for (const item of sale.items) {
-      if (item.productId) {
-        await Product.findByIdAndUpdate(item.productId, {
-          $inc: { stock: item.quantity }
-        });
-      }
-    }
-
-    // Update customer stats if customerId exists
-    if (sale.customerId) {
-      await Customer.findByIdAndUpdate(sale.customerId, {
-        $inc: { 
-          totalOrders: -1,
-          totalSpent: -sale.totalAmount
-        }
+    // The sale is cancelled rather than deleted so its bill number stays
+    // accounted for; its stock goes back to the location and batches it
+    // came from. Paid or returned sales must go through a return instead.
+    const invoice = await runInTransaction(async (session) => {
+      const cancelled = await cancelSale(req.params.id, {
+        reason: 'Sale deleted',
+        performedBy: req.user?.username,
+        session
       });
-    }
 
-    await Sale.findByIdAndDelete(req.params.id);
+      if (mongoose.isValidObjectId(cancelled.customerId)) {
+        await Customer.updateOne({ _id: cancelled.customerId }, {
+          $inc: {
+            totalOrders: -1,
+            totalSpent: -(cancelled.totalAmount || 0)
+          }
+        }, { session });
+      }
+
+      return cancelled;
+    });
 
     res.json({
       success: true,
-      message: 'Sale deleted successfully'
+      message: 'Sale cancelled successfully',
+      data: saleFromInvoice(invoice)
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.statusCode === 404 ? 'Sale not found' : error.message
+      });
+    }
     console.error('Error deleting sale:', error);
     res.status(500).json({
       success: false,
@@ -342,9 +362,10 @@ router.delete('/:id', async (req, res) => {
 });
 
 /* ===================== EXPORT SALES TO CSV ===================== */
-router.get('/export/csv', async (req, res) => {
+router.get('/export/csv', requirePermission('data:export'), async (req, res) => {
   try {
-    const sales = await Sale.find().sort({ date: -1 }).lean();
+    const invoices = await Invoice.find({ type: 'sale' }).sort({ date: -1 }).lean();
+    const sales = invoices.map(saleFromInvoice);
 
     // Create CSV header
     const headers = ['Bill Number', 'Date', 'Customer Name', 'Total Amount', 'GST', 'Payment Mode', 'Status'];
@@ -354,8 +375,8 @@ router.get('/export/csv', async (req, res) => {
       sale.billNumber,
       new Date(sale.date).toLocaleDateString(),
       sale.customerName,
-      sale.totalAmount.toFixed(2),
-      sale.gst.toFixed(2),
+      (sale.totalAmount || 0).toFixed(2),
+      (sale.gst || 0).toFixed(2),
       sale.paymentMode,
       sale.status
     ]);
@@ -382,22 +403,24 @@ router.get('/export/csv', async (req, res) => {
 /* ===================== GET SALES STATISTICS ===================== */
 router.get('/stats/summary', async (req, res) => {
   try {
-    const totalSales = await Sale.countDocuments({ status: 'Completed' });
-    const totalRevenue = await Sale.aggregate([
-      { $match: { status: 'Completed' } },
+    const completed = { type: 'sale', status: 'completed' };
+
+    const totalSales = await Invoice.countDocuments(completed);
+    const totalRevenue = await Invoice.aggregate([
+      { $match: completed },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    const todaySales = await Sale.countDocuments({
-      status: 'Completed',
+    const todaySales = await Invoice.countDocuments({
+      ...completed,
       date: { $gte: today }
     });
 
-    const todayRevenue = await Sale.aggregate([
-      { $match: { status: 'Completed', date: { $gte: today } } },
+    const todayRevenue = await Invoice.aggregate([
+      { $match: { ...completed, date: { $gte: today } } },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
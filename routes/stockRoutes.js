@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const stockController = require('../controllers/stockController');
 
 // Get all products with stock information
@@ -9,7 +10,7 @@ router.get('/products', stockController.getAllProducts);
 router.get('/products/:id', stockController.getProductById);
 
 // Update stock (add/remove)
-router.post('/update/:id', stockController.updateStock);
+router.post('/update/:id', requirePermission('stock:manage'), stockController.updateStock);
 
 // Get stock transaction history
 router.get('/history/:id', stockController.getStockHistory);
@@ -20,7 +21,11 @@ router.get('/stats', stockController.getStockStats);
 // Get low stock alerts
 router.get('/alerts', stockController.getLowStockAlerts);
 
-// Sync product status (useful for initial setup)
-router.post('/sync', stockController.syncProductStatus);
+// Compare stock with the ledger; POST with fix=true corrects the drift
+router.get('/reconcile', stockController.reconcileStock);
+router.post('/reconcile', requirePermission('stock:manage'), stockController.reconcileStock);
+
+// Backfill restock dates from the stock log (useful for initial setup)
+router.post('/sync', requirePermission('stock:manage'), stockController.syncProductStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const StockTake = require('../models/StockTake');
+const {
+  startStockTake,
+  recordCounts,
+  varianceReport,
+  approveStockTake,
+  cancelStockTake,
+  shrinkageReport
+} = require('../services/stockTakeService');
+const ApiError = require('../utils/ApiError');
+
+const sendError = (res, error, action) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`
+  });
+};
+
+// The stock take without its item list, which the variance report carries
+const withVariances = (take, { onlyVariances = false } = {}) => {
+  const { lines, totals } = varianceReport(take);
+  const { items, ...header } = take.toObject();
+  return {
+    ...header,
+    totals,
+    lines: onlyVariances ? lines.filter(line => line.variance) : lines
+  };
+};
+
+// ✅ GET STOCK TAKES (?status=&locationId=&category=)
+router.get('/', async (req, res) => {
+  try {
+    const { status, locationId, category, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (locationId) {
+      if (!mongoose.isValidObjectId(locationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID'
+        });
+      }
+      query.locationId = locationId;
+    }
+
+    const [stockTakes, total] = await Promise.all([
+      StockTake.find(query)
+        .select('-items')
+        .sort({ snapshotAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      StockTake.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      stockTakes,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching stock takes');
+  }
+});
+
+// ✅ SHRINKAGE REPORT (?from=&to=&period=month|week|day&category=&locationId=)
+router.get('/shrinkage', async (req, res) => {
+  try {
+    const report = await shrinkageReport(req.query);
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    sendError(res, error, 'building shrinkage report');
+  }
+});
+
+// ✅ GET ONE STOCK TAKE with its variances (?onlyVariances=true)
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid stock take ID'
+      });
+    }
+
+    const take = await StockTake.findById(req.params.id);
+    if (!take) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock take not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      stockTake: withVariances(take, { onlyVariances: req.query.onlyVariances === 'true' })
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching stock take');
+  }
+});
+
+// ✅ START STOCK TAKE: snapshot of expected quantities
+// body: { category, locationId, notes }
+router.post('/', requirePermission('stock:count'), async (req, res) => {
+  try {
+    const take = await startStockTake(req.body || {}, { performedBy: req.user.username });
+
+    res.status(201).json({
+      success: true,
+      message: `Stock take ${take.takeNumber} started with ${take.items.length} items to count`,
+      stockTake: withVariances(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'starting stock take');
+  }
+});
+
+// ✅ RECORD COUNTS
+// body: { counts: [{ productId | barcode, countedQuantity | quantity }] }
+router.post('/:id/counts', requirePermission('stock:count'), async (req, res) => {
+  try {
+    const { take, unmatched } = await recordCounts(req.params.id, req.body?.counts, {
+      performedBy: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: unmatched.length
+        ? `Counts saved; ${unmatched.length} codes did not match`
+        : 'Counts saved',
+      unmatched,
+      stockTake: withVariances(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'recording counts');
+  }
+});
+
+// ✅ APPROVE: post the variances to the stock ledger; body: { reason }
+router.post('/:id/approve', requirePermission('stock:manage'), async (req, res) => {
+  try {
+    const take = await approveStockTake(req.params.id, {
+      reason: req.body?.reason,
+      performedBy: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: `Stock take ${take.takeNumber} approved; ${take.summary.itemsWithVariance} items adjusted`,
+      stockTake: withVariances(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'approving stock take');
+  }
+});
+
+// ✅ CANCEL: nothing is posted
+router.post('/:id/cancel', requirePermission('stock:manage'), async (req, res) => {
+  try {
+    const take = await cancelStockTake(req.params.id, { reason: req.body?.reason });
+
+    res.json({
+      success: true,
+      message: `Stock take ${take.takeNumber} cancelled`,
+      stockTake: withVariances(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'cancelling stock take');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const StockTransfer = require('../models/StockTransfer');
+const Stock = require('../models/Stock');
+const {
+  requestTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+  generateLocationStockAlerts
+} = require('../services/locationService');
+const ApiError = require('../utils/ApiError');
+
+const sendError = (res, error, action) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`
+  });
+};
+
+// Location counts changed; refresh their alerts without holding up the reply
+const refreshAlerts = (io) => {
+  generateLocationStockAlerts(io).catch(error => {
+    console.error('❌ Error refreshing location stock alerts:', error.message);
+  });
+};
+
+// ✅ GET TRANSFERS (?status=&locationId=&from=&to=)
+router.get('/', async (req, res) => {
+  try {
+    const { status, locationId, from, to, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (locationId) {
+      if (!mongoose.isValidObjectId(locationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID'
+        });
+      }
+      query.$or = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+    }
+    if (from || to) {
+      query.requestedAt = {};
+      if (from) query.requestedAt.$gte = new Date(from);
+      if (to) query.requestedAt.$lte = new Date(to);
+    }
+
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(query)
+        .sort({ requestedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      StockTransfer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      transfers,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching stock transfers');
+  }
+});
+
+// ✅ GET ONE TRANSFER with its stock entries
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid transfer ID'
+      });
+    }
+
+    const transfer = await StockTransfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    const entries = await Stock.find({ reference: transfer.transferNumber }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      transfer,
+      entries
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching stock transfer');
+  }
+});
+
+// ✅ REQUEST TRANSFER
+// body: { fromLocationId, toLocationId, items: [{ productId, quantity }], notes }
+router.post('/', requirePermission('stock:transfer'), async (req, res) => {
+  try {
+    const transfer = await requestTransfer(req.body, { performedBy: req.user.username });
+
+    res.status(201).json({
+      success: true,
+      message: `Stock transfer ${transfer.transferNumber} requested`,
+      transfer
+    });
+  } catch (error) {
+    sendError(res, error, 'requesting stock transfer');
+  }
+});
+
+// ✅ DISPATCH: goods leave the source location
+router.post('/:id/dispatch', requirePermission('stock:transfer'), async (req, res) => {
+  try {
+    const transfer = await dispatchTransfer(req.params.id, { performedBy: req.user.username });
+    refreshAlerts(req.io);
+
+    res.json({
+      success: true,
+      message: `Stock transfer ${transfer.transferNumber} dispatched from ${transfer.fromLocationCode}`,
+      transfer
+    });
+  } catch (error) {
+    sendError(res, error, 'dispatching stock transfer');
+  }
+});
+
+// ✅ RECEIVE: all of it, or body.items: [{ productId, receivedQuantity }]
+router.post('/:id/receive', requirePermission('stock:transfer'), async (req, res) => {
+  try {
+    const { transfer, shortages } = await receiveTransfer(req.params.id, req.body || {}, {
+      performedBy: req.user.username
+    });
+    refreshAlerts(req.io);
+
+    res.json({
+      success: true,
+      message: shortages.length
+        ? `Stock transfer ${transfer.transferNumber} received with ${shortages.length} short lines`
+        : `Stock transfer ${transfer.transferNumber} received at ${transfer.toLocationCode}`,
+      transfer,
+      shortages
+    });
+  } catch (error) {
+    sendError(res, error, 'receiving stock transfer');
+  }
+});
+
+// ✅ CANCEL: dispatched goods go back to the source
+router.post('/:id/cancel', requirePermission('stock:manage'), async (req, res) => {
+  try {
+    const transfer = await cancelTransfer(req.params.id, {
+      reason: req.body?.reason,
+      performedBy: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: `Stock transfer ${transfer.transferNumber} cancelled`,
+      transfer
+    });
+  } catch (error) {
+    sendError(res, error, 'cancelling stock transfer');
+  }
+});
+
+module.exports = router;
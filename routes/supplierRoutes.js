@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const { payables } = require('../services/purchaseService');
+const ApiError = require('../utils/ApiError');
+
+const EDITABLE_FIELDS = [
+  'name', 'contactPerson', 'phone', 'email', 'address', 'city', 'pincode',
+  'gstin', 'stateCode', 'paymentTermsDays', 'leadTimeDays', 'notes', 'status'
+];
+
+const pick = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const validationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: messages
+  });
+};
+
+// ✅ GET ALL SUPPLIERS
+router.get('/', async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (search) {
+      const pattern = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { supplierId: { $regex: pattern, $options: 'i' } },
+        { gstin: { $regex: pattern, $options: 'i' } },
+        { phone: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: suppliers.length,
+      suppliers
+    });
+  } catch (error) {
+    console.error('❌ Error fetching suppliers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suppliers'
+    });
+  }
+});
+
+// ✅ PAYABLES AGEING across suppliers (?asOf=YYYY-MM-DD)
+router.get('/payables', async (req, res) => {
+  try {
+    const report = await payables({ asOf: req.query.asOf });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error building payables report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building payables report'
+    });
+  }
+});
+
+// ✅ GET ONE SUPPLIER with open orders and unpaid invoices
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const [openOrders, unpaidInvoices] = await Promise.all([
+      PurchaseOrder.find({ supplierId: supplier._id, status: { $in: ['ordered', 'partially_received'] } })
+        .select('poNumber orderDate expectedDate status totalAmount')
+        .sort({ orderDate: -1 }),
+      PurchaseInvoice.find({ supplierId: supplier._id, status: 'recorded', paymentStatus: { $ne: 'paid' } })
+        .select('invoiceNumber invoiceDate dueDate totalAmount balanceDue paymentStatus')
+        .sort({ invoiceDate: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      supplier,
+      openOrders,
+      unpaidInvoices
+    });
+  } catch (error) {
+    console.error('❌ Error fetching supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching supplier'
+    });
+  }
+});
+
+// ✅ CREATE SUPPLIER
+router.post('/', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier name is required'
+      });
+    }
+
+    const supplier = new Supplier(pick(req.body));
+    await supplier.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('❌ Error creating supplier:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating supplier'
+    });
+  }
+});
+
+// ✅ UPDATE SUPPLIER
+router.put('/:id', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const updates = pick(req.body);
+    // A new GSTIN re-derives the state unless one is given with it
+    if (updates.gstin !== undefined && updates.stateCode === undefined) {
+      updates.stateCode = undefined;
+    }
+    Object.assign(supplier, updates);
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('❌ Error updating supplier:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating supplier'
+    });
+  }
+});
+
+// ✅ DELETE SUPPLIER (only without purchase history; otherwise deactivate)
+router.delete('/:id', requirePermission('purchases:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const [orders, invoices] = await Promise.all([
+      PurchaseOrder.countDocuments({ supplierId: req.params.id }),
+      PurchaseInvoice.countDocuments({ supplierId: req.params.id })
+    ]);
+    if (orders || invoices) {
+      return res.status(400).json({
+        success: false,
+        message: `Supplier has ${orders} purchase orders and ${invoices} invoices; set status to inactive instead`
+      });
+    }
+
+    const supplier = await Supplier.findByIdAndDelete(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting supplier'
+    });
+  }
+});
+
+// ✅ PAYABLES AGEING for one supplier
+router.get('/:id/payables', async (req, res) => {
+  try {
+    const report = await payables({ supplierId: req.params.id, asOf: req.query.asOf });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error building payables report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building payables report'
+    });
+  }
+});
+
+module.exports = router;
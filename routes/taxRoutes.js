@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const { TaxEntry, TaxSlab } = require('../models/Tax');
+const Product = require('../models/Product');
+const { nextNumber, runInTransaction } = require('../services/numberingService');
+const { gstr1, gstr3b, gstr1Csv, gstr3bCsv } = require('../services/gstReturns');
+const ApiError = require('../utils/ApiError');
+const { validateGstin } = require('../utils/gstin');
 const mongoose = require('mongoose');
-const csv = require('csv-parser');
-const { Readable } = require('stream');
+const { importTaxEntries } = require('../services/taxImport');
+const { importFile } = require('../middleware/upload');
 
 // ============== TAX SLAB ROUTES ==============
 
@@ -55,9 +61,11 @@ router.get('/slabs/:id', async (req, res) => {
 
 // Create tax slab
 // Create tax slab ✅ ALLOW SAME NAME
-router.post('/slabs', async (req, res) => {
+router.post('/slabs', requirePermission('tax:manage'), async (req, res) => {
   try {
-    const slab = await TaxSlab.create(req.body);
+    // History is only written by rate changes
+    const { rateHistory, ...data } = req.body;
+    const slab = await TaxSlab.create(data);
 
     if (req.io) {
       req.io.emit('taxSlabAdded', slab);
@@ -94,17 +102,13 @@ router.post('/slabs', async (req, res) => {
 });
 
 
-// Update tax slab
-router.put('/slabs/:id', async (req, res) => {
+// Update tax slab. A rate change takes effect from body.effectiveFrom (default
+// now) and the old rate moves to rateHistory, so earlier dates keep it.
+router.put('/slabs/:id', requirePermission('tax:manage'), async (req, res) => {
   try {
-    const slab = await TaxSlab.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const { rate, effectiveFrom, rateHistory, ...fields } = req.body;
+
+    const slab = await TaxSlab.findById(req.params.id);
 
     if (!slab) {
       return res.status(404).json({
@@ -113,6 +117,35 @@ router.put('/slabs/:id', async (req, res) => {
       });
     }
 
+    slab.set(fields);
+
+    if (rate !== undefined && Number(rate) !== slab.rate) {
+      const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+      if (isNaN(from)) {
+        return res.status(400).json({
+          success: false,
+          message: 'effectiveFrom must be a valid date'
+        });
+      }
+      if (slab.effectiveFrom && from <= slab.effectiveFrom) {
+        return res.status(400).json({
+          success: false,
+          message: `The current rate is effective from ${slab.effectiveFrom.toISOString().slice(0, 10)}; a new rate must start after it`
+        });
+      }
+
+      slab.rateHistory.push({
+        rate: slab.rate,
+        effectiveFrom: slab.effectiveFrom || slab.createdAt,
+        effectiveTo: from,
+        changedBy: req.user?.username
+      });
+      slab.rate = Number(rate);
+      slab.effectiveFrom = from;
+    }
+
+    await slab.save();
+
     // Emit socket event
     if (req.io) {
       req.io.emit('taxSlabUpdated', slab);
@@ -141,9 +174,9 @@ router.put('/slabs/:id', async (req, res) => {
 });
 
 // Delete tax slab
-router.delete('/slabs/:id', async (req, res) => {
+router.delete('/slabs/:id', requirePermission('tax:manage'), async (req, res) => {
   try {
-    const slab = await TaxSlab.findByIdAndDelete(req.params.id);
+    const slab = await TaxSlab.findById(req.params.id);
 
     if (!slab) {
       return res.status(404).json({
@@ -152,10 +185,11 @@ router.delete('/slabs/:id', async (req, res) => {
       });
     }
 
-    // Check if any entries are using this slab
-    const entriesUsingSlab = await TaxEntry.countDocuments({
-      'items.taxSlabId': req.params.id
-    });
+    // Check if any entries or products are using this slab
+    const [entriesUsingSlab, productsUsingSlab] = await Promise.all([
+      TaxEntry.countDocuments({ 'items.taxSlabId': req.params.id }),
+      Product.countDocuments({ taxSlabId: req.params.id })
+    ]);
 
     if (entriesUsingSlab > 0) {
       return res.status(400).json({
@@ -163,6 +197,14 @@ router.delete('/slabs/:id', async (req, res) => {
         message: `Cannot delete slab. It is being used in ${entriesUsingSlab} entries.`
       });
     }
+    if (productsUsingSlab > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete slab. It is assigned to ${productsUsingSlab} products.`
+      });
+    }
+
+    await slab.deleteOne();
 
     // Emit socket event
     if (req.io) {
@@ -183,7 +225,7 @@ router.delete('/slabs/:id', async (req, res) => {
 });
 
 // Toggle tax slab status
-router.patch('/slabs/:id/status', async (req, res) => {
+router.patch('/slabs/:id/status', requirePermission('tax:manage'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -329,9 +371,24 @@ router.get('/entries/:id', async (req, res) => {
   }
 });
 
+// GSTINs are checked as they are entered; stored entries may predate the check
+const gstinError = (gstin) => {
+  if (!gstin) return null;
+  const check = validateGstin(gstin);
+  return check.valid ? null : `GSTIN ${check.gstin}: ${check.error}`;
+};
+
 // Create tax entry
-router.post('/entries', async (req, res) => {
+router.post('/entries', requirePermission('tax:manage'), async (req, res) => {
   try {
+    const invalidGstin = gstinError(req.body.gstin);
+    if (invalidGstin) {
+      return res.status(400).json({
+        success: false,
+        message: invalidGstin
+      });
+    }
+
     // Calculate totals
     const items = req.body.items || [];
     let taxableValue = 0;
@@ -365,21 +422,16 @@ router.post('/entries', async (req, res) => {
       totalAmount
     };
 
-    // Generate invoice number if not provided
-    if (!entryData.invoiceNo) {
-      const date = new Date();
-      const year = date.getFullYear();
-      const month = (date.getMonth() + 1).toString().padStart(2, '0');
-      const count = await TaxEntry.countDocuments({
-        date: {
-          $gte: new Date(year, date.getMonth(), 1),
-          $lt: new Date(year, date.getMonth() + 1, 1)
-        }
-      });
-      entryData.invoiceNo = `INV-${year}${month}-${(count + 1).toString().padStart(3, '0')}`;
-    }
-
-    const entry = await TaxEntry.create(entryData);
+    // Entries without an invoice number take the next one from the tax
+    // invoice series, in the same transaction as the insert
+    const entry = await runInTransaction(async (session) => {
+      if (!req.body.invoiceNo) {
+        const { number } = await nextNumber('taxInvoice', { date: entryData.date, session });
+        entryData.invoiceNo = number;
+      }
+      const [created] = await TaxEntry.create([entryData], { session });
+      return created;
+    });
 
     // Populate tax slab info
     await entry.populate('items.taxSlabId', 'name rate');
@@ -419,7 +471,7 @@ router.post('/entries', async (req, res) => {
 });
 
 // Update tax entry
-router.put('/entries/:id', async (req, res) => {
+router.put('/entries/:id', requirePermission('tax:manage'), async (req, res) => {
   try {
     const entry = await TaxEntry.findById(req.params.id);
 
@@ -430,6 +482,14 @@ router.put('/entries/:id', async (req, res) => {
       });
     }
 
+    const invalidGstin = req.body.gstin !== entry.gstin && gstinError(req.body.gstin);
+    if (invalidGstin) {
+      return res.status(400).json({
+        success: false,
+        message: invalidGstin
+      });
+    }
+
     // Recalculate totals if items changed
     if (req.body.items) {
       const items = req.body.items;
@@ -498,7 +558,7 @@ router.put('/entries/:id', async (req, res) => {
 });
 
 // Delete tax entry
-router.delete('/entries/:id', async (req, res) => {
+router.delete('/entries/:id', requirePermission('tax:manage'), async (req, res) => {
   try {
     const entry = await TaxEntry.findByIdAndDelete(req.params.id);
 
@@ -529,90 +589,43 @@ router.delete('/entries/:id', async (req, res) => {
 
 // ============== BULK OPERATIONS ==============
 
-// Bulk import tax entries
-router.post('/entries/bulk-import', async (req, res) => {
+// Bulk import tax entries from an uploaded CSV/XLSX (`file`) or CSV text
+// (`csvData`). Rows are grouped into invoices by Invoice No; only invoices
+// whose rows are all valid are imported. ?dryRun=true validates without saving.
+router.post('/entries/bulk-import', requirePermission('data:import'), importFile, async (req, res) => {
   try {
-    const { csvData } = req.body;
-    
-    if (!csvData) {
-      return res.status(400).json({
-        success: false,
-        message: 'CSV data is required'
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const result = await importTaxEntries({
+      file: req.file,
+      csvData: req.body.csvData,
+      dryRun
+    });
+    const { summary, invoices, errors, entries } = result;
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        message: `${summary.validInvoices} of ${summary.invoices} invoices are ready to import`,
+        summary,
+        invoices,
+        errors
       });
     }
 
-    const entries = [];
-    const errors = [];
-    const rows = csvData.trim().split('\n');
-    const headers = rows[0].split(',').map(h => h.trim());
-
-    // Validate headers
-    const requiredHeaders = ['Invoice No', 'Date', 'Customer', 'GSTIN', 'Item', 'Quantity', 'Price', 'Tax Slab ID', 'HSN', 'Inter-State'];
-    for (const header of requiredHeaders) {
-      if (!headers.includes(header)) {
-        return res.status(400).json({
-          success: false,
-          message: `Missing required header: ${header}`
-        });
-      }
-    }
-
-    // Process rows
-    for (let i = 1; i < rows.length; i++) {
-      try {
-        const values = rows[i].split(',').map(v => v.trim());
-        const rowData = {};
-        headers.forEach((header, index) => {
-          rowData[header.toLowerCase().replace(/ /g, '_')] = values[index] || '';
-        });
-
-        // Convert data types
-        const entry = {
-          invoiceNo: rowData.invoice_no,
-          date: new Date(rowData.date),
-          customer: rowData.customer,
-          gstin: rowData.gstin,
-          items: [{
-            name: rowData.item,
-            quantity: parseInt(rowData.quantity) || 1,
-            price: parseFloat(rowData.price) || 0,
-            taxSlabId: rowData.tax_slab_id,
-            hsn: rowData.hsn
-          }],
-          isInterState: rowData.inter_state.toLowerCase() === 'true',
-          status: 'Imported'
-        };
-
-        // Calculate totals
-        const slab = await TaxSlab.findById(entry.items[0].taxSlabId);
-
-        const itemTotal = entry.items[0].quantity * entry.items[0].price;
-        const taxRate = slab ? slab.rate : 0;
-        const totalTax = itemTotal * (taxRate / 100);
-
-        entry.taxableValue = itemTotal;
-        entry.totalTax = totalTax;
-        entry.totalAmount = itemTotal + totalTax;
-
-        entries.push(entry);
-      } catch (rowError) {
-        errors.push(`Row ${i + 1}: ${rowError.message}`);
-      }
-    }
-
-    if (errors.length > 0) {
+    if (entries.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Some rows have errors',
+        message: 'No valid invoices to import',
+        summary,
+        invoices,
         errors
       });
     }
 
-    // Save all entries
-    const savedEntries = await TaxEntry.insertMany(entries);
-
     // Emit socket events for each entry
-    savedEntries.forEach(entry => {
+    entries.forEach(entry => {
       if (req.io) {
         req.io.emit('taxEntryAdded', entry);
       }
@@ -620,10 +633,19 @@ router.post('/entries/bulk-import', async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: `Successfully imported ${savedEntries.length} entries`,
-      entries: savedEntries
+      message: `Successfully imported ${entries.length} entries`
+        + (summary.skippedInvoices > 0 ? `, ${summary.skippedInvoices} skipped with errors` : ''),
+      summary,
+      errors,
+      entries
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error bulk importing tax entries:', error);
     res.status(500).json({
       success: false,
@@ -633,7 +655,7 @@ router.post('/entries/bulk-import', async (req, res) => {
 });
 
 // Bulk export tax entries
-router.post('/entries/bulk-export', async (req, res) => {
+router.post('/entries/bulk-export', requirePermission('data:export'), async (req, res) => {
   try {
     const { entryIds } = req.body;
     
@@ -888,11 +910,101 @@ router.get('/reports/:type', async (req, res) => {
   }
 });
 
+// ============== GST RETURNS ==============
+
+const sendReturnError = (res, error, label) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Error generating ${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+const sendCsv = (res, filename, content) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(content);
+};
+
+// GSTR-1 for a month from invoices and credit notes
+// ?period=YYYY-MM (or MMYYYY) &format=json|csv &section=b2b|b2cl|b2cs|cdnr|cdnur|hsn|doc_issue
+router.get('/returns/gstr1', requirePermission('data:export'), async (req, res) => {
+  try {
+    const { period, format = 'json', section } = req.query;
+    const report = await gstr1(period);
+
+    if (format === 'csv') {
+      if (!section) {
+        return res.status(400).json({
+          success: false,
+          message: 'section is required for CSV output'
+        });
+      }
+      return sendCsv(res, `GSTR1_${report.fp}_${section}.csv`, gstr1Csv(report, section));
+    }
+
+    // The portal's offline JSON, as a download when asked for
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="GSTR1_${report.fp}.json"`);
+      return res.json(report);
+    }
+
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    sendReturnError(res, error, 'GSTR-1');
+  }
+});
+
+// GSTR-3B summary for a month (?period=YYYY-MM &format=json|csv)
+router.get('/returns/gstr3b', requirePermission('data:export'), async (req, res) => {
+  try {
+    const { period, format = 'json' } = req.query;
+    const report = await gstr3b(period);
+
+    if (format === 'csv') {
+      return sendCsv(res, `GSTR3B_${report.ret_period}.csv`, gstr3bCsv(report));
+    }
+
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="GSTR3B_${report.ret_period}.json"`);
+      return res.json(report);
+    }
+
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    sendReturnError(res, error, 'GSTR-3B');
+  }
+});
+
+// ============== GSTIN ==============
+
+// Offline GSTIN check: format, state code and check character
+router.get('/gstin/:gstin/validate', (req, res) => {
+  const result = validateGstin(req.params.gstin);
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
 // Test route
 router.get('/test', (req, res) => {
   res.status(200).json({
     success: true,
-    message: 'Tax API is working without authentication',
+    message: 'Tax API is working',
     timestamp: new Date().toISOString()
   });
 });
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
 const Transaction = require('../models/Transaction');
 const Customer = require('../models/Customer');
 
@@ -295,7 +296,7 @@ router.get('/summary/range', async (req, res) => {
 });
 
 // ✅ EXPORT TRANSACTIONS (CSV format)
-router.get('/export/csv', async (req, res) => {
+router.get('/export/csv', requirePermission('data:export'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const User = require('../models/User');
+const { revokeAllForUser } = require('../services/tokenService');
+const { ROLES } = require('../config/permissions');
+const { PASSWORD_MIN_LENGTH } = require('../config/auth');
+
+// Refuse changes that would leave the system without an active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+  const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+  return activeAdmins <= 1;
+};
+
+// ✅ GET CURRENT USER (any signed-in user)
+router.get('/me', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('❌ Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// Everything below is admin-only
+router.use(requirePermission('users:manage'));
+
+// ✅ GET ALL USERS
+router.get('/', async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    const filter = {};
+    if (role && role !== 'all') filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const users = await User.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      users
+    });
+  } catch (error) {
+    console.error('❌ Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// ✅ GET SINGLE USER
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('❌ Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// ✅ CREATE USER
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    if (!username || !password || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, password and role are required'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+      });
+    }
+
+    const existingUser = await User.findOne({ username: username.trim() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    const user = await User.create({
+      username: username.trim(),
+      password,
+      role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      user
+    });
+  } catch (error) {
+    console.error('❌ Error creating user:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating user'
+    });
+  }
+});
+
+// ✅ UPDATE USER (role, status, username or password reset)
+router.put('/:id', async (req, res) => {
+  try {
+    const { username, role, isActive, password } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Mongoose would cast "false" or 0 to false after the last-admin check
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false'
+      });
+    }
+
+    if (password !== undefined && password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+      });
+    }
+
+    const demotingOrDisabling =
+      (role !== undefined && role !== 'admin') ||
+      isActive === false;
+
+    if (demotingOrDisabling && await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot demote or disable the last active admin'
+      });
+    }
+
+    if (username !== undefined) user.username = username.trim();
+
+    // Any change to what the user may do invalidates their existing sessions
+    let invalidateSessions = false;
+    if (role !== undefined && role !== user.role) {
+      user.role = role;
+      invalidateSessions = true;
+    }
+    if (isActive !== undefined && isActive !== user.isActive) {
+      user.isActive = isActive;
+      invalidateSessions = true;
+    }
+    if (password !== undefined) {
+      user.password = password;
+      invalidateSessions = true;
+    }
+
+    if (invalidateSessions) {
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+
+    if (invalidateSessions) {
+      await revokeAllForUser(user._id, 'Updated by admin');
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('❌ Error updating user:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user'
+    });
+  }
+});
+
+// ✅ UNLOCK USER (clear failed login lockout)
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.unlock();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      user
+    });
+  } catch (error) {
+    console.error('❌ Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking user'
+    });
+  }
+});
+
+// ✅ DELETE USER
+router.delete('/:id', async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+
+    await user.deleteOne();
+    await revokeAllForUser(user._id, 'User deleted');
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      deletedUserId: user._id
+    });
+  } catch (error) {
+    console.error('❌ Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting user'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,36 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+require('dotenv').config();
 const User = require('./models/User');
 
-mongoose.connect('mongodb://127.0.0.1:27017/billing-system')
+// Bootstraps the first admin account. Existing users are never touched;
+// further accounts are created through /api/users.
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/billing-system')
   .then(() => console.log('MongoDB connected for seeding'))
   .catch(err => console.error(err));
 
 (async () => {
   try {
-    // Clear old users
-    await User.deleteMany();
+    const existingAdmin = await User.findOne({ role: 'admin' });
+    if (existingAdmin) {
+      console.log(`ℹ️ Admin already exists (${existingAdmin.username}), nothing to seed`);
+      process.exit();
+    }
 
-    // Create admin
-    const adminPassword = await bcrypt.hash('admin123', 10);
-    const staffPassword = await bcrypt.hash('staff123', 10);
+    const username = process.env.SEED_ADMIN_USERNAME || 'admin';
+    const password = process.env.SEED_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
 
-    await User.create([
-      {
-        username: 'admin',
-        password: adminPassword,
-        role: 'admin'
-      },
-      {
-        username: 'staff',
-        password: staffPassword,
-        role: 'staff'
-      }
-    ]);
+    // Password is hashed by the User pre-save hook
+    await User.create({
+      username,
+      password,
+      role: 'admin'
+    });
 
-    console.log('✅ Admin & Staff users created');
+    console.log(`✅ Admin user created: ${username}`);
+    if (!process.env.SEED_ADMIN_PASSWORD) {
+      console.log(`🔑 Generated password: ${password} (change it after first login)`);
+    }
     process.exit();
   } catch (err) {
     console.error(err);
@@ -7,6 +7,7 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/productRoutes');
 const customerRoutes = require('./routes/customerRoutes');
 const discountRoutes = require('./routes/discountRoutes');
@@ -19,6 +20,24 @@ const whatsappRoutes = require('./routes/Whatsapp');
 const ordersRoutes = require('./routes/orders');
 const billsRoutes = require('./routes/bills');
 const notificationRoutes = require('./routes/notifications'); // Import notification routes
+const numberSeriesRoutes = require('./routes/numberSeries');
+const checkoutRoutes = require('./routes/checkout');
+const invoiceTemplateRoutes = require('./routes/invoiceTemplates');
+const returnRoutes = require('./routes/returns');
+const paymentRoutes = require('./routes/payment');
+const eWayBillRoutes = require('./routes/ewayBills');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseRoutes = require('./routes/purchases');
+const batchRoutes = require('./routes/batches');
+const stockRoutes = require('./routes/stockRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const locationRoutes = require('./routes/locations');
+const stockTransferRoutes = require('./routes/stockTransfers');
+const stockTakeRoutes = require('./routes/stockTakes');
+const { scheduleEWayBillAlerts } = require('./services/ewayBill');
+const { scheduleReplenishment } = require('./services/replenishment');
+const { scheduleExpiryAlerts } = require('./services/batchService');
+const { protect } = require('./middleware/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -59,9 +78,24 @@ app.get('/', (req, res) => {
     features: ['Customer Management', 'Coin Wallet System', 'Transaction History', 'Invoice System', 'Real-time Notifications'],
     endpoints: {
       auth: '/api/auth',
+      users: '/api/users',
       products: '/api/products',
       customers: '/api/customers',
       notifications: '/api/notifications',
+      numberSeries: '/api/number-series',
+      checkout: '/api/checkout',
+      invoiceTemplates: '/api/invoice-templates',
+      returns: '/api/returns',
+      payments: '/api/payments',
+      eWayBills: '/api/eway-bills',
+      suppliers: '/api/suppliers',
+      purchases: '/api/purchases',
+      batches: '/api/batches',
+      stock: '/api/stock',
+      reports: '/api/reports',
+      locations: '/api/locations',
+      stockTransfers: '/api/stock-transfers',
+      stockTakes: '/api/stock-takes',
       sales: '/api/sales',
       analytics: '/api/analytics'
     }
@@ -69,32 +103,48 @@ app.get('/', (req, res) => {
 });
 
 // Core routes
+// Auth stays public; every other /api router requires a valid token
 app.use('/api/auth', authRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/customers', customerRoutes);
-app.use('/api/discounts', discountRoutes);
-app.use('/api/coupons', couponRoutes);
-app.use('/api/expenses', expenseRoutes);
-app.use('/api/tax', taxRoutes);
-app.use('/api/coins', coinRoutes);
-app.use('/api/transactions', transactionRoutes);
-app.use('/api/whatsapp', whatsappRoutes);
-app.use('/api/orders', ordersRoutes);
-app.use('/api/bills', billsRoutes);
-app.use('/api/notifications', notificationRoutes); // Use notification routes
+app.use('/api/users', protect, userRoutes);
+app.use('/api/products', protect, productRoutes);
+app.use('/api/customers', protect, customerRoutes);
+app.use('/api/discounts', protect, discountRoutes);
+app.use('/api/coupons', protect, couponRoutes);
+app.use('/api/expenses', protect, expenseRoutes);
+app.use('/api/tax', protect, taxRoutes);
+app.use('/api/coins', protect, coinRoutes);
+app.use('/api/transactions', protect, transactionRoutes);
+app.use('/api/whatsapp', protect, whatsappRoutes);
+app.use('/api/orders', protect, ordersRoutes);
+app.use('/api/bills', protect, billsRoutes);
+app.use('/api/notifications', protect, notificationRoutes); // Use notification routes
+app.use('/api/number-series', protect, numberSeriesRoutes);
+app.use('/api/checkout', protect, checkoutRoutes);
+app.use('/api/invoice-templates', protect, invoiceTemplateRoutes);
+app.use('/api/returns', protect, returnRoutes);
+app.use('/api/payments', protect, paymentRoutes);
+app.use('/api/eway-bills', protect, eWayBillRoutes);
+app.use('/api/suppliers', protect, supplierRoutes);
+app.use('/api/purchases', protect, purchaseRoutes);
+app.use('/api/batches', protect, batchRoutes);
+app.use('/api/stock', protect, stockRoutes);
+app.use('/api/reports', protect, reportRoutes);
+app.use('/api/locations', protect, locationRoutes);
+app.use('/api/stock-transfers', protect, stockTransferRoutes);
+app.use('/api/stock-takes', protect, stockTakeRoutes);
 
 // Load other routes safely
 const loadRoutes = (routePath, routeName) => {
   try {
     const routes = require(routePath);
-    app.use(`/api/${routeName}`, routes);
+    app.use(`/api/${routeName}`, protect, routes);
     console.log(`✅ ${routeName} routes loaded`);
   } catch (err) {
     console.warn(`⚠️ ${routeName} routes not found:`, err.message);
     // Create placeholder route
     const router = express.Router();
     router.get('/', (req, res) => res.json({ message: `${routeName} module not implemented` }));
-    app.use(`/api/${routeName}`, router);
+    app.use(`/api/${routeName}`, protect, router);
   }
 };
 
@@ -298,4 +348,8 @@ server.listen(PORT, () => {
   console.log(`🔔 Real-time Notifications: ws://localhost:${PORT}`);
   console.log(`📦 Stock Monitoring: http://localhost:${PORT}/api/notifications/check-stock`);
   console.log(`✅ Duplicate notification prevention: ACTIVE`);
+
+  scheduleEWayBillAlerts(io);
+  scheduleReplenishment();
+  scheduleExpiryAlerts(io);
 });
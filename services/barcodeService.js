@@ -0,0 +1,223 @@
+// services/barcodeService.js
+// Product barcodes and label sheets. A product can carry several codes: the
+// maker's EAN-13 or UPC-A and/or an internal EAN-13 issued here for items
+// that arrive unlabelled. Internal codes start with 20, a GS1 prefix kept for
+// in-store use, so they never clash with a maker's code. They are numbered
+// from the 'barcode' series. Every code is checked against its check digit,
+// and labels are drawn as EAN-13 (a UPC-A is an EAN-13 with a leading 0).
+
+const PDFDocument = require('pdfkit');
+const Product = require('../models/Product');
+const { nextNumber } = require('./numberingService');
+const ApiError = require('../utils/ApiError');
+
+const BARCODE_TYPES = ['EAN13', 'UPC', 'INTERNAL'];
+
+// ============== CODES ==============
+
+// GS1 check digit for the digits before it
+const checkDigit = (body) => {
+  const sum = body.split('').reverse().reduce((total, digit, index) => {
+    return total + Number(digit) * (index % 2 === 0 ? 3 : 1);
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const hasValidCheckDigit = (code) => checkDigit(code.slice(0, -1)) === code.slice(-1);
+
+// The type a code is, from its length and prefix
+const detectType = (code) => {
+  if (/^\d{12}$/.test(code)) return 'UPC';
+  if (/^2\d{12}$/.test(code)) return 'INTERNAL';
+  if (/^\d{13}$/.test(code)) return 'EAN13';
+  return null;
+};
+
+// Checks one code (a string or { code, type }) and returns { code, type }
+const normalizeBarcode = (input) => {
+  const code = String(typeof input === 'object' && input !== null ? input.code : input || '').trim();
+  const type = (typeof input === 'object' && input?.type ? String(input.type).toUpperCase() : null) || detectType(code);
+
+  if (!BARCODE_TYPES.includes(type)) {
+    throw new ApiError(`Barcode '${code}' is not an EAN-13 or UPC-A code`);
+  }
+  const length = type === 'UPC' ? 12 : 13;
+  if (!new RegExp(`^\\d{${length}}$`).test(code)) {
+    throw new ApiError(`Barcode '${code}' must be ${length} digits for ${type}`);
+  }
+  if (type === 'INTERNAL' && !code.startsWith('2')) {
+    throw new ApiError(`Internal barcode '${code}' must start with 2`);
+  }
+  if (!hasValidCheckDigit(code)) {
+    throw new ApiError(`Barcode '${code}' has the wrong check digit (expected ${checkDigit(code.slice(0, -1))})`);
+  }
+  return { code, type };
+};
+
+// A product's list of codes, checked and without repeats
+const normalizeBarcodes = (list) => {
+  if (!Array.isArray(list)) {
+    throw new ApiError('barcodes must be a list');
+  }
+  const seen = new Set();
+  return list.map(normalizeBarcode).filter(barcode => {
+    if (seen.has(barcode.code)) return false;
+    seen.add(barcode.code);
+    return true;
+  });
+};
+
+// Throws when another product already carries one of the codes
+const assertBarcodesFree = async (barcodes, productId = null) => {
+  if (barcodes.length === 0) return;
+  const query = { 'barcodes.code': { $in: barcodes.map(barcode => barcode.code) } };
+  if (productId) query._id = { $ne: productId };
+
+  const taken = await Product.findOne(query).select('name barcodes').lean();
+  if (taken) {
+    const code = taken.barcodes.find(barcode => barcodes.some(b => b.code === barcode.code)).code;
+    throw new ApiError(`Barcode ${code} is already used by ${taken.name}`, 409);
+  }
+};
+
+// Next internal EAN-13 from the 'barcode' series
+const generateInternalBarcode = async (session = null) => {
+  const { number } = await nextNumber('barcode', { session });
+  if (!/^2\d{11}$/.test(number)) {
+    throw new ApiError(`The barcode number series must give 12 digits starting with 2, got '${number}'`, 500);
+  }
+  return { code: number + checkDigit(number), type: 'INTERNAL' };
+};
+
+// Issue an internal code to every product in the list that has none
+const assignInternalBarcodes = async (products) => {
+  const assigned = [];
+  for (const product of products) {
+    if (product.barcodes?.length) continue;
+    const barcode = await generateInternalBarcode();
+    await Product.updateOne({ _id: product._id }, { $push: { barcodes: barcode } });
+    assigned.push({ productId: product._id, name: product.name, ...barcode });
+  }
+  return assigned;
+};
+
+// The product a scanned code belongs to: one of its barcodes (a UPC-A read
+// as 13 digits, or the reverse, still matches), its SKU or its product code
+const findByCode = (code) => {
+  const scanned = String(code || '').trim();
+  if (!scanned) return null;
+
+  const codes = [scanned];
+  if (/^\d{12}$/.test(scanned)) codes.push(`0${scanned}`);
+  if (/^0\d{12}$/.test(scanned)) codes.push(scanned.slice(1));
+
+  return Product.findOne({
+    $or: [
+      { 'barcodes.code': { $in: codes } },
+      { sku: scanned.toUpperCase() },
+      { productId: scanned }
+    ]
+  });
+};
+
+// ============== LABELS ==============
+
+const EAN_LEFT_ODD = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_LEFT_EVEN = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_RIGHT = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+// Which left-hand digits use even parity, by the first digit
+const EAN_PARITY = ['OOOOOO', 'OOEOEE', 'OOEEOE', 'OOEEEO', 'OEOOEE', 'OEEOOE', 'OEEEOO', 'OEOEOE', 'OEOEEO', 'OEEOEO'];
+
+// The 95 bar modules ('1' black) of an EAN-13
+const eanModules = (ean) => {
+  const digits = ean.split('').map(Number);
+  const parity = EAN_PARITY[digits[0]];
+  const left = digits.slice(1, 7).map((digit, i) => (parity[i] === 'O' ? EAN_LEFT_ODD : EAN_LEFT_EVEN)[digit]).join('');
+  const right = digits.slice(7).map(digit => EAN_RIGHT[digit]).join('');
+  return `101${left}01010${right}101`;
+};
+
+const drawEan13 = (doc, code, { x, y, width, height }) => {
+  const ean = code.length === 12 ? `0${code}` : code;
+  const modules = eanModules(ean);
+  const moduleWidth = width / modules.length;
+
+  let run = 0;
+  for (let i = 0; i <= modules.length; i++) {
+    if (modules[i] === '1') {
+      run++;
+    } else if (run > 0) {
+      doc.rect(x + (i - run) * moduleWidth, y, run * moduleWidth, height).fill('#000000');
+      run = 0;
+    }
+  }
+  doc.font('Helvetica').fontSize(8).text(code, x, y + height + 1, { width, align: 'center' });
+};
+
+const formatPrice = (value) => `Rs. ${(Math.round((Number(value) || 0) * 100) / 100).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+// labels: [{ product, barcode, copies }]. A4 sheet of columns x rows
+// labels, filled left to right; returns a finished pdfkit document.
+const renderLabelSheet = (labels, { columns = 3, rows = 8, showPrice = true } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 20 });
+  doc.info.Title = 'Barcode labels';
+
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const cellWidth = (doc.page.width - left - doc.page.margins.right) / columns;
+  const cellHeight = (doc.page.height - top - doc.page.margins.bottom) / rows;
+  const padding = 6;
+  const width = cellWidth - padding * 2;
+
+  let slot = 0;
+  labels.forEach(({ product, barcode, copies }) => {
+    for (let copy = 0; copy < copies; copy++) {
+      if (slot === columns * rows) {
+        doc.addPage();
+        slot = 0;
+      }
+      const x = left + (slot % columns) * cellWidth + padding;
+      let y = top + Math.floor(slot / columns) * cellHeight + padding;
+
+      doc.fillColor('#000000').font('Helvetica-Bold').fontSize(8)
+        .text(product.name, x, y, { width, height: 10, ellipsis: true, lineBreak: false });
+      y += 12;
+      const barHeight = cellHeight - padding * 2 - (showPrice ? 36 : 24);
+      drawEan13(doc, barcode.code, { x: x + width * 0.05, y, width: width * 0.9, height: barHeight });
+      y += barHeight + 11;
+      if (showPrice) {
+        doc.font('Helvetica-Bold').fontSize(9).text(formatPrice(product.price), x, y, { width, align: 'center' });
+      }
+      slot++;
+    }
+  });
+
+  doc.end();
+  return doc;
+};
+
+// Set PDF headers and stream a label sheet to an Express response
+const sendLabelSheet = (res, labels, options = {}) => {
+  const doc = renderLabelSheet(labels, options);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="barcode-labels-${Date.now()}.pdf"`);
+
+  doc.pipe(res);
+};
+
+module.exports = {
+  BARCODE_TYPES,
+  checkDigit,
+  normalizeBarcode,
+  normalizeBarcodes,
+  assertBarcodesFree,
+  generateInternalBarcode,
+  assignInternalBarcodes,
+  findByCode,
+  renderLabelSheet,
+  sendLabelSheet
+};
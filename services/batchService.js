@@ -0,0 +1,427 @@
+// services/batchService.js
+// Batch and expiry tracking. Product.stock stays the total on hand; Batch
+// documents say how many of those units belong to each lot. Stock received
+// without a batch (or before tracking started) is "unbatched" and is sold
+// after the batches. Billing takes the earliest-expiring unexpired batch
+// first (FEFO) and records the batches on the invoice line, so returns can
+// put the units back where they came from. Expired units cannot be billed.
+
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const { runInTransaction } = require('./numberingService');
+const { generateNotificationHash, upsertNotification } = require('./notificationService');
+const { recordMovement } = require('./stockLedger');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days ahead of expiry that a batch shows up as expiring soon
+const EXPIRY_ALERT_DAYS = Number(process.env.BATCH_EXPIRY_ALERT_DAYS) || 30;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new ApiError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+// A batch can be sold up to and including its expiry date
+const isExpired = (batch, now = new Date()) =>
+  Boolean(batch.expiryDate) && batch.expiryDate < startOfDay(now);
+
+const daysToExpiry = (batch, now = new Date()) => batch.expiryDate
+  ? Math.floor((batch.expiryDate - startOfDay(now)) / DAY_MS)
+  : null;
+
+// Earliest expiry first; lots without an expiry go last, oldest receipt first
+const fefoOrder = (a, b) =>
+  ((a.expiryDate ? a.expiryDate.getTime() : Infinity) - (b.expiryDate ? b.expiryDate.getTime() : Infinity))
+  || (a.receivedAt - b.receivedAt);
+
+// ============== RECEIVING ==============
+
+// Add units to a batch, creating it on first receipt. A batch number seen
+// again must carry the same expiry. Product stock is the caller's job.
+// data: { productId, productName, batchNumber, mfgDate, expiryDate, costPrice,
+// quantity, supplierId, purchaseOrderId, poNumber }
+const receiveBatch = async (data, { session = null, performedBy } = {}) => {
+  const batchNumber = String(data.batchNumber || '').trim().toUpperCase();
+  if (!batchNumber) {
+    throw new ApiError('batchNumber is required');
+  }
+  const quantity = Number(data.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new ApiError(`Batch ${batchNumber}: quantity must be a whole number above zero`);
+  }
+  const expiryDate = data.expiryDate ? parseDate(data.expiryDate, 'expiryDate') : undefined;
+  const mfgDate = data.mfgDate ? parseDate(data.mfgDate, 'mfgDate') : undefined;
+
+  const existing = await Batch.findOne({ productId: data.productId, batchNumber }).session(session);
+  if (existing) {
+    if (expiryDate && existing.expiryDate
+      && startOfDay(expiryDate).getTime() !== startOfDay(existing.expiryDate).getTime()) {
+      throw new ApiError(
+        `Batch ${batchNumber} of ${existing.productName} is already on record with expiry ${existing.expiryDate.toISOString().slice(0, 10)}`
+      );
+    }
+    existing.quantity += quantity;
+    existing.initialQuantity += quantity;
+    if (!existing.expiryDate && expiryDate) existing.expiryDate = expiryDate;
+    if (!existing.mfgDate && mfgDate) existing.mfgDate = mfgDate;
+    if (data.costPrice !== undefined && existing.costPrice === undefined) existing.costPrice = data.costPrice;
+    await existing.save({ session });
+    return existing;
+  }
+
+  const batch = new Batch({
+    productId: data.productId,
+    productName: data.productName,
+    batchNumber,
+    mfgDate,
+    expiryDate,
+    costPrice: data.costPrice,
+    quantity,
+    initialQuantity: quantity,
+    supplierId: data.supplierId,
+    purchaseOrderId: data.purchaseOrderId,
+    poNumber: data.poNumber,
+    createdBy: performedBy
+  });
+  await batch.save({ session });
+  return batch;
+};
+
+// Record a batch outside purchasing: new stock arriving (addToStock, the
+// default) or existing unbatched stock being labelled with its batch
+const addBatch = async (data = {}, { performedBy } = {}) => {
+  if (!mongoose.isValidObjectId(data.productId)) {
+    throw new ApiError('A valid productId is required');
+  }
+
+  return runInTransaction(async (session) => {
+    const product = await Product.findById(data.productId).session(session);
+    if (!product) {
+      throw new ApiError('Product not found', 404);
+    }
+    if (product.trackBatches && !data.expiryDate) {
+      throw new ApiError(`${product.name} tracks batches; expiryDate is required`);
+    }
+
+    const quantity = Number(data.quantity);
+    const addToStock = data.addToStock !== false && data.addToStock !== 'false';
+
+    if (!addToStock) {
+      const [{ total = 0 } = {}] = await Batch.aggregate([
+        { $match: { productId: product._id } },
+        { $group: { _id: null, total: { $sum: '$quantity' } } }
+      ]).session(session);
+      const unbatched = Math.max(0, product.stock - total);
+      if (quantity > unbatched) {
+        throw new ApiError(`Only ${unbatched} units of ${product.name} are not yet in a batch`);
+      }
+    }
+
+    const batch = await receiveBatch({
+      ...data,
+      productId: product._id,
+      productName: product.name
+    }, { session, performedBy });
+
+    if (addToStock) {
+      await recordMovement({
+        productId: product._id,
+        type: 'add',
+        quantity,
+        reason: 'Batch received',
+        notes: `Batch ${batch.batchNumber}${batch.expiryDate ? `, expires ${batch.expiryDate.toISOString().slice(0, 10)}` : ''}`,
+        source: { type: 'batch', id: batch._id, reference: batch.batchNumber },
+        performedBy,
+        restocked: true
+      }, { session });
+    }
+
+    return batch;
+  });
+};
+
+// ============== BILLING (FEFO) ==============
+
+// Take each line's units from its batches, earliest expiry first, and set
+// line.batches to what was taken. Whatever the batches cannot cover comes
+// from unbatched stock; units that are only left in expired batches cannot
+// be sold. Products without batches are left alone. Call it before
+// Product.stock is reduced for the sale.
+const allocateBatches = async (lines, { session = null, now = new Date() } = {}) => {
+  // Units of each product taken by earlier lines of the same bill
+  const billed = new Map();
+
+  for (const line of lines) {
+    if (!mongoose.isValidObjectId(line.productId)) continue;
+    const key = String(line.productId);
+    const earlier = billed.get(key) || 0;
+    billed.set(key, earlier + line.quantity);
+
+    const batches = await Batch.find({ productId: line.productId, quantity: { $gt: 0 } }).session(session);
+    if (batches.length === 0) continue;
+    const product = await Product.findById(line.productId).select('name stock').session(session);
+    if (!product) continue;
+
+    batches.sort(fefoOrder);
+    const sellable = batches.filter(batch => !isExpired(batch, now));
+    const stock = product.stock - earlier;
+    const inBatches = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+    const unbatched = Math.max(0, stock - inBatches);
+    const available = sellable.reduce((sum, batch) => sum + batch.quantity, 0) + unbatched;
+
+    // Short on stock altogether is reported by the stock check itself
+    if (line.quantity > available && line.quantity <= stock) {
+      throw new ApiError(
+        `Only ${available} of ${product.name} can be sold; ${stock - available} units are past their expiry date`,
+        409
+      );
+    }
+
+    let remaining = line.quantity;
+    const allocations = [];
+    for (const batch of sellable) {
+      if (remaining <= 0) break;
+      const take = Math.min(batch.quantity, remaining);
+
+      const updated = await Batch.findOneAndUpdate(
+        { _id: batch._id, quantity: { $gte: take } },
+        { $inc: { quantity: -take } },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw new ApiError(`Batch ${batch.batchNumber} of ${product.name} changed while billing; please try again`, 409);
+      }
+
+      allocations.push({
+        batchId: batch._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: take
+      });
+      remaining -= take;
+    }
+
+    line.batches = allocations;
+  }
+
+  return lines;
+};
+
+// Put returned units back into the batches a sale line took them from.
+// Updates the sale line's allocations and returns the batches restocked;
+// units beyond the batched ones go back as unbatched stock.
+const restoreBatches = async (item, quantity, { session = null } = {}) => {
+  const restored = [];
+  let remaining = quantity;
+
+  for (const allocation of item.batches || []) {
+    if (remaining <= 0) break;
+    const open = allocation.quantity - (allocation.returnedQuantity || 0);
+    if (open <= 0) continue;
+    const back = Math.min(open, remaining);
+
+    const batch = await Batch.findByIdAndUpdate(
+      allocation.batchId,
+      { $inc: { quantity: back } },
+      { new: true, session }
+    );
+    if (!batch) continue;
+
+    allocation.returnedQuantity = (allocation.returnedQuantity || 0) + back;
+    restored.push({
+      batchId: allocation.batchId,
+      batchNumber: allocation.batchNumber,
+      expiryDate: allocation.expiryDate,
+      quantity: back
+    });
+    remaining -= back;
+  }
+
+  return restored;
+};
+
+// ============== REPORTS ==============
+
+// Batches on hand expiring within `days` (already expired ones included),
+// soonest first, with their value at cost
+const expiringBatches = async ({ days = EXPIRY_ALERT_DAYS, productId, category, now = new Date() } = {}) => {
+  const window = Number(days);
+  if (!Number.isFinite(window) || window < 0) {
+    throw new ApiError('days must be a non-negative number');
+  }
+  const until = new Date(startOfDay(now).getTime() + (window + 1) * DAY_MS);
+
+  const query = { quantity: { $gt: 0 }, expiryDate: { $lt: until } };
+  if (productId) {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new ApiError('Invalid product ID');
+    }
+    query.productId = productId;
+  }
+  if (category) {
+    const products = await Product.find({ category }).select('_id').lean();
+    query.productId = { $in: products.map(product => product._id) };
+  }
+
+  const batches = await Batch.find(query).sort({ expiryDate: 1 }).lean();
+
+  const rows = batches.map(batch => ({
+    batchId: batch._id,
+    productId: batch.productId,
+    productName: batch.productName,
+    batchNumber: batch.batchNumber,
+    mfgDate: batch.mfgDate,
+    expiryDate: batch.expiryDate,
+    daysToExpiry: daysToExpiry(batch, now),
+    expired: isExpired(batch, now),
+    quantity: batch.quantity,
+    costPrice: batch.costPrice ?? null,
+    value: batch.costPrice !== undefined && batch.costPrice !== null ? round2(batch.quantity * batch.costPrice) : null
+  }));
+
+  const summarise = (list) => ({
+    batches: list.length,
+    quantity: list.reduce((sum, row) => sum + row.quantity, 0),
+    value: round2(list.reduce((sum, row) => sum + (row.value || 0), 0))
+  });
+
+  return {
+    asOf: now,
+    days: window,
+    expired: summarise(rows.filter(row => row.expired)),
+    expiringSoon: summarise(rows.filter(row => !row.expired)),
+    batches: rows
+  };
+};
+
+// ============== EXPIRY ALERTS ==============
+
+const alertHash = (batch) => generateNotificationHash({
+  type: 'Expiry Alert',
+  productId: String(batch.productId),
+  invoiceNo: `BATCH-${batch.batchNumber}`
+});
+
+// Raise "Expiry Alert" notifications for batches on hand within the alert
+// window, and resolve alerts for batches that have since sold out
+const generateExpiryAlerts = async (io = null, { days = EXPIRY_ALERT_DAYS, now = new Date() } = {}) => {
+  const { batches } = await expiringBatches({ days, now });
+  const alerts = [];
+  const live = new Set();
+
+  for (const batch of batches) {
+    const notificationHash = alertHash(batch);
+    live.add(notificationHash);
+    const expiry = batch.expiryDate.toLocaleDateString('en-IN');
+
+    let title, priority, color, message;
+    if (batch.expired) {
+      title = 'Batch Expired';
+      priority = 'high';
+      color = 'red';
+      message = `${batch.quantity} units of ${batch.productName} (batch ${batch.batchNumber}) expired on ${expiry}. Remove them from the shelf.`;
+    } else if (batch.daysToExpiry <= 7) {
+      title = 'Batch Expiring This Week';
+      priority = 'high';
+      color = 'orange';
+      message = `${batch.quantity} units of ${batch.productName} (batch ${batch.batchNumber}) expire ${batch.daysToExpiry === 0 ? 'today' : `in ${batch.daysToExpiry} days`} (${expiry})`;
+    } else {
+      title = 'Batch Expiring Soon';
+      priority = 'medium';
+      color = 'yellow';
+      message = `${batch.quantity} units of ${batch.productName} (batch ${batch.batchNumber}) expire in ${batch.daysToExpiry} days (${expiry})`;
+    }
+
+    try {
+      const result = await upsertNotification({
+        notificationHash,
+        type: 'Expiry Alert',
+        title,
+        message,
+        productId: batch.productId,
+        productName: batch.productName,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        currentStock: batch.quantity,
+        amount: batch.value ?? undefined,
+        daysSince: batch.daysToExpiry,
+        priority,
+        color,
+        icon: 'CalendarClock',
+        isRead: false,
+        isResolved: false
+      }, io, 'batch_service');
+
+      if (result.isNew || result.updated) {
+        alerts.push(result.notification);
+      }
+    } catch (error) {
+      console.error(`❌ Error processing expiry alert for batch ${batch.batchNumber}:`, error.message);
+    }
+  }
+
+  // Open alerts for batches that have since been sold out or removed
+  const open = await Notification.find({ type: 'Expiry Alert', isResolved: false })
+    .select('_id notificationHash productId batchNumber');
+  for (const alert of open.filter(alert => !live.has(alert.notificationHash))) {
+    const batch = await Batch.findOne({ productId: alert.productId, batchNumber: alert.batchNumber })
+      .select('quantity');
+    if (batch && batch.quantity > 0) continue;
+
+    const resolutionNote = `Batch ${alert.batchNumber} no longer in stock`;
+    await Notification.updateOne(
+      { _id: alert._id },
+      { isResolved: true, isRead: true, resolutionNote, resolvedAt: new Date(), lastUpdated: new Date() }
+    );
+
+    if (io) {
+      io.emit('notification_resolved', {
+        notificationId: alert._id.toString(),
+        notificationHash: alert.notificationHash,
+        resolutionNote,
+        source: 'batch_service',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  return alerts;
+};
+
+// Run the expiry check periodically (BATCH_EXPIRY_ALERT_INTERVAL_HOURS, default 12)
+const scheduleExpiryAlerts = (io, intervalMs = (Number(process.env.BATCH_EXPIRY_ALERT_INTERVAL_HOURS) || 12) * 60 * 60 * 1000) => {
+  const run = () => generateExpiryAlerts(io).catch(error => {
+    console.error('❌ Error checking batch expiry:', error.message);
+  });
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  EXPIRY_ALERT_DAYS,
+  isExpired,
+  daysToExpiry,
+  receiveBatch,
+  addBatch,
+  allocateBatches,
+  restoreBatches,
+  expiringBatches,
+  generateExpiryAlerts,
+  scheduleExpiryAlerts
+};
@@ -0,0 +1,408 @@
+// services/checkoutService.js
+// Completes a sale as one MongoDB transaction: reserves stock, consumes the
+// coupon, redeems and earns coins, numbers and saves the invoice and records
+// the payments. Any failure rolls every one of those writes back, so a
+// rejected checkout leaves no half-reduced stock or spent coupon behind.
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const { nextNumber, runInTransaction, supportsTransactions } = require('./numberingService');
+const { COIN_VALUE, normalizeTenders, applyTenders } = require('./paymentService');
+const { dueDateFor, postCreditSale } = require('./customerLedger');
+const { calculateTax, computeTotals, spreadDiscount } = require('./taxService');
+const { allocateBatches } = require('./batchService');
+const { resolveLocation, takeFromLocation } = require('./locationService');
+const { recordMovement } = require('./stockLedger');
+const ApiError = require('../utils/ApiError');
+
+const PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank_transfer'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// ============== VALIDATION ==============
+
+const validateRequest = ({ items, payment = {}, payments, redeemCoins, customerId }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError('At least one item is required');
+  }
+
+  items.forEach((item, index) => {
+    if (!mongoose.isValidObjectId(item.productId)) {
+      throw new ApiError(`Item ${index + 1}: a valid productId is required`);
+    }
+    if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0) {
+      throw new ApiError(`Item ${index + 1}: quantity must be a positive whole number`);
+    }
+  });
+
+  // Either a list of tenders (split / part payment) or a single payment
+  if (payments !== undefined) {
+    if (!Array.isArray(payments)) {
+      throw new ApiError('payments must be a list');
+    }
+    if (payments.length > 0) normalizeTenders(payments);
+    if (payments.length === 0 && !customerId) {
+      throw new ApiError('A customer is required to bill on credit');
+    }
+  } else if (!PAYMENT_METHODS.includes(payment.method)) {
+    throw new ApiError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  if (customerId && !mongoose.isValidObjectId(customerId)) {
+    throw new ApiError('Invalid customer ID');
+  }
+
+  const coins = parseInt(redeemCoins) || 0;
+  if (coins < 0) {
+    throw new ApiError('Coins to redeem cannot be negative');
+  }
+  if (coins > 0 && !customerId) {
+    throw new ApiError('A customer is required to redeem coins');
+  }
+};
+
+// ============== STEPS ==============
+
+// Prices come from the catalogue and tax from services/taxService.js; the
+// client only chooses products, quantities and line discounts
+const priceLines = async (items, { gstInclusive, placeOfSupply, customerGstin, session }) => {
+  const ids = [...new Set(items.map(item => item.productId.toString()))];
+  const products = await Product.find({ _id: { $in: ids } }).session(session);
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  const priced = items.map(item => {
+    const product = byId.get(item.productId.toString());
+    if (!product) {
+      throw new ApiError(`Product ${item.productId} not found`, 404);
+    }
+
+    return {
+      productId: product._id.toString(),
+      productName: product.name,
+      sku: product.productId,
+      category: product.category,
+      quantity: Number(item.quantity),
+      unitPrice: product.price,
+      discount: item.discount
+    };
+  });
+
+  return calculateTax(priced, { gstInclusive, placeOfSupply, customerGstin, session });
+};
+
+// Decrement only while enough stock remains, so two tills selling the last
+// unit cannot both succeed. Each line is logged against the invoice.
+const reserveStock = async (lines, { source, location, performedBy, session }) => {
+  const stockUpdates = [];
+
+  for (const line of lines) {
+    const moved = await recordMovement({
+      productId: line.productId,
+      type: 'remove',
+      quantity: line.quantity,
+      reason: 'Sale',
+      source,
+      location,
+      performedBy
+    }, { session });
+
+    if (!moved) {
+      const product = await Product.findById(line.productId).select('stock').session(session);
+      throw new ApiError(`Insufficient stock for ${line.productName}. Available: ${product ? product.stock : 0}`, 409);
+    }
+
+    stockUpdates.push({
+      productId: line.productId,
+      oldStock: moved.entry.previousStock,
+      newStock: moved.product.stock,
+      quantity: line.quantity,
+      date: new Date()
+    });
+  }
+
+  return stockUpdates;
+};
+
+const consumeCoupon = async (code, amount, session) => {
+  const coupon = await Coupon.findOne({ code: code.toUpperCase() }).session(session);
+
+  if (!coupon) {
+    throw new ApiError('Invalid coupon code', 404);
+  }
+  if (new Date() > new Date(coupon.expiryDate)) {
+    throw new ApiError('Coupon has expired');
+  }
+  if (amount < coupon.minPurchase) {
+    throw new ApiError(`Minimum purchase of ₹${coupon.minPurchase} required`);
+  }
+
+  // Count the use only if the limit still allows it
+  const consumed = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, $expr: { $lt: ['$usageCount', '$usageLimit'] } },
+    { $inc: { usageCount: 1 }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+  if (!consumed) {
+    throw new ApiError('Coupon usage limit reached');
+  }
+
+  const discount = coupon.discountType === 'percentage'
+    ? amount * coupon.value / 100
+    : coupon.value;
+
+  return {
+    code: coupon.code,
+    type: coupon.discountType,
+    value: coupon.value,
+    discountAmount: round2(Math.min(discount, amount)),
+    couponId: coupon._id
+  };
+};
+
+// Tenders for the bill: the given list, or the single payment covering it all
+const tendersFor = (request, finalAmount) => {
+  if (request.payments !== undefined) {
+    return request.payments.length ? normalizeTenders(request.payments) : [];
+  }
+
+  const paymentInput = request.payment;
+  const paidAmount = paymentInput.paidAmount !== undefined
+    ? round2(paymentInput.paidAmount)
+    : finalAmount;
+  if (paidAmount < finalAmount) {
+    throw new ApiError(`Paid amount ₹${paidAmount} is less than the bill amount ₹${finalAmount}`);
+  }
+
+  return normalizeTenders([{
+    method: paymentInput.method,
+    amount: finalAmount,
+    tendered: paidAmount,
+    transactionId: paymentInput.transactionId,
+    referenceNumber: paymentInput.referenceNumber
+  }]);
+};
+
+// ============== CHECKOUT ==============
+
+const checkout = async (request) => {
+  validateRequest(request);
+
+  if (!(await supportsTransactions())) {
+    throw new ApiError('Checkout needs MongoDB transactions (a replica set)', 503);
+  }
+
+  const {
+    items,
+    customerId,
+    couponCode,
+    notes,
+    storeCode,
+    createdBy
+  } = request;
+  const coinsToRedeem = parseInt(request.redeemCoins) || 0;
+
+  // withTransaction may re-run this after a transient error, so everything
+  // it produces is built inside
+  return runInTransaction(async (session) => {
+    const now = new Date();
+
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findById(customerId).session(session);
+      if (!customer) {
+        throw new ApiError('Customer not found', 404);
+      }
+    }
+
+    // Unless the request says otherwise, B2B details come from the customer
+    const profile = customer ? customer.taxProfile() : {};
+    const customerGstin = request.customerGstin || profile.customerGstin;
+    const tax = await priceLines(items, {
+      gstInclusive: request.gstInclusive,
+      placeOfSupply: request.placeOfSupply || profile.placeOfSupply,
+      customerGstin,
+      session
+    });
+    // The store's own shelf and batches first (earliest expiry out), while
+    // stock still shows the units
+    const location = await resolveLocation({ locationId: request.locationId, storeCode }, session);
+    await takeFromLocation(tax.lines, location, { session });
+    await allocateBatches(tax.lines, { session, now });
+
+    const { number: invoiceNumber } = await nextNumber('invoice', { date: now, storeCode, session });
+    const invoiceId = new mongoose.Types.ObjectId();
+    const stockUpdates = await reserveStock(tax.lines, {
+      source: { type: 'checkout', id: invoiceId, reference: invoiceNumber },
+      location,
+      performedBy: createdBy,
+      session
+    });
+
+    // Coupon and coins are measured against the bill before discounts
+    const grossAmount = tax.totals.totalAmount;
+
+    const couponInfo = couponCode
+      ? await consumeCoupon(couponCode, grossAmount, session)
+      : undefined;
+    const couponDiscount = couponInfo ? couponInfo.discountAmount : 0;
+
+    const coinDiscount = round2(coinsToRedeem * COIN_VALUE);
+    if (coinDiscount > grossAmount - couponDiscount) {
+      throw new ApiError('Coins redeemed cannot exceed the bill amount');
+    }
+
+    // They are discounts on the goods, so they come off the lines before GST
+    const lines = spreadDiscount(tax.lines, couponDiscount + coinDiscount, {
+      inclusive: tax.gstInclusive,
+      interState: tax.interState
+    });
+    const totals = computeTotals(lines);
+    const { totalAmount, finalAmount } = totals;
+
+    const tenders = tendersFor(request, finalAmount);
+    const tenderTotal = round2(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    if (tenderTotal > finalAmount) {
+      throw new ApiError(`Payments of ₹${tenderTotal} exceed the bill amount ₹${finalAmount}`);
+    }
+    // Anything left unpaid goes on the customer's credit account
+    const onCredit = tenderTotal < finalAmount;
+    if (onCredit && !customer) {
+      throw new ApiError('A customer is required when part of the bill is left unpaid');
+    }
+
+    // Coins: redeem the discount first, then earn once the tenders are known
+    const coinTransactions = [];
+    let coinsEarned = 0;
+    if (customer && coinsToRedeem > 0) {
+      if (customer.coins < coinsToRedeem) {
+        throw new ApiError(`Insufficient coins. Available: ${customer.coins}`);
+      }
+      const balanceBefore = customer.coins;
+      customer.redeemCoins(coinsToRedeem);
+      coinTransactions.push({
+        customerId: customer._id,
+        type: 'Redeem',
+        amount: -coinDiscount,
+        coins: -coinsToRedeem,
+        discountValue: coinDiscount,
+        balanceBefore,
+        balanceAfter: customer.coins,
+        note: `Redeemed ${coinsToRedeem} coins for ₹${coinDiscount} discount`,
+        billNumber: invoiceNumber,
+        cashierId: createdBy
+      });
+    }
+
+    const customerName = customer ? customer.name : (request.customerName || 'Walk-in Customer');
+
+    const invoice = new Invoice({
+      _id: invoiceId,
+      invoiceNumber,
+      date: now,
+      status: 'completed',
+      type: 'sale',
+      source: 'checkout',
+      storeCode: storeCode ? storeCode.toUpperCase() : undefined,
+      locationId: location._id,
+      locationCode: location.code,
+      customerId: customer ? customer._id.toString() : undefined,
+      customerName,
+      customerPhone: customer ? customer.phone : request.customerPhone,
+      customerEmail: customer ? customer.email : request.customerEmail,
+      customerGstin,
+      items: lines,
+      subtotal: totals.subtotal,
+      totalGST: totals.totalGST,
+      cgstTotal: totals.cgstTotal,
+      sgstTotal: totals.sgstTotal,
+      igstTotal: totals.igstTotal,
+      gstBreakdown: totals.gstBreakdown,
+      couponDiscount,
+      additionalDiscounts: coinDiscount,
+      totalDiscount: round2(couponDiscount + coinDiscount),
+      discountsBeforeTax: true,
+      totalAmount,
+      amountAfterDiscount: totals.amountAfterDiscount,
+      finalAmount,
+      roundOff: totals.roundOff,
+      roundOffEnabled: true,
+      gstInclusive: tax.gstInclusive,
+      placeOfSupply: tax.placeOfSupply,
+      isInterState: tax.interState,
+      // Method, status and paid amounts are filled in by applyTenders
+      payment: {
+        method: 'credit',
+        status: 'pending',
+        transactionId: tenders.length === 1 ? tenders[0].transactionId : undefined,
+        amount: finalAmount,
+        paidAmount: 0,
+        change: 0,
+        paymentDate: now
+      },
+      dueDate: onCredit ? dueDateFor(customer, now) : undefined,
+      couponInfo,
+      stockUpdates,
+      notes,
+      createdBy
+    });
+
+    const payments = await applyTenders({ invoice, customer, tenders, performedBy: createdBy, session });
+
+    if (customer) {
+      // Coins paid with earn nothing; every other tender (and credit) does
+      const earnedOn = round2(finalAmount - tenders
+        .filter(tender => tender.method === 'coins')
+        .reduce((sum, tender) => sum + tender.amount, 0));
+      const balanceBefore = customer.coins;
+      coinsEarned = customer.earnCoinsFromPurchase(earnedOn);
+      coinTransactions.push({
+        customerId: customer._id,
+        type: 'Purchase',
+        amount: earnedOn,
+        coins: coinsEarned,
+        purchaseAmount: earnedOn,
+        balanceBefore,
+        balanceAfter: customer.coins,
+        note: `Purchase: ₹${earnedOn}`,
+        billNumber: invoiceNumber,
+        cashierId: createdBy
+      });
+
+      await customer.save({ session });
+      for (const data of coinTransactions) {
+        await new Transaction(data).save({ session });
+      }
+    }
+
+    await invoice.save({ session });
+
+    // Fails the whole checkout if it would take the customer over their limit
+    if (onCredit) {
+      await postCreditSale(invoice, { paid: tenderTotal, performedBy: createdBy, session });
+    }
+
+    return {
+      invoice,
+      payment: payments[0] || null,
+      payments,
+      customer,
+      coins: customer
+        ? {
+          redeemed: coinsToRedeem + tenders.reduce((sum, tender) => sum + (tender.coins || 0), 0),
+          earned: coinsEarned,
+          balance: customer.coins
+        }
+        : null,
+      stockUpdates
+    };
+  });
+};
+
+module.exports = {
+  COIN_VALUE,
+  checkout
+};
@@ -0,0 +1,291 @@
+// services/customerLedger.js
+// Customer credit accounts (khata). Credit sales post a debit, receipts and
+// credit notes post credits, and Customer.outstandingBalance carries the
+// running balance. Also builds statements, the receivables ageing report and
+// the overdue list behind the "Payment Alert" notifications.
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const CustomerLedger = require('../models/CustomerLedger');
+const Invoice = require('../models/Invoice');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGEING_BUCKETS = [
+  { key: '0-30', from: 0, to: 30 },
+  { key: '31-60', from: 31, to: 60 },
+  { key: '61-90', from: 61, to: 90 },
+  { key: '90+', from: 91, to: Infinity }
+];
+
+const OPEN_PAYMENT_STATUSES = ['unpaid', 'partially_paid'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const daysBetween = (from, to) => Math.max(0, Math.floor((to - new Date(from)) / DAY_MS));
+
+// ============== POSTING ==============
+
+// Post one entry and move the customer's balance by debit - credit. With
+// enforceLimit the balance only moves while it stays within the credit limit,
+// so two tills cannot both use the last of a customer's credit.
+const postEntry = async (entry, { session, enforceLimit = false } = {}) => {
+  const debit = round2(entry.debit);
+  const credit = round2(entry.credit);
+  const change = round2(debit - credit);
+
+  const filter = { _id: entry.customerId };
+  if (enforceLimit && change > 0) {
+    filter.$expr = {
+      $lte: [
+        { $add: [{ $ifNull: ['$outstandingBalance', 0] }, change] },
+        { $ifNull: ['$creditLimit', 0] }
+      ]
+    };
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { outstandingBalance: change }, $set: { updatedAt: Date.now() } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    const current = await Customer.findById(entry.customerId).session(session);
+    if (!current) {
+      throw new ApiError('Customer not found', 404);
+    }
+    const available = round2(Math.max(0, (current.creditLimit || 0) - (current.outstandingBalance || 0)));
+    throw new ApiError(
+      `Credit limit of ₹${current.creditLimit || 0} exceeded for ${current.name}. Available credit: ₹${available}`
+    );
+  }
+
+  const ledgerEntry = new CustomerLedger({
+    ...entry,
+    debit,
+    credit,
+    balanceAfter: round2(customer.outstandingBalance)
+  });
+  await ledgerEntry.save({ session });
+
+  return { entry: ledgerEntry, customer };
+};
+
+// Due date for a credit sale made today
+const dueDateFor = (customer, date = new Date()) => {
+  return new Date(new Date(date).getTime() + (customer.creditDays ?? 30) * DAY_MS);
+};
+
+// Put a sale on the customer's account: the invoice total is the debit and
+// anything paid at the counter the credit, so only the balance due counts
+// against the credit limit
+const postCreditSale = (invoice, { paid = 0, performedBy, session } = {}) => {
+  return postEntry({
+    customerId: invoice.customerId,
+    entryType: 'invoice',
+    date: invoice.date,
+    debit: invoice.finalAmount,
+    credit: paid,
+    dueDate: invoice.dueDate,
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    method: invoice.payment?.method,
+    note: paid > 0
+      ? `Credit sale ${invoice.invoiceNumber}, ₹${round2(paid)} paid at the counter`
+      : `Credit sale ${invoice.invoiceNumber}`,
+    createdBy: performedBy
+  }, { session, enforceLimit: true });
+};
+
+// Whether the invoice was posted to a customer account
+const isOnAccount = async (invoiceId, session = null) => {
+  const entry = await CustomerLedger.exists({ invoiceId, entryType: 'invoice' }).session(session);
+  return !!entry;
+};
+
+// ============== REPORTS ==============
+
+// Ledger entries for a date range with opening and closing balances
+const statement = async (customerId, { from, to } = {}) => {
+  if (!mongoose.isValidObjectId(customerId)) {
+    throw new ApiError('Invalid customer ID');
+  }
+
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw new ApiError('Customer not found', 404);
+  }
+
+  const start = from ? new Date(from) : null;
+  const end = to ? new Date(to) : new Date();
+  if ((start && isNaN(start)) || isNaN(end)) {
+    throw new ApiError('from and to must be valid dates');
+  }
+  // A bare date means the whole of that day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setHours(23, 59, 59, 999);
+  }
+
+  let openingBalance = 0;
+  if (start) {
+    const [before] = await CustomerLedger.aggregate([
+      { $match: { customerId: customer._id, date: { $lt: start } } },
+      { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+    ]);
+    openingBalance = before ? round2(before.debit - before.credit) : 0;
+  }
+
+  const dateFilter = { $lte: end };
+  if (start) dateFilter.$gte = start;
+
+  const entries = await CustomerLedger.find({ customerId: customer._id, date: dateFilter })
+    .sort({ date: 1, createdAt: 1 })
+    .lean();
+
+  let balance = openingBalance;
+  const lines = entries.map(entry => {
+    balance = round2(balance + entry.debit - entry.credit);
+    return { ...entry, balance };
+  });
+
+  const totalDebit = round2(entries.reduce((sum, entry) => sum + entry.debit, 0));
+  const totalCredit = round2(entries.reduce((sum, entry) => sum + entry.credit, 0));
+
+  return {
+    customer: {
+      _id: customer._id,
+      customerId: customer.customerId,
+      name: customer.name,
+      phone: customer.phone,
+      creditLimit: customer.creditLimit,
+      creditDays: customer.creditDays,
+      outstandingBalance: customer.outstandingBalance
+    },
+    period: { from: start, to: end },
+    openingBalance,
+    totalDebit,
+    totalCredit,
+    closingBalance: round2(openingBalance + totalDebit - totalCredit),
+    entries: lines
+  };
+};
+
+// Unpaid credit-sale invoices, oldest first
+const openInvoices = (filter = {}) => {
+  return Invoice.find({
+    ...filter,
+    type: 'sale',
+    status: { $nin: ['cancelled', 'refunded'] },
+    paymentStatus: { $in: OPEN_PAYMENT_STATUSES },
+    dueDate: { $exists: true }
+  })
+    .select('invoiceNumber date dueDate customerId customerName customerPhone finalAmount amountPaid balanceDue')
+    .sort({ date: 1 })
+    .lean();
+};
+
+// Outstanding receivables by age of the invoice: 0-30, 31-60, 61-90, 90+ days
+const ageingReport = async ({ customerId, asOf } = {}) => {
+  const date = asOf ? new Date(asOf) : new Date();
+  if (isNaN(date)) {
+    throw new ApiError('asOf must be a valid date');
+  }
+
+  const filter = { date: { $lte: date } };
+  if (customerId) filter.customerId = String(customerId);
+
+  const invoices = await openInvoices(filter);
+
+  const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const byCustomer = new Map();
+  const totals = { ...emptyBuckets(), total: 0, overdue: 0 };
+
+  invoices.forEach(invoice => {
+    const age = daysBetween(invoice.date, date);
+    const bucket = AGEING_BUCKETS.find(b => age >= b.from && age <= b.to).key;
+    const due = round2(invoice.balanceDue);
+    const overdue = invoice.dueDate && new Date(invoice.dueDate) < date;
+
+    if (!byCustomer.has(invoice.customerId)) {
+      byCustomer.set(invoice.customerId, {
+        customerId: invoice.customerId,
+        customerName: invoice.customerName,
+        customerPhone: invoice.customerPhone,
+        ...emptyBuckets(),
+        total: 0,
+        overdue: 0,
+        invoices: []
+      });
+    }
+    const row = byCustomer.get(invoice.customerId);
+
+    row[bucket] = round2(row[bucket] + due);
+    row.total = round2(row.total + due);
+    totals[bucket] = round2(totals[bucket] + due);
+    totals.total = round2(totals.total + due);
+    if (overdue) {
+      row.overdue = round2(row.overdue + due);
+      totals.overdue = round2(totals.overdue + due);
+    }
+
+    row.invoices.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      date: invoice.date,
+      dueDate: invoice.dueDate,
+      ageDays: age,
+      bucket,
+      amount: invoice.finalAmount,
+      balanceDue: due,
+      overdue: !!overdue
+    });
+  });
+
+  return {
+    asOf: date,
+    buckets: AGEING_BUCKETS.map(bucket => bucket.key),
+    totals,
+    customers: [...byCustomer.values()].sort((a, b) => b.total - a.total)
+  };
+};
+
+// Customers with credit sales past their due date, for payment alerts
+const overdueAccounts = async (asOf = new Date()) => {
+  const invoices = await openInvoices({ dueDate: { $lt: asOf } });
+  const byCustomer = new Map();
+
+  invoices.forEach(invoice => {
+    const account = byCustomer.get(invoice.customerId) || {
+      customerId: invoice.customerId,
+      customerName: invoice.customerName,
+      customerPhone: invoice.customerPhone,
+      amount: 0,
+      invoiceNumbers: [],
+      oldestDueDate: invoice.dueDate
+    };
+    account.amount = round2(account.amount + (invoice.balanceDue || 0));
+    account.invoiceNumbers.push(invoice.invoiceNumber);
+    if (new Date(invoice.dueDate) < new Date(account.oldestDueDate)) {
+      account.oldestDueDate = invoice.dueDate;
+    }
+    byCustomer.set(invoice.customerId, account);
+  });
+
+  return [...byCustomer.values()].map(account => ({
+    ...account,
+    daysOverdue: daysBetween(account.oldestDueDate, asOf)
+  }));
+};
+
+module.exports = {
+  AGEING_BUCKETS,
+  postEntry,
+  dueDateFor,
+  postCreditSale,
+  isOnAccount,
+  statement,
+  ageingReport,
+  overdueAccounts
+};
@@ -0,0 +1,379 @@
+// services/eInvoice.js
+// GST e-invoicing. Builds the NIC schema 1.1 JSON for a B2B invoice or credit
+// note, validates it locally (JSON schema plus the IRP's arithmetic and
+// supply-type rules), submits it through the configured IRP adapter and
+// stores the IRN, acknowledgement and signed QR code on the invoice.
+
+const mongoose = require('mongoose');
+const Ajv = require('ajv');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const schema = require('../schemas/einvoice-v1.1.json');
+const { buildLines } = require('./invoicePdf');
+const { stateCodeOf, storeStateCode } = require('./taxService');
+const { getAdapter, CANCEL_REASONS } = require('./irpAdapters');
+const { runInTransaction } = require('./numberingService');
+const { cancelBlocker, cancelSale } = require('./returnsService');
+const { validateGstin } = require('../utils/gstin');
+const ApiError = require('../utils/ApiError');
+
+// Smallest invoice value sent for registration. E-invoicing applies by the
+// business's turnover, so by default every B2B document qualifies.
+const EINVOICE_THRESHOLD = Number(process.env.EINVOICE_THRESHOLD) || 0;
+
+// An IRN can only be cancelled within 24 hours of generation
+const CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// The IRP accepts totals that are off by up to a rupee
+const TOLERANCE = 1;
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const round3 = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const irpDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+// ============== APPLICABILITY ==============
+
+// Why an invoice cannot be e-invoiced, or null when it can
+const notApplicableReason = (invoice) => {
+  if (!['sale', 'return'].includes(invoice.type)) return `${invoice.type} documents are not e-invoiced`;
+  if (invoice.status === 'cancelled') return 'Invoice is cancelled';
+  if (!invoice.customerGstin) return 'E-invoices are only issued to registered (B2B) buyers with a GSTIN';
+  const value = invoice.finalAmount ?? invoice.totalAmount ?? 0;
+  if (value < EINVOICE_THRESHOLD) return `Invoice value is below the e-invoice threshold of ₹${EINVOICE_THRESHOLD}`;
+  return null;
+};
+
+const isEInvoiceApplicable = (invoice) => !notApplicableReason(invoice);
+
+// ============== PAYLOAD ==============
+
+const sellerDetails = (invoice) => {
+  const gstin = invoice.storeInfo?.gstin || process.env.STORE_GSTIN;
+  return {
+    Gstin: gstin,
+    LglNm: process.env.STORE_LEGAL_NAME || invoice.storeInfo?.name || process.env.STORE_NAME,
+    TrdNm: invoice.storeInfo?.name || process.env.STORE_NAME,
+    Addr1: invoice.storeInfo?.address || process.env.STORE_ADDRESS,
+    Loc: process.env.STORE_CITY,
+    Pin: Number(process.env.STORE_PINCODE) || undefined,
+    Stcd: storeStateCode(gstin),
+    Ph: invoice.storeInfo?.phone || process.env.STORE_PHONE,
+    Em: invoice.storeInfo?.email || process.env.STORE_EMAIL
+  };
+};
+
+// Buyer from the invoice, with address details from the customer's business profile
+const buyerDetails = (invoice, customer) => {
+  const profile = customer?.businessProfile || {};
+  const gstinState = stateCodeOf(invoice.customerGstin);
+  return {
+    Gstin: invoice.customerGstin,
+    LglNm: profile.legalName || invoice.customerName,
+    TrdNm: invoice.customerName,
+    Pos: stateCodeOf(invoice.placeOfSupply) || profile.placeOfSupply || gstinState,
+    Addr1: profile.address || invoice.customerAddress || customer?.address,
+    Loc: profile.city,
+    Pin: Number(profile.pincode) || undefined,
+    Stcd: profile.stateCode || gstinState,
+    Ph: invoice.customerPhone,
+    Em: invoice.customerEmail
+  };
+};
+
+// Drop empty optional fields; the schema rejects blank strings
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+const itemList = (invoice) => {
+  return buildLines(invoice).map(line => {
+    const hsn = line.hsnCode !== '-' ? String(line.hsnCode) : '';
+    // Line discounts on GST-inclusive prices include tax; the IRP wants them without
+    const discount = invoice.gstInclusive && line.gstRate
+      ? round2(line.discount * 100 / (100 + line.gstRate))
+      : round2(line.discount);
+    const totalAmount = round2(line.taxable + discount);
+
+    return compact({
+      SlNo: String(line.index),
+      PrdDesc: line.name,
+      IsServc: hsn.startsWith('99') ? 'Y' : 'N',
+      HsnCd: hsn,
+      Qty: line.quantity,
+      Unit: 'NOS',
+      UnitPrice: line.quantity ? round3(totalAmount / line.quantity) : totalAmount,
+      TotAmt: totalAmount,
+      Discount: discount,
+      AssAmt: round2(line.taxable),
+      GstRt: line.gstRate,
+      IgstAmt: round2(line.igst),
+      CgstAmt: round2(line.cgst),
+      SgstAmt: round2(line.sgst),
+      TotItemVal: round2(line.total),
+      // The schema holds one batch per line; the earliest-expiring is given
+      BchDtls: line.batches.length
+        ? compact({
+          Nm: String(line.batches[0].batchNumber).slice(0, 20),
+          ExpDt: line.batches[0].expiryDate ? irpDate(line.batches[0].expiryDate) : undefined
+        })
+        : undefined
+    });
+  });
+};
+
+// NIC schema 1.1 JSON for an invoice ('INV') or credit note ('CRN')
+const buildEInvoicePayload = (invoice, { customer = null, original = null } = {}) => {
+  const items = itemList(invoice);
+  const sum = (field) => round2(items.reduce((total, item) => total + (item[field] || 0), 0));
+
+  const assessable = sum('AssAmt');
+  const cgst = sum('CgstAmt');
+  const sgst = sum('SgstAmt');
+  const igst = sum('IgstAmt');
+  const roundOff = round2(invoice.roundOff || 0);
+  const total = round2(invoice.finalAmount ?? invoice.totalAmount ?? 0);
+  // Coupon, coins and exchange come off after tax
+  const discount = round2(Math.max(0, assessable + cgst + sgst + igst + roundOff - total));
+
+  const payload = {
+    Version: '1.1',
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: 'B2B',
+      RegRev: 'N',
+      IgstOnIntra: 'N'
+    },
+    DocDtls: {
+      Typ: invoice.type === 'return' ? 'CRN' : 'INV',
+      No: invoice.invoiceNumber,
+      Dt: irpDate(invoice.date || invoice.createdAt)
+    },
+    SellerDtls: compact(sellerDetails(invoice)),
+    BuyerDtls: compact(buyerDetails(invoice, customer)),
+    ItemList: items,
+    ValDtls: compact({
+      AssVal: assessable,
+      CgstVal: cgst,
+      SgstVal: sgst,
+      IgstVal: igst,
+      Discount: discount,
+      RndOffAmt: roundOff,
+      TotInvVal: total
+    })
+  };
+
+  if (invoice.type === 'return' && invoice.originalInvoiceNumber) {
+    payload.RefDtls = {
+      PrecDocDtls: [compact({
+        InvNo: invoice.originalInvoiceNumber,
+        InvDt: original ? irpDate(original.date) : undefined
+      })]
+    };
+  }
+
+  return payload;
+};
+
+// ============== VALIDATION ==============
+
+// Checks the IRP runs beyond the schema
+const businessRuleErrors = (payload) => {
+  const errors = [];
+  const add = (path, message) => errors.push({ path, message });
+
+  const seller = validateGstin(payload.SellerDtls.Gstin);
+  if (!seller.valid) add('/SellerDtls/Gstin', `Seller GSTIN: ${seller.error}`);
+  const buyer = validateGstin(payload.BuyerDtls.Gstin);
+  if (!buyer.valid) add('/BuyerDtls/Gstin', `Buyer GSTIN: ${buyer.error}`);
+  if (payload.SellerDtls.Gstin && payload.SellerDtls.Gstin === payload.BuyerDtls.Gstin) {
+    add('/BuyerDtls/Gstin', 'Buyer and seller GSTIN cannot be the same');
+  }
+
+  const { ValDtls: values } = payload;
+  const intraState = payload.BuyerDtls.Pos && payload.BuyerDtls.Pos === payload.SellerDtls.Stcd;
+  if (intraState && values.IgstVal > 0) {
+    add('/ValDtls/IgstVal', 'IGST cannot be charged when the place of supply is the seller\'s state');
+  }
+  if (!intraState && ((values.CgstVal || 0) > 0 || (values.SgstVal || 0) > 0)) {
+    add('/ValDtls/CgstVal', 'CGST/SGST cannot be charged on an inter-state supply');
+  }
+
+  payload.ItemList.forEach((item, index) => {
+    const path = `/ItemList/${index}`;
+    const taxes = (item.IgstAmt || 0) + (item.CgstAmt || 0) + (item.SgstAmt || 0);
+    if (Math.abs(item.TotAmt - (item.Discount || 0) - item.AssAmt) > TOLERANCE) {
+      add(`${path}/AssAmt`, `Item ${item.SlNo}: assessable amount must equal total amount less discount`);
+    }
+    if (Math.abs(item.AssAmt + taxes - item.TotItemVal) > TOLERANCE) {
+      add(`${path}/TotItemVal`, `Item ${item.SlNo}: item value must equal assessable amount plus tax`);
+    }
+    if (Math.abs(item.AssAmt * item.GstRt / 100 - taxes) > TOLERANCE) {
+      add(`${path}/GstRt`, `Item ${item.SlNo}: tax does not match ${item.GstRt}% of the assessable amount`);
+    }
+  });
+
+  const sum = (field) => payload.ItemList.reduce((total, item) => total + (item[field] || 0), 0);
+  if (Math.abs(sum('AssAmt') - values.AssVal) > TOLERANCE) {
+    add('/ValDtls/AssVal', 'Assessable value must equal the sum of item assessable amounts');
+  }
+  const expected = values.AssVal + (values.CgstVal || 0) + (values.SgstVal || 0) + (values.IgstVal || 0)
+    - (values.Discount || 0) + (values.OthChrg || 0) + (values.RndOffAmt || 0);
+  if (Math.abs(expected - values.TotInvVal) > TOLERANCE) {
+    add('/ValDtls/TotInvVal', 'Invoice value does not add up from the assessable value, tax, discount and round off');
+  }
+
+  return errors;
+};
+
+// { valid, errors: [{ path, message }] }
+const validateEInvoicePayload = (payload) => {
+  const errors = validateSchema(payload)
+    ? []
+    : validateSchema.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: `${error.instancePath || 'payload'} ${error.message}`
+    }));
+
+  // Arithmetic checks need the structure the schema guarantees
+  if (errors.length === 0) {
+    errors.push(...businessRuleErrors(payload));
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+// ============== REGISTRATION ==============
+
+const loadInvoice = async (invoiceId) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    throw new ApiError('Invoice not found', 404);
+  }
+  return invoice;
+};
+
+// Payload and validation result for an invoice, without submitting it
+const prepareEInvoice = async (invoiceId) => {
+  const invoice = await loadInvoice(invoiceId);
+  const reason = notApplicableReason(invoice);
+  if (reason) {
+    throw new ApiError(reason);
+  }
+
+  const [customer, original] = await Promise.all([
+    invoice.customerId && mongoose.isValidObjectId(invoice.customerId)
+      ? Customer.findById(invoice.customerId).lean()
+      : null,
+    invoice.originalInvoiceId ? Invoice.findById(invoice.originalInvoiceId).select('date').lean() : null
+  ]);
+
+  const payload = buildEInvoicePayload(invoice.toObject(), { customer, original });
+  return { invoice, payload, validation: validateEInvoicePayload(payload) };
+};
+
+// Validate, submit to the IRP and store the IRN on the invoice
+const generateEInvoice = async (invoiceId, { performedBy } = {}) => {
+  const { invoice, payload, validation } = await prepareEInvoice(invoiceId);
+
+  if (invoice.eInvoice?.status === 'generated') {
+    throw new ApiError(`Invoice ${invoice.invoiceNumber} already has IRN ${invoice.eInvoice.irn}`, 409);
+  }
+  if (invoice.eInvoice?.status === 'cancelled') {
+    throw new ApiError(`The IRN of ${invoice.invoiceNumber} was cancelled; the same document number cannot be registered again`, 409);
+  }
+  if (!validation.valid) {
+    throw new ApiError(`E-invoice payload failed validation (${validation.errors.length} errors)`, 422, validation.errors);
+  }
+
+  const adapter = getAdapter();
+  const result = await adapter.generate(payload);
+
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, 'eInvoice.status': { $exists: false } },
+    {
+      $set: {
+        eInvoice: {
+          status: 'generated',
+          irn: result.irn,
+          ackNo: result.ackNo,
+          ackDate: result.ackDate,
+          signedInvoice: result.signedInvoice,
+          signedQrCode: result.signedQrCode,
+          adapter: adapter.name,
+          generatedAt: new Date(),
+          generatedBy: performedBy
+        },
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ApiError(`Invoice ${invoice.invoiceNumber} was registered by another request`, 409);
+  }
+
+  return { invoice: updated, payload };
+};
+
+const cancelEInvoice = async (invoiceId, { reason = 'other', remark, performedBy } = {}) => {
+  const invoice = await loadInvoice(invoiceId);
+  const eInvoice = invoice.eInvoice || {};
+
+  if (!CANCEL_REASONS[reason]) {
+    throw new ApiError(`Cancel reason must be one of: ${Object.keys(CANCEL_REASONS).join(', ')}`);
+  }
+  if (eInvoice.status !== 'generated') {
+    throw new ApiError(`Invoice ${invoice.invoiceNumber} has no active IRN`);
+  }
+  if (Date.now() - new Date(eInvoice.generatedAt).getTime() > CANCEL_WINDOW_MS) {
+    throw new ApiError('An IRN can only be cancelled within 24 hours; issue a credit note instead');
+  }
+
+  // A cancelled IRN voids the sale, so the sale is cancelled with it. Check
+  // first that it can be: the IRP cancellation cannot be rolled back.
+  const isSale = invoice.type === 'sale';
+  if (isSale) {
+    const blocker = await cancelBlocker(invoice, { irnCancelling: true });
+    if (blocker) {
+      throw new ApiError(`${blocker}; issue a credit note instead`, 409);
+    }
+  }
+
+  await getAdapter().cancel({ irn: eInvoice.irn, reason, remark });
+
+  const cancelReason = [reason, remark, performedBy && `by ${performedBy}`].filter(Boolean).join(' - ');
+  return runInTransaction(async (session) => {
+    // Puts the stock back and marks the sale cancelled
+    const cancelled = isSale
+      ? await cancelSale(invoice._id, { reason: `IRN cancelled: ${cancelReason}`, performedBy, irnCancelling: true, session })
+      : await Invoice.findById(invoice._id).session(session);
+
+    cancelled.eInvoice.status = 'cancelled';
+    cancelled.eInvoice.cancelledAt = new Date();
+    cancelled.eInvoice.cancelReason = cancelReason;
+    cancelled.updatedAt = new Date();
+    await cancelled.save({ session });
+
+    return cancelled;
+  });
+};
+
+module.exports = {
+  EINVOICE_THRESHOLD,
+  isEInvoiceApplicable,
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+  prepareEInvoice,
+  generateEInvoice,
+  cancelEInvoice
+};
@@ -0,0 +1,563 @@
+// services/ewayBill.js
+// E-way bills for consignments above the threshold. Part A (parties, goods,
+// value, distance) is built from a sale invoice or a stock transfer, Part B
+// (vehicle) is added when the goods leave. The bill is generated on the
+// e-way bill portal from the payloads built here; its number is recorded
+// back and the validity tracked, with "GST Alert" notifications before a
+// bill runs out.
+
+const mongoose = require('mongoose');
+const EWayBill = require('../models/EWayBill');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const Notification = require('../models/Notification');
+const { buildLines } = require('./invoicePdf');
+const { stateCodeOf, storeStateCode, resolveRates } = require('./taxService');
+const { generateNotificationHash, upsertNotification } = require('./notificationService');
+const ApiError = require('../utils/ApiError');
+
+// Consignment value above which an e-way bill is needed
+const EWAY_BILL_THRESHOLD = process.env.EWAY_BILL_THRESHOLD !== undefined
+  ? Number(process.env.EWAY_BILL_THRESHOLD)
+  : 50000;
+
+// Hours before expiry at which the alert is raised
+const EXPIRY_ALERT_HOURS = Number(process.env.EWAY_BILL_ALERT_HOURS) || 8;
+
+// Kilometres covered per day of validity
+const KM_PER_DAY = { regular: 200, odc: 20 };
+
+// A bill can be cancelled within 24 hours of generation
+const CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Portal codes
+const TRANS_MODE_CODES = { road: '1', rail: '2', air: '3', ship: '4' };
+const SUB_SUPPLY_CODES = { supply: '1', job_work: '4', own_use: '5', sales_return: '7', others: '8' };
+const CANCEL_REASONS = { duplicate: '1', order_cancelled: '2', data_entry_mistake: '3', others: '4' };
+const VEHICLE_CHANGE_REASONS = { breakdown: '1', transhipment: '2', others: '3', first_time: '4' };
+
+// e.g. MH12AB1234, KA011234; temporary registrations start with TR
+const VEHICLE_PATTERN = /^([A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}|TR[A-Z0-9]{7,13})$/;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const portalDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+const normalizeVehicleNo = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+// ============== VALIDITY ==============
+
+// One day per 200 km (20 km for over-dimensional cargo) or part of it
+const validityDays = (distanceKm, vehicleType = 'regular') => {
+  return Math.max(1, Math.ceil((Number(distanceKm) || 0) / (KM_PER_DAY[vehicleType] || KM_PER_DAY.regular)));
+};
+
+// A day of validity ends at midnight of the day after generation
+const validUntilFor = (from, days) => {
+  const end = new Date(from);
+  end.setDate(end.getDate() + days);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// ============== PART A ==============
+
+const storeParty = (invoice) => {
+  const gstin = invoice?.storeInfo?.gstin || process.env.STORE_GSTIN;
+  return {
+    gstin,
+    name: invoice?.storeInfo?.name || process.env.STORE_NAME,
+    address: invoice?.storeInfo?.address || process.env.STORE_ADDRESS,
+    place: process.env.STORE_CITY,
+    pincode: process.env.STORE_PINCODE,
+    stateCode: storeStateCode(gstin)
+  };
+};
+
+const totalsOf = (items) => {
+  const sum = (fn) => round2(items.reduce((total, item) => total + fn(item), 0));
+  const totalValue = sum(item => item.taxableAmount);
+  const cgstValue = sum(item => item.taxableAmount * (item.cgstRate || 0) / 100);
+  const sgstValue = sum(item => item.taxableAmount * (item.sgstRate || 0) / 100);
+  const igstValue = sum(item => item.taxableAmount * (item.igstRate || 0) / 100);
+  return {
+    totalValue,
+    cgstValue,
+    sgstValue,
+    igstValue,
+    totInvValue: round2(totalValue + cgstValue + sgstValue + igstValue)
+  };
+};
+
+// Part A for a sale invoice, addressed to the customer
+const partAFromInvoice = async (invoiceId) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+  const invoice = await Invoice.findById(invoiceId).lean();
+  if (!invoice) {
+    throw new ApiError('Invoice not found', 404);
+  }
+  if (invoice.type !== 'sale' || invoice.status === 'cancelled') {
+    throw new ApiError('E-way bills can only be raised for completed sales');
+  }
+
+  const customer = invoice.customerId && mongoose.isValidObjectId(invoice.customerId)
+    ? await Customer.findById(invoice.customerId).lean()
+    : null;
+  const profile = customer?.businessProfile || {};
+  const toState = stateCodeOf(invoice.placeOfSupply) || profile.stateCode || stateCodeOf(invoice.customerGstin);
+
+  const items = buildLines(invoice).map(line => ({
+    productName: line.name,
+    hsnCode: line.hsnCode !== '-' ? line.hsnCode : undefined,
+    quantity: line.quantity,
+    taxableAmount: round2(line.taxable),
+    cgstRate: line.cgst ? line.gstRate / 2 : 0,
+    sgstRate: line.sgst ? line.gstRate / 2 : 0,
+    igstRate: line.igst ? line.gstRate : 0
+  }));
+  (invoice.items || []).forEach((item, index) => {
+    if (items[index]) items[index].productId = item.productId;
+  });
+
+  return {
+    sourceType: 'invoice',
+    invoiceId: invoice._id,
+    subSupplyType: 'supply',
+    docType: 'INV',
+    docNo: invoice.invoiceNumber,
+    docDate: invoice.date,
+    from: storeParty(invoice),
+    to: {
+      gstin: invoice.customerGstin || 'URP',
+      name: profile.legalName || invoice.customerName,
+      address: profile.address || invoice.customerAddress || customer?.address,
+      place: profile.city,
+      pincode: profile.pincode,
+      stateCode: toState || storeStateCode()
+    },
+    items,
+    ...totalsOf(items),
+    // What the customer was billed, including anything beyond line tax
+    totInvValue: round2(invoice.finalAmount ?? invoice.totalAmount)
+  };
+};
+
+// Part A for goods moving between the business's own locations under a
+// delivery challan. Transfers within one GSTIN carry no tax; between
+// registrations in different states they carry IGST at the goods' rate.
+const partAFromTransfer = async (transfer) => {
+  const { transferRef, docNo, docDate, from, to, items } = transfer || {};
+  if (!docNo || !from || !to) {
+    throw new ApiError('Stock transfers need docNo, from and to');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError('At least one item is required');
+  }
+
+  // Unfilled details default to the store's own
+  const party = (location) => {
+    const merged = { ...storeParty(), ...location };
+    merged.stateCode = stateCodeOf(location.stateCode) || stateCodeOf(location.gstin) || merged.stateCode;
+    return merged;
+  };
+  const origin = party(from);
+  const destination = party(to);
+  const taxable = origin.gstin !== destination.gstin;
+  const interState = origin.stateCode !== destination.stateCode;
+
+  const rates = await resolveRates(items, { date: docDate ? new Date(docDate) : new Date() });
+
+  const lines = items.map((item, index) => {
+    const quantity = Number(item.quantity);
+    const value = Number(item.value ?? (quantity * Number(item.unitPrice)));
+    if (!Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(value) || value < 0) {
+      throw new ApiError(`Item ${index + 1}: quantity and value (or unitPrice) are required`);
+    }
+    const rate = taxable ? rates[index].gstRate : 0;
+    return {
+      productId: item.productId,
+      productName: item.productName || item.name,
+      hsnCode: rates[index].hsnCode,
+      quantity,
+      unit: item.unit || 'NOS',
+      taxableAmount: round2(value),
+      cgstRate: interState ? 0 : rate / 2,
+      sgstRate: interState ? 0 : rate / 2,
+      igstRate: interState ? rate : 0
+    };
+  });
+
+  return {
+    sourceType: 'stock_transfer',
+    transferRef: transferRef || docNo,
+    subSupplyType: 'own_use',
+    docType: 'CHL',
+    docNo,
+    docDate: docDate ? new Date(docDate) : new Date(),
+    from: origin,
+    to: destination,
+    items: lines,
+    ...totalsOf(lines)
+  };
+};
+
+// ============== PART B ==============
+
+const checkTransport = (transport = {}) => {
+  const transMode = transport.transMode || 'road';
+  if (!TRANS_MODE_CODES[transMode]) {
+    throw new ApiError(`transMode must be one of: ${Object.keys(TRANS_MODE_CODES).join(', ')}`);
+  }
+
+  const vehicleNo = normalizeVehicleNo(transport.vehicleNo);
+  if (transMode === 'road') {
+    if (!VEHICLE_PATTERN.test(vehicleNo)) {
+      throw new ApiError(`Vehicle number ${transport.vehicleNo || ''} is not valid`);
+    }
+  } else if (!transport.transDocNo) {
+    throw new ApiError('Rail, air and ship consignments need the transport document number');
+  }
+
+  const vehicleType = transport.vehicleType || 'regular';
+  if (!KM_PER_DAY[vehicleType]) {
+    throw new ApiError('vehicleType must be regular or odc');
+  }
+
+  return {
+    transMode,
+    vehicleNo: vehicleNo || undefined,
+    vehicleType,
+    transDocNo: transport.transDocNo,
+    transDocDate: transport.transDocDate ? new Date(transport.transDocDate) : undefined,
+    fromPlace: transport.fromPlace
+  };
+};
+
+// ============== PAYLOADS ==============
+
+// Portal JSON for generating the bill (Part A, plus Part B when known)
+const generationPayload = (bill) => {
+  const transport = bill.transport || {};
+  return {
+    supplyType: bill.supplyType === 'inward' ? 'I' : 'O',
+    subSupplyType: SUB_SUPPLY_CODES[bill.subSupplyType],
+    docType: bill.docType,
+    docNo: bill.docNo,
+    docDate: portalDate(bill.docDate),
+    fromGstin: bill.from?.gstin,
+    fromTrdName: bill.from?.name,
+    fromAddr1: bill.from?.address,
+    fromPlace: bill.from?.place,
+    fromPincode: Number(bill.from?.pincode) || undefined,
+    fromStateCode: Number(bill.from?.stateCode) || undefined,
+    actFromStateCode: Number(bill.from?.stateCode) || undefined,
+    toGstin: bill.to?.gstin,
+    toTrdName: bill.to?.name,
+    toAddr1: bill.to?.address,
+    toPlace: bill.to?.place,
+    toPincode: Number(bill.to?.pincode) || undefined,
+    toStateCode: Number(bill.to?.stateCode) || undefined,
+    actToStateCode: Number(bill.to?.stateCode) || undefined,
+    transactionType: 1,
+    totalValue: bill.totalValue,
+    cgstValue: bill.cgstValue,
+    sgstValue: bill.sgstValue,
+    igstValue: bill.igstValue,
+    cessValue: 0,
+    totInvValue: bill.totInvValue,
+    transporterId: bill.transporterId,
+    transporterName: bill.transporterName,
+    transMode: transport.transMode ? TRANS_MODE_CODES[transport.transMode] : undefined,
+    transDistance: String(bill.distanceKm ?? 0),
+    transDocNo: transport.transDocNo,
+    transDocDate: transport.transDocDate ? portalDate(transport.transDocDate) : undefined,
+    vehicleNo: transport.vehicleNo,
+    vehicleType: transport.vehicleNo ? (transport.vehicleType === 'odc' ? 'O' : 'R') : undefined,
+    itemList: (bill.items || []).map(item => ({
+      productName: item.productName,
+      hsnCode: Number(item.hsnCode) || undefined,
+      quantity: item.quantity,
+      qtyUnit: item.unit || 'NOS',
+      taxableAmount: item.taxableAmount,
+      cgstRate: item.cgstRate,
+      sgstRate: item.sgstRate,
+      igstRate: item.igstRate,
+      cessRate: 0
+    }))
+  };
+};
+
+// Portal JSON for updating the vehicle (Part B) of a generated bill
+const partBPayload = (bill) => {
+  const transport = bill.transport || {};
+  return {
+    ewbNo: Number(bill.ewbNumber),
+    vehicleNo: transport.vehicleNo,
+    fromPlace: transport.fromPlace || bill.from?.place,
+    fromState: Number(bill.from?.stateCode) || undefined,
+    reasonCode: VEHICLE_CHANGE_REASONS[transport.reason] || VEHICLE_CHANGE_REASONS.first_time,
+    reasonRem: transport.reason || 'First time',
+    transDocNo: transport.transDocNo,
+    transDocDate: transport.transDocDate ? portalDate(transport.transDocDate) : undefined,
+    transMode: TRANS_MODE_CODES[transport.transMode]
+  };
+};
+
+// ============== LIFECYCLE ==============
+
+const loadBill = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError('Invalid e-way bill ID');
+  }
+  const bill = await EWayBill.findById(id);
+  if (!bill) {
+    throw new ApiError('E-way bill not found', 404);
+  }
+  return bill;
+};
+
+// Start validity once the bill is generated and has a vehicle
+const startValidity = (bill) => {
+  if (bill.validFrom || !bill.ewbNumber || !bill.transport?.transMode) return;
+  bill.validFrom = bill.transport.updatedAt || new Date();
+  bill.validUntil = validUntilFor(bill.validFrom, validityDays(bill.distanceKm, bill.transport.vehicleType));
+};
+
+// Draft e-way bill from { invoiceId } or { transfer }
+const createEWayBill = async ({ invoiceId, transfer, distanceKm, transporterId, transporterName, transport }, { performedBy } = {}) => {
+  const distance = Number(distanceKm);
+  if (!Number.isFinite(distance) || distance < 0 || distance > 4000) {
+    throw new ApiError('distanceKm must be between 0 and 4000');
+  }
+
+  const partA = invoiceId ? await partAFromInvoice(invoiceId) : await partAFromTransfer(transfer);
+
+  if (partA.totInvValue <= EWAY_BILL_THRESHOLD) {
+    throw new ApiError(`Consignment value ₹${partA.totInvValue} does not exceed ₹${EWAY_BILL_THRESHOLD}; no e-way bill is needed`);
+  }
+  if (partA.items.some(item => !item.hsnCode)) {
+    throw new ApiError('Every item needs an HSN code for the e-way bill');
+  }
+  if (invoiceId) {
+    const existing = await EWayBill.findOne({ invoiceId: partA.invoiceId, status: { $in: ['draft', 'active'] } });
+    if (existing) {
+      throw new ApiError(`Invoice ${partA.docNo} already has an e-way bill`, 409);
+    }
+  }
+
+  const bill = new EWayBill({
+    ...partA,
+    distanceKm: distance,
+    transporterId,
+    transporterName,
+    createdBy: performedBy
+  });
+  if (transport) {
+    bill.transport = { ...checkTransport(transport), updatedBy: performedBy };
+  }
+  await bill.save();
+
+  return bill;
+};
+
+// Record the number the portal issued; validity starts if Part B is present
+const recordEWayBillNumber = async (id, { ewbNumber, ewbDate }) => {
+  const bill = await loadBill(id);
+  if (bill.status !== 'draft') {
+    throw new ApiError(`E-way bill is already ${bill.status}`);
+  }
+  if (!/^\d{12}$/.test(String(ewbNumber || ''))) {
+    throw new ApiError('E-way bill number must be 12 digits');
+  }
+
+  bill.ewbNumber = String(ewbNumber);
+  bill.ewbDate = ewbDate ? new Date(ewbDate) : new Date();
+  if (isNaN(bill.ewbDate)) {
+    throw new ApiError('ewbDate must be a valid date');
+  }
+  bill.status = 'active';
+  if (bill.transport?.transMode && !bill.validFrom) {
+    bill.transport.updatedAt = bill.ewbDate;
+  }
+  startValidity(bill);
+  await bill.save();
+
+  return bill;
+};
+
+// Assign or change the vehicle. The first Part B starts the validity.
+const updatePartB = async (id, transport, { performedBy } = {}) => {
+  const bill = await loadBill(id);
+  if (!['draft', 'active'].includes(bill.status)) {
+    throw new ApiError(`Cannot update Part B of a ${bill.status} e-way bill`);
+  }
+  if (bill.validUntil && bill.validUntil < new Date()) {
+    throw new ApiError('E-way bill has expired');
+  }
+
+  const next = checkTransport(transport);
+  if (bill.transport?.transMode) {
+    if (transport.reason && !VEHICLE_CHANGE_REASONS[transport.reason]) {
+      throw new ApiError(`reason must be one of: ${Object.keys(VEHICLE_CHANGE_REASONS).join(', ')}`);
+    }
+    bill.transportHistory.push(bill.transport);
+    next.reason = transport.reason || 'others';
+  } else {
+    next.reason = 'first_time';
+  }
+  bill.transport = { ...next, updatedBy: performedBy, updatedAt: new Date() };
+
+  startValidity(bill);
+  await bill.save();
+
+  return bill;
+};
+
+const cancelEWayBill = async (id, { reason = 'others', remark } = {}) => {
+  const bill = await loadBill(id);
+  if (!['draft', 'active'].includes(bill.status)) {
+    throw new ApiError(`E-way bill is already ${bill.status}`);
+  }
+  if (!CANCEL_REASONS[reason]) {
+    throw new ApiError(`Cancel reason must be one of: ${Object.keys(CANCEL_REASONS).join(', ')}`);
+  }
+  if (bill.ewbDate && Date.now() - bill.ewbDate.getTime() > CANCEL_WINDOW_MS) {
+    throw new ApiError('An e-way bill can only be cancelled within 24 hours of generation');
+  }
+
+  bill.status = 'cancelled';
+  bill.cancelledAt = new Date();
+  bill.cancelReason = [reason, remark].filter(Boolean).join(' - ');
+  await bill.save();
+
+  return bill;
+};
+
+// Goods delivered; the bill no longer needs watching
+const completeEWayBill = async (id) => {
+  const bill = await loadBill(id);
+  if (!['active', 'expired'].includes(bill.status)) {
+    throw new ApiError(`Only active e-way bills can be completed (this one is ${bill.status})`);
+  }
+  bill.status = 'completed';
+  bill.completedAt = new Date();
+  await bill.save();
+  return bill;
+};
+
+// ============== EXPIRY ALERTS ==============
+
+const alertHash = (bill) => generateNotificationHash({ type: 'GST Alert', invoiceNo: `EWB-${bill.ewbNumber}` });
+
+// Raise "GST Alert" notifications for bills about to expire, mark expired
+// bills, and resolve alerts for bills that are done with
+const generateEWayBillAlerts = async (io = null, now = new Date()) => {
+  const alertFrom = new Date(now.getTime() + EXPIRY_ALERT_HOURS * 60 * 60 * 1000);
+  const alerts = [];
+
+  const expiring = await EWayBill.find({
+    status: 'active',
+    validUntil: { $lte: alertFrom }
+  });
+
+  for (const bill of expiring) {
+    const expired = bill.validUntil <= now;
+    if (expired) {
+      bill.status = 'expired';
+      await bill.save();
+    }
+
+    const hoursLeft = Math.max(0, Math.floor((bill.validUntil - now) / (60 * 60 * 1000)));
+    try {
+      const result = await upsertNotification({
+        notificationHash: alertHash(bill),
+        type: 'GST Alert',
+        title: expired ? 'E-way Bill Expired' : 'E-way Bill Expiring Soon',
+        message: expired
+          ? `E-way bill ${bill.ewbNumber} for ${bill.docNo} expired on ${bill.validUntil.toLocaleString('en-IN')}. Extend it or stop the consignment.`
+          : `E-way bill ${bill.ewbNumber} for ${bill.docNo} expires in ${hoursLeft} hours (${bill.validUntil.toLocaleString('en-IN')}). Vehicle ${bill.transport?.vehicleNo || '-'}.`,
+        invoiceNo: `EWB-${bill.ewbNumber}`,
+        invoiceNumber: bill.docNo,
+        customer: bill.to?.name,
+        gstin: bill.to?.gstin,
+        amount: bill.totInvValue,
+        priority: expired || hoursLeft <= 2 ? 'high' : 'medium',
+        color: expired ? 'red' : 'orange',
+        icon: 'Truck',
+        isRead: false,
+        isResolved: false
+      }, io, 'eway_bill_service');
+
+      if (result.isNew || result.updated) {
+        alerts.push(result.notification);
+      }
+    } catch (error) {
+      console.error(`❌ Error processing e-way bill alert for ${bill.ewbNumber}:`, error.message);
+    }
+  }
+
+  // Cancelled and delivered bills no longer need an alert
+  const closed = await EWayBill.find({
+    status: { $in: ['cancelled', 'completed'] },
+    ewbNumber: { $exists: true },
+    updatedAt: { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) }
+  }).select('ewbNumber status');
+
+  for (const bill of closed) {
+    const notificationHash = alertHash(bill);
+    const resolutionNote = `E-way bill ${bill.ewbNumber} ${bill.status}`;
+    const open = await Notification.find({ notificationHash, isResolved: false }).select('_id');
+    if (open.length === 0) continue;
+
+    await Notification.updateMany(
+      { notificationHash, isResolved: false },
+      { isResolved: true, isRead: true, resolutionNote, resolvedAt: new Date(), lastUpdated: new Date() }
+    );
+
+    if (io) {
+      open.forEach(alert => {
+        io.emit('notification_resolved', {
+          notificationId: alert._id.toString(),
+          notificationHash,
+          resolutionNote,
+          source: 'eway_bill_service',
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+  }
+
+  return alerts;
+};
+
+// Run the alert check periodically (EWAY_BILL_ALERT_INTERVAL_MINUTES, default 30)
+const scheduleEWayBillAlerts = (io, intervalMs = (Number(process.env.EWAY_BILL_ALERT_INTERVAL_MINUTES) || 30) * 60 * 1000) => {
+  const run = () => generateEWayBillAlerts(io).catch(error => {
+    console.error('❌ Error checking e-way bill expiry:', error.message);
+  });
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  EWAY_BILL_THRESHOLD,
+  CANCEL_REASONS,
+  VEHICLE_CHANGE_REASONS,
+  validityDays,
+  validUntilFor,
+  generationPayload,
+  partBPayload,
+  createEWayBill,
+  recordEWayBillNumber,
+  updatePartB,
+  cancelEWayBill,
+  completeEWayBill,
+  generateEWayBillAlerts,
+  scheduleEWayBillAlerts
+};
@@ -0,0 +1,487 @@
+// services/gstReturns.js
+// Builds GSTR-1 and GSTR-3B for a tax period from the invoices and credit
+// notes in the sales ledger, in the GST portal's offline JSON layout, plus
+// CSV versions of each section. Line tax comes from buildLines so legacy
+// bills without per-line GST are spread the same way as on their PDFs.
+// GSTR-3B's input tax credit comes from recorded supplier invoices.
+
+const Invoice = require('../models/Invoice');
+const { buildLines } = require('./invoicePdf');
+const { resolveSupply } = require('./taxService');
+const { inputTaxCredit } = require('./purchaseService');
+const ApiError = require('../utils/ApiError');
+
+const GSTR1_SECTIONS = ['b2b', 'b2cl', 'b2cs', 'cdnr', 'cdnur', 'hsn', 'doc_issue'];
+
+// Inter-state sales to unregistered buyers above this invoice value are
+// reported invoice-wise in B2CL (₹1 lakh from August 2024)
+const B2CL_THRESHOLD = 100000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// ============== PERIOD ==============
+
+// '2025-04' or the portal's '042025' -> date range and return period
+const parsePeriod = (period) => {
+  const text = String(period || '');
+  let match = text.match(/^(\d{4})-(\d{2})$/);
+  let year;
+  let month;
+  if (match) {
+    [, year, month] = match.map(Number);
+  } else if ((match = text.match(/^(\d{2})(\d{4})$/))) {
+    [, month, year] = match.map(Number);
+  }
+
+  if (!year || !month || month < 1 || month > 12) {
+    throw new ApiError('period must be YYYY-MM (e.g. 2025-04) or MMYYYY (e.g. 042025)');
+  }
+
+  return {
+    fp: `${String(month).padStart(2, '0')}${year}`,
+    start: new Date(year, month - 1, 1),
+    end: new Date(year, month, 1)
+  };
+};
+
+// Portal dates are dd-mm-yyyy
+const portalDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}-${String(d.getMonth() + 1).padStart(2, '0')}-${d.getFullYear()}`;
+};
+
+// ============== DOCUMENTS ==============
+
+// One invoice or credit note with its tax grouped by rate
+const describeDocument = (inv, original) => {
+  const source = inv.type === 'return' && original ? original : inv;
+  const supply = resolveSupply({
+    placeOfSupply: inv.placeOfSupply || source.placeOfSupply,
+    customerGstin: inv.customerGstin || source.customerGstin
+  });
+  const lines = buildLines(inv);
+  const interState = lines.some(line => line.igst > 0) || !!inv.isInterState || supply.interState;
+
+  const rates = new Map();
+  lines.forEach(line => {
+    const rate = rates.get(line.gstRate) || { rt: line.gstRate, txval: 0, iamt: 0, camt: 0, samt: 0 };
+    rate.txval += line.taxable;
+    rate.iamt += line.igst;
+    rate.camt += line.cgst;
+    rate.samt += line.sgst;
+    rates.set(line.gstRate, rate);
+  });
+
+  const value = inv.finalAmount !== undefined && inv.finalAmount !== null ? inv.finalAmount : inv.totalAmount;
+
+  return {
+    invoice: inv,
+    original,
+    number: inv.invoiceNumber,
+    date: inv.date,
+    value: round2(value),
+    ctin: inv.customerGstin || source.customerGstin || null,
+    pos: supply.placeOfSupply || supply.storeStateCode || '',
+    interState,
+    lines,
+    rates: [...rates.values()].map(rate => ({
+      rt: rate.rt,
+      txval: round2(rate.txval),
+      iamt: round2(rate.iamt),
+      camt: round2(rate.camt),
+      samt: round2(rate.samt),
+      csamt: 0
+    }))
+  };
+};
+
+const itemsOf = (doc, { intra = true } = {}) => doc.rates.map((rate, index) => ({
+  num: index + 1,
+  itm_det: intra
+    ? { txval: rate.txval, rt: rate.rt, iamt: rate.iamt, camt: rate.camt, samt: rate.samt, csamt: 0 }
+    : { txval: rate.txval, rt: rate.rt, iamt: rate.iamt, csamt: 0 }
+}));
+
+// A document whose IRN was cancelled is void for GST even if it was not
+// cancelled in the ledger (credit notes, or IRNs cancelled before sales were)
+const isCancelled = (inv) => inv.status === 'cancelled' || inv.eInvoice?.status === 'cancelled';
+
+// Sales and credit notes dated in the period; cancelled documents only count
+// towards the document summary
+const loadDocuments = async ({ start, end }) => {
+  const invoices = await Invoice.find({
+    date: { $gte: start, $lt: end },
+    type: { $in: ['sale', 'return'] }
+  }).sort({ date: 1 }).lean();
+
+  // Credit notes take the buyer's GSTIN and supply type from their sale
+  const originalIds = invoices
+    .filter(inv => inv.type === 'return' && inv.originalInvoiceId)
+    .map(inv => inv.originalInvoiceId);
+  const originals = originalIds.length
+    ? await Invoice.find({ _id: { $in: originalIds } }).lean()
+    : [];
+  const originalById = new Map(originals.map(inv => [inv._id.toString(), inv]));
+
+  const issued = invoices.filter(inv => !isCancelled(inv));
+
+  return {
+    all: invoices,
+    sales: issued
+      .filter(inv => inv.type === 'sale')
+      .map(inv => describeDocument(inv)),
+    notes: issued
+      .filter(inv => inv.type === 'return')
+      .map(inv => describeDocument(inv, originalById.get(String(inv.originalInvoiceId))))
+  };
+};
+
+// B2CL: unregistered, inter-state and above the threshold
+const isB2cl = (doc) => !doc.ctin && doc.interState && doc.value > B2CL_THRESHOLD;
+
+// ============== GSTR-1 ==============
+
+const buildB2b = (sales) => {
+  const byCtin = new Map();
+  sales.filter(doc => doc.ctin).forEach(doc => {
+    const entry = byCtin.get(doc.ctin) || { ctin: doc.ctin, inv: [] };
+    entry.inv.push({
+      inum: doc.number,
+      idt: portalDate(doc.date),
+      val: doc.value,
+      pos: doc.pos,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: itemsOf(doc)
+    });
+    byCtin.set(doc.ctin, entry);
+  });
+  return [...byCtin.values()];
+};
+
+const buildB2cl = (sales) => {
+  const byPos = new Map();
+  sales.filter(isB2cl).forEach(doc => {
+    const entry = byPos.get(doc.pos) || { pos: doc.pos, inv: [] };
+    entry.inv.push({
+      inum: doc.number,
+      idt: portalDate(doc.date),
+      val: doc.value,
+      itms: itemsOf(doc, { intra: false })
+    });
+    byPos.set(doc.pos, entry);
+  });
+  return [...byPos.values()];
+};
+
+// B2CS is reported net: credit notes against small B2C sales reduce it
+const buildB2cs = (sales, notes) => {
+  const rows = new Map();
+  const add = (doc, sign) => {
+    doc.rates.forEach(rate => {
+      const splyTy = doc.interState ? 'INTER' : 'INTRA';
+      const key = `${splyTy}|${doc.pos}|${rate.rt}`;
+      const row = rows.get(key) || {
+        sply_ty: splyTy, pos: doc.pos, typ: 'OE', rt: rate.rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0
+      };
+      row.txval += sign * rate.txval;
+      row.iamt += sign * rate.iamt;
+      row.camt += sign * rate.camt;
+      row.samt += sign * rate.samt;
+      rows.set(key, row);
+    });
+  };
+
+  sales.filter(doc => !doc.ctin && !isB2cl(doc)).forEach(doc => add(doc, 1));
+  notes.filter(doc => !doc.ctin && !(doc.original && isB2cl(describeDocument(doc.original)))).forEach(doc => add(doc, -1));
+
+  return [...rows.values()].map(row => ({
+    ...row,
+    txval: round2(row.txval),
+    iamt: round2(row.iamt),
+    camt: round2(row.camt),
+    samt: round2(row.samt)
+  }));
+};
+
+const noteDetails = (doc) => ({
+  ntty: 'C',
+  nt_num: doc.number,
+  nt_dt: portalDate(doc.date),
+  val: doc.value,
+  pos: doc.pos
+});
+
+const buildCdnr = (notes) => {
+  const byCtin = new Map();
+  notes.filter(doc => doc.ctin).forEach(doc => {
+    const entry = byCtin.get(doc.ctin) || { ctin: doc.ctin, nt: [] };
+    entry.nt.push({
+      ...noteDetails(doc),
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: itemsOf(doc)
+    });
+    byCtin.set(doc.ctin, entry);
+  });
+  return [...byCtin.values()];
+};
+
+// Unregistered credit notes are listed only against B2CL invoices
+const buildCdnur = (notes) => {
+  return notes
+    .filter(doc => !doc.ctin && doc.original && isB2cl(describeDocument(doc.original)))
+    .map(doc => ({
+      ...noteDetails(doc),
+      typ: 'B2CL',
+      itms: itemsOf(doc, { intra: false })
+    }));
+};
+
+// HSN-wise summary of outward supplies, net of credit notes
+const buildHsn = (sales, notes) => {
+  const rows = new Map();
+  const add = (doc, sign) => {
+    doc.lines.forEach(line => {
+      const hsn = line.hsnCode && line.hsnCode !== '-' ? line.hsnCode : '';
+      const key = `${hsn}|${line.gstRate}`;
+      const row = rows.get(key) || {
+        hsn_sc: hsn, desc: line.name, uqc: 'NOS', rt: line.gstRate, qty: 0, val: 0, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0
+      };
+      row.qty += sign * line.quantity;
+      row.val += sign * line.total;
+      row.txval += sign * line.taxable;
+      row.iamt += sign * line.igst;
+      row.camt += sign * line.cgst;
+      row.samt += sign * line.sgst;
+      rows.set(key, row);
+    });
+  };
+
+  sales.forEach(doc => add(doc, 1));
+  notes.forEach(doc => add(doc, -1));
+
+  return {
+    data: [...rows.values()].map((row, index) => ({
+      num: index + 1,
+      ...row,
+      qty: round2(row.qty),
+      val: round2(row.val),
+      txval: round2(row.txval),
+      iamt: round2(row.iamt),
+      camt: round2(row.camt),
+      samt: round2(row.samt)
+    }))
+  };
+};
+
+// Series prefix of a document number: 'INV-25-26-00042' -> 'INV-25-26-'
+const seriesOf = (number) => String(number).replace(/\d+$/, '');
+const sequenceOf = (number) => parseInt(String(number).match(/(\d+)$/)?.[1], 10) || 0;
+
+// Table 13: numbers issued per series, including cancelled ones
+const buildDocIssue = (all) => {
+  const groups = [
+    { doc_num: 1, doc_typ: 'Invoices for outward supply', docs: all.filter(inv => inv.type === 'sale') },
+    { doc_num: 5, doc_typ: 'Credit Note', docs: all.filter(inv => inv.type === 'return') }
+  ];
+
+  return {
+    doc_det: groups.filter(group => group.docs.length).map(group => {
+      const bySeries = new Map();
+      group.docs.forEach(inv => {
+        const series = seriesOf(inv.invoiceNumber);
+        bySeries.set(series, [...(bySeries.get(series) || []), inv]);
+      });
+
+      return {
+        doc_num: group.doc_num,
+        doc_typ: group.doc_typ,
+        docs: [...bySeries.values()].map((docs, index) => {
+          const sorted = [...docs].sort((a, b) => sequenceOf(a.invoiceNumber) - sequenceOf(b.invoiceNumber));
+          const cancelled = docs.filter(isCancelled).length;
+          return {
+            num: index + 1,
+            from: sorted[0].invoiceNumber,
+            to: sorted[sorted.length - 1].invoiceNumber,
+            totnum: docs.length,
+            cancel: cancelled,
+            net_issue: docs.length - cancelled
+          };
+        })
+      };
+    })
+  };
+};
+
+const gstr1 = async (period) => {
+  const range = parsePeriod(period);
+  const { all, sales, notes } = await loadDocuments(range);
+
+  return {
+    gstin: process.env.STORE_GSTIN || '',
+    fp: range.fp,
+    b2b: buildB2b(sales),
+    b2cl: buildB2cl(sales),
+    b2cs: buildB2cs(sales, notes),
+    cdnr: buildCdnr(notes),
+    cdnur: buildCdnur(notes),
+    hsn: buildHsn(sales, notes),
+    doc_issue: buildDocIssue(all)
+  };
+};
+
+// ============== GSTR-3B ==============
+
+const gstr3b = async (period) => {
+  const range = parsePeriod(period);
+  const [{ sales, notes }, itc] = await Promise.all([loadDocuments(range), inputTaxCredit(range)]);
+
+  const taxable = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const nilRated = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const unregistered = new Map();
+
+  const add = (doc, sign) => {
+    doc.rates.forEach(rate => {
+      const bucket = rate.rt > 0 ? taxable : nilRated;
+      bucket.txval += sign * rate.txval;
+      bucket.iamt += sign * rate.iamt;
+      bucket.camt += sign * rate.camt;
+      bucket.samt += sign * rate.samt;
+
+      // Table 3.2: inter-state supplies to unregistered persons by state
+      if (!doc.ctin && doc.interState && rate.rt > 0) {
+        const row = unregistered.get(doc.pos) || { pos: doc.pos, txval: 0, iamt: 0 };
+        row.txval += sign * rate.txval;
+        row.iamt += sign * rate.iamt;
+        unregistered.set(doc.pos, row);
+      }
+    });
+  };
+  sales.forEach(doc => add(doc, 1));
+  notes.forEach(doc => add(doc, -1));
+
+  const rounded = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, round2(value)]));
+  const zero = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const zeroTax = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const taxOnly = ({ iamt, camt, samt, csamt }) => ({ iamt, camt, samt, csamt });
+
+  return {
+    gstin: process.env.STORE_GSTIN || '',
+    ret_period: range.fp,
+    sup_details: {
+      osup_det: rounded(taxable),
+      osup_zero: { ...zero },
+      osup_nil_exmp: { txval: round2(nilRated.txval) },
+      isup_rev: { ...zero },
+      osup_nongst: { txval: 0 }
+    },
+    inter_sup: {
+      unreg_details: [...unregistered.values()].map(row => ({
+        pos: row.pos,
+        txval: round2(row.txval),
+        iamt: round2(row.iamt)
+      })),
+      comp_details: [],
+      uin_details: []
+    },
+    // Table 4: credit from recorded supplier invoices, all domestic ("all other ITC")
+    itc_elg: {
+      itc_avl: ['IMPG', 'IMPS', 'ISRC', 'ISD', 'OTH'].map(ty => ({ ty, ...(ty === 'OTH' ? taxOnly(itc.eligible) : zeroTax) })),
+      itc_rev: ['RUL', 'OTH'].map(ty => ({ ty, ...zeroTax })),
+      itc_net: taxOnly(itc.eligible),
+      itc_inelg: ['RUL', 'OTH'].map(ty => ({ ty, ...(ty === 'OTH' ? taxOnly(itc.ineligible) : zeroTax) }))
+    }
+  };
+};
+
+// ============== CSV ==============
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (headers, rows) => [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+
+// Columns follow the portal's offline utility sheets
+const gstr1Csv = (report, section) => {
+  switch (section) {
+    case 'b2b':
+      return toCsv(
+        ['GSTIN/UIN of Recipient', 'Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Reverse Charge', 'Invoice Type', 'Rate', 'Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess Amount'],
+        report.b2b.flatMap(party => party.inv.flatMap(inv => inv.itms.map(({ itm_det: item }) => [
+          party.ctin, inv.inum, inv.idt, inv.val, inv.pos, inv.rchrg, 'Regular B2B', item.rt, item.txval, item.iamt, item.camt, item.samt, item.csamt
+        ])))
+      );
+    case 'b2cl':
+      return toCsv(
+        ['Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Rate', 'Taxable Value', 'Integrated Tax', 'Cess Amount'],
+        report.b2cl.flatMap(state => state.inv.flatMap(inv => inv.itms.map(({ itm_det: item }) => [
+          inv.inum, inv.idt, inv.val, state.pos, item.rt, item.txval, item.iamt, item.csamt
+        ])))
+      );
+    case 'b2cs':
+      return toCsv(
+        ['Type', 'Supply Type', 'Place Of Supply', 'Rate', 'Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess Amount'],
+        report.b2cs.map(row => [row.typ, row.sply_ty, row.pos, row.rt, row.txval, row.iamt, row.camt, row.samt, row.csamt])
+      );
+    case 'cdnr':
+      return toCsv(
+        ['GSTIN/UIN of Recipient', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Reverse Charge', 'Note Value', 'Rate', 'Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess Amount'],
+        report.cdnr.flatMap(party => party.nt.flatMap(note => note.itms.map(({ itm_det: item }) => [
+          party.ctin, note.nt_num, note.nt_dt, note.ntty, note.pos, note.rchrg, note.val, item.rt, item.txval, item.iamt, item.camt, item.samt, item.csamt
+        ])))
+      );
+    case 'cdnur':
+      return toCsv(
+        ['UR Type', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Note Value', 'Rate', 'Taxable Value', 'Integrated Tax', 'Cess Amount'],
+        report.cdnur.flatMap(note => note.itms.map(({ itm_det: item }) => [
+          note.typ, note.nt_num, note.nt_dt, note.ntty, note.pos, note.val, item.rt, item.txval, item.iamt, item.csamt
+        ]))
+      );
+    case 'hsn':
+      return toCsv(
+        ['HSN', 'Description', 'UQC', 'Total Quantity', 'Total Value', 'Rate', 'Taxable Value', 'Integrated Tax Amount', 'Central Tax Amount', 'State/UT Tax Amount', 'Cess Amount'],
+        report.hsn.data.map(row => [row.hsn_sc, row.desc, row.uqc, row.qty, row.val, row.rt, row.txval, row.iamt, row.camt, row.samt, row.csamt])
+      );
+    case 'doc_issue':
+      return toCsv(
+        ['Nature of Document', 'Sr. No. From', 'Sr. No. To', 'Total Number', 'Cancelled'],
+        report.doc_issue.doc_det.flatMap(group => group.docs.map(doc => [group.doc_typ, doc.from, doc.to, doc.totnum, doc.cancel]))
+      );
+    default:
+      throw new ApiError(`section must be one of: ${GSTR1_SECTIONS.join(', ')}`);
+  }
+};
+
+const gstr3bCsv = (report) => {
+  const { sup_details: sup } = report;
+  const row = (label, values) => [label, values.txval, values.iamt, values.camt, values.samt, values.csamt];
+
+  return toCsv(
+    ['Nature of Supplies', 'Total Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess'],
+    [
+      row('(a) Outward taxable supplies (other than zero rated, nil rated and exempted)', sup.osup_det),
+      row('(b) Outward taxable supplies (zero rated)', sup.osup_zero),
+      row('(c) Other outward supplies (nil rated, exempted)', { ...sup.osup_nil_exmp }),
+      row('(d) Inward supplies (liable to reverse charge)', sup.isup_rev),
+      row('(e) Non-GST outward supplies', { ...sup.osup_nongst }),
+      ...report.inter_sup.unreg_details.map(item => row(`3.2 Supplies to unregistered persons, place of supply ${item.pos}`, item)),
+      row('4(A)(5) All other ITC', { txval: '', ...report.itc_elg.itc_avl.find(item => item.ty === 'OTH') }),
+      row('4(C) Net ITC available', { txval: '', ...report.itc_elg.itc_net }),
+      row('4(D)(2) Ineligible ITC - others', { txval: '', ...report.itc_elg.itc_inelg.find(item => item.ty === 'OTH') })
+    ]
+  );
+};
+
+module.exports = {
+  GSTR1_SECTIONS,
+  B2CL_THRESHOLD,
+  parsePeriod,
+  gstr1,
+  gstr3b,
+  gstr1Csv,
+  gstr3bCsv
+};
@@ -0,0 +1,754 @@
+// services/invoicePdf.js
+// Renders an Invoice as a GST tax-invoice PDF with pdfkit. Two layouts:
+// 'a4' for printed/emailed invoices and 'thermal' for 80mm receipt printers.
+// Works for every invoice source in the ledger, including migrated bills
+// that only carry invoice-level GST. An optional InvoiceTemplate supplies
+// branding, captions, fonts, footer terms and bank/UPI details.
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { fillPlaceholders } = require('./invoiceTemplates');
+const { STATE_CODES } = require('../utils/gstin');
+
+const LAYOUTS = ['a4', 'thermal'];
+
+// 80mm roll, printable width is a little narrower
+const THERMAL_WIDTH = 226.77;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// The built-in PDF fonts have no ₹ glyph
+const formatMoney = (value) => {
+  return `Rs. ${round2(value).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })}`;
+};
+
+const formatNumber = (value) => {
+  return round2(value).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+// "Batch B12 Exp 31 Dec 2026 (4)"; the count only when a line spans batches
+const batchText = (line, label) => line.batches.map(batch => [
+  `${label('batch')} ${batch.batchNumber}`,
+  batch.expiryDate ? `${label('expiry')} ${formatDate(batch.expiryDate)}` : null,
+  line.batches.length > 1 ? `(${batch.quantity})` : null
+].filter(Boolean).join(' ')).join(', ');
+
+// ============== AMOUNT IN WORDS ==============
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigits = (n) => {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+};
+
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [
+    hundreds ? `${ONES[hundreds]} Hundred` : '',
+    rest ? twoDigits(rest) : ''
+  ].filter(Boolean).join(' ');
+};
+
+// Indian grouping: crore, lakh, thousand, hundred
+const integerToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${integerToWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+  if (rest) parts.push(threeDigits(rest));
+
+  return parts.join(' ');
+};
+
+const amountInWords = (amount) => {
+  const value = Math.abs(round2(amount));
+  const rupees = Math.floor(value);
+  const paise = Math.round((value - rupees) * 100);
+
+  let words = `Rupees ${integerToWords(rupees)}`;
+  if (paise) words += ` and ${twoDigits(paise)} Paise`;
+  return `${amount < 0 ? 'Minus ' : ''}${words} Only`;
+};
+
+// ============== INVOICE DATA ==============
+
+// Normalise lines so older invoices without per-line tax still print a
+// correct split. Invoice-level GST is spread across lines by value.
+const buildLines = (inv) => {
+  const items = inv.items || [];
+  const interState = (inv.igstTotal || 0) > 0;
+  const lineTotal = items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+  const hasLineTax = items.some(item => item.gstAmount !== undefined && item.gstAmount !== null);
+
+  return items.map((item, index) => {
+    const amount = item.totalPrice !== undefined
+      ? item.totalPrice
+      : (item.quantity || 0) * (item.unitPrice || 0);
+
+    let gstAmount = hasLineTax
+      ? (item.gstAmount || 0)
+      : (lineTotal ? (inv.totalGST || 0) * amount / lineTotal : 0);
+    gstAmount = round2(gstAmount);
+
+    const taxable = item.taxableValue !== undefined && item.taxableValue !== null
+      ? item.taxableValue
+      : round2(inv.gstInclusive ? amount - gstAmount : amount);
+    const gstRate = item.gstRate !== undefined && item.gstRate !== null
+      ? item.gstRate
+      : (taxable ? Math.round(gstAmount / taxable * 100) : 0);
+
+    const igst = item.igst || (interState ? gstAmount : 0);
+    const cgst = igst ? 0 : (item.cgst !== undefined ? item.cgst : round2(gstAmount / 2));
+    const sgst = igst ? 0 : (item.sgst !== undefined ? item.sgst : round2(gstAmount - cgst));
+
+    return {
+      index: index + 1,
+      name: item.productName || 'Item',
+      hsnCode: item.hsnCode || '-',
+      quantity: item.quantity || 0,
+      unitPrice: item.unitPrice || 0,
+      discount: item.discount || 0,
+      taxable,
+      gstRate,
+      cgst,
+      sgst,
+      igst,
+      total: round2(taxable + cgst + sgst + igst),
+      batches: (item.batches || []).map(batch => ({
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: batch.quantity
+      }))
+    };
+  });
+};
+
+// HSN-wise tax summary, one row per HSN code and rate
+const buildHsnSummary = (lines) => {
+  const groups = new Map();
+
+  lines.forEach(line => {
+    const key = `${line.hsnCode}|${line.gstRate}`;
+    const group = groups.get(key) || {
+      hsnCode: line.hsnCode,
+      gstRate: line.gstRate,
+      taxable: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0
+    };
+    group.taxable += line.taxable;
+    group.cgst += line.cgst;
+    group.sgst += line.sgst;
+    group.igst += line.igst;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].map(group => ({
+    ...group,
+    taxable: round2(group.taxable),
+    cgst: round2(group.cgst),
+    sgst: round2(group.sgst),
+    igst: round2(group.igst),
+    totalTax: round2(group.cgst + group.sgst + group.igst)
+  }));
+};
+
+// Printed captions; a template's language.labels overrides any of these
+const DEFAULT_LABELS = {
+  taxInvoice: 'TAX INVOICE',
+  creditNote: 'CREDIT NOTE',
+  invoiceNo: 'Invoice No',
+  date: 'Date',
+  orderId: 'Order ID',
+  againstInvoice: 'Against Invoice',
+  payment: 'Payment',
+  billTo: 'Bill To',
+  customer: 'Customer',
+  phone: 'Phone',
+  walkInCustomer: 'Walk-in Customer',
+  gstin: 'GSTIN',
+  placeOfSupply: 'Place of Supply',
+  irn: 'IRN',
+  ackNo: 'Ack No',
+  ackDate: 'Ack Date',
+  description: 'Description',
+  hsn: 'HSN',
+  batch: 'Batch',
+  expiry: 'Exp',
+  qty: 'Qty',
+  rate: 'Rate',
+  disc: 'Disc',
+  taxable: 'Taxable',
+  gstPercent: 'GST %',
+  amount: 'Amount',
+  hsnSummary: 'HSN-wise Tax Summary',
+  cgst: 'CGST',
+  sgst: 'SGST',
+  igst: 'IGST',
+  totalTax: 'Total Tax',
+  taxableValue: 'Taxable Value',
+  exchangeDeduction: 'Exchange Deduction',
+  couponDiscount: 'Coupon Discount',
+  otherDiscounts: 'Other Discounts',
+  roundOff: 'Round Off',
+  grandTotal: 'Grand Total',
+  amountInWords: 'Amount in words',
+  notes: 'Notes',
+  bankDetails: 'Bank Details',
+  upi: 'UPI',
+  terms: 'Terms & Conditions',
+  paidBy: 'Paid by',
+  refundedBy: 'Refunded by',
+  computerGenerated: 'This is a computer generated invoice.',
+  thankYou: 'Thank you! Visit again.'
+};
+
+const buildSummary = (inv, lines, label) => {
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+
+  const exchangeDiscount = inv.exchangeDiscount !== undefined && inv.exchangeDiscount !== null
+    ? inv.exchangeDiscount
+    : (inv.exchangeItems || []).reduce((total, item) => total + (item.assignedValue || 0), 0);
+  const couponDiscount = inv.couponDiscount || inv.couponInfo?.discountAmount || 0;
+
+  const rows = [
+    [label('taxableValue'), sum('taxable'), true],
+    [label('cgst'), sum('cgst')],
+    [label('sgst'), sum('sgst')],
+    [label('igst'), sum('igst')]
+  ].filter(([, value, always]) => always || value);
+
+  if (exchangeDiscount) {
+    rows.push([label('exchangeDeduction'), -exchangeDiscount]);
+  }
+  // Discounts taken off the lines are already in the taxable value
+  if (couponDiscount && !inv.discountsBeforeTax) {
+    const code = inv.couponInfo?.code ? ` (${inv.couponInfo.code})` : '';
+    rows.push([`${label('couponDiscount')}${code}`, -couponDiscount]);
+  }
+  if (inv.additionalDiscounts && !inv.discountsBeforeTax) {
+    rows.push([label('otherDiscounts'), -inv.additionalDiscounts]);
+  }
+  if (inv.roundOff) {
+    rows.push([label('roundOff'), inv.roundOff]);
+  }
+
+  const grandTotal = inv.finalAmount !== undefined && inv.finalAmount !== null
+    ? inv.finalAmount
+    : inv.totalAmount;
+
+  return { rows: rows.map(([text, value]) => [text, value]), grandTotal: round2(grandTotal) };
+};
+
+// The invoice's own storeInfo is what was printed at the time of sale, so it
+// wins over the template's branding
+const storeDetails = (inv, template) => {
+  const store = inv.storeInfo || {};
+  const branding = template?.branding || {};
+  return {
+    name: store.name || branding.storeName || process.env.STORE_NAME || 'Store',
+    address: store.address || branding.address || process.env.STORE_ADDRESS,
+    phone: store.phone || branding.phone || process.env.STORE_PHONE,
+    email: store.email || branding.email || process.env.STORE_EMAIL,
+    gstin: store.gstin || branding.gstin || process.env.STORE_GSTIN
+  };
+};
+
+// Everything the layouts need besides the invoice
+const createContext = (doc, inv, template) => {
+  const labels = template?.language?.labels || {};
+  const label = (key) => (labels instanceof Map ? labels.get(key) : labels[key]) || DEFAULT_LABELS[key];
+
+  const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+  if (template?.language?.fontPath) {
+    doc.registerFont('TemplateRegular', template.language.fontPath);
+    doc.registerFont('TemplateBold', template.language.boldFontPath || template.language.fontPath);
+    fonts.regular = 'TemplateRegular';
+    fonts.bold = 'TemplateBold';
+    fonts.italic = 'TemplateRegular';
+  }
+
+  return {
+    template,
+    label,
+    fonts,
+    accent: template?.branding?.accentColor || '#000000',
+    store: storeDetails(inv, template),
+    fill: (text) => fillPlaceholders(text, inv)
+  };
+};
+
+const documentTitle = (inv, ctx) => {
+  if (ctx.template?.header?.title && inv.type !== 'return') {
+    return ctx.fill(ctx.template.header.title);
+  }
+  return inv.type === 'return' ? ctx.label('creditNote') : ctx.label('taxInvoice');
+};
+
+// Registered e-invoices print their IRN and the IRP's signed QR code
+const activeEInvoice = (inv) => (inv.eInvoice?.status === 'generated' && inv.eInvoice.signedQrCode ? inv.eInvoice : null);
+
+// The QR code drawn as vector squares, so it stays sharp on any printer
+const drawQrCode = (doc, text, { x, y, size }) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const cell = size / modules.size;
+
+  doc.save().fillColor('#000000');
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell);
+    }
+  }
+  doc.fill().restore();
+};
+
+const drawLogo = (doc, ctx, { x, y, fit }) => {
+  const logo = ctx.template?.branding?.logo;
+  if (!logo) return false;
+  try {
+    doc.image(logo, x, y, { fit, align: 'center' });
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Invoice logo could not be drawn:', error.message);
+    return false;
+  }
+};
+
+// Bank, UPI and terms blocks from the template
+const templateFooterLines = (ctx) => {
+  const template = ctx.template || {};
+  const blocks = [];
+
+  const bank = template.bankDetails || {};
+  const bankLines = [
+    bank.accountName,
+    bank.bankName && `${bank.bankName}${bank.branch ? `, ${bank.branch}` : ''}`,
+    bank.accountNumber && `A/c No: ${bank.accountNumber}`,
+    bank.ifsc && `IFSC: ${bank.ifsc}`
+  ].filter(Boolean);
+  if (bankLines.length) blocks.push({ title: ctx.label('bankDetails'), lines: bankLines });
+
+  if (template.upi?.vpa) {
+    blocks.push({
+      title: ctx.label('upi'),
+      lines: [template.upi.payeeName, template.upi.vpa].filter(Boolean)
+    });
+  }
+
+  const terms = (template.footer?.terms || []).map(ctx.fill).filter(Boolean);
+  if (terms.length) {
+    blocks.push({ title: ctx.label('terms'), lines: terms.map((term, i) => `${i + 1}. ${term}`) });
+  }
+
+  return blocks;
+};
+
+// ============== TABLE DRAWING ==============
+
+// Draws a simple ruled table, starting new pages as needed. Columns are
+// { header, key, width, align }; returns the y position after the table.
+const drawTable = (doc, columns, rows, { x, y, fontSize, bottom, fonts }) => {
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const padding = 3;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...columns.map((column, i) => doc.heightOfString(String(cells[i]), {
+      width: column.width - padding * 2
+    }))) + padding * 2;
+  };
+
+  const drawRow = (cells, font, top) => {
+    const height = rowHeight(cells, font);
+    let left = x;
+    doc.font(font).fontSize(fontSize);
+    columns.forEach((column, i) => {
+      doc.text(String(cells[i]), left + padding, top + padding, {
+        width: column.width - padding * 2,
+        align: column.align || 'left'
+      });
+      left += column.width;
+    });
+    doc.moveTo(x, top + height).lineTo(x + totalWidth, top + height).lineWidth(0.5).stroke();
+    return top + height;
+  };
+
+  const headers = columns.map(column => column.header);
+  doc.moveTo(x, y).lineTo(x + totalWidth, y).lineWidth(0.5).stroke();
+  let top = drawRow(headers, fonts.bold, y);
+
+  rows.forEach(row => {
+    const cells = columns.map(column => row[column.key]);
+    if (bottom && top + rowHeight(cells, fonts.regular) > bottom) {
+      doc.addPage();
+      top = doc.page.margins.top;
+      doc.moveTo(x, top).lineTo(x + totalWidth, top).lineWidth(0.5).stroke();
+      top = drawRow(headers, fonts.bold, top);
+    }
+    top = drawRow(cells, fonts.regular, top);
+  });
+
+  return top;
+};
+
+// ============== A4 LAYOUT ==============
+
+const renderA4 = (doc, inv, ctx) => {
+  const { store, label, fonts } = ctx;
+  const lines = buildLines(inv);
+  const hsnSummary = buildHsnSummary(lines);
+  const summary = buildSummary(inv, lines, label);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const interState = lines.some(line => line.igst);
+
+  // Store header, with the logo on the left when there is one
+  if (drawLogo(doc, ctx, { x: left, y: doc.y, fit: [70, 50] })) {
+    doc.x = left;
+  }
+  doc.fillColor(ctx.accent).font(fonts.bold).fontSize(16).text(store.name, left, doc.y, { width, align: 'center' });
+  doc.fillColor('#000000').font(fonts.regular).fontSize(9);
+  [store.address, [store.phone, store.email].filter(Boolean).join(' | ')]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width, align: 'center' }));
+  if (store.gstin) {
+    doc.font(fonts.bold).text(`GSTIN: ${store.gstin}`, { width, align: 'center' });
+  }
+  if (ctx.template?.header?.subtitle) {
+    doc.font(fonts.italic).text(ctx.fill(ctx.template.header.subtitle), { width, align: 'center' });
+  }
+
+  doc.moveDown(0.5);
+  doc.fillColor(ctx.accent).font(fonts.bold).fontSize(13).text(documentTitle(inv, ctx), { width, align: 'center' });
+  doc.fillColor('#000000').moveDown(0.5);
+
+  const eInvoice = activeEInvoice(inv);
+  if (eInvoice) {
+    const qrSize = 90;
+    const qrTop = doc.y;
+    drawQrCode(doc, eInvoice.signedQrCode, { x: left + width - qrSize, y: qrTop, size: qrSize });
+    doc.font(fonts.regular).fontSize(8);
+    doc.text(`${label('irn')}: ${eInvoice.irn}`, left, qrTop, { width: width - qrSize - 10 });
+    doc.text(`${label('ackNo')}: ${eInvoice.ackNo}`, { width: width - qrSize - 10 });
+    doc.text(`${label('ackDate')}: ${eInvoice.ackDate}`, { width: width - qrSize - 10 });
+    doc.y = Math.max(doc.y, qrTop + qrSize) + 6;
+    doc.x = left;
+  }
+
+  // Invoice and customer details
+  const detailsTop = doc.y;
+  doc.font(fonts.regular).fontSize(9);
+  doc.text(`${label('invoiceNo')}: ${inv.invoiceNumber}`, left, detailsTop);
+  doc.text(`${label('date')}: ${formatDate(inv.date || inv.createdAt)}`);
+  if (inv.orderId) doc.text(`${label('orderId')}: ${inv.orderId}`);
+  if (inv.originalInvoiceNumber) doc.text(`${label('againstInvoice')}: ${inv.originalInvoiceNumber}`);
+  doc.text(`${label('payment')}: ${(inv.payment?.method || '').replace('_', ' ').toUpperCase()}`);
+  if (inv.placeOfSupply) {
+    doc.text(`${label('placeOfSupply')}: ${inv.placeOfSupply}${STATE_CODES[inv.placeOfSupply] ? ` - ${STATE_CODES[inv.placeOfSupply]}` : ''}`);
+  }
+  const leftBottom = doc.y;
+
+  doc.font(fonts.bold).text(`${label('billTo')}:`, left + width / 2, detailsTop);
+  doc.font(fonts.regular);
+  [
+    inv.customerName || label('walkInCustomer'),
+    inv.customerAddress,
+    inv.customerPhone && `${label('phone')}: ${inv.customerPhone}`,
+    inv.customerEmail,
+    inv.customerGstin && `${label('gstin')}: ${inv.customerGstin}`
+  ].filter(Boolean).forEach(line => doc.text(line, left + width / 2, doc.y, { width: width / 2 }));
+
+  let y = Math.max(leftBottom, doc.y) + 10;
+
+  // Item table
+  const itemColumns = [
+    { header: '#', key: 'index', width: 22 },
+    { header: label('description'), key: 'name', width: 140 },
+    { header: label('hsn'), key: 'hsnCode', width: 50 },
+    { header: label('qty'), key: 'quantity', width: 32, align: 'right' },
+    { header: label('rate'), key: 'unitPrice', width: 55, align: 'right' },
+    { header: label('disc'), key: 'discount', width: 45, align: 'right' },
+    { header: label('taxable'), key: 'taxable', width: 60, align: 'right' },
+    { header: label('gstPercent'), key: 'gstRate', width: 36, align: 'right' },
+    { header: label('amount'), key: 'total', width: width - 440, align: 'right' }
+  ];
+  y = drawTable(doc, itemColumns, lines.map(line => ({
+    ...line,
+    name: line.batches.length ? `${line.name}\n${batchText(line, label)}` : line.name,
+    unitPrice: formatNumber(line.unitPrice),
+    discount: line.discount ? formatNumber(line.discount) : '-',
+    taxable: formatNumber(line.taxable),
+    total: formatNumber(line.total)
+  })), { x: left, y, fontSize: 8, bottom, fonts });
+
+  // HSN-wise summary
+  if (y + 60 > bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  doc.font(fonts.bold).fontSize(9).text(label('hsnSummary'), left, y + 10);
+  const taxColumns = interState
+    ? [
+      { header: label('hsn'), key: 'hsnCode', width: 110 },
+      { header: label('taxable'), key: 'taxable', width: 110, align: 'right' },
+      { header: `${label('igst')} %`, key: 'gstRate', width: 75, align: 'right' },
+      { header: label('igst'), key: 'igst', width: 110, align: 'right' },
+      { header: label('totalTax'), key: 'totalTax', width: width - 405, align: 'right' }
+    ]
+    : [
+      { header: label('hsn'), key: 'hsnCode', width: 90 },
+      { header: label('taxable'), key: 'taxable', width: 90, align: 'right' },
+      { header: `${label('cgst')} %`, key: 'halfRate', width: 55, align: 'right' },
+      { header: label('cgst'), key: 'cgst', width: 80, align: 'right' },
+      { header: `${label('sgst')} %`, key: 'halfRate', width: 55, align: 'right' },
+      { header: label('sgst'), key: 'sgst', width: 80, align: 'right' },
+      { header: label('totalTax'), key: 'totalTax', width: width - 450, align: 'right' }
+    ];
+  y = drawTable(doc, taxColumns, hsnSummary.map(group => ({
+    ...group,
+    halfRate: round2(group.gstRate / 2),
+    taxable: formatNumber(group.taxable),
+    cgst: formatNumber(group.cgst),
+    sgst: formatNumber(group.sgst),
+    igst: formatNumber(group.igst),
+    totalTax: formatNumber(group.totalTax)
+  })), { x: left, y: doc.y + 4, fontSize: 8, bottom, fonts });
+
+  // Totals
+  const rowsHeight = (summary.rows.length + 3) * 14 + 40;
+  if (y + rowsHeight > bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  y += 10;
+  const labelX = left + width - 250;
+  doc.font(fonts.regular).fontSize(9);
+  summary.rows.forEach(([text, value]) => {
+    doc.text(text, labelX, y, { width: 140 });
+    doc.text(formatMoney(value), labelX + 140, y, { width: 110, align: 'right' });
+    y += 14;
+  });
+  doc.moveTo(labelX, y).lineTo(left + width, y).lineWidth(0.5).stroke();
+  y += 4;
+  doc.font(fonts.bold).fontSize(11);
+  doc.text(label('grandTotal'), labelX, y, { width: 140 });
+  doc.text(formatMoney(summary.grandTotal), labelX + 140, y, { width: 110, align: 'right' });
+  y += 20;
+
+  doc.font(fonts.bold).fontSize(9).text(`${label('amountInWords')}: `, left, y, { continued: true })
+    .font(fonts.regular).text(amountInWords(summary.grandTotal), { width });
+
+  if (inv.notes) {
+    doc.moveDown(0.5).font(fonts.italic).fontSize(8).text(`${label('notes')}: ${inv.notes}`, left, doc.y, { width });
+  }
+
+  // Bank / UPI / terms from the template
+  templateFooterLines(ctx).forEach(block => {
+    doc.moveDown(0.6).font(fonts.bold).fontSize(8).text(block.title, left, doc.y, { width });
+    doc.font(fonts.regular);
+    block.lines.forEach(line => doc.text(line, left, doc.y, { width }));
+  });
+
+  const footerNote = ctx.template?.footer?.note
+    ? ctx.fill(ctx.template.footer.note)
+    : label('computerGenerated');
+  doc.moveDown(2).font(fonts.regular).fontSize(8).text(footerNote, left, doc.y, { width, align: 'center' });
+};
+
+// ============== THERMAL LAYOUT ==============
+
+const renderThermal = (doc, inv, ctx) => {
+  const { store, label, fonts } = ctx;
+  const lines = buildLines(inv);
+  const hsnSummary = buildHsnSummary(lines);
+  const summary = buildSummary(inv, lines, label);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  const rule = () => {
+    doc.moveDown(0.2);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).dash(2, { space: 2 }).lineWidth(0.5).stroke().undash();
+    doc.moveDown(0.3);
+  };
+
+  const pair = (text, value, font = fonts.regular) => {
+    const y = doc.y;
+    doc.font(font).text(text, left, y, { width: width * 0.6 });
+    const labelBottom = doc.y;
+    doc.text(value, left + width * 0.6, y, { width: width * 0.4, align: 'right' });
+    doc.x = left;
+    doc.y = Math.max(labelBottom, doc.y);
+  };
+
+  if (drawLogo(doc, ctx, { x: left + width / 2 - 30, y: doc.y, fit: [60, 40] })) {
+    doc.x = left;
+    doc.y += 44;
+  }
+  doc.font(fonts.bold).fontSize(11).text(store.name, left, doc.y, { width, align: 'center' });
+  doc.font(fonts.regular).fontSize(7);
+  [store.address, store.phone && `Ph: ${store.phone}`, store.gstin && `GSTIN: ${store.gstin}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width, align: 'center' }));
+  if (ctx.template?.header?.subtitle) {
+    doc.text(ctx.fill(ctx.template.header.subtitle), { width, align: 'center' });
+  }
+  doc.moveDown(0.3);
+  doc.font(fonts.bold).fontSize(8).text(documentTitle(inv, ctx), { width, align: 'center' });
+  rule();
+
+  doc.font(fonts.regular).fontSize(7);
+  pair(label('invoiceNo'), inv.invoiceNumber);
+  pair(label('date'), formatDate(inv.date || inv.createdAt));
+  if (inv.originalInvoiceNumber) pair(label('againstInvoice'), inv.originalInvoiceNumber);
+  if (inv.customerName) pair(label('customer'), inv.customerName);
+  if (inv.customerGstin) pair(label('gstin'), inv.customerGstin);
+  rule();
+
+  // Items: name on one line, then qty x rate and amount
+  lines.forEach(line => {
+    doc.font(fonts.regular).fontSize(7)
+      .text(`${line.name}${line.hsnCode !== '-' ? ` (${label('hsn')} ${line.hsnCode})` : ''}`, left, doc.y, { width });
+    if (line.batches.length) {
+      doc.fontSize(6.5).text(`  ${batchText(line, label)}`, left, doc.y, { width }).fontSize(7);
+    }
+    pair(`  ${line.quantity} x ${formatNumber(line.unitPrice)}  @${line.gstRate}%`, formatNumber(line.total));
+  });
+  rule();
+
+  // Compact HSN summary
+  doc.font(fonts.bold).fontSize(6.5).text(`${label('hsn')}   ${label('taxable')}   ${label('totalTax')}`, left, doc.y, { width });
+  doc.font(fonts.regular);
+  hsnSummary.forEach(group => {
+    pair(`${group.hsnCode} @${group.gstRate}%  ${formatNumber(group.taxable)}`, formatNumber(group.totalTax));
+  });
+  rule();
+
+  doc.fontSize(7);
+  summary.rows.forEach(([text, value]) => pair(text, formatNumber(value)));
+  rule();
+  doc.fontSize(9);
+  pair(label('grandTotal').toUpperCase(), formatMoney(summary.grandTotal), fonts.bold);
+  doc.moveDown(0.3);
+  doc.font(fonts.regular).fontSize(6.5).text(amountInWords(summary.grandTotal), left, doc.y, { width });
+  rule();
+
+  const eInvoice = activeEInvoice(inv);
+  if (eInvoice) {
+    const qrSize = 120;
+    const qrTop = doc.y;
+    drawQrCode(doc, eInvoice.signedQrCode, { x: left + (width - qrSize) / 2, y: qrTop, size: qrSize });
+    doc.y = qrTop + qrSize + 4;
+    doc.font(fonts.regular).fontSize(6);
+    doc.text(`${label('irn')}: ${eInvoice.irn}`, left, doc.y, { width, align: 'center' });
+    pair(label('ackNo'), eInvoice.ackNo);
+    pair(label('ackDate'), eInvoice.ackDate);
+    rule();
+  }
+
+  doc.fontSize(7).text(`${label(inv.type === 'return' ? 'refundedBy' : 'paidBy')} ${(inv.payment?.method || 'cash').replace('_', ' ').toUpperCase()}`, { width, align: 'center' });
+
+  templateFooterLines(ctx).forEach(block => {
+    doc.moveDown(0.3).font(fonts.bold).fontSize(6.5).text(block.title, left, doc.y, { width, align: 'center' });
+    doc.font(fonts.regular);
+    block.lines.forEach(line => doc.text(line, left, doc.y, { width, align: 'center' }));
+  });
+
+  doc.moveDown(0.3).fontSize(7).text(
+    ctx.template?.footer?.note ? ctx.fill(ctx.template.footer.note) : label('thankYou'),
+    left,
+    doc.y,
+    { width, align: 'center' }
+  );
+};
+
+// Receipt height grows with the number of lines and template blocks
+const thermalHeight = (inv, template) => {
+  const lines = (inv.items || []).length;
+  const batchLines = (inv.items || []).filter(item => item.batches?.length).length;
+  const hsnRows = new Set((inv.items || []).map(item => `${item.hsnCode}|${item.gstRate}`)).size;
+  const extra = template
+    ? 60 + (template.footer?.terms || []).length * 10 + (template.branding?.logo ? 44 : 0)
+    : 0;
+  const qr = activeEInvoice(inv) ? 170 : 0;
+  return 360 + lines * 22 + batchLines * 10 + hsnRows * 10 + extra + qr;
+};
+
+// ============== ENTRY POINT ==============
+
+// Returns a finished pdfkit document; pipe it to the response
+const renderInvoicePdf = (invoice, { layout = 'a4', template = null } = {}) => {
+  const inv = invoice.toObject ? invoice.toObject() : invoice;
+
+  const doc = layout === 'thermal'
+    ? new PDFDocument({ size: [THERMAL_WIDTH, thermalHeight(inv, template)], margin: 10 })
+    : new PDFDocument({ size: 'A4', margin: 40 });
+
+  const ctx = createContext(doc, inv, template);
+  doc.info.Title = `${documentTitle(inv, ctx)} ${inv.invoiceNumber}`;
+
+  if (layout === 'thermal') {
+    renderThermal(doc, inv, ctx);
+  } else {
+    renderA4(doc, inv, ctx);
+  }
+
+  doc.end();
+  return doc;
+};
+
+// Set PDF headers and stream the invoice to an Express response
+const sendInvoicePdf = (res, invoice, options = {}) => {
+  const layout = LAYOUTS.includes(options.layout) ? options.layout : 'a4';
+  const filename = `${String(invoice.invoiceNumber).replace(/[^\w-]+/g, '-')}.pdf`;
+
+  // Render before writing headers so a bad template can still produce a JSON error
+  const doc = renderInvoicePdf(invoice, { layout, template: options.template });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `${options.download ? 'attachment' : 'inline'}; filename="${filename}"`
+  );
+
+  doc.pipe(res);
+};
+
+module.exports = {
+  LAYOUTS,
+  DEFAULT_LABELS,
+  amountInWords,
+  buildLines,
+  buildHsnSummary,
+  renderInvoicePdf,
+  sendInvoicePdf
+};
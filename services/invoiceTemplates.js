@@ -0,0 +1,188 @@
+// services/invoiceTemplates.js
+// Chooses the InvoiceTemplate for an invoice and fills {{placeholders}} in
+// template text from invoice data. Used by services/invoicePdf.js and
+// routes/invoiceTemplates.js.
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const ApiError = require('../utils/ApiError');
+
+// Invoice fields a template may reference, e.g. {{storeInfo.name}},
+// {{couponInfo.code}}, {{gstBreakdown.0.amount}} or {{exchangeItems.length}}
+const PLACEHOLDER_ROOTS = [
+  'invoiceNumber',
+  'billNumber',
+  'orderId',
+  'date',
+  'customerName',
+  'customerPhone',
+  'customerEmail',
+  'customerAddress',
+  'customerGstin',
+  'placeOfSupply',
+  'storeInfo',
+  'gstBreakdown',
+  'couponInfo',
+  'exchangeItems',
+  'payment',
+  'subtotal',
+  'totalGST',
+  'totalDiscount',
+  'exchangeDiscount',
+  'couponDiscount',
+  'finalAmount',
+  'totalAmount',
+  'notes'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Template fields that may contain placeholders
+const TEXT_FIELDS = ['header.title', 'header.subtitle', 'footer.note', 'footer.terms'];
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) {
+    return value.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (typeof item === 'object' ? item.name || '' : item)).filter(Boolean).join(', ');
+  }
+  if (typeof value === 'object') return '';
+  return String(value);
+};
+
+const fillPlaceholders = (text, invoice) => {
+  if (!text) return '';
+  return text.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    if (!PLACEHOLDER_ROOTS.includes(path.split('.')[0])) return match;
+    return formatValue(getPath(invoice, path));
+  });
+};
+
+// Placeholders in the template that no invoice could ever fill
+const findUnknownPlaceholders = (template) => {
+  const unknown = new Set();
+
+  TEXT_FIELDS.forEach(field => {
+    const value = getPath(template, field);
+    const texts = Array.isArray(value) ? value : [value];
+    texts.filter(Boolean).forEach(text => {
+      for (const [, path] of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!PLACEHOLDER_ROOTS.includes(path.split('.')[0])) unknown.add(path);
+      }
+    });
+  });
+
+  return [...unknown];
+};
+
+// Files the template points at must exist on this server
+const findMissingFiles = (template) => {
+  const paths = [
+    template.language?.fontPath,
+    template.language?.boldFontPath,
+    template.branding?.logo && !template.branding.logo.startsWith('data:') ? template.branding.logo : null
+  ].filter(Boolean);
+
+  return paths.filter(path => !fs.existsSync(path));
+};
+
+// Template to use for an invoice: an explicit template, else the store's
+// default for the layout, else the default for all stores. Returns null to
+// fall back to the built-in design.
+const resolveTemplate = async ({ templateId, storeCode, layout = 'a4' } = {}) => {
+  if (templateId) {
+    if (!mongoose.isValidObjectId(templateId)) {
+      throw new ApiError('Invalid template ID');
+    }
+    return InvoiceTemplate.findOne({ _id: templateId, isActive: true }).lean();
+  }
+
+  const candidates = await InvoiceTemplate.find({
+    layout,
+    isDefault: true,
+    isActive: true,
+    storeCode: { $in: [storeCode ? storeCode.toUpperCase() : null, null] }
+  }).lean();
+
+  return candidates.find(t => t.storeCode) || candidates[0] || null;
+};
+
+// Invoice used for previews, covering every section a template can style
+const sampleInvoice = () => ({
+  invoiceNumber: 'INV-25-26-00042',
+  billNumber: 'BILL-25-26-00042',
+  date: new Date(),
+  status: 'completed',
+  type: 'sale',
+  customerName: 'Priya Raman',
+  customerPhone: '9876543210',
+  customerEmail: 'priya@example.com',
+  customerAddress: '12 Anna Salai, Chennai 600002',
+  storeInfo: {},
+  items: [
+    {
+      productName: 'Basmati Rice 5kg',
+      hsnCode: '1006',
+      quantity: 2,
+      unitPrice: 550,
+      totalPrice: 1100,
+      gstRate: 5,
+      gstAmount: 55,
+      cgst: 27.5,
+      sgst: 27.5,
+      igst: 0
+    },
+    {
+      productName: 'Mixer Grinder 750W',
+      hsnCode: '8509',
+      quantity: 1,
+      unitPrice: 3200,
+      discount: 200,
+      totalPrice: 3000,
+      gstRate: 18,
+      gstAmount: 540,
+      cgst: 270,
+      sgst: 270,
+      igst: 0
+    }
+  ],
+  exchangeItems: [
+    { name: 'Old mixer', brand: 'Generic', condition: 'Working', assignedValue: 300 }
+  ],
+  subtotal: 4100,
+  totalGST: 595,
+  cgstTotal: 297.5,
+  sgstTotal: 297.5,
+  igstTotal: 0,
+  gstBreakdown: [
+    { name: 'CGST', amount: 297.5 },
+    { name: 'SGST', amount: 297.5 }
+  ],
+  exchangeDiscount: 300,
+  couponDiscount: 100,
+  couponInfo: { code: 'WELCOME100', type: 'fixed', value: 100, discountAmount: 100 },
+  totalDiscount: 400,
+  totalAmount: 4695,
+  amountAfterDiscount: 4295,
+  finalAmount: 4295,
+  roundOff: 0,
+  payment: { method: 'upi', status: 'paid', amount: 4295, paidAmount: 4295 },
+  notes: 'Sample invoice for template preview'
+});
+
+module.exports = {
+  PLACEHOLDER_ROOTS,
+  fillPlaceholders,
+  findUnknownPlaceholders,
+  findMissingFiles,
+  resolveTemplate,
+  sampleInvoice
+};
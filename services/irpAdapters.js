@@ -0,0 +1,197 @@
+// services/irpAdapters.js
+// Adapters for the Invoice Registration Portal (IRP). services/eInvoice.js
+// builds and validates the payload; an adapter only submits it. Every adapter
+// has the same shape:
+//
+//   generate(payload) -> { irn, ackNo, ackDate, signedInvoice, signedQrCode }
+//   cancel({ irn, reason, remark }) -> { irn, cancelledAt }
+//
+// 'gsp' posts plain JSON to a GST Suvidha Provider, which handles the IRP's
+// encryption and session keys. 'mock' answers locally with IRP-shaped data for
+// development and testing. EINVOICE_ADAPTER picks one; without it 'gsp' is
+// used when EINVOICE_API_URL is set, else 'mock'.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const ApiError = require('../utils/ApiError');
+
+// IRP cancellation reason codes
+const CANCEL_REASONS = {
+  duplicate: '1',
+  data_entry_mistake: '2',
+  order_cancelled: '3',
+  other: '4'
+};
+
+// The IRP's timestamp format: YYYY-MM-DD HH:mm:ss
+const irpTimestamp = (date = new Date()) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const financialYear = (ddmmyyyy) => {
+  const [, month, year] = ddmmyyyy.split('/').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+};
+
+// Payload of the signed QR code, as the IRP builds it
+const qrPayload = (payload, irn, irnDate) => ({
+  SellerGstin: payload.SellerDtls.Gstin,
+  BuyerGstin: payload.BuyerDtls.Gstin,
+  DocNo: payload.DocDtls.No,
+  DocTyp: payload.DocDtls.Typ,
+  DocDt: payload.DocDtls.Dt,
+  TotInvVal: payload.ValDtls.TotInvVal,
+  ItemCnt: payload.ItemList.length,
+  MainHsnCode: payload.ItemList[0].HsnCd,
+  Irn: irn,
+  IrnDt: irnDate
+});
+
+// ============== MOCK ==============
+
+const createMockAdapter = ({ secret = 'mock-irp-signing-key' } = {}) => {
+  const issued = new Map();
+
+  return {
+    name: 'mock',
+
+    async generate(payload) {
+      // The IRN is the SHA-256 of seller GSTIN, financial year, type and number
+      const irn = crypto.createHash('sha256')
+        .update(`${payload.SellerDtls.Gstin}${financialYear(payload.DocDtls.Dt)}${payload.DocDtls.Typ}${payload.DocDtls.No}`)
+        .digest('hex');
+
+      if (issued.has(irn)) {
+        throw new ApiError(`Duplicate IRN: ${payload.DocDtls.No} already has IRN ${irn}`, 409);
+      }
+
+      const ackDate = irpTimestamp();
+      const result = {
+        irn,
+        ackNo: String(Date.now()).padStart(15, '1').slice(-15),
+        ackDate,
+        signedInvoice: jwt.sign({ data: JSON.stringify(payload), iss: 'NIC' }, secret),
+        signedQrCode: jwt.sign({ data: JSON.stringify(qrPayload(payload, irn, ackDate)), iss: 'NIC' }, secret)
+      };
+      issued.set(irn, result);
+      return result;
+    },
+
+    async cancel({ irn }) {
+      issued.delete(irn);
+      return { irn, cancelledAt: irpTimestamp() };
+    }
+  };
+};
+
+// ============== GSP ==============
+
+const createGspAdapter = ({
+  baseUrl = process.env.EINVOICE_API_URL,
+  clientId = process.env.EINVOICE_CLIENT_ID,
+  clientSecret = process.env.EINVOICE_CLIENT_SECRET,
+  username = process.env.EINVOICE_USERNAME,
+  password = process.env.EINVOICE_PASSWORD,
+  gstin = process.env.STORE_GSTIN,
+  timeout = 30000
+} = {}) => {
+  if (!baseUrl) {
+    throw new Error('EINVOICE_API_URL is required for the gsp e-invoice adapter');
+  }
+
+  const client = axios.create({
+    baseURL: baseUrl,
+    timeout,
+    headers: {
+      client_id: clientId,
+      client_secret: clientSecret,
+      user_name: username,
+      password,
+      gstin
+    }
+  });
+
+  // IRP errors come back as { Status: 0, ErrorDetails: [{ ErrorCode, ErrorMessage }] }
+  const call = async (path, body) => {
+    let response;
+    try {
+      response = await client.post(path, body);
+    } catch (error) {
+      const details = error.response?.data?.ErrorDetails;
+      throw new ApiError(
+        `IRP request failed: ${details?.[0]?.ErrorMessage || error.message}`,
+        error.response ? 422 : 502,
+        details
+      );
+    }
+
+    const data = response.data || {};
+    if (String(data.Status) !== '1') {
+      const details = data.ErrorDetails || [];
+      throw new ApiError(
+        `IRP rejected the request: ${details.map(d => `${d.ErrorCode} ${d.ErrorMessage}`).join('; ') || 'unknown error'}`,
+        422,
+        details
+      );
+    }
+    return typeof data.Data === 'string' ? JSON.parse(data.Data) : data.Data;
+  };
+
+  return {
+    name: 'gsp',
+
+    async generate(payload) {
+      const data = await call('/einvoice/generate', payload);
+      return {
+        irn: data.Irn,
+        ackNo: String(data.AckNo),
+        ackDate: data.AckDt,
+        signedInvoice: data.SignedInvoice,
+        signedQrCode: data.SignedQRCode
+      };
+    },
+
+    async cancel({ irn, reason, remark }) {
+      const data = await call('/einvoice/cancel', {
+        Irn: irn,
+        CnlRsn: CANCEL_REASONS[reason] || CANCEL_REASONS.other,
+        CnlRem: remark || reason
+      });
+      return { irn: data.Irn, cancelledAt: data.CancelDate };
+    }
+  };
+};
+
+// ============== SELECTION ==============
+
+const ADAPTERS = {
+  mock: createMockAdapter,
+  gsp: createGspAdapter
+};
+
+let current = null;
+
+const getAdapter = () => {
+  if (!current) {
+    const name = process.env.EINVOICE_ADAPTER || (process.env.EINVOICE_API_URL ? 'gsp' : 'mock');
+    if (!ADAPTERS[name]) {
+      throw new Error(`Unknown e-invoice adapter: ${name}`);
+    }
+    current = ADAPTERS[name]();
+  }
+  return current;
+};
+
+// Replace the adapter, e.g. with a mock in tests; null goes back to the default
+const setAdapter = (adapter) => {
+  current = adapter;
+};
+
+module.exports = {
+  CANCEL_REASONS,
+  ADAPTERS,
+  createMockAdapter,
+  createGspAdapter,
+  getAdapter,
+  setAdapter
+};
@@ -0,0 +1,640 @@
+// services/locationService.js
+// Stock across locations (shops, godowns). Product.stock stays the total on
+// hand everywhere; LocationStock rows record what each location other than
+// the default holds, and the default location has the rest. Code that only
+// knows about Product.stock (purchase receipts, manual adjustments)
+// therefore works on the default location unchanged. Every billing route
+// takes its stock at the store's location.
+//
+// Moving goods between locations is a stock transfer: requested, then
+// dispatched (a 'remove' Stock entry at the source), then received (an 'add'
+// entry at the destination), both carrying the transfer number. Low-stock
+// rules are set per location and raise their own notifications.
+
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const LocationStock = require('../models/LocationStock');
+const StockTransfer = require('../models/StockTransfer');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const { nextNumber, runInTransaction } = require('./numberingService');
+const { generateNotificationHash, upsertNotification } = require('./notificationService');
+const { heldElsewhere, recordMovement } = require('./stockLedger');
+const ApiError = require('../utils/ApiError');
+
+const DEFAULT_LOCATION_CODE = process.env.DEFAULT_LOCATION_CODE || 'MAIN';
+
+// ============== LOCATIONS ==============
+
+// The location holding all stock not recorded elsewhere, created on first use
+const defaultLocation = async (session = null) => {
+  const existing = await Location.findOne({ isDefault: true }).session(session);
+  if (existing) return existing;
+
+  return Location.findOneAndUpdate(
+    { code: DEFAULT_LOCATION_CODE },
+    {
+      $set: { isDefault: true, status: 'active' },
+      $setOnInsert: { name: process.env.STORE_NAME || 'Main store', type: 'store' }
+    },
+    { new: true, upsert: true, session }
+  );
+};
+
+const loadLocation = async (locationId, session = null) => {
+  if (!mongoose.isValidObjectId(locationId)) {
+    throw new ApiError('Invalid location ID');
+  }
+  const location = await Location.findById(locationId).session(session);
+  if (!location) {
+    throw new ApiError('Location not found', 404);
+  }
+  return location;
+};
+
+// Where a bill takes its stock from: the given location, else the one linked
+// to the store code, else the default
+const resolveLocation = async ({ locationId, storeCode } = {}, session = null) => {
+  if (locationId) {
+    const location = await loadLocation(locationId, session);
+    if (location.status !== 'active') {
+      throw new ApiError(`Location ${location.code} is inactive`);
+    }
+    return location;
+  }
+  if (storeCode) {
+    const linked = await Location.findOne({ storeCode: String(storeCode).toUpperCase(), status: 'active' }).session(session);
+    if (linked) return linked;
+  }
+  return defaultLocation(session);
+};
+
+// ============== STOCK MOVES ==============
+
+// Take each line's units from a location. Call it before Product.stock is
+// reduced: other locations lose their own rows, while the default location
+// only checks that the units are not all held elsewhere. A shortfall of
+// stock altogether is left to the caller's own stock check. Returns the units
+// taken for each line (none for lines without a product).
+const takeFromLocation = async (lines, location, { session = null } = {}) => {
+  const taken = new Map();
+  const units = [];
+
+  for (const line of lines) {
+    if (!mongoose.isValidObjectId(line.productId)) {
+      units.push(0);
+      continue;
+    }
+    const key = String(line.productId);
+    const earlier = taken.get(key) || 0;
+
+    if (!location.isDefault) {
+      const row = await LocationStock.findOneAndUpdate(
+        { productId: line.productId, locationId: location._id, quantity: { $gte: line.quantity } },
+        { $inc: { quantity: -line.quantity } },
+        { new: true, session }
+      );
+      if (!row) {
+        const current = await LocationStock.findOne({ productId: line.productId, locationId: location._id }).session(session);
+        throw new ApiError(
+          `Insufficient stock for ${line.productName} at ${location.name}. Available: ${current ? current.quantity : 0}`,
+          409
+        );
+      }
+    } else {
+      const product = await Product.findById(line.productId).select('stock').session(session);
+      if (!product) {
+        units.push(0);
+        continue;
+      }
+      const elsewhere = (await heldElsewhere([line.productId], session)).get(key) || 0;
+      const stock = product.stock - earlier;
+      const available = Math.max(0, stock - elsewhere);
+      if (line.quantity > available && line.quantity <= stock) {
+        throw new ApiError(
+          `Only ${available} of ${line.productName} at ${location.name}; ${elsewhere} are at other locations`,
+          409
+        );
+      }
+    }
+
+    taken.set(key, earlier + line.quantity);
+    units.push(line.quantity);
+  }
+
+  return units;
+};
+
+// Take a bill's lines ({ productId, productName, quantity }) out of stock at
+// a location, each logged against the document. Lines without a product are
+// skipped; a line short on stock fails the sale. Allocate batches first
+// (services/batchService.js), while Product.stock still shows the units.
+// Returns the updated products.
+const sellFromLocation = async (lines, location, { source, performedBy, session = null } = {}) => {
+  const units = await takeFromLocation(lines, location, { session });
+  const products = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (units[index] <= 0) continue;
+    const moved = await recordMovement({
+      productId: line.productId,
+      type: 'remove',
+      quantity: units[index],
+      reason: 'Sale',
+      source,
+      location,
+      performedBy
+    }, { session });
+    if (!moved) {
+      const product = await Product.findById(line.productId).select('stock').session(session);
+      throw new ApiError(`Insufficient stock for ${line.productName}. Available: ${product ? product.stock : 0}`, 409);
+    }
+    products.push(moved.product);
+  }
+
+  return products;
+};
+
+// Add units to a location's own count (the default location needs nothing)
+const putAtLocation = async (productId, location, quantity, { session = null } = {}) => {
+  if (!location || location.isDefault) return null;
+  return LocationStock.findOneAndUpdate(
+    { productId, locationId: location._id },
+    { $inc: { quantity } },
+    { new: true, upsert: true, session }
+  );
+};
+
+// Move units in or out of Product.stock at a location, logged against the transfer
+const moveStock = async ({ productId, location, quantity, type, reason, transfer, notes, performedBy }, session) => {
+  const moved = await recordMovement({
+    productId,
+    type,
+    quantity,
+    reason,
+    notes,
+    source: { type: 'transfer', id: transfer._id, reference: transfer.transferNumber },
+    location,
+    performedBy
+  }, { session });
+  if (!moved) {
+    throw new ApiError('Product not found', 404);
+  }
+  if (type === 'add') {
+    await putAtLocation(productId, location, quantity, { session });
+  }
+
+  return moved.product;
+};
+
+// ============== QUERIES ==============
+
+// One product's stock at every active location
+const stockByProduct = async (productId) => {
+  if (!mongoose.isValidObjectId(productId)) {
+    throw new ApiError('Invalid product ID');
+  }
+  const product = await Product.findById(productId).select('productId name stock minStock').lean();
+  if (!product) {
+    throw new ApiError('Product not found', 404);
+  }
+  await defaultLocation();
+
+  const [locations, rows] = await Promise.all([
+    Location.find({ status: 'active' }).sort({ isDefault: -1, code: 1 }).lean(),
+    LocationStock.find({ productId }).lean()
+  ]);
+  const byLocation = new Map(rows.map(row => [String(row.locationId), row]));
+  const elsewhere = rows.reduce((sum, row) => sum + row.quantity, 0);
+
+  return {
+    product,
+    total: product.stock,
+    locations: locations.map(location => {
+      const row = byLocation.get(String(location._id));
+      return {
+        locationId: location._id,
+        code: location.code,
+        name: location.name,
+        isDefault: location.isDefault,
+        quantity: location.isDefault ? product.stock - elsewhere : (row?.quantity || 0),
+        minStock: location.isDefault ? product.minStock : row?.minStock ?? null,
+        maxStock: row?.maxStock ?? null
+      };
+    })
+  };
+};
+
+// Everything at a location, with each product's rule there
+const stockAtLocation = async (locationId) => {
+  const location = await loadLocation(locationId);
+
+  if (!location.isDefault) {
+    const rows = await LocationStock.find({ locationId: location._id })
+      .populate('productId', 'productId name category price')
+      .lean();
+    return {
+      location,
+      items: rows.filter(row => row.productId).map(row => ({
+        productId: row.productId._id,
+        code: row.productId.productId,
+        name: row.productId.name,
+        category: row.productId.category,
+        quantity: row.quantity,
+        minStock: row.minStock ?? null,
+        maxStock: row.maxStock ?? null,
+        value: Math.round(row.quantity * row.productId.price * 100) / 100
+      }))
+    };
+  }
+
+  const products = await Product.find({}).select('productId name category price stock minStock').lean();
+  const elsewhere = await heldElsewhere(products.map(product => product._id));
+  return {
+    location,
+    items: products.map(product => {
+      const quantity = product.stock - (elsewhere.get(String(product._id)) || 0);
+      return {
+        productId: product._id,
+        code: product.productId,
+        name: product.name,
+        category: product.category,
+        quantity,
+        minStock: product.minStock,
+        maxStock: null,
+        value: Math.round(quantity * product.price * 100) / 100
+      };
+    })
+  };
+};
+
+// Low-stock rule for a product at a location other than the default (whose
+// rule is the product's own minStock)
+const setStockRule = async (locationId, productId, { minStock, maxStock } = {}) => {
+  const location = await loadLocation(locationId);
+  if (location.isDefault) {
+    throw new ApiError(`${location.name} is the default location; its minimum is the product's minStock`);
+  }
+  if (!mongoose.isValidObjectId(productId) || !(await Product.exists({ _id: productId }))) {
+    throw new ApiError('Product not found', 404);
+  }
+
+  // null or '' clears a limit
+  const set = {};
+  const unset = {};
+  for (const [field, value] of Object.entries({ minStock, maxStock })) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      unset[field] = '';
+    } else if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+      throw new ApiError(`${field} must be a non-negative number`);
+    } else {
+      set[field] = Number(value);
+    }
+  }
+  if (set.minStock !== undefined && set.maxStock !== undefined && set.maxStock < set.minStock) {
+    throw new ApiError('maxStock cannot be below minStock');
+  }
+
+  return LocationStock.findOneAndUpdate(
+    { productId, locationId: location._id },
+    { $set: set, $unset: unset },
+    { new: true, upsert: true }
+  );
+};
+
+// Products at or below their minimum, per location. Other locations only
+// have a rule once one is set for them.
+const lowStockByLocation = async ({ locationId } = {}) => {
+  await defaultLocation();
+  const locationQuery = { status: 'active' };
+  if (locationId) {
+    if (!mongoose.isValidObjectId(locationId)) {
+      throw new ApiError('Invalid location ID');
+    }
+    locationQuery._id = locationId;
+  }
+
+  const [locations, products, rows] = await Promise.all([
+    Location.find(locationQuery).sort({ isDefault: -1, code: 1 }).lean(),
+    Product.find({}).select('productId name stock minStock').lean(),
+    LocationStock.find({}).lean()
+  ]);
+  const productById = new Map(products.map(product => [String(product._id), product]));
+  const elsewhere = new Map();
+  rows.forEach(row => {
+    const key = String(row.productId);
+    elsewhere.set(key, (elsewhere.get(key) || 0) + row.quantity);
+  });
+
+  const item = (product, quantity, minStock) => ({
+    productId: product._id,
+    code: product.productId,
+    name: product.name,
+    quantity,
+    minStock,
+    status: quantity <= 0 ? 'out' : 'low'
+  });
+
+  return locations.map(location => {
+    const items = location.isDefault
+      ? products
+        .map(product => item(product, product.stock - (elsewhere.get(String(product._id)) || 0), product.minStock))
+        .filter(entry => entry.quantity <= entry.minStock)
+      : rows
+        .filter(row => String(row.locationId) === String(location._id) && row.minStock !== undefined && row.minStock !== null)
+        .filter(row => row.quantity <= row.minStock && productById.has(String(row.productId)))
+        .map(row => item(productById.get(String(row.productId)), row.quantity, row.minStock));
+
+    return {
+      locationId: location._id,
+      code: location.code,
+      name: location.name,
+      isDefault: location.isDefault,
+      count: items.length,
+      items: items.sort((a, b) => a.quantity - b.quantity)
+    };
+  });
+};
+
+// ============== TRANSFERS ==============
+
+const loadTransfer = async (transferId, session = null) => {
+  if (!mongoose.isValidObjectId(transferId)) {
+    throw new ApiError('Invalid transfer ID');
+  }
+  const transfer = await StockTransfer.findById(transferId).session(session);
+  if (!transfer) {
+    throw new ApiError('Stock transfer not found', 404);
+  }
+  return transfer;
+};
+
+// transfer: { fromLocationId, toLocationId, items: [{ productId, quantity }], notes }
+const requestTransfer = async (transfer = {}, { performedBy } = {}) => {
+  const { fromLocationId, toLocationId, items, notes } = transfer;
+  if (!fromLocationId || !toLocationId) {
+    throw new ApiError('fromLocationId and toLocationId are required');
+  }
+  if (String(fromLocationId) === String(toLocationId)) {
+    throw new ApiError('Source and destination must be different locations');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError('At least one item is required');
+  }
+
+  const [from, to] = await Promise.all([loadLocation(fromLocationId), loadLocation(toLocationId)]);
+  [from, to].forEach(location => {
+    if (location.status !== 'active') {
+      throw new ApiError(`Location ${location.code} is inactive`);
+    }
+  });
+
+  // One line per product
+  const quantities = new Map();
+  items.forEach((item, index) => {
+    const quantity = Number(item.quantity);
+    if (!mongoose.isValidObjectId(item.productId)) {
+      throw new ApiError(`Item ${index + 1}: a valid productId is required`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new ApiError(`Item ${index + 1}: quantity must be a whole number above zero`);
+    }
+    const key = String(item.productId);
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  });
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } }).select('name');
+  if (products.length !== quantities.size) {
+    throw new ApiError('One or more products were not found', 404);
+  }
+
+  return runInTransaction(async (session) => {
+    const { number } = await nextNumber('stockTransfer', { session });
+    const created = new StockTransfer({
+      transferNumber: number,
+      fromLocationId: from._id,
+      fromLocationCode: from.code,
+      toLocationId: to._id,
+      toLocationCode: to.code,
+      items: products.map(product => ({
+        productId: product._id,
+        productName: product.name,
+        quantity: quantities.get(String(product._id))
+      })),
+      notes,
+      requestedBy: performedBy
+    });
+    await created.save({ session });
+    return created;
+  });
+};
+
+// Goods leave the source location
+const dispatchTransfer = async (transferId, { performedBy } = {}) => {
+  return runInTransaction(async (session) => {
+    const transfer = await loadTransfer(transferId, session);
+    if (transfer.status !== 'requested') {
+      throw new ApiError(`Stock transfer ${transfer.transferNumber} is already ${transfer.status}`);
+    }
+    const from = await loadLocation(transfer.fromLocationId, session);
+
+    await takeFromLocation(transfer.items, from, { session });
+    for (const item of transfer.items) {
+      await moveStock({
+        productId: item.productId,
+        location: from,
+        quantity: item.quantity,
+        type: 'remove',
+        reason: 'Transfer out',
+        transfer,
+        notes: `To ${transfer.toLocationCode}`,
+        performedBy
+      }, session);
+    }
+
+    transfer.status = 'dispatched';
+    transfer.dispatchedBy = performedBy;
+    transfer.dispatchedAt = new Date();
+    await transfer.save({ session });
+    return transfer;
+  });
+};
+
+// Goods arrive at the destination. receipt: { items: [{ productId,
+// receivedQuantity }], note }; without items everything dispatched arrived.
+// Units that did not arrive stay written off.
+const receiveTransfer = async (transferId, receipt = {}, { performedBy } = {}) => {
+  return runInTransaction(async (session) => {
+    const transfer = await loadTransfer(transferId, session);
+    if (transfer.status !== 'dispatched') {
+      throw new ApiError(`Stock transfer ${transfer.transferNumber} is ${transfer.status}, not dispatched`);
+    }
+    const to = await loadLocation(transfer.toLocationId, session);
+
+    const reported = new Map((Array.isArray(receipt.items) ? receipt.items : [])
+      .map(item => [String(item.productId), Number(item.receivedQuantity ?? item.quantity)]));
+    const shortages = [];
+
+    for (const item of transfer.items) {
+      const key = String(item.productId);
+      const received = reported.has(key) ? reported.get(key) : item.quantity;
+      if (!Number.isInteger(received) || received < 0 || received > item.quantity) {
+        throw new ApiError(`${item.productName}: received quantity must be a whole number from 0 to ${item.quantity}`);
+      }
+
+      if (received > 0) {
+        await moveStock({
+          productId: item.productId,
+          location: to,
+          quantity: received,
+          type: 'add',
+          reason: 'Transfer in',
+          transfer,
+          notes: [`From ${transfer.fromLocationCode}`, receipt.note].filter(Boolean).join(', '),
+          performedBy
+        }, session);
+      }
+      item.receivedQuantity = received;
+      if (received < item.quantity) {
+        shortages.push({ productId: item.productId, productName: item.productName, missing: item.quantity - received });
+      }
+    }
+
+    transfer.status = 'received';
+    transfer.receivedBy = performedBy;
+    transfer.receivedAt = new Date();
+    if (shortages.length) {
+      transfer.notes = [transfer.notes, `Short on receipt: ${shortages.map(s => `${s.productName} x${s.missing}`).join(', ')}`]
+        .filter(Boolean).join('\n');
+    }
+    await transfer.save({ session });
+    return { transfer, shortages };
+  });
+};
+
+// A requested transfer is simply dropped; a dispatched one puts the goods
+// back at the source
+const cancelTransfer = async (transferId, { reason, performedBy } = {}) => {
+  return runInTransaction(async (session) => {
+    const transfer = await loadTransfer(transferId, session);
+    if (!['requested', 'dispatched'].includes(transfer.status)) {
+      throw new ApiError(`Stock transfer ${transfer.transferNumber} is already ${transfer.status}`);
+    }
+
+    if (transfer.status === 'dispatched') {
+      const from = await loadLocation(transfer.fromLocationId, session);
+      for (const item of transfer.items) {
+        await moveStock({
+          productId: item.productId,
+          location: from,
+          quantity: item.quantity,
+          type: 'add',
+          reason: 'Transfer cancelled',
+          transfer,
+          notes: reason,
+          performedBy
+        }, session);
+      }
+    }
+
+    transfer.status = 'cancelled';
+    transfer.cancelledAt = new Date();
+    transfer.cancelReason = reason;
+    await transfer.save({ session });
+    return transfer;
+  });
+};
+
+// ============== LOW-STOCK ALERTS ==============
+
+const alertHash = (location, productId) => generateNotificationHash({
+  type: 'Low Stock',
+  productId: String(productId),
+  orderId: `LOC-${location.code}`
+});
+
+// "Low Stock" / "Out of Stock" notifications per location, once there is
+// more than one location; alerts for restocked products are resolved
+const generateLocationStockAlerts = async (io = null) => {
+  const activeLocations = await Location.countDocuments({ status: 'active' });
+  if (activeLocations < 2) return [];
+
+  const report = await lowStockByLocation();
+  const alerts = [];
+  const live = new Set();
+
+  for (const location of report) {
+    for (const item of location.items) {
+      const notificationHash = alertHash(location, item.productId);
+      live.add(notificationHash);
+      const out = item.status === 'out';
+
+      try {
+        const result = await upsertNotification({
+          notificationHash,
+          type: out ? 'Out of Stock' : 'Low Stock',
+          title: out ? `Out of Stock at ${location.name}` : `Low Stock at ${location.name}`,
+          message: out
+            ? `${item.name} is out of stock at ${location.name}`
+            : `${item.name} is low at ${location.name} (${item.quantity} left, minimum ${item.minStock})`,
+          productId: item.productId,
+          productName: item.name,
+          currentStock: item.quantity,
+          minStock: item.minStock,
+          locationCode: location.code,
+          priority: out || item.quantity <= 2 ? 'high' : 'medium',
+          color: out ? 'red' : 'orange',
+          icon: 'Warehouse',
+          isRead: false,
+          isResolved: false
+        }, io, 'location_stock_service');
+
+        if (result.isNew || result.updated) {
+          alerts.push(result.notification);
+        }
+      } catch (error) {
+        console.error(`❌ Error processing location stock alert for ${item.name} at ${location.code}:`, error.message);
+      }
+    }
+  }
+
+  const open = await Notification.find({ locationCode: { $exists: true }, isResolved: false, type: { $in: ['Low Stock', 'Out of Stock'] } })
+    .select('_id notificationHash locationCode productName');
+  for (const alert of open.filter(alert => !live.has(alert.notificationHash))) {
+    const resolutionNote = `${alert.productName} restocked at ${alert.locationCode}`;
+    await Notification.updateOne(
+      { _id: alert._id },
+      { isResolved: true, isRead: true, resolutionNote, resolvedAt: new Date(), lastUpdated: new Date() }
+    );
+
+    if (io) {
+      io.emit('notification_resolved', {
+        notificationId: alert._id.toString(),
+        notificationHash: alert.notificationHash,
+        resolutionNote,
+        source: 'location_stock_service',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  return alerts;
+};
+
+module.exports = {
+  DEFAULT_LOCATION_CODE,
+  defaultLocation,
+  resolveLocation,
+  takeFromLocation,
+  sellFromLocation,
+  putAtLocation,
+  stockByProduct,
+  stockAtLocation,
+  setStockRule,
+  lowStockByLocation,
+  requestTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+  generateLocationStockAlerts
+};
@@ -0,0 +1,161 @@
+// services/notificationService.js
+// Stores alert notifications without duplicating them. Each alert is keyed by
+// a hash of its identifying fields; generating the same alert again updates
+// the stored one (and broadcasts the change) instead of adding another.
+
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+
+const generateNotificationHash = (notificationData) => {
+  // Create a consistent hash based on key identifying fields
+  const type = notificationData.type || '';
+  const productId = notificationData.productId || '';
+  const orderId = notificationData.orderId || '';
+  const taxId = notificationData.taxId || '';
+  const invoiceNo = notificationData.invoiceNo || notificationData.invoiceNumber || '';
+  const customerName = notificationData.customerName || notificationData.customer || '';
+  const billNumber = notificationData.billNumber || '';
+  const gstin = notificationData.gstin || '';
+  
+  const hashString = `${type}_${productId}_${orderId}_${taxId}_${invoiceNo}_${customerName}_${billNumber}_${gstin}`.toLowerCase();
+  return crypto.createHash('md5').update(hashString).digest('hex');
+};
+
+// ✅ ENHANCED: Intelligently upsert notification with proper event emission
+const upsertNotification = async (notificationData, io = null, source = 'system') => {
+  try {
+    const notificationHash = notificationData.notificationHash || generateNotificationHash(notificationData);
+    
+    // Check if notification already exists (within last 30 days to avoid stale data)
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    
+    const existingNotification = await Notification.findOne({ 
+      notificationHash: notificationHash,
+      timestamp: { $gte: thirtyDaysAgo }
+    });
+    
+    if (existingNotification) {
+      // Check if data has actually changed
+      const hasChanges = 
+        existingNotification.currentStock !== notificationData.currentStock ||
+        existingNotification.amount !== notificationData.amount ||
+        existingNotification.daysSince !== notificationData.daysSince ||
+        existingNotification.priority !== notificationData.priority ||
+        existingNotification.type !== notificationData.type ||
+        existingNotification.message !== notificationData.message ||
+        existingNotification.title !== notificationData.title ||
+        existingNotification.isRead !== notificationData.isRead ||
+        existingNotification.isResolved !== notificationData.isResolved ||
+        existingNotification.color !== notificationData.color ||
+        existingNotification.paymentMode !== notificationData.paymentMode ||
+        existingNotification.customerPhone !== notificationData.customerPhone ||
+        existingNotification.invoiceNumber !== notificationData.invoiceNumber;
+      
+      if (hasChanges) {
+        console.log(`🔄 [${source}] Data changed for notification: ${notificationData.title}`);
+        console.log(`   Hash: ${notificationHash}`);
+        
+        const updatedNotification = await Notification.findOneAndUpdate(
+          { _id: existingNotification._id },
+          {
+            ...notificationData,
+            lastUpdated: new Date(),
+            updatedBy: source,
+            // Preserve original timestamp for new notifications, update for modifications
+            timestamp: notificationData.preserveTimestamp ? existingNotification.timestamp : new Date()
+          },
+          { new: true, runValidators: true }
+        );
+        
+        console.log(`🔄 [${source}] Updated notification: ${updatedNotification.title} (ID: ${updatedNotification._id})`);
+        
+        // ✅ BROADCAST: Emit update event to ALL connected clients
+        if (io) {
+          io.emit('notification_updated', {
+            notification: updatedNotification,
+            action: 'updated',
+            oldId: existingNotification._id,
+            source: source,
+            notificationHash: notificationHash,
+            timestamp: new Date().toISOString()
+          });
+          console.log(`📡 [${source}] Broadcasted 'notification_updated' event to all clients`);
+        }
+        
+        return { 
+          notification: updatedNotification, 
+          isNew: false, 
+          updated: true,
+          action: 'updated'
+        };
+      } else {
+        console.log(`⏭️  [${source}] Skipped unchanged notification: ${existingNotification.title} (ID: ${existingNotification._id})`);
+        return { 
+          notification: existingNotification, 
+          isNew: false, 
+          updated: false,
+          action: 'unchanged'
+        };
+      }
+    } else {
+      // Create new notification
+      const newNotification = new Notification({
+        ...notificationData,
+        notificationHash: notificationHash,
+        timestamp: new Date(),
+        lastUpdated: new Date(),
+        createdBy: source,
+        isResolved: false
+      });
+      
+      await newNotification.save();
+      console.log(`✅ [${source}] Created new notification: ${newNotification.title} (ID: ${newNotification._id}, Hash: ${notificationHash})`);
+      
+      // ✅ BROADCAST: Emit creation event to ALL connected clients
+      if (io) {
+        io.emit('notification_created', {
+          notification: newNotification,
+          action: 'created',
+          source: source,
+          notificationHash: notificationHash,
+          timestamp: new Date().toISOString()
+        });
+        console.log(`📡 [${source}] Broadcasted 'notification_created' event to all clients`);
+      }
+      
+      return { 
+        notification: newNotification, 
+        isNew: true, 
+        updated: false,
+        action: 'created'
+      };
+    }
+  } catch (error) {
+    console.error(`❌ [${source}] Error upserting notification:`, error.message);
+    
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      console.log(`🔄 [${source}] Duplicate key error, recovering existing notification`);
+      const existingNotification = await Notification.findOne({ 
+        notificationHash: error.keyValue.notificationHash 
+      });
+      
+      if (existingNotification) {
+        console.log(`🔄 [${source}] (Recovery) Using existing notification: ${existingNotification.title}`);
+        return { 
+          notification: existingNotification, 
+          isNew: false, 
+          updated: false,
+          action: 'recovered'
+        };
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  generateNotificationHash,
+  upsertNotification
+};
@@ -0,0 +1,316 @@
+// services/numberingService.js
+// Issues document numbers (invoices, bills, orders, credit notes, purchase
+// orders) from per-period Counter documents. The increment is a single atomic
+// findOneAndUpdate, so concurrent checkouts never receive the same number,
+// and counters never move backwards, so deleting a document does not free
+// its number for reuse.
+//
+// GST requires numbers to be consecutive with no gaps. Pass the session of
+// the transaction that saves the document (or use runInTransaction) so an
+// aborted save also rolls back the increment. Tax invoices and credit notes
+// are only issued inside a transaction (runInTransaction `required`).
+
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const NumberSeries = require('../models/NumberSeries');
+const ApiError = require('../utils/ApiError');
+
+const DEFAULT_STORE_CODE = process.env.STORE_CODE || 'MAIN';
+
+// GST invoice numbers may not exceed 16 characters
+const MAX_GST_NUMBER_LENGTH = 16;
+
+// GST also allows '/', but numbers are looked up by URL path segment
+// (/api/sales/bill/:billNumber), where a slash splits the segment
+const NUMBER_PATTERN = /^[A-Za-z0-9-]+$/;
+
+// Series used by the app. A NumberSeries document with the same key
+// overrides these defaults.
+const DEFAULT_SERIES = {
+  invoice: {
+    name: 'Tax invoice',
+    prefix: 'INV',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  bill: {
+    name: 'POS bill',
+    prefix: 'BILL',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  order: {
+    name: 'Order reference',
+    prefix: 'ORD',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  taxInvoice: {
+    name: 'Tax register entry',
+    prefix: 'TI',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  creditNote: {
+    name: 'Credit note',
+    prefix: 'CN',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  purchaseOrder: {
+    name: 'Purchase order',
+    prefix: 'PO',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  stockTransfer: {
+    name: 'Stock transfer',
+    prefix: 'ST',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  stockTake: {
+    name: 'Stock take',
+    prefix: 'STK',
+    format: '{PREFIX}-{FY}-{SEQ}',
+    padding: 5,
+    reset: 'financial_year'
+  },
+  // First 12 digits of internal EAN-13 barcodes; the check digit is added
+  // by services/barcodeService.js
+  barcode: {
+    name: 'Internal barcode',
+    prefix: '20',
+    format: '{PREFIX}{SEQ}',
+    padding: 10,
+    reset: 'never'
+  }
+};
+
+// ============== PERIODS ==============
+
+// Indian financial year runs April to March
+const financialYearStart = (date) => {
+  return date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+};
+
+// '2025-26' style label for the financial year containing `date`
+const financialYearLabel = (date) => {
+  const start = financialYearStart(date);
+  return `${start}-${String(start + 1).slice(-2)}`;
+};
+
+// Counter period for a reset policy; a new period starts a new sequence
+const periodKey = (reset, date) => {
+  switch (reset) {
+    case 'financial_year':
+      return financialYearLabel(date);
+    case 'yearly':
+      return String(date.getFullYear());
+    case 'monthly':
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    default:
+      return 'all';
+  }
+};
+
+// ============== SERIES ==============
+
+const getSeries = async (key) => {
+  const series = await NumberSeries.findOne({ key }).lean();
+  if (series) {
+    if (!series.isActive) {
+      throw new Error(`Number series '${key}' is disabled`);
+    }
+    return series;
+  }
+
+  if (!DEFAULT_SERIES[key]) {
+    throw new Error(`Unknown number series '${key}'`);
+  }
+  return { key, perStore: false, isActive: true, ...DEFAULT_SERIES[key] };
+};
+
+const counterName = (series, storeCode, period) => {
+  return series.perStore
+    ? `${series.key}:${storeCode}:${period}`
+    : `${series.key}:${period}`;
+};
+
+const formatNumber = (series, seq, { storeCode, date }) => {
+  const fyStart = financialYearStart(date);
+  const tokens = {
+    PREFIX: series.prefix,
+    STORE: storeCode,
+    FY: `${String(fyStart).slice(-2)}-${String(fyStart + 1).slice(-2)}`,
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    SEQ: String(seq).padStart(series.padding, '0')
+  };
+
+  return series.format.replace(/\{(\w+)\}/g, (match, token) => {
+    return tokens[token] !== undefined ? tokens[token] : match;
+  });
+};
+
+const resolveContext = (series, options = {}) => {
+  const date = options.date ? new Date(options.date) : new Date();
+  const storeCode = (options.storeCode || DEFAULT_STORE_CODE).toUpperCase();
+  const period = periodKey(series.reset, date);
+  return { date, storeCode, period, name: counterName(series, storeCode, period) };
+};
+
+// ============== ISSUING ==============
+
+// Atomically take the next number in a series.
+// options: { storeCode, date, session }
+const nextNumber = async (key, options = {}) => {
+  const series = await getSeries(key);
+  const context = resolveContext(series, options);
+
+  const update = {
+    $inc: { seq: 1 },
+    $setOnInsert: {
+      series: series.key,
+      store: series.perStore ? context.storeCode : undefined,
+      period: context.period
+    }
+  };
+  const queryOptions = { new: true, upsert: true, session: options.session };
+
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate({ name: context.name }, update, queryOptions);
+  } catch (error) {
+    // Two first-of-period requests raced on the upsert; the loser retries
+    // against the document the winner created. Inside a transaction the
+    // error has already aborted it, so runInTransaction retries the whole
+    // transaction instead.
+    if (error.code !== 11000) throw error;
+    if (options.session) {
+      error.counterRace = true;
+      throw error;
+    }
+    counter = await Counter.findOneAndUpdate({ name: context.name }, update, queryOptions);
+  }
+
+  return {
+    number: formatNumber(series, counter.seq, context),
+    seq: counter.seq,
+    series: series.key,
+    period: context.period,
+    storeCode: series.perStore ? context.storeCode : undefined
+  };
+};
+
+// The number nextNumber would return right now, without consuming it
+const previewNumber = async (key, options = {}) => {
+  const series = await getSeries(key);
+  const context = resolveContext(series, options);
+  const counter = await Counter.findOne({ name: context.name }).lean();
+  const seq = (counter ? counter.seq : 0) + 1;
+
+  return {
+    number: formatNumber(series, seq, context),
+    seq,
+    series: series.key,
+    period: context.period,
+    storeCode: series.perStore ? context.storeCode : undefined
+  };
+};
+
+// Move a series forward, e.g. to continue numbering carried over from a
+// previous system. Counters only ever move forward.
+const setNextSequence = async (key, nextSeq, options = {}) => {
+  const series = await getSeries(key);
+  const context = resolveContext(series, options);
+  const target = nextSeq - 1;
+
+  const current = await Counter.findOne({ name: context.name }).lean();
+  if (current && current.seq > target) {
+    throw new Error(`Series '${key}' has already issued number ${current.seq} in ${context.period}`);
+  }
+
+  await Counter.updateOne(
+    { name: context.name },
+    {
+      $max: { seq: target },
+      $setOnInsert: {
+        series: series.key,
+        store: series.perStore ? context.storeCode : undefined,
+        period: context.period
+      }
+    },
+    { upsert: true }
+  );
+
+  return previewNumber(key, options);
+};
+
+// ============== TRANSACTIONS ==============
+
+let transactionsSupported;
+
+// Transactions need a replica set or mongos; a standalone server rejects them
+const supportsTransactions = async () => {
+  if (transactionsSupported !== undefined) return transactionsSupported;
+
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  transactionsSupported = !!(hello.setName || hello.msg === 'isdbgrid');
+
+  if (!transactionsSupported) {
+    console.warn('⚠️ MongoDB is not a replica set: document numbers stay unique but may have gaps if a save fails');
+  }
+  return transactionsSupported;
+};
+
+// Run `work(session)` in a transaction so numbers taken with that session are
+// only consumed if the documents using them are saved. Falls back to running
+// without a session on a standalone server unless `required` is set.
+const runInTransaction = async (work, { required = false } = {}) => {
+  if (!(await supportsTransactions())) {
+    if (required) {
+      throw new ApiError('This operation needs MongoDB transactions (a replica set)', 503);
+    }
+    return work(null);
+  }
+
+  // A counter upsert race aborts the transaction; the second attempt finds
+  // the counter the winner created
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (!error.counterRace || attempt >= 3) throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_SERIES,
+  MAX_GST_NUMBER_LENGTH,
+  NUMBER_PATTERN,
+  financialYearLabel,
+  getSeries,
+  formatNumber,
+  nextNumber,
+  previewNumber,
+  setNextSequence,
+  supportsTransactions,
+  runInTransaction
+};
@@ -0,0 +1,497 @@
+// services/paymentService.js
+// Settles invoices with one or more tenders (cash, UPI, card, bank transfer,
+// loyalty coins, store credit). Each tender becomes its own Payment; the
+// invoice keeps the running amountPaid / balanceDue / paymentStatus.
+// Payments against credit sales are also posted to the customer's account
+// (services/customerLedger.js). Used by checkout, the payments API, customer
+// receipts and returns.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const { runInTransaction, supportsTransactions } = require('./numberingService');
+const { postEntry, isOnAccount } = require('./customerLedger');
+const ApiError = require('../utils/ApiError');
+
+const TENDER_METHODS = ['cash', 'upi', 'card', 'bank_transfer', 'coins', 'store_credit'];
+
+// Tenders drawn from the customer's own balances
+const CUSTOMER_TENDERS = ['coins', 'store_credit'];
+
+// ₹ value of one coin (matches routes/coinRoutes.js)
+const COIN_VALUE = 0.5;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const generatePaymentId = () => `PAY-${Date.now()}-${crypto.randomBytes(5).toString('hex')}`;
+
+// Payment.invoiceId is Mixed, so it may hold either an ObjectId or a string
+const invoiceIdFilter = (invoiceId) => {
+  const ids = [String(invoiceId)];
+  if (mongoose.isValidObjectId(invoiceId)) ids.push(new mongoose.Types.ObjectId(String(invoiceId)));
+  return { $in: ids };
+};
+
+// ============== BALANCES ==============
+
+// What the customer owes in total, after credit notes set against the balance
+const invoiceTotal = (invoice) => {
+  const total = invoice.finalAmount !== undefined && invoice.finalAmount !== null
+    ? invoice.finalAmount
+    : invoice.totalAmount;
+  return round2((total || 0) - (invoice.creditAdjusted || 0));
+};
+
+const paymentStatusFor = (total, paid) => {
+  if (paid <= 0) return 'unpaid';
+  return paid >= total ? 'paid' : 'partially_paid';
+};
+
+// Invoices recorded before split payments only have payment.status
+const amountPaidOf = (invoice) => {
+  if (invoice.amountPaid !== undefined && invoice.amountPaid !== null) {
+    return round2(invoice.amountPaid);
+  }
+  if (invoice.payment?.status === 'paid') return invoiceTotal(invoice);
+  return round2(invoice.payment?.paidAmount);
+};
+
+const balanceDueOf = (invoice) => round2(Math.max(0, invoiceTotal(invoice) - amountPaidOf(invoice)));
+
+// Write the derived balance fields onto an invoice document
+const setBalance = (invoice, amountPaid) => {
+  const total = invoiceTotal(invoice);
+  const paid = round2(amountPaid);
+
+  invoice.amountPaid = paid;
+  invoice.balanceDue = round2(Math.max(0, total - paid));
+  invoice.paymentStatus = paymentStatusFor(total, paid);
+
+  invoice.set('payment.paidAmount', paid);
+  invoice.set('payment.status', invoice.paymentStatus === 'paid' ? 'paid' : 'pending');
+};
+
+// Single method, or 'split' once several were used; nothing paid is 'credit'
+const methodSummary = (methods) => {
+  const unique = [...new Set(methods)];
+  if (unique.length === 0) return 'credit';
+  return unique.length === 1 ? unique[0] : 'split';
+};
+
+// ============== TENDERS ==============
+
+const normalizeTenders = (tenders) => {
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    throw new ApiError('At least one payment is required');
+  }
+
+  return tenders.map((tender, index) => {
+    if (!TENDER_METHODS.includes(tender.method)) {
+      throw new ApiError(`Payment ${index + 1}: method must be one of: ${TENDER_METHODS.join(', ')}`);
+    }
+
+    const amount = round2(tender.amount);
+    if (!(amount > 0)) {
+      throw new ApiError(`Payment ${index + 1}: amount must be greater than zero`);
+    }
+
+    return {
+      method: tender.method,
+      amount,
+      // Cash handed over; anything above the amount is change
+      tendered: tender.method === 'cash' && tender.tendered !== undefined ? round2(tender.tendered) : amount,
+      transactionId: tender.transactionId,
+      referenceNumber: tender.referenceNumber
+    };
+  });
+};
+
+// Take coin and store-credit tenders from the customer (not saved here)
+const drawFromCustomer = (customer, tender, { invoiceNumber, performedBy }) => {
+  if (!customer) {
+    throw new ApiError(`A customer is required to pay with ${tender.method.replace('_', ' ')}`);
+  }
+
+  if (tender.method === 'store_credit') {
+    if ((customer.storeCredit || 0) < tender.amount) {
+      throw new ApiError(`Insufficient store credit. Available: ₹${customer.storeCredit || 0}`);
+    }
+    customer.storeCredit = round2(customer.storeCredit - tender.amount);
+    return null;
+  }
+
+  // Coins: round up so the coins always cover the amount
+  const coins = Math.ceil(tender.amount / COIN_VALUE);
+  if (customer.coins < coins) {
+    throw new ApiError(`Insufficient coins. ${coins} needed, available: ${customer.coins}`);
+  }
+
+  const balanceBefore = customer.coins;
+  customer.redeemCoins(coins);
+  tender.coins = coins;
+
+  return {
+    customerId: customer._id,
+    type: 'Redeem',
+    amount: -tender.amount,
+    coins: -coins,
+    discountValue: tender.amount,
+    balanceBefore,
+    balanceAfter: customer.coins,
+    note: `Paid ₹${tender.amount} of ${invoiceNumber} with ${coins} coins`,
+    billNumber: invoiceNumber,
+    cashierId: performedBy
+  };
+};
+
+// Record tenders against an invoice inside the caller's transaction. Saves
+// the Payments and coin Transactions; the caller saves the invoice and the
+// customer. Returns the created payments.
+const applyTenders = async ({ invoice, customer, tenders, performedBy, session }) => {
+  const payments = [];
+  const coinTransactions = [];
+  const now = new Date();
+
+  for (const tender of tenders) {
+    if (CUSTOMER_TENDERS.includes(tender.method)) {
+      const transaction = drawFromCustomer(customer, tender, {
+        invoiceNumber: invoice.invoiceNumber,
+        performedBy
+      });
+      if (transaction) coinTransactions.push(transaction);
+    }
+
+    const paymentId = generatePaymentId();
+    payments.push(new Payment({
+      _id: paymentId,
+      paymentId,
+      type: 'payment',
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      customerId: customer ? customer._id : (invoice.customerId || 'walk-in'),
+      customerName: customer ? customer.name : (invoice.customerName || 'Walk-in Customer'),
+      amount: tender.amount,
+      method: tender.method,
+      status: 'completed',
+      transactionId: tender.transactionId,
+      referenceNumber: tender.referenceNumber,
+      processedAt: now,
+      metadata: tender.coins ? { coins: tender.coins } : undefined
+    }));
+  }
+
+  for (const data of coinTransactions) {
+    await new Transaction(data).save({ session });
+  }
+  for (const payment of payments) {
+    await payment.save({ session });
+  }
+
+  const previous = await Payment.find({
+    invoiceId: invoiceIdFilter(invoice._id),
+    type: { $ne: 'refund' },
+    status: 'completed',
+    _id: { $nin: payments.map(p => p._id) }
+  }).session(session);
+
+  const methods = [...previous, ...payments].map(p => p.method);
+  const paidBefore = previous.length ? previous.reduce((sum, p) => sum + p.amount, 0) : amountPaidOf(invoice);
+  setBalance(invoice, paidBefore + payments.reduce((sum, p) => sum + p.amount, 0));
+  invoice.set('payment.method', methodSummary(methods.length ? methods : [invoice.payment?.method].filter(Boolean)));
+  invoice.set('payment.paymentDate', now);
+
+  const cash = tenders.filter(t => t.method === 'cash');
+  const change = round2(cash.reduce((sum, t) => sum + (t.tendered - t.amount), 0));
+  if (change > 0) invoice.set('payment.change', change);
+
+  return payments;
+};
+
+// ============== API ==============
+
+// Pay some or all of an invoice's outstanding balance
+const recordInvoicePayments = async (invoiceId, tenderInput, { performedBy } = {}) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+  const tenders = normalizeTenders(tenderInput);
+
+  if (!(await supportsTransactions())) {
+    throw new ApiError('Recording payments needs MongoDB transactions (a replica set)', 503);
+  }
+
+  return runInTransaction(async (session) => {
+    const invoice = await Invoice.findById(invoiceId).session(session);
+    if (!invoice) {
+      throw new ApiError('Invoice not found', 404);
+    }
+    if (invoice.type !== 'sale' || ['cancelled', 'refunded'].includes(invoice.status)) {
+      throw new ApiError('Payments can only be recorded against open sales');
+    }
+
+    const due = balanceDueOf(invoice);
+    const paying = round2(tenders.reduce((sum, t) => sum + t.amount, 0));
+    if (due <= 0) {
+      throw new ApiError('Invoice is already fully paid');
+    }
+    if (paying > due) {
+      throw new ApiError(`Payment of ₹${paying} exceeds the balance due of ₹${due}`);
+    }
+
+    const needsCustomer = tenders.some(t => CUSTOMER_TENDERS.includes(t.method));
+    let customer = null;
+    if (invoice.customerId && mongoose.isValidObjectId(invoice.customerId)) {
+      customer = await Customer.findById(invoice.customerId).session(session);
+    }
+    if (needsCustomer && !customer) {
+      throw new ApiError('Coins and store credit need an invoice with a registered customer');
+    }
+
+    const payments = await applyTenders({ invoice, customer, tenders, performedBy, session });
+
+    await invoice.save({ session });
+    if (customer && needsCustomer) {
+      await customer.save({ session });
+    }
+
+    if (customer && await isOnAccount(invoice._id, session)) {
+      await postEntry({
+        customerId: customer._id,
+        entryType: 'receipt',
+        credit: paying,
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        paymentIds: payments.map(p => p.paymentId),
+        method: methodSummary(tenders.map(t => t.method)),
+        note: `Payment received for ${invoice.invoiceNumber}`,
+        createdBy: performedBy
+      }, { session });
+    }
+
+    return { invoice, payments };
+  });
+};
+
+// A receipt against a customer's account, applied to the oldest unpaid
+// credit sales first. Returns the payments and how they were allocated.
+const receiveOnAccount = async (customerId, tenderInput, { performedBy } = {}) => {
+  if (!mongoose.isValidObjectId(customerId)) {
+    throw new ApiError('Invalid customer ID');
+  }
+  const tenders = normalizeTenders(tenderInput);
+
+  if (!(await supportsTransactions())) {
+    throw new ApiError('Recording payments needs MongoDB transactions (a replica set)', 503);
+  }
+
+  return runInTransaction(async (session) => {
+    const customer = await Customer.findById(customerId).session(session);
+    if (!customer) {
+      throw new ApiError('Customer not found', 404);
+    }
+
+    const invoices = await Invoice.find({
+      customerId: String(customer._id),
+      type: 'sale',
+      status: { $nin: ['cancelled', 'refunded'] },
+      paymentStatus: { $in: ['unpaid', 'partially_paid'] },
+      dueDate: { $exists: true }
+    }).sort({ date: 1 }).session(session);
+
+    const outstanding = round2(invoices.reduce((sum, invoice) => sum + balanceDueOf(invoice), 0));
+    const receiving = round2(tenders.reduce((sum, t) => sum + t.amount, 0));
+    if (outstanding <= 0) {
+      throw new ApiError('Customer has no unpaid credit sales');
+    }
+    if (receiving > outstanding) {
+      throw new ApiError(`Receipt of ₹${receiving} exceeds the outstanding balance of ₹${outstanding}`);
+    }
+
+    // Split the tenders across invoices, oldest first
+    const queue = tenders.map(t => ({ ...t }));
+    const payments = [];
+    const allocations = [];
+
+    for (const invoice of invoices) {
+      let due = balanceDueOf(invoice);
+      const portion = [];
+
+      while (due > 0 && queue.length) {
+        const tender = queue[0];
+        const amount = round2(Math.min(tender.amount, due));
+        portion.push({ ...tender, amount, tendered: amount });
+        tender.amount = round2(tender.amount - amount);
+        due = round2(due - amount);
+        if (tender.amount <= 0) queue.shift();
+      }
+      if (!portion.length) break;
+
+      payments.push(...await applyTenders({ invoice, customer, tenders: portion, performedBy, session }));
+      await invoice.save({ session });
+
+      allocations.push({
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        amount: round2(portion.reduce((sum, t) => sum + t.amount, 0)),
+        balanceDue: invoice.balanceDue,
+        paymentStatus: invoice.paymentStatus
+      });
+    }
+
+    if (tenders.some(t => CUSTOMER_TENDERS.includes(t.method))) {
+      await customer.save({ session });
+    }
+
+    const { entry, customer: updated } = await postEntry({
+      customerId: customer._id,
+      entryType: 'receipt',
+      credit: receiving,
+      paymentIds: payments.map(p => p.paymentId),
+      method: methodSummary(tenders.map(t => t.method)),
+      note: `Received on account against ${allocations.map(a => a.invoiceNumber).join(', ')}`,
+      createdBy: performedBy
+    }, { session });
+
+    return { customer: updated, entry, payments, allocations };
+  });
+};
+
+// Full settlement history for an invoice: payments in, refunds out
+const getSettlement = async (invoiceId) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    throw new ApiError('Invoice not found', 404);
+  }
+
+  const creditNotes = await Invoice.find({ originalInvoiceId: invoice._id, type: 'return' })
+    .select('invoiceNumber date finalAmount');
+
+  const [payments, refunds] = await Promise.all([
+    Payment.find({ invoiceId: invoiceIdFilter(invoice._id), type: { $ne: 'refund' } }).sort({ processedAt: 1 }),
+    creditNotes.length
+      ? Payment.find({
+        invoiceId: { $in: creditNotes.flatMap(cn => [cn._id, String(cn._id)]) },
+        type: 'refund'
+      }).sort({ processedAt: 1 })
+      : []
+  ]);
+
+  const total = invoiceTotal(invoice);
+  const amountPaid = amountPaidOf(invoice);
+  const refunded = round2(refunds.filter(r => r.status === 'completed').reduce((sum, r) => sum + r.amount, 0));
+
+  return {
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    customerName: invoice.customerName,
+    total,
+    amountPaid,
+    balanceDue: balanceDueOf(invoice),
+    creditAdjusted: round2(invoice.creditAdjusted),
+    paymentStatus: invoice.paymentStatus || paymentStatusFor(total, amountPaid),
+    refunded,
+    byMethod: payments
+      .filter(p => p.status === 'completed')
+      .reduce((totals, p) => ({ ...totals, [p.method]: round2((totals[p.method] || 0) + p.amount) }), {}),
+    payments,
+    refunds,
+    creditNotes
+  };
+};
+
+// Reverse a single payment (e.g. a bounced card charge). Coins and store
+// credit go back to the customer and the invoice balance reopens.
+const refundPayment = async (paymentId, { reason, performedBy } = {}) => {
+  if (!(await supportsTransactions())) {
+    throw new ApiError('Refunds need MongoDB transactions (a replica set)', 503);
+  }
+
+  return runInTransaction(async (session) => {
+    const payment = await Payment.findById(paymentId).session(session);
+    if (!payment) {
+      throw new ApiError('Payment not found', 404);
+    }
+    if (payment.type === 'refund') {
+      throw new ApiError('Refund records cannot be refunded');
+    }
+    if (payment.status === 'refunded') {
+      throw new ApiError('Payment already refunded');
+    }
+
+    payment.status = 'refunded';
+    payment.refundedAt = new Date();
+    payment.refundReason = reason || 'Customer request';
+    await payment.save({ session });
+
+    const invoice = await Invoice.findOne({ _id: payment.invoiceId }).session(session);
+
+    if (CUSTOMER_TENDERS.includes(payment.method) && mongoose.isValidObjectId(payment.customerId)) {
+      const customer = await Customer.findById(payment.customerId).session(session);
+      if (customer) {
+        if (payment.method === 'store_credit') {
+          customer.storeCredit = round2((customer.storeCredit || 0) + payment.amount);
+        } else {
+          const coins = payment.metadata?.coins || Math.ceil(payment.amount / COIN_VALUE);
+          const balanceBefore = customer.coins;
+          customer.coins += coins;
+          customer.coinsRedeemed = Math.max(0, customer.coinsRedeemed - coins);
+          await new Transaction({
+            customerId: customer._id,
+            type: 'Refund',
+            amount: payment.amount,
+            coins,
+            balanceBefore,
+            balanceAfter: customer.coins,
+            note: `Coins returned for refunded payment ${payment.paymentId}`,
+            billNumber: payment.invoiceNumber,
+            cashierId: performedBy
+          }).save({ session });
+        }
+        await customer.save({ session });
+      }
+    }
+
+    if (invoice) {
+      setBalance(invoice, amountPaidOf(invoice) - payment.amount);
+      await invoice.save({ session });
+
+      if (mongoose.isValidObjectId(payment.customerId) && await isOnAccount(invoice._id, session)) {
+        await postEntry({
+          customerId: payment.customerId,
+          entryType: 'reversal',
+          debit: payment.amount,
+          invoiceId: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          paymentIds: [payment.paymentId],
+          method: payment.method,
+          note: `Payment ${payment.paymentId} refunded: ${payment.refundReason}`,
+          createdBy: performedBy
+        }, { session });
+      }
+    }
+
+    return { payment, invoice };
+  });
+};
+
+module.exports = {
+  TENDER_METHODS,
+  COIN_VALUE,
+  normalizeTenders,
+  invoiceTotal,
+  amountPaidOf,
+  balanceDueOf,
+  setBalance,
+  methodSummary,
+  applyTenders,
+  recordInvoicePayments,
+  receiveOnAccount,
+  getSettlement,
+  refundPayment
+};
@@ -0,0 +1,660 @@
+// services/purchaseService.js
+// Purchasing: purchase orders to suppliers, goods received against them
+// (each receipt adds stock with a Stock log entry), supplier invoices with
+// their input GST, and payments against those invoices. Supplier.
+// outstandingBalance carries what is owed; payables() ages it.
+
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Product = require('../models/Product');
+const { nextNumber, runInTransaction } = require('./numberingService');
+const { storeStateCode, resolveRates, computeLine, computeTotals } = require('./taxService');
+const { AGEING_BUCKETS } = require('./customerLedger');
+const { receiveBatch } = require('./batchService');
+const { recordMovement } = require('./stockLedger');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank_transfer', 'cheque'];
+
+// Largest gap allowed between the supplier's printed total and ours
+const TOTAL_TOLERANCE = 1;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const daysBetween = (from, to) => Math.max(0, Math.floor((to - new Date(from)) / DAY_MS));
+
+const parseDate = (value, field) => {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date)) {
+    throw new ApiError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const loadSupplier = async (supplierId, session = null) => {
+  if (!mongoose.isValidObjectId(supplierId)) {
+    throw new ApiError('Invalid supplier ID');
+  }
+  const supplier = await Supplier.findById(supplierId).session(session);
+  if (!supplier) {
+    throw new ApiError('Supplier not found', 404);
+  }
+  return supplier;
+};
+
+// Purchases from another state carry IGST
+const isInterState = (supplier) => {
+  const store = storeStateCode();
+  return !!(supplier.stateCode && store && supplier.stateCode !== store);
+};
+
+// Products for the given lines, keyed by id; unknown products are an error
+const loadProducts = async (items, session = null) => {
+  const ids = items.map((item, index) => {
+    if (!mongoose.isValidObjectId(item.productId)) {
+      throw new ApiError(`Item ${index + 1}: invalid product ID`);
+    }
+    return String(item.productId);
+  });
+  const products = await Product.find({ _id: { $in: [...new Set(ids)] } }).session(session);
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  ids.forEach((id, index) => {
+    if (!byId.has(id)) {
+      throw new ApiError(`Item ${index + 1}: product not found`, 404);
+    }
+  });
+  return byId;
+};
+
+// ============== PURCHASE ORDERS ==============
+
+// Order lines and expected totals for items: [{ productId, quantity, unitCost, gstRate }]
+const buildOrderLines = async (supplier, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError('At least one item is required');
+  }
+
+  const products = await loadProducts(items);
+  const seen = new Set();
+  const lines = items.map((item, index) => {
+    const quantity = Number(item.quantity);
+    const unitCost = round2(item.unitCost);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new ApiError(`Item ${index + 1}: quantity must be a whole number above zero`);
+    }
+    if (!(Number(item.unitCost) >= 0)) {
+      throw new ApiError(`Item ${index + 1}: unitCost is required`);
+    }
+    if (seen.has(String(item.productId))) {
+      throw new ApiError(`Item ${index + 1}: product appears twice; combine the quantities`);
+    }
+    seen.add(String(item.productId));
+
+    const product = products.get(String(item.productId));
+    return {
+      productId: product._id,
+      productName: product.name,
+      hsnCode: product.hsnCode,
+      quantity,
+      unitCost,
+      gstRate: item.gstRate
+    };
+  });
+
+  // Rates the goods are expected to be billed at, unless agreed otherwise
+  const rates = await resolveRates(lines);
+  lines.forEach((line, index) => {
+    if (line.gstRate === undefined || line.gstRate === null || line.gstRate === '') {
+      line.gstRate = rates[index].gstRate;
+    }
+    line.gstRate = Number(line.gstRate);
+    if (!(line.gstRate >= 0 && line.gstRate <= 100)) {
+      throw new ApiError(`Item ${index + 1}: gstRate must be between 0 and 100`);
+    }
+  });
+
+  const interState = isInterState(supplier);
+  const totals = computeTotals(
+    lines.map(line => computeLine({ quantity: line.quantity, unitPrice: line.unitCost, gstRate: line.gstRate }, { interState })),
+    { roundOff: false }
+  );
+
+  return {
+    items: lines,
+    subtotal: totals.subtotal,
+    totalGST: totals.totalGST,
+    totalAmount: totals.totalAmount
+  };
+};
+
+// order: { supplierId, items: [{ productId, quantity, unitCost, gstRate }], expectedDate, notes }
+// options.status 'draft' keeps the order unsent until approved
+const createPurchaseOrder = async (order, { performedBy, status = 'ordered', source = 'manual' } = {}) => {
+  const { supplierId, items, expectedDate, notes } = order || {};
+
+  const supplier = await loadSupplier(supplierId);
+  if (supplier.status !== 'active') {
+    throw new ApiError(`Supplier ${supplier.name} is inactive`);
+  }
+  const lines = await buildOrderLines(supplier, items);
+
+  return runInTransaction(async (session) => {
+    const { number } = await nextNumber('purchaseOrder', { session });
+    const purchaseOrder = new PurchaseOrder({
+      poNumber: number,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      status,
+      source,
+      expectedDate: expectedDate ? parseDate(expectedDate, 'expectedDate') : undefined,
+      ...lines,
+      notes,
+      createdBy: performedBy
+    });
+    await purchaseOrder.save({ session });
+    return purchaseOrder;
+  });
+};
+
+// Replace the lines of a draft, e.g. when reorder suggestions are rebuilt
+const updateDraftOrder = async (purchaseOrder, items, { notes } = {}) => {
+  if (purchaseOrder.status !== 'draft') {
+    throw new ApiError(`Purchase order ${purchaseOrder.poNumber} has already been sent`);
+  }
+  const supplier = await loadSupplier(purchaseOrder.supplierId);
+  Object.assign(purchaseOrder, await buildOrderLines(supplier, items));
+  if (notes !== undefined) purchaseOrder.notes = notes;
+  await purchaseOrder.save();
+  return purchaseOrder;
+};
+
+// Send a draft to the supplier; body may adjust the lines first
+const approvePurchaseOrder = async (orderId, { items, expectedDate } = {}, { performedBy } = {}) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw new ApiError('Invalid purchase order ID');
+  }
+  const order = await PurchaseOrder.findById(orderId);
+  if (!order) {
+    throw new ApiError('Purchase order not found', 404);
+  }
+  if (order.status !== 'draft') {
+    throw new ApiError(`Purchase order ${order.poNumber} is ${order.status}, not a draft`);
+  }
+
+  const supplier = await loadSupplier(order.supplierId);
+  if (supplier.status !== 'active') {
+    throw new ApiError(`Supplier ${supplier.name} is inactive`);
+  }
+  if (Array.isArray(items) && items.length) {
+    Object.assign(order, await buildOrderLines(supplier, items));
+  }
+  if (expectedDate) order.expectedDate = parseDate(expectedDate, 'expectedDate');
+
+  order.status = 'ordered';
+  order.orderDate = new Date();
+  order.approvedBy = performedBy;
+  order.approvedAt = new Date();
+  await order.save();
+  return order;
+};
+
+// Goods delivered against an order. receipt: { items: [{ productId, quantity,
+// batchNumber, mfgDate, expiryDate }], supplierInvoiceNumber, note }; without
+// items everything still due is received. Batch-tracked products need a batch
+// per item, which is costed at the order's unit cost.
+const receivePurchaseOrder = async (orderId, receipt = {}, { performedBy } = {}) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw new ApiError('Invalid purchase order ID');
+  }
+
+  return runInTransaction(async (session) => {
+    const order = await PurchaseOrder.findById(orderId).session(session);
+    if (!order) {
+      throw new ApiError('Purchase order not found', 404);
+    }
+    if (!['ordered', 'partially_received'].includes(order.status)) {
+      throw new ApiError(`Purchase order ${order.poNumber} is ${order.status}`);
+    }
+
+    const requested = Array.isArray(receipt.items) && receipt.items.length
+      ? receipt.items
+      : order.items
+        .filter(line => line.quantity > line.receivedQuantity)
+        .map(line => ({ productId: line.productId, quantity: line.quantity - line.receivedQuantity }));
+
+    const received = [];
+    for (const [index, item] of requested.entries()) {
+      const line = order.items.find(l => String(l.productId) === String(item.productId));
+      if (!line) {
+        throw new ApiError(`Item ${index + 1}: product is not on purchase order ${order.poNumber}`);
+      }
+      const quantity = Number(item.quantity);
+      const pending = line.quantity - line.receivedQuantity;
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ApiError(`Item ${index + 1}: quantity must be a whole number above zero`);
+      }
+      if (quantity > pending) {
+        throw new ApiError(`${line.productName}: only ${pending} still due on ${order.poNumber}`);
+      }
+
+      const product = await Product.findById(line.productId).session(session);
+      if (!product) {
+        throw new ApiError(`${line.productName}: product no longer exists`, 404);
+      }
+
+      // Perishables arrive as a batch with its expiry; others may name one
+      let batch = null;
+      if (product.trackBatches && (!item.batchNumber || !item.expiryDate)) {
+        throw new ApiError(`${line.productName}: batchNumber and expiryDate are required for batch-tracked products`);
+      }
+      if (item.batchNumber) {
+        batch = await receiveBatch({
+          productId: product._id,
+          productName: product.name,
+          batchNumber: item.batchNumber,
+          mfgDate: item.mfgDate,
+          expiryDate: item.expiryDate,
+          costPrice: line.unitCost,
+          quantity,
+          supplierId: order.supplierId,
+          purchaseOrderId: order._id,
+          poNumber: order.poNumber
+        }, { session, performedBy });
+      }
+
+      await recordMovement({
+        productId: product._id,
+        type: 'add',
+        quantity,
+        reason: 'Purchase receipt',
+        notes: [
+          `PO ${order.poNumber} from ${order.supplierName}`,
+          receipt.supplierInvoiceNumber && `supplier invoice ${receipt.supplierInvoiceNumber}`,
+          batch && `batch ${batch.batchNumber}`
+        ].filter(Boolean).join(', '),
+        source: { type: 'purchase', id: order._id, reference: order.poNumber },
+        performedBy,
+        restocked: true
+      }, { session });
+
+      line.receivedQuantity += quantity;
+      received.push({
+        productId: line.productId,
+        productName: line.productName,
+        quantity,
+        batchNumber: batch?.batchNumber,
+        expiryDate: batch?.expiryDate
+      });
+    }
+
+    if (received.length === 0) {
+      throw new ApiError(`Nothing is due on purchase order ${order.poNumber}`);
+    }
+
+    order.receipts.push({
+      items: received,
+      supplierInvoiceNumber: receipt.supplierInvoiceNumber,
+      note: receipt.note,
+      receivedBy: performedBy
+    });
+    order.status = order.items.every(line => line.receivedQuantity >= line.quantity)
+      ? 'received'
+      : 'partially_received';
+    await order.save({ session });
+
+    return { order, receipt: order.receipts[order.receipts.length - 1] };
+  });
+};
+
+// Nothing more will arrive. Quantities already received stay in stock.
+const cancelPurchaseOrder = async (orderId, { reason } = {}) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw new ApiError('Invalid purchase order ID');
+  }
+  const order = await PurchaseOrder.findById(orderId);
+  if (!order) {
+    throw new ApiError('Purchase order not found', 404);
+  }
+  if (!['draft', 'ordered', 'partially_received'].includes(order.status)) {
+    throw new ApiError(`Purchase order ${order.poNumber} is already ${order.status}`);
+  }
+
+  order.status = 'cancelled';
+  order.cancelledAt = new Date();
+  order.cancelReason = reason;
+  await order.save();
+  return order;
+};
+
+// ============== SUPPLIER INVOICES ==============
+
+// invoice: { supplierId | purchaseOrderId, invoiceNumber, invoiceDate,
+// items: [{ productId, productName, hsnCode, quantity, unitCost, discount, gstRate }],
+// totalAmount, itcEligible, notes }. Items default to what was received on
+// the purchase order. A totalAmount, when given, must match ours to the rupee.
+const recordPurchaseInvoice = async (invoice, { performedBy } = {}) => {
+  const { purchaseOrderId, invoiceNumber, itcEligible = true, notes } = invoice || {};
+  if (!invoiceNumber || !String(invoiceNumber).trim()) {
+    throw new ApiError('invoiceNumber is required');
+  }
+  if (!invoice.invoiceDate) {
+    throw new ApiError('invoiceDate is required');
+  }
+  const invoiceDate = parseDate(invoice.invoiceDate, 'invoiceDate');
+
+  let order = null;
+  if (purchaseOrderId) {
+    if (!mongoose.isValidObjectId(purchaseOrderId)) {
+      throw new ApiError('Invalid purchase order ID');
+    }
+    order = await PurchaseOrder.findById(purchaseOrderId).lean();
+    if (!order) {
+      throw new ApiError('Purchase order not found', 404);
+    }
+    if (invoice.supplierId && String(invoice.supplierId) !== String(order.supplierId)) {
+      throw new ApiError(`Purchase order ${order.poNumber} is from a different supplier`);
+    }
+  }
+  const supplier = await loadSupplier(order ? order.supplierId : invoice.supplierId);
+
+  let items = invoice.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    items = (order?.items || [])
+      .filter(line => line.receivedQuantity > 0)
+      .map(line => ({
+        productId: line.productId,
+        productName: line.productName,
+        hsnCode: line.hsnCode,
+        quantity: line.receivedQuantity,
+        unitCost: line.unitCost,
+        gstRate: line.gstRate
+      }));
+  }
+  if (items.length === 0) {
+    throw new ApiError('At least one item is required');
+  }
+
+  const rates = await resolveRates(items, { date: invoiceDate });
+  const interState = isInterState(supplier);
+  const lines = items.map((item, index) => {
+    const quantity = Number(item.quantity);
+    if (!(quantity > 0) || !(Number(item.unitCost) >= 0)) {
+      throw new ApiError(`Item ${index + 1}: quantity and unitCost are required`);
+    }
+    // The supplier's invoice is the authority on the rate charged
+    const gstRate = item.gstRate !== undefined && item.gstRate !== null && item.gstRate !== ''
+      ? Number(item.gstRate)
+      : rates[index].gstRate;
+    if (!(gstRate >= 0 && gstRate <= 100)) {
+      throw new ApiError(`Item ${index + 1}: gstRate must be between 0 and 100`);
+    }
+
+    const line = computeLine({ quantity, unitPrice: item.unitCost, discount: item.discount, gstRate }, { interState });
+    return {
+      productId: mongoose.isValidObjectId(item.productId) ? item.productId : undefined,
+      productName: item.productName,
+      hsnCode: item.hsnCode || rates[index].hsnCode,
+      quantity,
+      unitCost: line.unitPrice,
+      discount: line.discount,
+      taxableValue: line.taxableValue,
+      gstRate,
+      cgst: line.cgst,
+      sgst: line.sgst,
+      igst: line.igst
+    };
+  });
+
+  const totals = computeTotals(lines);
+  if (invoice.totalAmount !== undefined && invoice.totalAmount !== null && invoice.totalAmount !== '') {
+    const printed = round2(invoice.totalAmount);
+    if (Math.abs(printed - totals.finalAmount) > TOTAL_TOLERANCE) {
+      throw new ApiError(`Invoice total ₹${printed} does not match the items (₹${totals.finalAmount}); check quantities, costs and rates`);
+    }
+  }
+
+  const existing = await PurchaseInvoice.exists({ supplierId: supplier._id, invoiceNumber: String(invoiceNumber).trim() });
+  if (existing) {
+    throw new ApiError(`Invoice ${invoiceNumber} from ${supplier.name} is already recorded`, 409);
+  }
+
+  return runInTransaction(async (session) => {
+    const purchaseInvoice = new PurchaseInvoice({
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      supplierGstin: supplier.gstin,
+      purchaseOrderId: order?._id,
+      poNumber: order?.poNumber,
+      invoiceNumber: String(invoiceNumber).trim(),
+      invoiceDate,
+      dueDate: new Date(invoiceDate.getTime() + (supplier.paymentTermsDays ?? 30) * DAY_MS),
+      interState,
+      items: lines,
+      taxableValue: totals.subtotal,
+      cgstTotal: totals.cgstTotal,
+      sgstTotal: totals.sgstTotal,
+      igstTotal: totals.igstTotal,
+      totalGST: totals.totalGST,
+      roundOff: totals.roundOff,
+      totalAmount: totals.finalAmount,
+      balanceDue: totals.finalAmount,
+      // Credit can only be claimed on a registered supplier's invoice
+      itcEligible: !!supplier.gstin && itcEligible !== false && itcEligible !== 'false',
+      notes,
+      createdBy: performedBy
+    });
+    await purchaseInvoice.save({ session });
+
+    const updatedSupplier = await Supplier.findByIdAndUpdate(
+      supplier._id,
+      { $inc: { outstandingBalance: purchaseInvoice.totalAmount }, $set: { updatedAt: Date.now() } },
+      { new: true, session }
+    );
+
+    return { invoice: purchaseInvoice, supplier: updatedSupplier };
+  });
+};
+
+// payment: { amount, method, reference, date }
+const payPurchaseInvoice = async (invoiceId, payment = {}, { performedBy } = {}) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+  const amount = round2(payment.amount);
+  if (!(amount > 0)) {
+    throw new ApiError('Payment amount must be greater than zero');
+  }
+  const method = payment.method || 'bank_transfer';
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new ApiError(`method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  const date = parseDate(payment.date, 'date');
+
+  return runInTransaction(async (session) => {
+    const invoice = await PurchaseInvoice.findById(invoiceId).session(session);
+    if (!invoice) {
+      throw new ApiError('Supplier invoice not found', 404);
+    }
+    if (invoice.status === 'cancelled') {
+      throw new ApiError('Invoice is cancelled');
+    }
+    if (amount > invoice.balanceDue) {
+      throw new ApiError(`Payment of ₹${amount} exceeds the balance due of ₹${invoice.balanceDue}`);
+    }
+
+    invoice.payments.push({ amount, date, method, reference: payment.reference, recordedBy: performedBy });
+    invoice.amountPaid = round2(invoice.amountPaid + amount);
+    invoice.balanceDue = round2(invoice.totalAmount - invoice.amountPaid);
+    invoice.paymentStatus = invoice.balanceDue <= 0 ? 'paid' : 'partially_paid';
+    await invoice.save({ session });
+
+    const supplier = await Supplier.findByIdAndUpdate(
+      invoice.supplierId,
+      { $inc: { outstandingBalance: -amount }, $set: { updatedAt: Date.now() } },
+      { new: true, session }
+    );
+
+    return { invoice, supplier };
+  });
+};
+
+// Entered by mistake; only unpaid invoices can be cancelled
+const cancelPurchaseInvoice = async (invoiceId) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+
+  return runInTransaction(async (session) => {
+    const invoice = await PurchaseInvoice.findById(invoiceId).session(session);
+    if (!invoice) {
+      throw new ApiError('Supplier invoice not found', 404);
+    }
+    if (invoice.status === 'cancelled') {
+      throw new ApiError('Invoice is already cancelled');
+    }
+    if (invoice.amountPaid > 0) {
+      throw new ApiError('Invoice has payments against it and cannot be cancelled');
+    }
+
+    invoice.status = 'cancelled';
+    invoice.balanceDue = 0;
+    await invoice.save({ session });
+
+    await Supplier.updateOne(
+      { _id: invoice.supplierId },
+      { $inc: { outstandingBalance: -invoice.totalAmount }, $set: { updatedAt: Date.now() } },
+      { session }
+    );
+
+    return invoice;
+  });
+};
+
+// ============== REPORTS ==============
+
+// Unpaid supplier invoices by age: 0-30, 31-60, 61-90, 90+ days
+const payables = async ({ supplierId, asOf } = {}) => {
+  const date = asOf ? new Date(asOf) : new Date();
+  if (isNaN(date)) {
+    throw new ApiError('asOf must be a valid date');
+  }
+
+  const filter = {
+    status: 'recorded',
+    paymentStatus: { $in: ['unpaid', 'partially_paid'] },
+    invoiceDate: { $lte: date }
+  };
+  if (supplierId) {
+    if (!mongoose.isValidObjectId(supplierId)) {
+      throw new ApiError('Invalid supplier ID');
+    }
+    filter.supplierId = supplierId;
+  }
+
+  const invoices = await PurchaseInvoice.find(filter)
+    .select('supplierId supplierName invoiceNumber invoiceDate dueDate totalAmount balanceDue')
+    .sort({ invoiceDate: 1 })
+    .lean();
+
+  const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const bySupplier = new Map();
+  const totals = { ...emptyBuckets(), total: 0, overdue: 0 };
+
+  invoices.forEach(invoice => {
+    const age = daysBetween(invoice.invoiceDate, date);
+    const bucket = AGEING_BUCKETS.find(b => age >= b.from && age <= b.to).key;
+    const due = round2(invoice.balanceDue);
+    const overdue = invoice.dueDate && new Date(invoice.dueDate) < date;
+    const key = String(invoice.supplierId);
+
+    if (!bySupplier.has(key)) {
+      bySupplier.set(key, {
+        supplierId: invoice.supplierId,
+        supplierName: invoice.supplierName,
+        ...emptyBuckets(),
+        total: 0,
+        overdue: 0,
+        invoices: []
+      });
+    }
+    const row = bySupplier.get(key);
+
+    row[bucket] = round2(row[bucket] + due);
+    row.total = round2(row.total + due);
+    totals[bucket] = round2(totals[bucket] + due);
+    totals.total = round2(totals.total + due);
+    if (overdue) {
+      row.overdue = round2(row.overdue + due);
+      totals.overdue = round2(totals.overdue + due);
+    }
+
+    row.invoices.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      dueDate: invoice.dueDate,
+      ageDays: age,
+      bucket,
+      amount: invoice.totalAmount,
+      balanceDue: due,
+      overdue: !!overdue
+    });
+  });
+
+  return {
+    asOf: date,
+    buckets: AGEING_BUCKETS.map(bucket => bucket.key),
+    totals,
+    suppliers: [...bySupplier.values()].sort((a, b) => b.total - a.total)
+  };
+};
+
+// Input GST on supplier invoices dated from start up to (not including) end,
+// split into credit that can be claimed and credit that is blocked
+const inputTaxCredit = async ({ start, end }) => {
+  const rows = await PurchaseInvoice.aggregate([
+    { $match: { status: 'recorded', invoiceDate: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: '$itcEligible',
+        invoices: { $sum: 1 },
+        txval: { $sum: '$taxableValue' },
+        iamt: { $sum: '$igstTotal' },
+        camt: { $sum: '$cgstTotal' },
+        samt: { $sum: '$sgstTotal' }
+      }
+    }
+  ]);
+
+  const pick = (eligible) => {
+    const row = rows.find(r => r._id === eligible) || {};
+    return {
+      invoices: row.invoices || 0,
+      txval: round2(row.txval),
+      iamt: round2(row.iamt),
+      camt: round2(row.camt),
+      samt: round2(row.samt),
+      csamt: 0
+    };
+  };
+
+  return { eligible: pick(true), ineligible: pick(false) };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  createPurchaseOrder,
+  updateDraftOrder,
+  approvePurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  recordPurchaseInvoice,
+  payPurchaseInvoice,
+  cancelPurchaseInvoice,
+  payables,
+  inputTaxCredit
+};
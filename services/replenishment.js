@@ -0,0 +1,309 @@
+// services/replenishment.js
+// Reorder suggestions from sales velocity. Average daily sales come from the
+// sales ledger (sale invoices, less units returned on credit notes) over a
+// look-back window; the day-to-day spread of those sales sizes the safety
+// stock. A product is due for reorder once stock plus what is already on
+// order falls to its reorder point:
+//
+//   safety stock  = z * (std. dev. of daily sales) * sqrt(lead time)
+//   reorder point = average daily sales * lead time + safety stock
+//   order up to   = reorder point + average daily sales * review period
+//
+// Suggestions are grouped by supplier and can be saved as draft purchase
+// orders, which are rebuilt on every run until someone approves them.
+
+const Product = require('../models/Product');
+const Supplier = require('../models/Supplier');
+const Invoice = require('../models/Invoice');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { createPurchaseOrder, updateDraftOrder } = require('./purchaseService');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  // Days of sales history to average over
+  lookbackDays: Number(process.env.REORDER_LOOKBACK_DAYS) || 30,
+  // Days of sales each order should cover beyond the lead time
+  reviewDays: Number(process.env.REORDER_REVIEW_DAYS) || 14,
+  // Lead time for products whose supplier does not say
+  leadTimeDays: Number(process.env.REORDER_LEAD_TIME_DAYS) || 7,
+  // 1.65 keeps roughly 95% of lead times free of stock-outs
+  serviceFactor: Number(process.env.REORDER_SERVICE_FACTOR) || 1.65
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const positiveNumber = (value, fallback, field) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ApiError(`${field} must be a non-negative number`);
+  }
+  return number;
+};
+
+// ============== VELOCITY ==============
+
+// Units sold per product per day over [start, end)
+const dailySales = async ({ start, end }) => {
+  const rows = await Invoice.aggregate([
+    {
+      $match: {
+        type: 'sale',
+        status: { $nin: ['cancelled', 'refunded'] },
+        date: { $gte: start, $lt: end }
+      }
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.productId': { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: {
+          productId: '$items.productId',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+        },
+        quantity: {
+          $sum: {
+            $subtract: [
+              { $ifNull: ['$items.quantity', 0] },
+              { $ifNull: ['$items.returnedQuantity', 0] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const byProduct = new Map();
+  rows.forEach(row => {
+    const id = String(row._id.productId);
+    if (!byProduct.has(id)) byProduct.set(id, []);
+    byProduct.get(id).push(Math.max(0, row.quantity));
+  });
+  return byProduct;
+};
+
+// Mean and standard deviation of daily sales, counting days without sales
+const velocity = (days, lookbackDays) => {
+  const total = days.reduce((sum, quantity) => sum + quantity, 0);
+  const mean = total / lookbackDays;
+  const squares = days.reduce((sum, quantity) => sum + (quantity - mean) ** 2, 0)
+    + (lookbackDays - days.length) * mean ** 2;
+  return {
+    unitsSold: total,
+    averageDailySales: mean,
+    deviation: Math.sqrt(squares / lookbackDays)
+  };
+};
+
+// Units ordered and not yet delivered, per product
+const onOrder = async () => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: ['ordered', 'partially_received'] } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.productId',
+        quantity: { $sum: { $subtract: ['$items.quantity', '$items.receivedQuantity'] } }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [String(row._id), Math.max(0, row.quantity)]));
+};
+
+// Supplier and cost of each product's latest purchase order
+const lastPurchases = async () => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    { $sort: { orderDate: -1 } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.productId',
+        supplierId: { $first: '$supplierId' },
+        unitCost: { $first: '$items.unitCost' }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row]));
+};
+
+// ============== SUGGESTIONS ==============
+
+// options: { lookbackDays, reviewDays, serviceFactor, category, supplierId, includeAll, asOf }
+const reorderSuggestions = async (options = {}) => {
+  const lookbackDays = positiveNumber(options.lookbackDays, DEFAULTS.lookbackDays, 'lookbackDays');
+  const reviewDays = positiveNumber(options.reviewDays, DEFAULTS.reviewDays, 'reviewDays');
+  const serviceFactor = positiveNumber(options.serviceFactor, DEFAULTS.serviceFactor, 'serviceFactor');
+  if (lookbackDays < 1) {
+    throw new ApiError('lookbackDays must be at least 1');
+  }
+  const end = options.asOf ? new Date(options.asOf) : new Date();
+  if (isNaN(end)) {
+    throw new ApiError('asOf must be a valid date');
+  }
+  const start = new Date(end.getTime() - lookbackDays * DAY_MS);
+
+  const productFilter = {};
+  if (options.category) productFilter.category = options.category;
+
+  const [products, sales, pending, purchases, suppliers] = await Promise.all([
+    Product.find(productFilter).select('productId name category stock minStock supplierId leadTimeDays').lean(),
+    dailySales({ start, end }),
+    onOrder(),
+    lastPurchases(),
+    Supplier.find({}).select('name leadTimeDays status').lean()
+  ]);
+  const supplierById = new Map(suppliers.map(supplier => [String(supplier._id), supplier]));
+
+  const suggestions = [];
+  products.forEach(product => {
+    const id = String(product._id);
+    const last = purchases.get(id);
+    const supplierId = product.supplierId ? String(product.supplierId) : (last ? String(last.supplierId) : null);
+    if (options.supplierId && supplierId !== String(options.supplierId)) return;
+    const supplier = supplierId ? supplierById.get(supplierId) : null;
+
+    const leadTimeDays = product.leadTimeDays ?? supplier?.leadTimeDays ?? DEFAULTS.leadTimeDays;
+    const { unitsSold, averageDailySales, deviation } = velocity(sales.get(id) || [], lookbackDays);
+
+    const stock = product.stock || 0;
+    const incoming = pending.get(id) || 0;
+    const available = stock + incoming;
+
+    const safetyStock = Math.ceil(serviceFactor * deviation * Math.sqrt(leadTimeDays));
+    // Never below the manual minimum, so low-stock alerts clear on delivery
+    const reorderPoint = Math.max(Math.ceil(averageDailySales * leadTimeDays + safetyStock), product.minStock || 0);
+    const orderUpTo = Math.max(reorderPoint + Math.ceil(averageDailySales * reviewDays), (product.minStock || 0) + 1);
+
+    const due = available <= reorderPoint;
+    const suggestedQuantity = due ? Math.max(0, orderUpTo - available) : 0;
+    if (!due && !options.includeAll) return;
+
+    suggestions.push({
+      productId: product._id,
+      code: product.productId,
+      name: product.name,
+      category: product.category,
+      supplierId,
+      supplierName: supplier?.name || null,
+      stock,
+      onOrder: incoming,
+      minStock: product.minStock,
+      unitsSold,
+      averageDailySales: round2(averageDailySales),
+      daysOfCover: averageDailySales > 0 ? round2(stock / averageDailySales) : null,
+      leadTimeDays,
+      safetyStock,
+      reorderPoint,
+      orderUpTo,
+      suggestedQuantity,
+      unitCost: last?.unitCost ?? null,
+      // Out of stock before the delivery can arrive
+      urgent: due && averageDailySales > 0 && available / averageDailySales < leadTimeDays
+    });
+  });
+
+  // Grouped by supplier, most urgent first
+  const groups = new Map();
+  suggestions
+    .sort((a, b) => (b.urgent - a.urgent) || ((a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)))
+    .forEach(item => {
+      const key = item.supplierId || 'unassigned';
+      if (!groups.has(key)) {
+        groups.set(key, {
+          supplierId: item.supplierId,
+          supplierName: item.supplierName || 'No supplier linked',
+          items: [],
+          estimatedCost: 0
+        });
+      }
+      const group = groups.get(key);
+      group.items.push(item);
+      if (item.suggestedQuantity && item.unitCost !== null) {
+        group.estimatedCost = round2(group.estimatedCost + item.suggestedQuantity * item.unitCost);
+      }
+    });
+
+  return {
+    asOf: end,
+    parameters: { lookbackDays, reviewDays, serviceFactor, defaultLeadTimeDays: DEFAULTS.leadTimeDays },
+    count: suggestions.filter(item => item.suggestedQuantity > 0).length,
+    suppliers: [...groups.values()]
+  };
+};
+
+// ============== DRAFT ORDERS ==============
+
+// Save the suggestions as one draft purchase order per supplier, replacing
+// the lines of earlier replenishment drafts that are still unapproved.
+// Products without a supplier or a known cost are reported, not ordered.
+const createDraftOrders = async (options = {}, { performedBy = 'replenishment' } = {}) => {
+  const { suppliers, parameters } = await reorderSuggestions({ ...options, includeAll: false });
+  const orders = [];
+  const skipped = [];
+
+  for (const group of suppliers) {
+    const due = group.items.filter(item => item.suggestedQuantity > 0);
+    const skip = (items, reason) => items.forEach(item => skipped.push({ productId: item.productId, name: item.name, reason }));
+
+    if (!group.supplierId) {
+      skip(due, 'No supplier linked');
+      continue;
+    }
+    const orderable = due.filter(item => item.unitCost !== null);
+    skip(due.filter(item => item.unitCost === null), 'No purchase cost on record');
+    if (orderable.length === 0) continue;
+
+    const items = orderable.map(item => ({
+      productId: item.productId,
+      quantity: item.suggestedQuantity,
+      unitCost: item.unitCost
+    }));
+    const notes = `Reorder suggestion: ${parameters.lookbackDays}-day sales, ${parameters.reviewDays}-day cover`;
+
+    try {
+      const draft = await PurchaseOrder.findOne({
+        supplierId: group.supplierId,
+        status: 'draft',
+        source: 'replenishment'
+      });
+      const order = draft
+        ? await updateDraftOrder(draft, items, { notes })
+        : await createPurchaseOrder(
+          { supplierId: group.supplierId, items, notes },
+          { performedBy, status: 'draft', source: 'replenishment' }
+        );
+      orders.push(order);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      skip(orderable, error.message);
+    }
+  }
+
+  return { orders, skipped };
+};
+
+// Rebuild the draft orders periodically (REORDER_INTERVAL_HOURS, default 24)
+const scheduleReplenishment = (intervalMs = (Number(process.env.REORDER_INTERVAL_HOURS) || 24) * 60 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const { orders, skipped } = await createDraftOrders();
+      console.log(`📦 Reorder suggestions: ${orders.length} draft purchase orders, ${skipped.length} products skipped`);
+    } catch (error) {
+      console.error('❌ Error building reorder suggestions:', error.message);
+    }
+  };
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DEFAULTS,
+  velocity,
+  reorderSuggestions,
+  createDraftOrders,
+  scheduleReplenishment
+};
@@ -0,0 +1,595 @@
+// services/returnsService.js
+// Sales returns. A return issues a numbered credit note (an Invoice of type
+// 'return') against the original invoice and, in the same transaction,
+// restocks the goods, records the GST reversal in the tax register, claws
+// back loyalty coins earned on the returned value and records the refund
+// Payment. On a sale not yet fully paid the credit note first clears the
+// balance due and only the rest is refunded. Lines can be returned in several
+// partial returns. A sale nothing has happened to yet (no payment, return,
+// IRN or coins) can instead be cancelled outright with cancelSale.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const Payment = require('../models/Payment');
+const Location = require('../models/Location');
+const Stock = require('../models/Stock');
+const { TaxEntry, TaxSlab } = require('../models/Tax');
+const { nextNumber, runInTransaction, supportsTransactions } = require('./numberingService');
+const { buildLines } = require('./invoicePdf');
+const { amountPaidOf, balanceDueOf, setBalance } = require('./paymentService');
+const { postEntry, isOnAccount } = require('./customerLedger');
+const { restoreBatches } = require('./batchService');
+const { defaultLocation, putAtLocation } = require('./locationService');
+const { recordMovement } = require('./stockLedger');
+const ApiError = require('../utils/ApiError');
+
+const REFUND_METHODS = ['cash', 'upi', 'card', 'bank_transfer', 'store_credit'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// ============== RETURNABLE LINES ==============
+
+// What is left to return on each line of a sale
+const returnableLines = (invoice) => {
+  const lines = buildLines(invoice);
+
+  return invoice.items.map((item, index) => ({
+    itemId: item._id,
+    productId: item.productId,
+    productName: item.productName,
+    hsnCode: item.hsnCode,
+    taxSlabId: item.taxSlabId,
+    quantity: item.quantity,
+    returnedQuantity: item.returnedQuantity || 0,
+    returnableQuantity: item.quantity - (item.returnedQuantity || 0),
+    line: lines[index]
+  }));
+};
+
+// Match each requested line to a sale line by item _id or productId
+const resolveRequestedLines = (invoice, requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new ApiError('At least one item to return is required');
+  }
+
+  const available = returnableLines(invoice);
+
+  return requested.map((request, index) => {
+    const quantity = Number(request.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new ApiError(`Item ${index + 1}: quantity must be a positive whole number`);
+    }
+
+    const match = available.find(line => {
+      if (request.itemId) return line.itemId.toString() === String(request.itemId);
+      return line.productId && line.productId === String(request.productId);
+    });
+    if (!match) {
+      throw new ApiError(`Item ${index + 1}: not found on invoice ${invoice.invoiceNumber}`);
+    }
+
+    if (quantity > match.returnableQuantity) {
+      throw new ApiError(
+        `Only ${match.returnableQuantity} of ${match.productName} can still be returned`
+      );
+    }
+    // Count it now so a repeated line in the same request cannot over-return
+    match.returnableQuantity -= quantity;
+
+    return {
+      ...match,
+      returnQuantity: quantity,
+      restock: request.restock !== false
+    };
+  });
+};
+
+// ============== STEPS ==============
+
+// Where a sale's units go back: the location they were taken from. Sales
+// from before locations (or from a location since removed) took them from
+// the default location.
+const saleLocation = async (invoice, session) => {
+  const location = invoice.locationId
+    ? await Location.findById(invoice.locationId).session(session)
+    : null;
+  return location || defaultLocation(session);
+};
+
+// Stock goes back on the shelf with a Stock log entry per line, at the
+// location and into the batches the sale took it from
+const restock = async (lines, { original, creditNoteId, creditNoteNumber, invoiceNumber, performedBy, session }) => {
+  const location = await saleLocation(original, session);
+
+  for (const line of lines) {
+    if (!line.restock || !mongoose.isValidObjectId(line.productId)) continue;
+
+    const moved = await recordMovement({
+      productId: line.productId,
+      type: 'add',
+      quantity: line.returnQuantity,
+      reason: 'Sales return',
+      notes: `Credit note ${creditNoteNumber} against invoice ${invoiceNumber}`,
+      source: { type: 'return', id: creditNoteId, reference: creditNoteNumber },
+      location,
+      performedBy
+    }, { session });
+    if (!moved) {
+      line.restock = false;
+      continue;
+    }
+    line.batches = await restoreBatches(original.items.id(line.itemId), line.returnQuantity, { session });
+    await putAtLocation(moved.product._id, location, line.returnQuantity, { session });
+  }
+};
+
+// Negative register entry so tax summaries and reports net off the return
+const recordTaxReversal = async (creditNote, original, lines, session) => {
+  const slabs = await TaxSlab.find({
+    hsnCode: { $in: lines.map(line => line.hsnCode).filter(Boolean) }
+  }).session(session);
+
+  const items = lines.map(line => {
+    // Older sales do not record their slab; match on HSN and rate instead
+    const slab = line.taxSlabId
+      ? null
+      : slabs.find(s => s.hsnCode === line.hsnCode && s.rate === line.line.gstRate);
+    return {
+      name: line.productName,
+      quantity: -line.returnQuantity,
+      price: round2(line.line.taxable / line.quantity),
+      taxSlabId: line.taxSlabId || (slab ? slab._id : undefined),
+      hsn: line.hsnCode
+    };
+  });
+
+  await new TaxEntry({
+    invoiceNo: creditNote.invoiceNumber,
+    documentType: 'credit_note',
+    originalInvoiceNo: original.invoiceNumber,
+    invoiceId: creditNote._id,
+    date: creditNote.date,
+    customer: creditNote.customerName,
+    items,
+    isInterState: (creditNote.igstTotal || 0) > 0,
+    taxableValue: -creditNote.subtotal,
+    totalTax: -creditNote.totalGST,
+    totalAmount: -round2(creditNote.subtotal + creditNote.totalGST),
+    status: 'Issued',
+    notes: `Sales return against ${original.invoiceNumber}`
+  }).save({ session });
+};
+
+// Take back the share of coins earned on the original sale that matches the
+// refunded share of it. Coins already spent can only be clawed back to zero.
+const clawBackCoins = async (original, refundAmount, { creditNoteNumber, performedBy, session }) => {
+  if (!original.customerId || !mongoose.isValidObjectId(original.customerId)) return null;
+
+  const customer = await Customer.findById(original.customerId).session(session);
+  if (!customer) return null;
+
+  const earned = await Transaction.find({
+    customerId: customer._id,
+    billNumber: original.invoiceNumber,
+    type: 'Purchase'
+  }).session(session);
+  const coinsEarned = earned.reduce((sum, t) => sum + (t.coins || 0), 0);
+
+  const previousReturns = await Invoice.find({
+    originalInvoiceId: original._id,
+    type: 'return'
+  }).select('invoiceNumber').session(session);
+  const clawedBack = previousReturns.length
+    ? await Transaction.find({
+      customerId: customer._id,
+      type: 'Refund',
+      billNumber: { $in: previousReturns.map(r => r.invoiceNumber) }
+    }).session(session)
+    : [];
+  const coinsAlreadyReversed = -clawedBack.reduce((sum, t) => sum + (t.coins || 0), 0);
+
+  const saleAmount = original.finalAmount || original.totalAmount || 0;
+  const share = saleAmount ? Math.min(1, refundAmount / saleAmount) : 0;
+  const due = Math.min(
+    Math.floor(coinsEarned * share),
+    coinsEarned - coinsAlreadyReversed
+  );
+
+  const balanceBefore = customer.coins;
+  const coins = Math.max(0, Math.min(due, customer.coins));
+
+  customer.coins -= coins;
+  customer.coinsEarned = Math.max(0, customer.coinsEarned - coins);
+  customer.totalPurchases = Math.max(0, customer.totalPurchases - refundAmount);
+  customer.totalSpent = Math.max(0, customer.totalSpent - refundAmount);
+  await customer.save({ session });
+
+  if (due <= 0) return { customer, coins: 0 };
+
+  const transaction = new Transaction({
+    customerId: customer._id,
+    type: 'Refund',
+    amount: -refundAmount,
+    coins: -coins,
+    purchaseAmount: -refundAmount,
+    balanceBefore,
+    balanceAfter: customer.coins,
+    note: coins < due
+      ? `Return ${creditNoteNumber}: reversed ${coins} of ${due} coins (balance exhausted)`
+      : `Return ${creditNoteNumber}: reversed ${coins} coins`,
+    billNumber: creditNoteNumber,
+    cashierId: performedBy
+  });
+  await transaction.save({ session });
+
+  return { customer, coins, transaction };
+};
+
+const generatePaymentId = () => `REF-${Date.now()}-${crypto.randomBytes(5).toString('hex')}`;
+
+// ============== RETURN ==============
+
+// request: { items: [{ itemId | productId, quantity, restock }], reason,
+//            refundMethod, notes, performedBy }
+const createReturn = async (invoiceId, request) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+  if (request.refundMethod && !REFUND_METHODS.includes(request.refundMethod)) {
+    throw new ApiError(`Refund method must be one of: ${REFUND_METHODS.join(', ')}`);
+  }
+  if (!(await supportsTransactions())) {
+    throw new ApiError('Returns need MongoDB transactions (a replica set)', 503);
+  }
+
+  return runInTransaction(async (session) => {
+    const now = new Date();
+
+    const original = await Invoice.findById(invoiceId).session(session);
+    if (!original) {
+      throw new ApiError('Invoice not found', 404);
+    }
+    if (original.type !== 'sale') {
+      throw new ApiError('Only sales can be returned');
+    }
+    if (['cancelled', 'refunded'].includes(original.status)) {
+      throw new ApiError(`Invoice is already ${original.status}`);
+    }
+
+    const lines = resolveRequestedLines(original, request.items);
+
+    // Returned share of each line, tax included
+    const creditItems = lines.map(line => {
+      const ratio = line.returnQuantity / line.quantity;
+      const taxable = round2(line.line.taxable * ratio);
+      const cgst = round2(line.line.cgst * ratio);
+      const sgst = round2(line.line.sgst * ratio);
+      const igst = round2(line.line.igst * ratio);
+      return {
+        productId: line.productId,
+        productName: line.productName,
+        hsnCode: line.hsnCode,
+        taxSlabId: line.taxSlabId,
+        quantity: line.returnQuantity,
+        unitPrice: line.line.unitPrice,
+        totalPrice: taxable,
+        gstRate: line.line.gstRate,
+        gstAmount: round2(cgst + sgst + igst),
+        cgst,
+        sgst,
+        igst,
+        originalItemId: line.itemId
+      };
+    });
+
+    const subtotal = round2(creditItems.reduce((sum, item) => sum + item.totalPrice, 0));
+    const totalGST = round2(creditItems.reduce((sum, item) => sum + item.gstAmount, 0));
+    const totalAmount = round2(subtotal + totalGST);
+
+    // Coupon, coin and exchange deductions on the sale are shared out, so
+    // the refund is the returned share of what the customer actually paid
+    const saleGross = original.totalAmount || totalAmount;
+    const salePaid = original.finalAmount !== undefined && original.finalAmount !== null
+      ? original.finalAmount
+      : saleGross;
+    const refundAmount = round2(Math.min(salePaid, salePaid * totalAmount / saleGross));
+
+    // Whatever the customer still owes is settled by the credit note first
+    const adjustedAgainstDue = round2(Math.min(balanceDueOf(original), refundAmount));
+    const payout = round2(refundAmount - adjustedAgainstDue);
+
+    const refundMethod = request.refundMethod || (
+      ['split', 'credit', 'coins'].includes(original.payment?.method) ? 'cash' : original.payment?.method
+    ) || 'cash';
+    if (refundMethod === 'store_credit' && !mongoose.isValidObjectId(original.customerId)) {
+      throw new ApiError('Store credit refunds need an invoice with a registered customer');
+    }
+
+    const { number: creditNoteNumber } = await nextNumber('creditNote', {
+      date: now,
+      storeCode: original.storeCode,
+      session
+    });
+
+    // Restock first so the credit note records which lines went back on sale
+    const creditNoteId = new mongoose.Types.ObjectId();
+    await restock(lines, {
+      original,
+      creditNoteId,
+      creditNoteNumber,
+      invoiceNumber: original.invoiceNumber,
+      performedBy: request.performedBy,
+      session
+    });
+
+    creditItems.forEach((item, index) => {
+      item.restocked = lines[index].restock;
+      item.batches = lines[index].batches;
+    });
+
+    const creditNote = new Invoice({
+      _id: creditNoteId,
+      invoiceNumber: creditNoteNumber,
+      date: now,
+      status: 'completed',
+      type: 'return',
+      source: 'return',
+      originalInvoiceId: original._id,
+      originalInvoiceNumber: original.invoiceNumber,
+      returnReason: request.reason,
+      customerId: original.customerId,
+      customerName: original.customerName,
+      customerPhone: original.customerPhone,
+      customerEmail: original.customerEmail,
+      customerAddress: original.customerAddress,
+      customerGstin: original.customerGstin,
+      placeOfSupply: original.placeOfSupply,
+      isInterState: original.isInterState,
+      items: creditItems,
+      subtotal,
+      totalGST,
+      cgstTotal: round2(creditItems.reduce((sum, item) => sum + item.cgst, 0)),
+      sgstTotal: round2(creditItems.reduce((sum, item) => sum + item.sgst, 0)),
+      igstTotal: round2(creditItems.reduce((sum, item) => sum + item.igst, 0)),
+      totalDiscount: round2(totalAmount - refundAmount),
+      additionalDiscounts: round2(totalAmount - refundAmount),
+      totalAmount,
+      finalAmount: refundAmount,
+      payment: {
+        method: refundMethod,
+        status: 'refunded',
+        amount: refundAmount,
+        paidAmount: payout,
+        paymentDate: now
+      },
+      storeCode: original.storeCode,
+      storeInfo: original.storeInfo,
+      locationId: original.locationId,
+      locationCode: original.locationCode,
+      notes: request.notes,
+      createdBy: request.performedBy
+    });
+    await creditNote.save({ session });
+
+    // Mark the returned units on the sale; fully returned sales are refunded
+    lines.forEach(line => {
+      const item = original.items.id(line.itemId);
+      item.returnedQuantity = (item.returnedQuantity || 0) + line.returnQuantity;
+    });
+    if (original.items.every(item => (item.returnedQuantity || 0) >= item.quantity)) {
+      original.status = 'refunded';
+    }
+    if (adjustedAgainstDue > 0) {
+      original.creditAdjusted = round2((original.creditAdjusted || 0) + adjustedAgainstDue);
+      setBalance(original, amountPaidOf(original));
+    }
+    await original.save({ session });
+
+    await recordTaxReversal(creditNote, original, lines, session);
+
+    const coins = await clawBackCoins(original, refundAmount, {
+      creditNoteNumber,
+      performedBy: request.performedBy,
+      session
+    });
+
+    if (adjustedAgainstDue > 0 && await isOnAccount(original._id, session)) {
+      await postEntry({
+        customerId: original.customerId,
+        entryType: 'credit_note',
+        date: now,
+        credit: adjustedAgainstDue,
+        invoiceId: original._id,
+        invoiceNumber: creditNoteNumber,
+        note: `Credit note ${creditNoteNumber} against ${original.invoiceNumber}`,
+        createdBy: request.performedBy
+      }, { session });
+    }
+
+    if (payout > 0 && refundMethod === 'store_credit') {
+      await Customer.updateOne(
+        { _id: original.customerId },
+        { $inc: { storeCredit: payout } },
+        { session }
+      );
+    }
+
+    // Nothing to pay out when the whole credit note cleared the balance due
+    if (payout <= 0) {
+      return {
+        creditNote,
+        original,
+        refund: null,
+        adjustedAgainstDue,
+        coinsReversed: coins ? coins.coins : 0,
+        customer: coins ? coins.customer : null
+      };
+    }
+
+    const paymentId = generatePaymentId();
+    const refund = new Payment({
+      _id: paymentId,
+      paymentId,
+      type: 'refund',
+      invoiceId: creditNote._id,
+      invoiceNumber: creditNoteNumber,
+      customerId: original.customerId || 'walk-in',
+      customerName: original.customerName || 'Walk-in Customer',
+      amount: payout,
+      method: refundMethod,
+      status: 'completed',
+      processedAt: now,
+      refundedAt: now,
+      refundReason: request.reason,
+      metadata: { originalInvoiceId: original._id, originalInvoiceNumber: original.invoiceNumber }
+    });
+    await refund.save({ session });
+
+    return {
+      creditNote,
+      original,
+      refund,
+      adjustedAgainstDue,
+      coinsReversed: coins ? coins.coins : 0,
+      customer: coins ? coins.customer : null
+    };
+  });
+};
+
+// ============== CANCELLATION ==============
+
+// Stock documents sales take their units under, by Invoice.source
+const SALE_STOCK_SOURCES = { invoice: 'invoice', checkout: 'checkout' };
+const stockSourceOf = (invoice) => SALE_STOCK_SOURCES[invoice.source] || 'sale';
+
+// Why a sale cannot simply be cancelled, or null if it can. Anything paid,
+// returned, posted to the customer's account or rewarded with coins has to
+// be undone through a return so the money and coins are accounted for.
+const cancelBlocker = async (invoice, { irnCancelling = false, session = null } = {}) => {
+  if (invoice.type !== 'sale') return 'Only sales can be cancelled';
+  if (['cancelled', 'refunded'].includes(invoice.status)) {
+    return `Invoice is already ${invoice.status}`;
+  }
+  if (invoice.eInvoice?.status === 'generated' && !irnCancelling) {
+    return 'Invoice has an IRN; cancel the e-invoice instead';
+  }
+
+  const returned = invoice.items.some(item => (item.returnedQuantity || 0) > 0) ||
+    await Invoice.exists({ originalInvoiceId: invoice._id, type: 'return' }).session(session);
+  if (returned) return 'Invoice has returns against it';
+
+  const paid = amountPaidOf(invoice) > 0 || await Payment.exists({
+    invoiceId: { $in: [invoice._id, String(invoice._id)] },
+    type: { $ne: 'refund' },
+    status: 'completed'
+  }).session(session);
+  if (paid) return 'Invoice has payments against it; record a return to refund them';
+
+  if (await isOnAccount(invoice._id, session)) {
+    return "Invoice is posted to the customer's account; record a return instead";
+  }
+
+  const rewarded = invoice.invoiceNumber && await Transaction.exists({
+    billNumber: invoice.invoiceNumber,
+    type: 'Purchase'
+  }).session(session);
+  if (rewarded) return 'Coins were earned on this invoice; record a return instead';
+
+  return null;
+};
+
+// Units each product actually left stock under the sale, from the Stock log.
+// Sales recorded before the log fall back to their line quantities; bills and
+// orders never took stock then, so they have nothing to put back.
+const unitsTaken = async (invoice, session) => {
+  const entries = await Stock.find({
+    sourceType: stockSourceOf(invoice),
+    sourceId: invoice._id
+  }).session(session);
+
+  const taken = new Map();
+  if (entries.length === 0) {
+    if (!['sale', 'invoice', 'checkout'].includes(invoice.source)) return taken;
+    invoice.items.forEach(item => {
+      if (!mongoose.isValidObjectId(item.productId) || !(item.quantity > 0)) return;
+      taken.set(item.productId, (taken.get(item.productId) || 0) + item.quantity);
+    });
+    return taken;
+  }
+
+  entries.forEach(entry => {
+    const id = entry.productId.toString();
+    const units = entry.transactionType === 'remove' ? entry.quantity
+      : entry.transactionType === 'add' ? -entry.quantity
+        : 0;
+    taken.set(id, (taken.get(id) || 0) + units);
+  });
+  return taken;
+};
+
+// Cancel a sale: put its stock back where it came from, into its batches,
+// and mark it cancelled. Runs in the caller's session if given one.
+const cancelSale = async (invoiceId, { reason, performedBy, irnCancelling = false, session = null } = {}) => {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw new ApiError('Invalid invoice ID');
+  }
+
+  const work = async (session) => {
+    const invoice = await Invoice.findById(invoiceId).session(session);
+    if (!invoice) {
+      throw new ApiError('Invoice not found', 404);
+    }
+
+    const blocker = await cancelBlocker(invoice, { irnCancelling, session });
+    if (blocker) {
+      throw new ApiError(blocker, 409);
+    }
+
+    const location = await saleLocation(invoice, session);
+    const reference = invoice.invoiceNumber || invoice.billNumber;
+    const taken = await unitsTaken(invoice, session);
+
+    for (const [productId, quantity] of taken) {
+      if (quantity <= 0) continue;
+
+      const moved = await recordMovement({
+        productId,
+        type: 'add',
+        quantity,
+        reason: 'Sale cancelled',
+        notes: reason,
+        source: { type: stockSourceOf(invoice), id: invoice._id, reference },
+        location,
+        performedBy
+      }, { session });
+      if (!moved) continue;
+      await putAtLocation(moved.product._id, location, quantity, { session });
+
+      for (const item of invoice.items.filter(i => i.productId === productId)) {
+        await restoreBatches(item, item.quantity, { session });
+      }
+    }
+
+    invoice.status = 'cancelled';
+    invoice.set('payment.status', 'cancelled');
+    invoice.balanceDue = 0;
+    invoice.cancelledAt = new Date();
+    invoice.cancelReason = reason;
+    invoice.cancelledBy = performedBy;
+    await invoice.save({ session });
+
+    return invoice;
+  };
+
+  return session ? work(session) : runInTransaction(work);
+};
+
+module.exports = {
+  returnableLines,
+  createReturn,
+  cancelBlocker,
+  cancelSale
+};
@@ -0,0 +1,342 @@
+// services/salesLedger.js
+// Invoice is the single billing document. The bills, orders and sales
+// endpoints predate it and speak their own shapes, so this module translates
+// between those legacy shapes and the Invoice schema in both directions.
+
+const Invoice = require('../models/Invoice');
+const { nextNumber, runInTransaction } = require('./numberingService');
+
+const round2 = (value) => parseFloat((Number(value) || 0).toFixed(2));
+
+// ============== FIELD MAPPINGS ==============
+
+const PAYMENT_MODE_TO_METHOD = {
+  'Cash': 'cash',
+  'Card': 'card',
+  'UPI': 'upi',
+  'Net Banking': 'bank_transfer'
+};
+
+const METHOD_TO_PAYMENT_MODE = {
+  cash: 'Cash',
+  card: 'Card',
+  upi: 'UPI',
+  bank_transfer: 'Net Banking'
+};
+
+const STATUS_TO_INVOICE = {
+  'Completed': 'completed',
+  'Pending': 'pending',
+  'Processing': 'processing',
+  'Cancelled': 'cancelled',
+  'Refunded': 'refunded'
+};
+
+const INVOICE_TO_STATUS = {
+  completed: 'Completed',
+  pending: 'Pending',
+  processing: 'Processing',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+const PAYMENT_STATUS_TO_INVOICE = {
+  'Paid': 'paid',
+  'Pending': 'pending',
+  'Cancelled': 'cancelled'
+};
+
+const INVOICE_TO_PAYMENT_STATUS = {
+  paid: 'Paid',
+  pending: 'Pending',
+  cancelled: 'Cancelled'
+};
+
+const toMethod = (paymentMode) => PAYMENT_MODE_TO_METHOD[paymentMode] || 'cash';
+const toPaymentMode = (method) => METHOD_TO_PAYMENT_MODE[method] || 'Cash';
+const toInvoiceStatus = (status) => STATUS_TO_INVOICE[status] || status;
+const toLegacyStatus = (status) => INVOICE_TO_STATUS[status] || status;
+
+// Balance fields kept alongside payment (see services/paymentService.js)
+const settlementFields = (total, paid) => ({
+  amountPaid: paid,
+  balanceDue: round2(Math.max(0, total - paid)),
+  paymentStatus: paid <= 0 ? 'unpaid' : (paid >= total ? 'paid' : 'partially_paid')
+});
+
+// ============== LEGACY -> INVOICE ==============
+
+// Order / offline bill shape: items are { product, quantity, price }
+const invoiceFromOrder = (order) => {
+  const items = (order.items || []).map(item => {
+    const quantity = parseInt(item.quantity) || 0;
+    const price = parseFloat(item.price) || 0;
+    return {
+      productName: item.product,
+      quantity,
+      unitPrice: price,
+      totalPrice: round2(quantity * price)
+    };
+  });
+
+  const subtotal = round2(order.subtotal);
+  const gst = round2(order.gst);
+  const discount = round2(order.discount);
+  const totalAmount = round2(order.totalAmount);
+  const paymentStatus = PAYMENT_STATUS_TO_INVOICE[order.paymentStatus] || 'pending';
+  const paidAmount = paymentStatus === 'paid' ? totalAmount : 0;
+
+  return {
+    invoiceNumber: order.billNumber,
+    billNumber: order.billNumber,
+    orderId: order.orderId,
+    date: order.date || new Date(),
+    status: toInvoiceStatus(order.status) || 'completed',
+    type: 'sale',
+    customerName: order.customerName,
+    customerPhone: order.customerPhone,
+    customerEmail: order.customerEmail,
+    items,
+    subtotal,
+    totalGST: gst,
+    totalDiscount: discount,
+    additionalDiscounts: discount,
+    totalAmount,
+    finalAmount: totalAmount,
+    payment: {
+      method: toMethod(order.paymentMode),
+      status: paymentStatus,
+      amount: totalAmount,
+      paidAmount
+    },
+    ...settlementFields(totalAmount, paidAmount),
+    isOffline: !!order.isOffline,
+    notes: order.notes
+  };
+};
+
+// Sale shape: items are { name, productId, quantity, price, total }
+const invoiceFromSale = (sale) => {
+  const items = (sale.items || []).map(item => ({
+    productId: item.productId ? item.productId.toString() : undefined,
+    productName: item.name,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    totalPrice: round2(item.total !== undefined ? item.total : item.quantity * item.price)
+  }));
+
+  const totalAmount = round2(sale.totalAmount);
+  const status = toInvoiceStatus(sale.status) || 'completed';
+  const paidAmount = status === 'completed' ? totalAmount : 0;
+
+  return {
+    invoiceNumber: sale.billNumber,
+    billNumber: sale.billNumber,
+    date: sale.date || new Date(),
+    status,
+    type: 'sale',
+    customerId: sale.customerId ? sale.customerId.toString() : undefined,
+    customerName: sale.customerName,
+    items,
+    subtotal: round2(sale.subtotal),
+    totalGST: round2(sale.gst),
+    totalAmount,
+    finalAmount: totalAmount,
+    payment: {
+      method: toMethod(sale.paymentMode),
+      status: status === 'completed' ? 'paid' : 'pending',
+      amount: totalAmount,
+      paidAmount
+    },
+    ...settlementFields(totalAmount, paidAmount)
+  };
+};
+
+// ============== INVOICE -> LEGACY ==============
+
+const orderFromInvoice = (invoice) => {
+  const inv = invoice.toObject ? invoice.toObject() : invoice;
+  return {
+    _id: inv._id,
+    orderId: inv.orderId || inv.invoiceNumber,
+    billNumber: inv.billNumber || inv.invoiceNumber,
+    date: inv.date,
+    customerName: inv.customerName,
+    customerPhone: inv.customerPhone,
+    customerEmail: inv.customerEmail,
+    items: (inv.items || []).map(item => ({
+      _id: item._id,
+      product: item.productName,
+      quantity: item.quantity,
+      price: item.unitPrice
+    })),
+    subtotal: inv.subtotal,
+    gst: inv.totalGST,
+    discount: inv.totalDiscount || 0,
+    totalAmount: inv.totalAmount,
+    paymentMode: toPaymentMode(inv.payment?.method),
+    paymentStatus: INVOICE_TO_PAYMENT_STATUS[inv.payment?.status] || 'Pending',
+    status: toLegacyStatus(inv.status),
+    isOffline: !!inv.isOffline,
+    notes: inv.notes,
+    createdAt: inv.createdAt,
+    updatedAt: inv.updatedAt
+  };
+};
+
+const saleFromInvoice = (invoice) => {
+  const inv = invoice.toObject ? invoice.toObject() : invoice;
+  return {
+    _id: inv._id,
+    billNumber: inv.billNumber || inv.invoiceNumber,
+    date: inv.date,
+    customerName: inv.customerName,
+    customerId: inv.customerId,
+    items: (inv.items || []).map(item => ({
+      _id: item._id,
+      name: item.productName,
+      productId: item.productId,
+      quantity: item.quantity,
+      price: item.unitPrice,
+      total: item.totalPrice
+    })),
+    subtotal: inv.subtotal,
+    gst: inv.totalGST || 0,
+    totalAmount: inv.totalAmount,
+    paymentMode: toPaymentMode(inv.payment?.method),
+    status: toLegacyStatus(inv.status),
+    createdAt: inv.createdAt,
+    updatedAt: inv.updatedAt
+  };
+};
+
+// ============== UPDATES ==============
+
+// Which Invoice paths each legacy field feeds
+const LEGACY_FIELD_PATHS = {
+  date: ['date'],
+  customerName: ['customerName'],
+  customerPhone: ['customerPhone'],
+  customerEmail: ['customerEmail'],
+  customerId: ['customerId'],
+  items: ['items'],
+  subtotal: ['subtotal'],
+  gst: ['totalGST'],
+  discount: ['totalDiscount', 'additionalDiscounts'],
+  totalAmount: ['totalAmount', 'finalAmount', 'payment.amount'],
+  paymentMode: ['payment.method'],
+  paymentStatus: ['payment.status', 'payment.paidAmount', 'amountPaid', 'balanceDue', 'paymentStatus'],
+  status: ['status'],
+  isOffline: ['isOffline'],
+  notes: ['notes']
+};
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+// Apply a legacy-shaped partial update to an invoice. Only the fields present
+// in `changes` are written, so invoice-only data (GST split, coupon, product
+// IDs) survives an edit made through the orders or sales endpoints.
+const applyLegacyUpdate = (invoice, changes, kind = 'order') => {
+  const toLegacy = kind === 'sale' ? saleFromInvoice : orderFromInvoice;
+  const toInvoice = kind === 'sale' ? invoiceFromSale : invoiceFromOrder;
+
+  const mapped = toInvoice({ ...toLegacy(invoice), ...changes });
+
+  Object.keys(changes).forEach(field => {
+    const paths = LEGACY_FIELD_PATHS[field];
+    if (!paths || changes[field] === undefined) return;
+    paths.forEach(path => invoice.set(path, getPath(mapped, path)));
+  });
+
+  // A new total keeps what was already paid and moves the balance due
+  if (changes.totalAmount !== undefined && changes.paymentStatus === undefined) {
+    const paid = round2(invoice.amountPaid ?? invoice.payment?.paidAmount);
+    const settlement = settlementFields(round2(invoice.finalAmount), paid);
+    Object.entries(settlement).forEach(([path, value]) => invoice.set(path, value));
+    invoice.set('payment.status', settlement.paymentStatus === 'paid' ? 'paid' : 'pending');
+  }
+
+  return invoice;
+};
+
+// ============== LOOKUPS ==============
+
+// Legacy endpoints address documents by bill number, order ID or _id
+const findByLegacyId = (id) => {
+  const or = [
+    { invoiceNumber: id },
+    { billNumber: id },
+    { orderId: id }
+  ];
+  if (/^[a-f\d]{24}$/i.test(id)) {
+    or.push({ _id: id });
+  }
+  return Invoice.findOne({ $or: or });
+};
+
+// Line-level GST and the tax split from services/taxService.js, which the
+// legacy shapes cannot carry. Pass as `extra` to createFromOrder/createFromSale.
+const taxExtras = ({ lines, totals, gstInclusive, placeOfSupply, interState }) => ({
+  items: lines,
+  cgstTotal: totals.cgstTotal,
+  sgstTotal: totals.sgstTotal,
+  igstTotal: totals.igstTotal,
+  gstBreakdown: totals.gstBreakdown,
+  amountAfterDiscount: totals.amountAfterDiscount,
+  roundOff: totals.roundOff,
+  roundOffEnabled: true,
+  gstInclusive,
+  placeOfSupply,
+  isInterState: interState
+});
+
+// ============== NUMBERED CREATION ==============
+
+// Bills, orders and sales share the 'bill' series now that they live in the
+// same collection. The numbers are taken in the same transaction that saves
+// the invoice, so a failed save does not leave a gap in the series.
+// onCreate(invoice, session), when given, runs in the same transaction just
+// before the save, e.g. to take the stock against the bill number.
+const createFromOrder = (orderData, extra = {}, onCreate = null) => runInTransaction(async (session) => {
+  const { number: billNumber } = await nextNumber('bill', { session });
+  const { number: orderId } = await nextNumber('order', { session });
+
+  const invoice = new Invoice({
+    ...invoiceFromOrder({ ...orderData, billNumber, orderId }),
+    ...extra
+  });
+  if (onCreate) await onCreate(invoice, session);
+  await invoice.save({ session });
+  return invoice;
+});
+
+const createFromSale = (saleData, extra = {}, onCreate = null) => runInTransaction(async (session) => {
+  const { number: billNumber } = await nextNumber('bill', { session });
+
+  const invoice = new Invoice({
+    ...invoiceFromSale({ ...saleData, billNumber }),
+    ...extra
+  });
+  if (onCreate) await onCreate(invoice, session);
+  await invoice.save({ session });
+  return invoice;
+});
+
+module.exports = {
+  PAYMENT_MODE_TO_METHOD,
+  toMethod,
+  toPaymentMode,
+  toInvoiceStatus,
+  toLegacyStatus,
+  STATUS_TO_INVOICE,
+  PAYMENT_STATUS_TO_INVOICE,
+  invoiceFromOrder,
+  invoiceFromSale,
+  orderFromInvoice,
+  saleFromInvoice,
+  applyLegacyUpdate,
+  findByLegacyId,
+  taxExtras,
+  createFromOrder,
+  createFromSale
+};
@@ -0,0 +1,331 @@
+// services/stockLedger.js
+// Every change to Product.stock goes through here, so each movement leaves a
+// Stock entry naming the document behind it (invoice, credit note, purchase
+// order, transfer...). The entries are the ledger: replaying them gives what
+// stock should be, and reconcile() reports or corrects products whose count
+// has drifted from it.
+//
+// Entry quantities: 'add' and 'remove' are unsigned, 'adjust' is the signed
+// change and 'initial' is the opening stock. Callers that also track
+// locations or batches update those themselves. Product.stock is the total
+// across locations; moves at the default location (or none) may only take
+// what other locations do not hold (see services/locationService.js).
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Stock = require('../models/Stock');
+const LocationStock = require('../models/LocationStock');
+const ApiError = require('../utils/ApiError');
+
+// ============== MOVEMENTS ==============
+
+// Units of each product held away from the default location
+const heldElsewhere = async (productIds, session = null) => {
+  const rows = await LocationStock.aggregate([
+    { $match: { productId: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+    { $group: { _id: '$productId', quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+  return new Map(rows.map(row => [String(row._id), row.quantity]));
+};
+
+// What other locations hold of a product when moving it at `location`; the
+// default location (or none) is bounded by it, other locations by their rows
+const heldAwayFrom = async (productId, location, session) => {
+  if (location && !location.isDefault) return 0;
+  return (await heldElsewhere([productId], session)).get(String(productId)) || 0;
+};
+
+const entryFor = (product, { type, quantity, previousStock, reason, notes, source = {}, location, performedBy }) => new Stock({
+  productId: product._id,
+  uniqueCode: product.productId,
+  productName: product.name,
+  transactionType: type,
+  quantity,
+  previousStock,
+  newStock: product.stock,
+  reason,
+  notes,
+  sourceType: source.type,
+  sourceId: source.id,
+  reference: source.reference,
+  locationId: location?._id,
+  locationCode: location?.code,
+  performedBy: performedBy || 'system'
+});
+
+// Move units in ('add') or out ('remove') of a product's stock and log it.
+// Removals only go through while enough stock remains at the location; with
+// upTo: true a removal takes whatever is left there instead. restocked: true also sets
+// lastRestocked. Returns { product, entry }, or null when the product no
+// longer exists or nothing was left to take.
+const recordMovement = async ({
+  productId,
+  type,
+  quantity,
+  reason,
+  notes,
+  source,
+  location,
+  performedBy,
+  restocked = false,
+  upTo = false
+}, { session = null } = {}) => {
+  if (!['add', 'remove'].includes(type)) {
+    throw new ApiError(`Unknown stock movement '${type}'`);
+  }
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new ApiError('Stock movements need a quantity above zero');
+  }
+  if (!mongoose.isValidObjectId(productId)) return null;
+
+  const elsewhere = type === 'remove' ? await heldAwayFrom(productId, location, session) : 0;
+
+  let units = quantity;
+  if (type === 'remove' && upTo) {
+    const current = await Product.findById(productId).select('stock').session(session);
+    if (!current) return null;
+    units = Math.min(quantity, current.stock - elsewhere);
+    if (units <= 0) return null;
+  }
+
+  const update = { $inc: { stock: type === 'add' ? units : -units } };
+  if (type === 'add' && restocked) update.$set = { lastRestocked: new Date() };
+
+  const product = await Product.findOneAndUpdate(
+    type === 'add' ? { _id: productId } : { _id: productId, stock: { $gte: units + elsewhere } },
+    update,
+    { new: true, session }
+  );
+
+  if (!product) {
+    const current = await Product.findById(productId).select('name stock').session(session);
+    if (!current) return null;
+    if (elsewhere > 0) {
+      throw new ApiError(
+        `Only ${Math.max(0, current.stock - elsewhere)} of ${current.name} at the default location; ${elsewhere} are at other locations`,
+        409
+      );
+    }
+    throw new ApiError(`Insufficient stock for ${current.name}. Available: ${current.stock}`, 409);
+  }
+
+  const entry = entryFor(product, {
+    type,
+    quantity: units,
+    previousStock: type === 'add' ? product.stock - units : product.stock + units,
+    reason,
+    notes,
+    source,
+    location,
+    performedBy
+  });
+  await entry.save({ session });
+
+  return { product, entry };
+};
+
+// Set a product's stock to a counted figure with an 'adjust' entry for the
+// difference. Fails if the stock changes while this runs, rather than
+// overwriting a sale made in the meantime. Returns { product, entry }, with
+// entry null when the count already matched.
+const adjustStock = async (productId, newStock, {
+  reason,
+  notes,
+  source,
+  location,
+  performedBy,
+  session = null
+} = {}) => {
+  if (!Number.isInteger(newStock) || newStock < 0) {
+    throw new ApiError('Stock must be a whole number of zero or more');
+  }
+
+  const current = await Product.findById(productId).session(session);
+  if (!current) {
+    throw new ApiError('Product not found', 404);
+  }
+  const change = newStock - current.stock;
+  if (change === 0) return { product: current, entry: null };
+
+  // Other locations keep their units, so the total cannot drop below them
+  if (change < 0) {
+    const elsewhere = await heldAwayFrom(productId, location, session);
+    if (newStock < elsewhere) {
+      throw new ApiError(
+        `Stock of ${current.name} cannot go below ${elsewhere}: that many are held at other locations`,
+        409
+      );
+    }
+  }
+
+  const update = { $set: { stock: newStock } };
+  if (change > 0) update.$set.lastRestocked = new Date();
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, stock: current.stock },
+    update,
+    { new: true, session }
+  );
+  if (!product) {
+    throw new ApiError(`Stock of ${current.name} changed while it was being set; check the count and try again`, 409);
+  }
+
+  const entry = entryFor(product, {
+    type: 'adjust',
+    quantity: change,
+    previousStock: current.stock,
+    reason,
+    notes,
+    source,
+    location,
+    performedBy
+  });
+  await entry.save({ session });
+
+  return { product, entry };
+};
+
+// The opening entry for a product's stock when it enters the ledger
+const openingStock = async (product, { reason = 'Opening stock', notes, source, performedBy, session = null } = {}) => {
+  const entry = entryFor(product, {
+    type: 'initial',
+    quantity: product.stock,
+    previousStock: 0,
+    reason,
+    notes,
+    source,
+    performedBy
+  });
+  await entry.save({ session });
+  return entry;
+};
+
+// ============== RECONCILIATION ==============
+
+const signedQuantity = {
+  $switch: {
+    branches: [{ case: { $eq: ['$transactionType', 'remove'] }, then: { $multiply: ['$quantity', -1] } }],
+    default: '$quantity'
+  }
+};
+
+// What the ledger says each product should hold. History that starts after
+// the product was created is anchored on the first entry's previousStock.
+const ledgerBalances = async (productIds, session = null) => {
+  const rows = await Stock.aggregate([
+    { $match: { productId: { $in: productIds } } },
+    { $sort: { productId: 1, createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$productId',
+        opening: { $first: '$previousStock' },
+        movement: { $sum: signedQuantity },
+        entries: { $sum: 1 },
+        lastEntryAt: { $last: '$createdAt' }
+      }
+    }
+  ]).session(session);
+
+  return new Map(rows.map(row => [String(row._id), {
+    balance: row.opening + row.movement,
+    entries: row.entries,
+    lastEntryAt: row.lastEntryAt
+  }]));
+};
+
+// Compare Product.stock with the ledger (?productId= or ?category=). With
+// fix, drifted products are set back to the ledger balance and products with
+// stock but no entries get an opening entry, so they are tracked from now on.
+const reconcile = async ({ productId, category, fix = false, performedBy } = {}) => {
+  const query = {};
+  if (productId) {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new ApiError('Invalid product ID');
+    }
+    query._id = productId;
+  }
+  if (category) query.category = category;
+
+  // Products first: a sale landing in between then shows as drift that the
+  // fix skips, instead of being undone by a stale balance
+  const products = await Product.find(query).select('productId name category stock price').lean();
+  const balances = await ledgerBalances(products.map(product => product._id));
+
+  const drifted = [];
+  const untracked = [];
+  for (const product of products) {
+    const ledger = balances.get(String(product._id));
+    if (!ledger) {
+      if (product.stock > 0) {
+        untracked.push({ productId: product._id, code: product.productId, name: product.name, stock: product.stock });
+      }
+      continue;
+    }
+    if (ledger.balance === product.stock) continue;
+
+    const drift = product.stock - ledger.balance;
+    drifted.push({
+      productId: product._id,
+      code: product.productId,
+      name: product.name,
+      category: product.category,
+      stock: product.stock,
+      ledgerStock: ledger.balance,
+      drift,
+      valueImpact: Math.round(drift * (product.price || 0) * 100) / 100,
+      entries: ledger.entries,
+      lastEntryAt: ledger.lastEntryAt
+    });
+  }
+
+  if (fix) {
+    for (const row of drifted) {
+      if (row.ledgerStock < 0) {
+        row.fixed = false;
+        row.note = 'Ledger balance is negative; check the entries by hand';
+        continue;
+      }
+      const updated = await Product.findOneAndUpdate(
+        { _id: row.productId, stock: row.stock },
+        { $set: { stock: row.ledgerStock } },
+        { new: true }
+      );
+      row.fixed = Boolean(updated);
+      if (!updated) row.note = 'Stock changed during reconciliation; run it again';
+    }
+
+    for (const row of untracked) {
+      const product = await Product.findOne({ _id: row.productId, stock: row.stock });
+      if (!product || await Stock.exists({ productId: row.productId })) continue;
+      await openingStock(product, {
+        reason: 'Opening balance',
+        notes: 'Recorded by reconciliation for stock that predates the ledger',
+        source: { type: 'reconciliation' },
+        performedBy
+      });
+      row.fixed = true;
+    }
+
+    console.log(`🔧 Stock reconciliation: ${drifted.filter(row => row.fixed).length} corrected, ${untracked.filter(row => row.fixed).length} opened`);
+  }
+
+  return {
+    checked: products.length,
+    inBalance: products.length - drifted.length - untracked.length,
+    driftCount: drifted.length,
+    netDrift: drifted.reduce((sum, row) => sum + row.drift, 0),
+    valueImpact: Math.round(drifted.reduce((sum, row) => sum + row.valueImpact, 0) * 100) / 100,
+    drifted,
+    untracked,
+    fixed: fix
+  };
+};
+
+module.exports = {
+  heldElsewhere,
+  recordMovement,
+  adjustStock,
+  openingStock,
+  ledgerBalances,
+  reconcile
+};
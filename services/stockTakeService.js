@@ -0,0 +1,435 @@
+// services/stockTakeService.js
+// Physical stock-takes (cycle counts). Opening one freezes what the system
+// expects on the shelf for a category and/or location. Staff then record
+// counts, typed in per product or scanned one code at a time. Variances are
+// valued at selling price. Approval posts each difference to the Stock ledger
+// as an 'adjust' entry. The difference is applied on top of current stock,
+// so sales made while counting are not undone. Approved counts feed the
+// shrinkage report.
+
+const mongoose = require('mongoose');
+const StockTake = require('../models/StockTake');
+const Product = require('../models/Product');
+const Location = require('../models/Location');
+const LocationStock = require('../models/LocationStock');
+const { nextNumber, runInTransaction } = require('./numberingService');
+const { stockAtLocation, putAtLocation } = require('./locationService');
+const { adjustStock, heldElsewhere } = require('./stockLedger');
+const { findByCode } = require('./barcodeService');
+const ApiError = require('../utils/ApiError');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const loadStockTake = async (takeId, session = null) => {
+  if (!mongoose.isValidObjectId(takeId)) {
+    throw new ApiError('Invalid stock take ID');
+  }
+  const take = await StockTake.findById(takeId).session(session);
+  if (!take) {
+    throw new ApiError('Stock take not found', 404);
+  }
+  return take;
+};
+
+const assertCounting = (take) => {
+  if (take.status !== 'counting') {
+    throw new ApiError(`Stock take ${take.takeNumber} is already ${take.status}`);
+  }
+};
+
+// ============== SNAPSHOT ==============
+
+// scope: { category, locationId, notes }; neither category nor location
+// counts the whole catalogue
+const startStockTake = async ({ category, locationId, notes } = {}, { performedBy } = {}) => {
+  let location = null;
+  if (locationId) {
+    if (!mongoose.isValidObjectId(locationId)) {
+      throw new ApiError('Invalid location ID');
+    }
+    location = await Location.findById(locationId);
+    if (!location) {
+      throw new ApiError('Location not found', 404);
+    }
+    if (location.status !== 'active') {
+      throw new ApiError(`Location ${location.code} is inactive`);
+    }
+  }
+
+  // Two open counts of the same shelves would adjust the same variance twice
+  const open = await StockTake.findOne({
+    status: 'counting',
+    category: category || { $exists: false },
+    locationId: location ? location._id : { $exists: false }
+  });
+  if (open) {
+    throw new ApiError(`Stock take ${open.takeNumber} is already counting these items`, 409);
+  }
+
+  let items;
+  if (location) {
+    const stock = await stockAtLocation(location._id);
+    items = stock.items.filter(item => !category || item.category === category);
+  } else {
+    const products = await Product.find(category ? { category } : {})
+      .select('productId name category stock')
+      .lean();
+    items = products.map(product => ({
+      productId: product._id,
+      code: product.productId,
+      name: product.name,
+      category: product.category,
+      quantity: product.stock
+    }));
+  }
+  if (items.length === 0) {
+    throw new ApiError('No products to count for this category and location');
+  }
+  const prices = new Map((await Product.find({ _id: { $in: items.map(item => item.productId) } })
+    .select('price')
+    .lean()).map(product => [String(product._id), product.price]));
+
+  return runInTransaction(async (session) => {
+    const { number } = await nextNumber('stockTake', { session });
+    const take = new StockTake({
+      takeNumber: number,
+      category: category || undefined,
+      locationId: location?._id,
+      locationCode: location?.code,
+      items: items.map(item => ({
+        productId: item.productId,
+        productCode: item.code,
+        productName: item.name,
+        category: item.category,
+        price: prices.get(String(item.productId)) || 0,
+        expectedQuantity: item.quantity
+      })),
+      notes,
+      startedBy: performedBy
+    });
+    await take.save({ session });
+    return take;
+  });
+};
+
+// ============== COUNTING ==============
+
+const findProduct = async ({ productId, barcode }) => {
+  if (productId) {
+    return mongoose.isValidObjectId(productId)
+      ? Product.findById(productId).select('productId name category price').lean()
+      : null;
+  }
+  const query = findByCode(barcode);
+  return query ? query.select('productId name category price').lean() : null;
+};
+
+// counts: [{ productId | barcode, countedQuantity | quantity }]
+// countedQuantity replaces the count so far; quantity (default 1, for
+// scanning) adds to it. Codes that match nothing in the count are returned
+// as unmatched instead of failing the rest.
+const recordCounts = async (takeId, counts, { performedBy } = {}) => {
+  if (!Array.isArray(counts) || counts.length === 0) {
+    throw new ApiError('At least one count is required');
+  }
+
+  const take = await loadStockTake(takeId);
+  assertCounting(take);
+
+  const unmatched = [];
+  const now = new Date();
+  for (const [index, count] of counts.entries()) {
+    if (!count.productId && !count.barcode) {
+      throw new ApiError(`Count ${index + 1}: productId or barcode is required`);
+    }
+    const setTo = count.countedQuantity !== undefined && count.countedQuantity !== null
+      ? Number(count.countedQuantity)
+      : null;
+    const add = setTo === null ? Number(count.quantity ?? 1) : 0;
+    if (setTo !== null && (!Number.isInteger(setTo) || setTo < 0)) {
+      throw new ApiError(`Count ${index + 1}: countedQuantity must be a whole number of zero or more`);
+    }
+    if (setTo === null && (!Number.isInteger(add) || add === 0)) {
+      throw new ApiError(`Count ${index + 1}: quantity must be a whole number other than zero`);
+    }
+
+    const product = await findProduct(count);
+    if (!product) {
+      unmatched.push({ ...count, reason: 'No product with this code' });
+      continue;
+    }
+
+    let item = take.items.find(line => String(line.productId) === String(product._id));
+    if (!item) {
+      // Found on the shelf but not expected there at the snapshot
+      if (take.category && product.category !== take.category) {
+        unmatched.push({ ...count, reason: `${product.name} is not in category ${take.category}` });
+        continue;
+      }
+      take.items.push({
+        productId: product._id,
+        productCode: product.productId,
+        productName: product.name,
+        category: product.category,
+        price: product.price || 0,
+        expectedQuantity: 0
+      });
+      item = take.items[take.items.length - 1];
+    }
+
+    const counted = setTo !== null ? setTo : (item.countedQuantity || 0) + add;
+    if (counted < 0) {
+      throw new ApiError(`${product.name}: the count cannot go below zero`);
+    }
+    item.countedQuantity = counted;
+    item.countedBy = performedBy;
+    item.countedAt = now;
+  }
+
+  await take.save();
+  return { take, unmatched };
+};
+
+// ============== VARIANCES ==============
+
+// Lines with their variance and value; uncounted lines have no variance yet
+const varianceReport = (take) => {
+  const lines = take.items.map(item => {
+    const counted = item.countedQuantity !== undefined && item.countedQuantity !== null;
+    const variance = counted ? item.countedQuantity - item.expectedQuantity : null;
+    return {
+      itemId: item._id,
+      productId: item.productId,
+      productCode: item.productCode,
+      productName: item.productName,
+      category: item.category,
+      price: item.price,
+      expectedQuantity: item.expectedQuantity,
+      countedQuantity: counted ? item.countedQuantity : null,
+      variance,
+      varianceValue: counted ? round2(variance * item.price) : null,
+      adjustedQuantity: item.adjustedQuantity ?? null,
+      countedBy: item.countedBy,
+      countedAt: item.countedAt
+    };
+  });
+
+  const counted = lines.filter(line => line.variance !== null);
+  const short = counted.filter(line => line.variance < 0);
+  const over = counted.filter(line => line.variance > 0);
+  return {
+    lines,
+    totals: {
+      items: lines.length,
+      itemsCounted: counted.length,
+      itemsUncounted: lines.length - counted.length,
+      itemsWithVariance: short.length + over.length,
+      shortageUnits: -short.reduce((sum, line) => sum + line.variance, 0),
+      excessUnits: over.reduce((sum, line) => sum + line.variance, 0),
+      shortageValue: -round2(short.reduce((sum, line) => sum + line.varianceValue, 0)),
+      excessValue: round2(over.reduce((sum, line) => sum + line.varianceValue, 0)),
+      netValue: round2(counted.reduce((sum, line) => sum + line.varianceValue, 0))
+    }
+  };
+};
+
+// ============== APPROVAL ==============
+
+// Posts an 'adjust' entry for every counted line that differs. Lines not
+// counted are left as they are.
+const approveStockTake = async (takeId, { reason, performedBy } = {}) => {
+  if (!reason || !String(reason).trim()) {
+    throw new ApiError('A reason is required to approve a stock take');
+  }
+
+  return runInTransaction(async (session) => {
+    const take = await loadStockTake(takeId, session);
+    assertCounting(take);
+    const location = take.locationId ? await Location.findById(take.locationId).session(session) : null;
+
+    const { lines, totals } = varianceReport(take);
+    if (totals.itemsCounted === 0) {
+      throw new ApiError(`Nothing has been counted on ${take.takeNumber} yet`);
+    }
+
+    for (const line of lines) {
+      const item = take.items.id(line.itemId);
+      if (line.variance === null) continue;
+      item.adjustedQuantity = 0;
+      if (line.variance === 0) continue;
+
+      const product = await Product.findById(line.productId).select('stock').session(session);
+      if (!product) continue;
+
+      // Stock sold since the snapshot may leave less to write off than
+      // counted; only what the counted location holds can be written off
+      let change;
+      if (location && !location.isDefault) {
+        const row = await LocationStock.findOne({ productId: line.productId, locationId: location._id }).session(session);
+        change = Math.max(line.variance, -(row?.quantity || 0));
+      } else {
+        const elsewhere = (await heldElsewhere([line.productId], session)).get(String(line.productId)) || 0;
+        change = Math.max(line.variance, -Math.max(0, product.stock - elsewhere));
+      }
+      if (change === 0) continue;
+
+      await adjustStock(line.productId, product.stock + change, {
+        reason: String(reason).trim(),
+        notes: `Stock take ${take.takeNumber}: expected ${line.expectedQuantity}, counted ${line.countedQuantity}`,
+        source: { type: 'stocktake', id: take._id, reference: take.takeNumber },
+        location,
+        performedBy,
+        session
+      });
+      await putAtLocation(line.productId, location, change, { session });
+      item.adjustedQuantity = change;
+    }
+
+    take.status = 'approved';
+    take.reason = String(reason).trim();
+    take.approvedBy = performedBy;
+    take.approvedAt = new Date();
+    take.summary = {
+      itemsCounted: totals.itemsCounted,
+      itemsWithVariance: totals.itemsWithVariance,
+      shortageUnits: totals.shortageUnits,
+      excessUnits: totals.excessUnits,
+      shortageValue: totals.shortageValue,
+      excessValue: totals.excessValue,
+      netValue: totals.netValue
+    };
+    await take.save({ session });
+    return take;
+  });
+};
+
+const cancelStockTake = async (takeId, { reason } = {}) => {
+  const take = await loadStockTake(takeId);
+  assertCounting(take);
+  take.status = 'cancelled';
+  take.cancelledAt = new Date();
+  take.cancelReason = reason;
+  await take.save();
+  return take;
+};
+
+// ============== SHRINKAGE ==============
+
+const PERIOD_FORMATS = {
+  month: '%Y-%m',
+  week: '%G-W%V',
+  day: '%Y-%m-%d'
+};
+
+// Shortages and excesses found by approved stock-takes (?from=&to=&period=
+// month|week|day&category=&locationId=), per period, with the products that
+// lost the most value
+const shrinkageReport = async ({ from, to, period = 'month', category, locationId } = {}) => {
+  if (!PERIOD_FORMATS[period]) {
+    throw new ApiError(`Period must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}`);
+  }
+
+  const match = { status: 'approved' };
+  if (from || to) {
+    match.approvedAt = {};
+    if (from) match.approvedAt.$gte = new Date(from);
+    if (to) match.approvedAt.$lte = new Date(to);
+  }
+  if (locationId) {
+    if (!mongoose.isValidObjectId(locationId)) {
+      throw new ApiError('Invalid location ID');
+    }
+    match.locationId = new mongoose.Types.ObjectId(String(locationId));
+  }
+
+  const lines = [
+    { $match: match },
+    { $unwind: '$items' },
+    { $match: { 'items.countedQuantity': { $ne: null }, ...(category ? { 'items.category': category } : {}) } },
+    {
+      $addFields: {
+        variance: { $subtract: ['$items.countedQuantity', '$items.expectedQuantity'] }
+      }
+    },
+    { $addFields: { varianceValue: { $multiply: ['$variance', '$items.price'] } } }
+  ];
+  const sums = {
+    shortageUnits: { $sum: { $cond: [{ $lt: ['$variance', 0] }, { $multiply: ['$variance', -1] }, 0] } },
+    excessUnits: { $sum: { $cond: [{ $gt: ['$variance', 0] }, '$variance', 0] } },
+    shortageValue: { $sum: { $cond: [{ $lt: ['$variance', 0] }, { $multiply: ['$varianceValue', -1] }, 0] } },
+    excessValue: { $sum: { $cond: [{ $gt: ['$variance', 0] }, '$varianceValue', 0] } },
+    itemsCounted: { $sum: 1 }
+  };
+
+  const [periods, products] = await Promise.all([
+    StockTake.aggregate([
+      ...lines,
+      {
+        $group: {
+          _id: { $dateToString: { format: PERIOD_FORMATS[period], date: '$approvedAt' } },
+          stockTakes: { $addToSet: '$takeNumber' },
+          ...sums
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    StockTake.aggregate([
+      ...lines,
+      { $match: { variance: { $lt: 0 } } },
+      {
+        $group: {
+          _id: '$items.productId',
+          productCode: { $last: '$items.productCode' },
+          productName: { $last: '$items.productName' },
+          category: { $last: '$items.category' },
+          shortageUnits: { $sum: { $multiply: ['$variance', -1] } },
+          shortageValue: { $sum: { $multiply: ['$varianceValue', -1] } },
+          counts: { $sum: 1 }
+        }
+      },
+      { $sort: { shortageValue: -1 } },
+      { $limit: 20 }
+    ])
+  ]);
+
+  const rows = periods.map(row => ({
+    period: row._id,
+    stockTakes: row.stockTakes.length,
+    itemsCounted: row.itemsCounted,
+    shortageUnits: row.shortageUnits,
+    excessUnits: row.excessUnits,
+    shortageValue: round2(row.shortageValue),
+    excessValue: round2(row.excessValue),
+    netValue: round2(row.excessValue - row.shortageValue)
+  }));
+
+  return {
+    period,
+    periods: rows,
+    topShrinkage: products.map(row => ({
+      productId: row._id,
+      productCode: row.productCode,
+      productName: row.productName,
+      category: row.category,
+      shortageUnits: row.shortageUnits,
+      shortageValue: round2(row.shortageValue),
+      counts: row.counts
+    })),
+    totals: {
+      shortageUnits: rows.reduce((sum, row) => sum + row.shortageUnits, 0),
+      excessUnits: rows.reduce((sum, row) => sum + row.excessUnits, 0),
+      shortageValue: round2(rows.reduce((sum, row) => sum + row.shortageValue, 0)),
+      excessValue: round2(rows.reduce((sum, row) => sum + row.excessValue, 0)),
+      netValue: round2(rows.reduce((sum, row) => sum + row.netValue, 0))
+    }
+  };
+};
+
+module.exports = {
+  startStockTake,
+  recordCounts,
+  varianceReport,
+  approveStockTake,
+  cancelStockTake,
+  shrinkageReport
+};
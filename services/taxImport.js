@@ -0,0 +1,376 @@
+// services/taxImport.js
+// Bulk import of tax register entries from CSV or XLSX. Rows are validated one
+// by one and grouped into invoices by invoice number; an invoice is imported
+// only when all of its rows are valid, so a bad row never leaves a half
+// invoice behind. A dry run returns the same report without writing anything.
+
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const { TaxEntry, TaxSlab } = require('../models/Tax');
+const { validateGstin } = require('../utils/gstin');
+const { resolveSupply, slabRateOn } = require('./taxService');
+const ApiError = require('../utils/ApiError');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Column keys and the headers accepted for them. The bulk export's headers
+// are accepted too, so an export can be edited and imported back.
+const COLUMNS = {
+  invoiceNo: ['invoice no', 'invoice number', 'invoice'],
+  date: ['date', 'invoice date'],
+  customer: ['customer', 'customer name'],
+  gstin: ['gstin', 'customer gstin'],
+  item: ['item', 'item name'],
+  quantity: ['quantity', 'qty'],
+  price: ['price', 'unit price'],
+  taxSlabId: ['tax slab id', 'slab id'],
+  hsn: ['hsn', 'hsn code', 'hsn/sac', 'sac'],
+  taxRate: ['tax rate %', 'tax rate', 'gst rate', 'gst %'],
+  interState: ['inter-state', 'inter state', 'interstate']
+};
+
+const REQUIRED_COLUMNS = ['invoiceNo', 'date', 'item', 'quantity', 'price'];
+
+// HSN codes are 4, 6 or 8 digits; SAC codes are 6 digits starting 99
+const HSN_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// ============== READING ==============
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+  }
+  return String(value).trim();
+};
+
+const readCsv = (content) => new Promise((resolve, reject) => {
+  const rows = [];
+  Readable.from([content])
+    .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+    .on('data', row => rows.push(row))
+    .on('end', () => resolve(rows))
+    .on('error', reject);
+});
+
+// First worksheet; the first row holds the headers
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ApiError(`Could not read the spreadsheet: ${error.message}`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => { headers[col] = cellText(cell.value); });
+
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) return;
+    const record = {};
+    headers.forEach((header, col) => {
+      if (header) record[header] = cellText(row.getCell(col).value);
+    });
+    rows.push(record);
+  });
+  return rows;
+};
+
+const isBlankRow = (row) => Object.values(row).every(value => !String(value ?? '').trim());
+
+// Raw rows from an uploaded file, or from CSV text sent as csvData. Blank
+// lines are dropped, so row numbers count only rows with data.
+const readRows = async ({ file, csvData }) => {
+  let rows;
+  if (file) {
+    rows = /\.xlsx$/i.test(file.originalname)
+      ? await readXlsx(file.buffer)
+      : await readCsv(file.buffer.toString('utf8'));
+  } else if (csvData) {
+    rows = await readCsv(String(csvData));
+  } else {
+    throw new ApiError('Upload a CSV or XLSX file, or send csvData');
+  }
+  return rows.filter(row => !isBlankRow(row));
+};
+
+// Map each header to a column key; unknown headers are ignored
+const mapColumns = (rows) => {
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const mapping = {};
+  for (const [key, aliases] of Object.entries(COLUMNS)) {
+    const header = headers.find(h => aliases.includes(normalizeHeader(h)));
+    if (header) mapping[key] = header;
+  }
+
+  const missing = REQUIRED_COLUMNS.filter(key => !mapping[key]);
+  if (missing.length > 0) {
+    throw new ApiError(`Missing required column(s): ${missing.map(key => COLUMNS[key][0]).join(', ')}`);
+  }
+  if (!mapping.taxSlabId && !mapping.hsn) {
+    throw new ApiError('Either a Tax Slab ID or an HSN column is required');
+  }
+  return mapping;
+};
+
+// ============== VALIDATION ==============
+
+const parseBoolean = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return undefined;
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return null;
+};
+
+// DD-MM-YYYY and DD/MM/YYYY as written in Indian registers, else anything Date parses
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  const dmy = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  const date = dmy ? new Date(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1])) : new Date(text);
+  return text && !isNaN(date) ? date : null;
+};
+
+// Slab for a line: by ID when given, else the active slab for the HSN code
+// (and the rate, when the file has one)
+const findSlab = (line, slabs) => {
+  if (line.taxSlabId) {
+    return slabs.byId.get(line.taxSlabId) || null;
+  }
+  const matches = slabs.active.filter(slab => {
+    const hsn = String(slab.hsnCode).trim();
+    return hsn && line.hsn.startsWith(hsn)
+      && (line.taxRate === undefined || slabRateOn(slab, line.date) === line.taxRate);
+  });
+  return matches.sort((a, b) => String(b.hsnCode).length - String(a.hsnCode).length)[0] || null;
+};
+
+// One parsed row, or its errors
+const validateRow = (raw, mapping, slabs) => {
+  const value = (key) => (mapping[key] ? String(raw[mapping[key]] ?? '').trim() : '');
+  const errors = [];
+
+  const line = {
+    invoiceNo: value('invoiceNo'),
+    customer: value('customer'),
+    gstin: value('gstin').toUpperCase(),
+    name: value('item'),
+    hsn: value('hsn'),
+    taxSlabId: value('taxSlabId')
+  };
+
+  if (!line.invoiceNo) errors.push('Invoice No is required');
+  if (!line.name) errors.push('Item is required');
+
+  line.date = parseDate(value('date'));
+  if (!line.date) errors.push(`Date "${value('date')}" is not a valid date`);
+
+  line.quantity = Number(value('quantity'));
+  if (!value('quantity') || !Number.isFinite(line.quantity) || line.quantity <= 0) {
+    errors.push('Quantity must be a number greater than zero');
+  }
+
+  line.price = Number(value('price'));
+  if (!value('price') || !Number.isFinite(line.price) || line.price < 0) {
+    errors.push('Price must be zero or more');
+  }
+
+  if (value('taxRate')) {
+    line.taxRate = Number(value('taxRate').replace('%', ''));
+    if (!Number.isFinite(line.taxRate)) errors.push('Tax Rate must be a number');
+  }
+
+  const interState = parseBoolean(value('interState'));
+  if (interState === null) errors.push('Inter-State must be Yes/No or true/false');
+  line.isInterState = interState;
+
+  if (line.gstin) {
+    const check = validateGstin(line.gstin);
+    if (!check.valid) errors.push(`GSTIN ${line.gstin}: ${check.error}`);
+  }
+
+  if (line.hsn && !HSN_PATTERN.test(line.hsn)) {
+    errors.push(`HSN "${line.hsn}" must be 4, 6 or 8 digits`);
+  }
+
+  if (line.taxSlabId && !mongoose.isValidObjectId(line.taxSlabId)) {
+    errors.push(`Tax Slab ID "${line.taxSlabId}" is not a valid ID`);
+  } else if (line.date) {
+    if (!line.taxSlabId && !line.hsn) {
+      errors.push('Tax Slab ID or HSN is required');
+    } else {
+      const slab = findSlab(line, slabs);
+      if (!slab) {
+        errors.push(line.taxSlabId
+          ? `Tax slab ${line.taxSlabId} not found`
+          : `No active tax slab for HSN ${line.hsn}${line.taxRate !== undefined ? ` at ${line.taxRate}%` : ''}`);
+      } else {
+        const slabHsn = String(slab.hsnCode).trim();
+        if (line.hsn && !line.hsn.startsWith(slabHsn) && !slabHsn.startsWith(line.hsn)) {
+          errors.push(`HSN ${line.hsn} does not belong to slab ${slab.name} (HSN ${slab.hsnCode})`);
+        }
+        line.slab = slab;
+        line.hsn = line.hsn || slab.hsnCode;
+        line.gstRate = slabRateOn(slab, line.date);
+        if (line.taxRate !== undefined && line.taxRate !== line.gstRate) {
+          errors.push(`Tax Rate ${line.taxRate}% does not match slab ${slab.name} (${line.gstRate}%)`);
+        }
+      }
+    }
+  }
+
+  return { line, errors };
+};
+
+// Invoice-level fields must agree across all rows of an invoice
+const INVOICE_FIELDS = [
+  ['Date', line => line.date && line.date.getTime()],
+  ['Customer', line => line.customer],
+  ['GSTIN', line => line.gstin],
+  ['Inter-State', line => line.isInterState]
+];
+
+const buildEntry = (lines) => {
+  const [first] = lines;
+  const gstin = first.gstin || undefined;
+  const isInterState = first.isInterState !== undefined
+    ? first.isInterState
+    : resolveSupply({ customerGstin: gstin }).interState;
+
+  let taxableValue = 0;
+  let totalTax = 0;
+  const items = lines.map(line => {
+    const itemTotal = line.quantity * line.price;
+    taxableValue += itemTotal;
+    totalTax += itemTotal * (line.gstRate / 100);
+    return {
+      name: line.name,
+      quantity: line.quantity,
+      price: line.price,
+      taxSlabId: line.slab._id,
+      hsn: line.hsn
+    };
+  });
+
+  return {
+    invoiceNo: first.invoiceNo,
+    date: first.date,
+    customer: first.customer,
+    gstin,
+    items,
+    isInterState,
+    taxableValue: round2(taxableValue),
+    totalTax: round2(totalTax),
+    totalAmount: round2(taxableValue + totalTax),
+    status: 'Imported'
+  };
+};
+
+// ============== PIPELINE ==============
+
+// Validate a file and, unless dryRun, insert its valid invoices
+const importTaxEntries = async ({ file, csvData, dryRun = false }) => {
+  const rawRows = await readRows({ file, csvData });
+  if (rawRows.length === 0) {
+    throw new ApiError('The file has no data rows');
+  }
+  if (rawRows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
+
+  const mapping = mapColumns(rawRows);
+
+  const allSlabs = await TaxSlab.find().lean();
+  const slabs = {
+    byId: new Map(allSlabs.map(slab => [slab._id.toString(), slab])),
+    active: allSlabs.filter(slab => slab.status === 'active')
+  };
+
+  // Spreadsheet row numbers: the header is row 1
+  const rows = rawRows.map((raw, index) => ({ row: index + 2, ...validateRow(raw, mapping, slabs) }));
+
+  const invoices = new Map();
+  for (const row of rows) {
+    if (!row.line.invoiceNo) continue;
+    if (!invoices.has(row.line.invoiceNo)) invoices.set(row.line.invoiceNo, []);
+    invoices.get(row.line.invoiceNo).push(row);
+  }
+
+  for (const group of invoices.values()) {
+    const [first] = group;
+    for (const row of group.slice(1)) {
+      for (const [label, read] of INVOICE_FIELDS) {
+        if (read(row.line) !== read(first.line)) {
+          row.errors.push(`${label} differs from row ${first.row} of invoice ${row.line.invoiceNo}`);
+        }
+      }
+    }
+  }
+
+  const existing = await TaxEntry.find({ invoiceNo: { $in: [...invoices.keys()] } }).select('invoiceNo').lean();
+  const existingNumbers = new Set(existing.map(entry => entry.invoiceNo));
+
+  const preview = [];
+  const entries = [];
+  for (const [invoiceNo, group] of invoices) {
+    if (existingNumbers.has(invoiceNo)) {
+      group[0].errors.push(`Invoice ${invoiceNo} is already in the tax register`);
+    }
+
+    const invalidRows = group.filter(row => row.errors.length > 0).map(row => row.row);
+    const valid = invalidRows.length === 0;
+    const entry = valid ? buildEntry(group.map(row => row.line)) : null;
+    if (entry) entries.push(entry);
+
+    preview.push({
+      invoiceNo,
+      rows: group.map(row => row.row),
+      valid,
+      invalidRows,
+      itemCount: group.length,
+      taxableValue: entry ? entry.taxableValue : undefined,
+      totalTax: entry ? entry.totalTax : undefined,
+      totalAmount: entry ? entry.totalAmount : undefined
+    });
+  }
+
+  const errors = rows
+    .filter(row => row.errors.length > 0)
+    .map(row => ({ row: row.row, invoiceNo: row.line.invoiceNo || null, errors: row.errors }));
+
+  const summary = {
+    rows: rows.length,
+    validRows: rows.length - errors.length,
+    errorRows: errors.length,
+    invoices: preview.length,
+    validInvoices: entries.length,
+    skippedInvoices: preview.length - entries.length
+  };
+
+  if (dryRun || entries.length === 0) {
+    return { dryRun, summary, invoices: preview, errors, entries: [] };
+  }
+
+  const saved = await TaxEntry.insertMany(entries);
+  return { dryRun, summary, invoices: preview, errors, entries: saved };
+};
+
+module.exports = {
+  COLUMNS,
+  MAX_IMPORT_ROWS,
+  readRows,
+  importTaxEntries
+};
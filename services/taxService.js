@@ -0,0 +1,367 @@
+// services/taxService.js
+// Computes GST at billing time. Each line's rate comes from the product's
+// linked TaxSlab, else its own gstRate, else the active TaxSlab matching its
+// HSN code (longest matching prefix), else its category, else the default
+// rate. The supply is inter-state (IGST) when the
+// place of supply differs from the store's state, otherwise the tax splits
+// into CGST and SGST. Prices may be GST-exclusive or GST-inclusive.
+//
+// Used by checkout, POST /api/invoices, bills, orders and sales so the tax on
+// a document never depends on figures sent by the client.
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { TaxSlab } = require('../models/Tax');
+const ApiError = require('../utils/ApiError');
+const { validateGstin, isValidStateCode } = require('../utils/gstin');
+
+// Rate applied when neither the HSN code nor the category has a slab
+const DEFAULT_GST_RATE = process.env.DEFAULT_GST_RATE !== undefined
+  ? Number(process.env.DEFAULT_GST_RATE)
+  : 18;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// ============== PLACE OF SUPPLY ==============
+
+// Two-digit GST state code from a state code or a GSTIN
+const stateCodeOf = (value) => {
+  if (value === undefined || value === null) return null;
+  const match = String(value).trim().match(/^(\d{2})/);
+  return match ? match[1] : null;
+};
+
+// The store's state: STORE_STATE_CODE, else the first two digits of STORE_GSTIN
+const storeStateCode = (storeGstin) => {
+  return stateCodeOf(process.env.STORE_STATE_CODE)
+    || stateCodeOf(storeGstin)
+    || stateCodeOf(process.env.STORE_GSTIN);
+};
+
+// Place of supply is the customer's state: as given, else the state of their
+// GSTIN. Without either the sale is treated as made over the counter, i.e.
+// within the store's state.
+const resolveSupply = ({ placeOfSupply, customerGstin, storeGstin } = {}) => {
+  const store = storeStateCode(storeGstin);
+  const customer = stateCodeOf(placeOfSupply) || stateCodeOf(customerGstin) || store;
+
+  return {
+    storeStateCode: store,
+    placeOfSupply: customer,
+    interState: !!(store && customer && store !== customer)
+  };
+};
+
+// New documents only; reports read whatever older documents hold, and the
+// Invoice schema does not re-check GSTINs so older invoices stay editable
+const assertSupplyInputs = ({ placeOfSupply, customerGstin, storeGstin }) => {
+  if (customerGstin) {
+    const check = validateGstin(customerGstin);
+    if (!check.valid) {
+      throw new ApiError(`Customer GSTIN ${check.gstin}: ${check.error}`);
+    }
+  }
+  if (storeGstin) {
+    const check = validateGstin(storeGstin);
+    if (!check.valid) {
+      throw new ApiError(`Store GSTIN ${check.gstin}: ${check.error}`);
+    }
+  }
+  if (placeOfSupply && !isValidStateCode(stateCodeOf(placeOfSupply) || '')) {
+    throw new ApiError(`Place of supply ${placeOfSupply} is not a valid GST state code`);
+  }
+};
+
+// Supply details for a document: what the request gives, else the
+// customer's saved business profile
+const supplyForCustomer = async (customerId, { placeOfSupply, customerGstin } = {}, { session } = {}) => {
+  if ((placeOfSupply && customerGstin) || !customerId || !mongoose.isValidObjectId(customerId)) {
+    return { placeOfSupply, customerGstin };
+  }
+  const customer = await Customer.findById(customerId).select('businessProfile').session(session);
+  const profile = customer ? customer.taxProfile() : {};
+  return {
+    placeOfSupply: placeOfSupply || profile.placeOfSupply,
+    customerGstin: customerGstin || profile.customerGstin
+  };
+};
+
+// ============== RATES ==============
+
+// Rate a slab charged on a date. Changes carry an effective-from date, so
+// documents dated before a change keep the rate they were issued under.
+const slabRateOn = (slab, date = new Date()) => {
+  const when = new Date(date);
+  if (!slab.effectiveFrom || when >= new Date(slab.effectiveFrom)) return slab.rate;
+
+  const periods = [...(slab.rateHistory || [])]
+    .sort((a, b) => new Date(a.effectiveFrom || 0) - new Date(b.effectiveFrom || 0));
+  const period = periods.filter(p => new Date(p.effectiveFrom || 0) <= when).pop() || periods[0];
+  return period ? period.rate : slab.rate;
+};
+
+// Longest slab HSN code that prefixes the item's HSN, so a slab for chapter
+// '1006' covers '10063020'
+const slabForHsn = (slabs, hsnCode) => {
+  if (!hsnCode) return null;
+  const hsn = String(hsnCode).trim();
+  return slabs
+    .filter(slab => slab.hsnCode && hsn.startsWith(String(slab.hsnCode).trim()))
+    .sort((a, b) => String(b.hsnCode).length - String(a.hsnCode).length)[0] || null;
+};
+
+const slabForCategory = (slabs, category) => {
+  if (!category) return null;
+  const name = String(category).trim().toLowerCase();
+  return slabs.find(slab => String(slab.category).trim().toLowerCase() === name) || null;
+};
+
+// Rate, HSN code and source of the rate for every line, in order of
+// preference: the product's own slab, the product's gstRate, a slab for the
+// HSN code, a slab for the category, the default rate
+const resolveRates = async (items, { date = new Date(), session } = {}) => {
+  const productIds = [...new Set(items
+    .map(item => item.productId)
+    .filter(id => id && mongoose.isValidObjectId(id))
+    .map(String))];
+
+  const [products, slabs] = await Promise.all([
+    productIds.length
+      ? Product.find({ _id: { $in: productIds } }).select('hsnCode category taxSlabId gstRate').session(session).lean()
+      : [],
+    TaxSlab.find({ status: 'active' }).session(session).lean()
+  ]);
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+  const slabById = new Map(slabs.map(slab => [slab._id.toString(), slab]));
+
+  const fromSlab = (slab, hsnCode, rateSource) => ({
+    gstRate: slabRateOn(slab, date),
+    hsnCode: hsnCode || slab.hsnCode,
+    taxSlabId: slab._id,
+    rateSource
+  });
+
+  return items.map(item => {
+    const product = item.productId ? productById.get(String(item.productId)) : null;
+    const hsnCode = (product && product.hsnCode) || item.hsnCode;
+    const category = (product && product.category) || item.category;
+
+    const linked = product && product.taxSlabId ? slabById.get(product.taxSlabId.toString()) : null;
+    if (linked) return fromSlab(linked, hsnCode, 'product');
+
+    if (product && product.gstRate !== undefined && product.gstRate !== null) {
+      return { gstRate: product.gstRate, hsnCode, rateSource: 'product' };
+    }
+
+    const byHsn = slabForHsn(slabs, hsnCode);
+    if (byHsn) return fromSlab(byHsn, hsnCode, 'hsn');
+
+    const byCategory = slabForCategory(slabs, category);
+    if (byCategory) return fromSlab(byCategory, hsnCode, 'category');
+
+    return { gstRate: DEFAULT_GST_RATE, hsnCode, rateSource: 'default' };
+  });
+};
+
+// ============== PRICING ==============
+
+// Lines naming a catalogue product are billed at its price and under its name,
+// whatever the client sent; free-text lines (offline bills) keep their price
+const priceFromCatalogue = async (items, { session } = {}) => {
+  if (!Array.isArray(items)) return items;
+
+  const productIds = [...new Set(items.map(item => item.productId).filter(Boolean).map(String))];
+  const invalid = productIds.find(id => !mongoose.isValidObjectId(id));
+  if (invalid) {
+    throw new ApiError(`Invalid product ID ${invalid}`);
+  }
+
+  const products = productIds.length
+    ? await Product.find({ _id: { $in: productIds } }).select('productId name category price').session(session).lean()
+    : [];
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return items.map(item => {
+    if (!item.productId) return item;
+    const product = productById.get(String(item.productId));
+    if (!product) {
+      throw new ApiError(`Product ${item.productId} not found`, 404);
+    }
+    return {
+      ...item,
+      productId: product._id.toString(),
+      productName: product.name,
+      sku: product.productId,
+      category: product.category,
+      unitPrice: product.price
+    };
+  });
+};
+
+// ============== COMPUTATION ==============
+
+// Tax on one line. With inclusive pricing the tax is carved out of the
+// price; otherwise it is added on top.
+const computeLine = ({ quantity, unitPrice, discount = 0, gstRate }, { inclusive = false, interState = false } = {}) => {
+  const qty = Number(quantity) || 0;
+  const price = Number(unitPrice) || 0;
+  const gross = round2(qty * price);
+  const lineDiscount = Math.min(round2(discount), gross);
+  const amount = round2(gross - lineDiscount);
+  const rate = Number(gstRate) || 0;
+
+  const taxableValue = inclusive ? round2(amount * 100 / (100 + rate)) : amount;
+  const gstAmount = inclusive ? round2(amount - taxableValue) : round2(taxableValue * rate / 100);
+
+  const igst = interState ? gstAmount : 0;
+  const cgst = interState ? 0 : round2(gstAmount / 2);
+  const sgst = interState ? 0 : round2(gstAmount - cgst);
+
+  return {
+    quantity: qty,
+    unitPrice: price,
+    discount: lineDiscount,
+    // As entered: includes GST when prices are GST-inclusive
+    totalPrice: amount,
+    taxableValue,
+    gstRate: rate,
+    gstAmount,
+    cgst,
+    sgst,
+    igst
+  };
+};
+
+// Spread a discount off the amount payable across computed lines, pro rata
+// to what each line costs with GST, and recompute their tax. GST is due on the
+// price after a discount, so the discount comes off the taxable value.
+const spreadDiscount = (lines, amount, { inclusive = false, interState = false } = {}) => {
+  const discount = round2(amount);
+  if (!(discount > 0)) return lines;
+
+  const payable = lines.map(line => round2(line.taxableValue + line.gstAmount));
+  const total = round2(payable.reduce((sum, value) => sum + value, 0));
+  if (discount > total) {
+    throw new ApiError(`Discount of ₹${discount} exceeds the bill amount ₹${total}`);
+  }
+
+  let remaining = discount;
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1
+      ? remaining
+      : round2(discount * payable[index] / total);
+    remaining = round2(remaining - share);
+
+    // With exclusive pricing the line price is before GST
+    const offPrice = inclusive ? share : round2(share * 100 / (100 + (Number(line.gstRate) || 0)));
+    return {
+      ...line,
+      ...computeLine({ ...line, discount: round2((line.discount || 0) + offPrice) }, { inclusive, interState })
+    };
+  });
+};
+
+// Invoice totals from computed lines. Discounts after tax (exchange, bill
+// discounts) reduce the amount payable, not the taxable value.
+const computeTotals = (lines, { discountAfterTax = 0, roundOff = true } = {}) => {
+  const sum = (field) => round2(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+  const subtotal = sum('taxableValue');
+  const cgstTotal = sum('cgst');
+  const sgstTotal = sum('sgst');
+  const igstTotal = sum('igst');
+  const totalGST = round2(cgstTotal + sgstTotal + igstTotal);
+  const totalAmount = round2(subtotal + totalGST);
+
+  const amountAfterDiscount = round2(Math.max(0, totalAmount - round2(discountAfterTax)));
+  const finalAmount = roundOff ? Math.round(amountAfterDiscount) : amountAfterDiscount;
+
+  const gstBreakdown = igstTotal > 0
+    ? [{ name: 'IGST', amount: igstTotal }]
+    : [{ name: 'CGST', amount: cgstTotal }, { name: 'SGST', amount: sgstTotal }];
+
+  return {
+    subtotal,
+    totalGST,
+    cgstTotal,
+    sgstTotal,
+    igstTotal,
+    gstBreakdown,
+    totalAmount,
+    totalDiscount: round2(totalAmount - amountAfterDiscount),
+    amountAfterDiscount,
+    finalAmount,
+    roundOff: round2(finalAmount - amountAfterDiscount)
+  };
+};
+
+// Full computation for a document. `items` carry quantity, unitPrice and
+// optionally discount, productId, productName, sku, hsnCode and category;
+// anything else on them (gstRate, tax amounts, batches) is dropped.
+const calculateTax = async (items, options = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError('At least one item is required');
+  }
+
+  const {
+    gstInclusive = false,
+    placeOfSupply,
+    customerGstin,
+    storeGstin,
+    discountAfterTax = 0,
+    roundOff = true,
+    date,
+    session
+  } = options;
+
+  assertSupplyInputs({ placeOfSupply, customerGstin, storeGstin });
+  const supply = resolveSupply({ placeOfSupply, customerGstin, storeGstin });
+  const rates = await resolveRates(items, { date, session });
+
+  const lines = items.map((item, index) => ({
+    productId: item.productId,
+    productName: item.productName,
+    sku: item.sku,
+    category: item.category,
+    ...computeLine({ ...item, gstRate: rates[index].gstRate }, {
+      inclusive: !!gstInclusive,
+      interState: supply.interState
+    }),
+    hsnCode: rates[index].hsnCode,
+    taxSlabId: rates[index].taxSlabId,
+    rateSource: rates[index].rateSource
+  }));
+
+  return {
+    lines,
+    totals: computeTotals(lines, { discountAfterTax, roundOff }),
+    gstInclusive: !!gstInclusive,
+    ...supply
+  };
+};
+
+// Invoice fields for a calculateTax result, ready to spread into an Invoice
+const invoiceTaxFields = ({ lines, totals, gstInclusive, placeOfSupply, interState }) => ({
+  items: lines,
+  ...totals,
+  gstInclusive,
+  placeOfSupply,
+  isInterState: interState
+});
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  stateCodeOf,
+  storeStateCode,
+  resolveSupply,
+  supplyForCustomer,
+  slabRateOn,
+  resolveRates,
+  priceFromCatalogue,
+  computeLine,
+  spreadDiscount,
+  computeTotals,
+  calculateTax,
+  invoiceTaxFields
+};
@@ -0,0 +1,146 @@
+// services/tokenService.js
+// Issues access/refresh token pairs, rotates refresh tokens and revokes
+// sessions. Used by routes/auth.js, routes/users.js and middleware/auth.js.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS
+} = require('../config/auth');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, family) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+      tokenVersion: user.tokenVersion,
+      sid: family
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+};
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const createRefreshToken = async (user, family, ip, token = newRefreshToken()) => {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    createdByIp: ip
+  });
+
+  return { token, expiresAt };
+};
+
+// Start a new session (login)
+const issueTokens = async (user, ip, family = crypto.randomUUID()) => {
+  const refresh = await createRefreshToken(user, family, ip);
+
+  return {
+    token: signAccessToken(user, family),
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+const revokeFamily = (family, reason) => {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeAllForUser = (userId, reason) => {
+  return RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired or revoked. The token is claimed in one update, so of two
+// refreshes racing with the same token only one wins. Presenting an
+// already-rotated token means it leaked, so the whole session family is
+// revoked.
+const rotateRefreshToken = async (token, loadUser, ip) => {
+  if (!token) return null;
+
+  const tokenHash = hashToken(token);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'Rotated', replacedByHash: hashToken(nextToken) } },
+    { new: true }
+  );
+
+  if (!existing) {
+    const stale = await RefreshToken.findOne({ tokenHash });
+    if (stale && stale.revokedAt && stale.replacedByHash) {
+      console.warn(`⚠️ Refresh token reuse detected for user ${stale.userId}, revoking session`);
+      await revokeFamily(stale.family, 'Reuse detected');
+    }
+    return null;
+  }
+
+  const user = await loadUser(existing.userId);
+  if (!user || !user.isActive) {
+    await revokeFamily(existing.family, 'User unavailable');
+    return null;
+  }
+
+  const refresh = await createRefreshToken(user, existing.family, ip, nextToken);
+
+  return {
+    user,
+    tokens: {
+      token: signAccessToken(user, existing.family),
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    }
+  };
+};
+
+// Deny a single access token until it would have expired anyway
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      jti: decoded.jti,
+      userId: decoded.id,
+      expiresAt: new Date(decoded.exp * 1000)
+    },
+    { upsert: true }
+  );
+};
+
+const isAccessTokenRevoked = async (jti) => {
+  if (!jti) return false;
+  return !!(await RevokedToken.exists({ jti }));
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  revokeAccessToken,
+  isAccessTokenRevoked
+};
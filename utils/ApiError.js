@@ -0,0 +1,14 @@
+// Error thrown by services for problems the client can fix (bad input,
+// not enough stock, limits reached). Routes answer with `statusCode`;
+// anything else is treated as a 500. `details` carries itemised problems,
+// such as schema validation errors, for the response's `errors`.
+class ApiError extends Error {
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,109 @@
+// utils/gstin.js
+// Offline GSTIN checks: the 15-character layout, the state code in the first
+// two digits and the mod-36 check character at the end. No portal lookup, so
+// a valid GSTIN here may still be cancelled or unregistered.
+
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// State code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const CHECK_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const normalizeGstin = (gstin) => String(gstin || '').trim().toUpperCase();
+
+const isValidStateCode = (code) => Object.prototype.hasOwnProperty.call(STATE_CODES, String(code).padStart(2, '0'));
+
+// Check character for the first 14 characters: weights alternate 1 and 2,
+// each product contributes quotient + remainder of division by 36
+const computeCheckChar = (first14) => {
+  const sum = [...first14].reduce((total, char, index) => {
+    const product = CHECK_CHARS.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return CHECK_CHARS[(36 - (sum % 36)) % 36];
+};
+
+// { valid, gstin, stateCode, stateName, pan } or { valid: false, error }
+const validateGstin = (value) => {
+  const gstin = normalizeGstin(value);
+
+  if (gstin.length !== 15) {
+    return { valid: false, gstin, error: 'GSTIN must be 15 characters' };
+  }
+  if (!GSTIN_PATTERN.test(gstin)) {
+    return { valid: false, gstin, error: 'GSTIN format is invalid' };
+  }
+
+  const stateCode = gstin.slice(0, 2);
+  if (!isValidStateCode(stateCode)) {
+    return { valid: false, gstin, error: `GSTIN state code ${stateCode} is not a valid state` };
+  }
+  if (computeCheckChar(gstin.slice(0, 14)) !== gstin[14]) {
+    return { valid: false, gstin, error: 'GSTIN check character does not match' };
+  }
+
+  return {
+    valid: true,
+    gstin,
+    stateCode,
+    stateName: STATE_CODES[stateCode],
+    pan: gstin.slice(2, 12)
+  };
+};
+
+const isValidGstin = (value) => validateGstin(value).valid;
+
+// Mongoose validator for optional GSTIN fields
+const gstinValidator = {
+  validator: (value) => !value || isValidGstin(value),
+  message: (props) => `${props.value} is not a valid GSTIN: ${validateGstin(props.value).error}`
+};
+
+module.exports = {
+  STATE_CODES,
+  normalizeGstin,
+  isValidStateCode,
+  computeCheckChar,
+  validateGstin,
+  isValidGstin,
+  gstinValidator
+};